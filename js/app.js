@@ -3,10 +3,35 @@
  */
 class ProteinVisualizerApp {
     constructor() {
-        this.apiService = new APIService();
+        // Endpoints come from window.ALPHAVIEW_CONFIG, saved settings and URL parameters (?source=local&alphafold=/data/)
+        this.apiService = new APIService(resolveEndpointConfig({
+            config: window.ALPHAVIEW_CONFIG,
+            storage: this.getSettingsStorage(),
+            search: window.location.search,
+            origin: window.location.origin
+        }));
         this.searchComponent = new SearchComponent(this.apiService);
         this.infoComponent = new InfoComponent(this.apiService);
         this.visualizerComponent = new VisualizerComponent(this.apiService);
+        // The info panel follows the pLDDT statistics when another fragment or the prediction is shown again
+        this.visualizerComponent.onModelChanged = (proteinId, statistics) => {
+            this.infoComponent.setConfidenceStatistics(proteinId, statistics);
+        };
+        // PAE heatmap highlights residue ranges in the visualizer's 3D view
+        this.paeComponent = new PAEComponent(this.apiService, this.visualizerComponent);
+        this.visualizerComponent.paeComponent = this.paeComponent;
+        // Ramachandran plot of the same structure; points select and highlight residues in the viewer
+        this.ramachandranComponent = new RamachandranComponent(this.visualizerComponent);
+        this.visualizerComponent.ramachandranComponent = this.ramachandranComponent;
+        // UniProt domains, sites and modifications, highlighted on the same structure
+        this.featureComponent = new FeatureComponent(this.apiService, this.visualizerComponent);
+        this.visualizerComponent.featureComponent = this.featureComponent;
+        // Natural variants and disease mutations, marked on the same structure
+        this.variantComponent = new VariantComponent(this.apiService, this.visualizerComponent);
+        this.visualizerComponent.variantComponent = this.variantComponent;
+        // Experimental PDB structures can replace the prediction in the same viewer
+        this.experimentalComponent = new ExperimentalStructureComponent(this.apiService, this.visualizerComponent);
+        this.visualizerComponent.experimentalComponent = this.experimentalComponent;
         // Discovery component for helping users find interesting proteins
         this.discoveryComponent = new DiscoveryComponent(this.searchComponent);
         // Make discovery component globally accessible for HTML onclick handlers
@@ -19,6 +44,9 @@ class ProteinVisualizerApp {
         this.navigationState = 'search'; // search, loading, loaded, error
         this.userJourney = []; // Track user actions for analytics
         
+        // Controller of the protein load in progress, aborted when another protein is selected
+        this.loadController = null;
+        
         // Track shown errors to prevent duplicates
         this.shownErrors = new Set();
         this.lastErrorTime = 0;
@@ -179,6 +207,25 @@ class ProteinVisualizerApp {
             this.handleProteinSelection(proteinId);
         });
 
+        // Cache status and clear control in the footer
+        this.setupCacheControls();
+
+        // Data source settings panel in the footer; it asks before using endpoints a link points to on another host
+        this.settingsComponent = new SettingsComponent(
+            this.apiService,
+            this.getSettingsStorage(),
+            readEndpointParams(window.location.search, window.location.origin).rejected
+        );
+
+        // Health of UniProt and AlphaFold in the header
+        this.serviceStatusComponent = new ServiceStatusComponent(this.apiService);
+
+        // Notes and .alphaview.json session files; opening a session loads its protein like a search result
+        this.sessionComponent = new SessionComponent(this.visualizerComponent, this.infoComponent, {
+            loadProtein: (proteinId) => this.handleProteinSelection(proteinId),
+            showError: (message) => this.showGlobalError(message)
+        });
+
         // Add click handler for app title to reset application
         const appTitle = document.getElementById('app-title');
         if (appTitle) {
@@ -189,6 +236,64 @@ class ProteinVisualizerApp {
         }
     }
 
+    /**
+     * Get the storage used for saved settings
+     * @returns {Storage|null} localStorage, or null when it is unavailable
+     */
+    getSettingsStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            // Accessing localStorage throws when storage is disabled
+            return null;
+        }
+    }
+
+    /**
+     * Setup the clear cache control and show current cache usage
+     */
+    setupCacheControls() {
+        const clearCacheBtn = document.getElementById('clear-cache');
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', async () => {
+                clearCacheBtn.disabled = true;
+                try {
+                    await this.apiService.clearCache();
+                } catch (error) {
+                    console.error('Error clearing cache:', error);
+                    this.showGlobalError('Could not clear cached data');
+                } finally {
+                    clearCacheBtn.disabled = false;
+                    this.updateCacheStatus();
+                }
+            });
+        }
+
+        this.updateCacheStatus();
+    }
+
+    /**
+     * Show the number and size of cached responses
+     * Callers do not wait for this, so errors are reported in the status instead of being thrown.
+     */
+    async updateCacheStatus() {
+        const cacheStatus = document.getElementById('cache-status');
+        if (!cacheStatus) return;
+
+        let stats;
+        try {
+            stats = await this.apiService.getCacheStats();
+        } catch (error) {
+            // IndexedDB can be unavailable or blocked by another tab
+            console.error('Error reading cache status:', error);
+            cacheStatus.textContent = 'Cached data: unavailable';
+            return;
+        }
+        cacheStatus.textContent = stats.entries > 0
+            ? `Cached data: ${stats.entries} item${stats.entries !== 1 ? 's' : ''} (${(stats.size / (1024 * 1024)).toFixed(1)} MB)`
+            : 'Cached data: none';
+    }
+
     /**
      * Handle protein selection from search results
      * @param {string} proteinId - Selected protein UniProt ID
@@ -196,6 +301,14 @@ class ProteinVisualizerApp {
     async handleProteinSelection(proteinId) {
         console.log(`Loading protein data for: ${proteinId}`);
         
+        // Cancel the load of a previously selected protein so it cannot overwrite this one
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const loadController = new AbortController();
+        this.loadController = loadController;
+        const { signal } = loadController;
+        
         try {
             // Update application state
             this.currentProtein = proteinId;
@@ -206,14 +319,31 @@ class ProteinVisualizerApp {
             
             // Load protein information and 3D structure in parallel
             const promises = [
-                this.infoComponent.fetchProteinInfo(proteinId),
-                this.visualizerComponent.loadStructure(proteinId)
+                this.infoComponent.fetchProteinInfo(proteinId, signal),
+                this.visualizerComponent.loadStructure(proteinId, signal)
             ];
             
             await Promise.all(promises);
             
+            // Drop the results of a load that was superseded while it was running
+            if (signal.aborted) {
+                console.log(`Discarded cancelled load of: ${proteinId}`);
+                return;
+            }
+            
+            // Share the pLDDT statistics and model provenance of the rendered model with the info panel
+            this.infoComponent.setConfidenceStatistics(proteinId, this.visualizerComponent.confidenceStatistics);
+            this.infoComponent.setModelProvenance(proteinId, this.visualizerComponent.modelInfo);
+            
+            // Notes start empty for every protein; a session being opened fills them in afterwards
+            const protein = this.visualizerComponent.protein;
+            if (protein && protein.uniprotId === Protein.formatUniProtId(proteinId)) {
+                this.sessionComponent.showProtein(protein);
+            }
+            
             // Update navigation state to show loaded protein
             this.updateNavigationState('loaded');
+            this.updateCacheStatus();
             
             // Scroll to protein info section for better UX
             this.scrollToSection('info-section');
@@ -221,12 +351,16 @@ class ProteinVisualizerApp {
             console.log(`Successfully loaded protein: ${proteinId}`);
             
         } catch (error) {
+            if (signal.aborted) return;
             console.error('Error loading protein:', error);
             this.updateNavigationState('error');
             this.showGlobalError(`Failed to load protein data: ${error.message}`);
         } finally {
-            // Hide global loading indicator
-            this.showGlobalLoading(false);
+            // A newer load owns the loading indicator once this one is superseded
+            if (this.loadController === loadController) {
+                this.loadController = null;
+                this.showGlobalLoading(false);
+            }
         }
     }
 
@@ -759,6 +893,12 @@ class ProteinVisualizerApp {
     resetApplication() {
         console.log('Resetting application to initial state');
         
+        // Stop any protein that is still loading
+        if (this.loadController) {
+            this.loadController.abort();
+            this.loadController = null;
+        }
+        
         // Clear current protein
         this.currentProtein = null;
         
@@ -779,6 +919,10 @@ class ProteinVisualizerApp {
             this.visualizerComponent.hide();
         }
         
+        if (this.sessionComponent) {
+            this.sessionComponent.hide();
+        }
+        
         // Clear any error messages
         const errorContainer = document.getElementById('error-container');
         if (errorContainer) {
@@ -0,0 +1,220 @@
+/**
+ * Experimental structure component listing the PDB entries of a protein and loading them into the viewer
+ */
+class ExperimentalStructureComponent {
+    constructor(apiService, visualizerComponent) {
+        this.apiService = apiService;
+        this.visualizerComponent = visualizerComponent;
+        this.container = document.getElementById('experimental-panel');
+        this.entries = [];
+        this.currentProtein = null;
+        // Whether a structure is being downloaded; the buttons are disabled meanwhile
+        this.loading = false;
+    }
+
+    /**
+     * Load and list the experimental structures of a protein
+     * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the download
+     */
+    async loadEntries(uniprotId, signal = null) {
+        if (!this.container) return;
+
+        this.entries = [];
+        this.loading = false;
+        this.currentProtein = uniprotId;
+
+        this.showMessage('Looking for experimental structures...');
+
+        try {
+            const entries = await this.apiService.getExperimentalStructures(uniprotId, null, signal);
+
+            // Another protein was loaded while the list was downloading
+            if (this.currentProtein !== uniprotId) return;
+
+            this.entries = entries;
+            if (entries.length === 0) {
+                this.showMessage('No experimental structures of this protein are listed in the PDB.');
+                return;
+            }
+            this.render();
+        } catch (error) {
+            if (this.currentProtein !== uniprotId || error.cancelled) return;
+            console.error('Error loading experimental structures:', error);
+            this.showMessage(`Experimental structures are not available: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the panel with a status message instead of the entry list
+     * @param {string} message - Message to display
+     */
+    showMessage(message) {
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Experimental Structures</h3>
+            <p class="experimental-message">${escapeHtml(message)}</p>
+        `;
+    }
+
+    /**
+     * Render the entry table with the structure currently on screen
+     */
+    render() {
+        const shown = this.visualizerComponent ? this.visualizerComponent.experimentalEntry : null;
+
+        const rows = this.entries.map(entry => `
+            <tr class="${shown && shown.pdbId === entry.pdbId ? 'experimental-active' : ''}">
+                <td><a href="https://www.rcsb.org/structure/${entry.pdbId}" target="_blank" rel="noopener">${entry.pdbId}</a></td>
+                <td>${escapeHtml(entry.method)}</td>
+                <td>${entry.resolution !== null ? `${entry.resolution.toFixed(2)} Å` : '–'}</td>
+                <td>${escapeHtml(this.formatRanges(entry))}</td>
+                <td>
+                    <button type="button" class="experimental-load-btn" data-pdb-id="${entry.pdbId}"
+                        ${this.loading || (shown && shown.pdbId === entry.pdbId) ? 'disabled' : ''}>View</button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Experimental Structures</h3>
+            <p class="experimental-current">
+                Showing: <strong>${shown ? `PDB ${shown.pdbId} (colored by B-factor)` : 'AlphaFold prediction'}</strong>
+                ${shown ? `<button type="button" class="experimental-prediction-btn" ${this.loading ? 'disabled' : ''}>Show AlphaFold model</button>` : ''}
+            </p>
+            <p class="experimental-status" style="display: none;"></p>
+            <div class="experimental-table-wrapper">
+                <table class="experimental-table">
+                    <thead>
+                        <tr><th>PDB</th><th>Method</th><th>Resolution</th><th>Residues</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p class="legend-note">
+                ${this.entries.length} entries from UniProt's PDB cross-references, best resolution first.
+                Structures are downloaded from the RCSB PDB.
+            </p>
+        `;
+
+        this.setupInteraction();
+    }
+
+    /**
+     * Attach load handlers to the entry table
+     */
+    setupInteraction() {
+        this.container.querySelectorAll('.experimental-load-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.loadEntry(e.currentTarget.dataset.pdbId);
+            });
+        });
+
+        const predictionBtn = this.container.querySelector('.experimental-prediction-btn');
+        if (predictionBtn) {
+            predictionBtn.addEventListener('click', () => {
+                this.showPrediction();
+            });
+        }
+    }
+
+    /**
+     * Download an entry and show it in the viewer
+     * @param {string} pdbId - PDB ID of a listed entry
+     * @returns {Promise<boolean>} Whether the structure is now shown
+     */
+    async loadEntry(pdbId) {
+        const entry = this.entries.find(candidate => candidate.pdbId === pdbId);
+        if (!entry || !this.visualizerComponent) return false;
+
+        return this.switchStructure(`Loading PDB ${pdbId}...`, (progressCallback) =>
+            this.visualizerComponent.loadExperimentalStructure(entry, progressCallback));
+    }
+
+    /**
+     * Return the viewer to the AlphaFold model
+     * @returns {Promise<boolean>} Whether the prediction is now shown
+     */
+    async showPrediction() {
+        if (!this.visualizerComponent) return false;
+
+        return this.switchStructure('Loading AlphaFold model...', (progressCallback) =>
+            this.visualizerComponent.showPredictedStructure(progressCallback));
+    }
+
+    /**
+     * Run a structure switch in the visualizer, reporting progress and errors in the panel
+     * @param {string} message - Message shown while the structure loads
+     * @param {Function} load - Starts the switch; receives a progress callback and resolves to whether it succeeded
+     * @returns {Promise<boolean>} Whether the switch succeeded
+     */
+    async switchStructure(message, load) {
+        const protein = this.currentProtein;
+        this.loading = true;
+        this.render();
+        this.showStatus(message);
+
+        try {
+            const switched = await load((progress) => {
+                if (progress.message && this.currentProtein === protein) {
+                    this.showStatus(progress.message);
+                }
+            });
+            if (this.currentProtein !== protein) return false;
+
+            this.loading = false;
+            this.render();
+            return switched;
+        } catch (error) {
+            if (this.currentProtein !== protein || error.cancelled) return false;
+            console.error('Error switching structure:', error);
+            this.loading = false;
+            this.render();
+            this.showStatus(`Could not load the structure: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    /**
+     * Show a progress or error message above the entry table
+     * @param {string} message - Message to display
+     * @param {boolean} isError - Whether the message reports a failure
+     */
+    showStatus(message, isError = false) {
+        const status = this.container && this.container.querySelector('.experimental-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('status-error', isError);
+        status.style.display = 'block';
+    }
+
+    /**
+     * Format the residues of this protein covered by an entry
+     * @param {Object} entry - PDB entry
+     * @returns {string}
+     */
+    formatRanges(entry) {
+        if (entry.ranges.length === 0) return 'Unknown';
+        return entry.ranges.map(range => `${range.start}-${range.end} (${range.chains.join('/')})`).join(', ');
+    }
+
+    /**
+     * Hide the experimental structure panel
+     */
+    hide() {
+        this.entries = [];
+        this.loading = false;
+        this.currentProtein = null;
+
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExperimentalStructureComponent;
+}
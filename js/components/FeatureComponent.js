@@ -0,0 +1,308 @@
+/**
+ * Feature component for showing UniProt sequence features (domains, sites, modifications) on the structure
+ */
+class FeatureComponent {
+    constructor(apiService, visualizerComponent) {
+        this.apiService = apiService;
+        this.visualizerComponent = visualizerComponent;
+        this.container = document.getElementById('feature-panel');
+        this.features = [];
+        this.currentProtein = null;
+        // Indices of features highlighted in the viewer, and of the feature whose evidence is shown
+        this.activeFeatures = new Set();
+        this.selectedFeature = null;
+        this.highlightedRanges = [];
+        // Highlight color of each feature category in the 3D viewer
+        this.categoryColors = {
+            domains: '#8E44AD',
+            sites: '#E74C3C',
+            ptms: '#27AE60',
+            topology: '#F39C12'
+        };
+    }
+
+    /**
+     * Load and list the sequence features of a protein
+     * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the download
+     */
+    async loadFeatures(uniprotId, signal = null) {
+        if (!this.container) return;
+
+        this.clearHighlights();
+        this.features = [];
+        this.activeFeatures.clear();
+        this.selectedFeature = null;
+        this.currentProtein = uniprotId;
+
+        this.showMessage('Loading sequence features...');
+
+        try {
+            const features = await this.apiService.getProteinFeatures(uniprotId, null, signal);
+
+            // Another protein was loaded while these features were downloading
+            if (this.currentProtein !== uniprotId) return;
+
+            this.features = features;
+            if (features.length === 0) {
+                this.showMessage('UniProt lists no domains, sites or modifications for this protein.');
+                return;
+            }
+            this.render();
+        } catch (error) {
+            if (this.currentProtein !== uniprotId || error.cancelled) return;
+            console.error('Error loading sequence features:', error);
+            this.showMessage(`Sequence features are not available: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the panel with a status message instead of the feature list
+     * @param {string} message - Message to display
+     */
+    showMessage(message) {
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Sequence Features</h3>
+            <p class="feature-message">${escapeHtml(message)}</p>
+        `;
+    }
+
+    /**
+     * Render the feature list, grouped by category
+     */
+    render() {
+        const groups = FEATURE_CATEGORIES.map(category => {
+            const items = this.features
+                .map((feature, index) => ({ feature, index }))
+                .filter(({ feature }) => feature.category === category.key);
+            if (items.length === 0) return '';
+
+            const color = this.categoryColors[category.key];
+            return `
+                <div class="feature-group" data-category="${category.key}">
+                    <h4><span class="feature-swatch" style="background: ${color};"></span>${category.label}</h4>
+                    <ul class="feature-list">
+                        ${items.map(({ feature, index }) => this.renderFeature(feature, index)).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Sequence Features</h3>
+            <p class="legend-note">
+                Tick a feature to highlight it in the 3D viewer; click its name to see the supporting evidence.
+                Annotations come from UniProt.
+            </p>
+            <div class="feature-groups">${groups}</div>
+            <div class="feature-details" style="display: none;"></div>
+            <button type="button" class="feature-clear-btn">Clear Highlights</button>
+        `;
+
+        this.setupInteraction();
+        if (this.selectedFeature !== null) {
+            this.showFeatureDetails(this.selectedFeature);
+        }
+    }
+
+    /**
+     * Render one feature row
+     * @param {Object} feature - Normalized feature
+     * @param {number} index - Index of the feature in the loaded list
+     * @returns {string} HTML
+     */
+    renderFeature(feature, index) {
+        const shown = this.toStructureRanges(feature).length > 0;
+        const label = feature.description ? `${feature.type}: ${feature.description}` : feature.type;
+
+        return `
+            <li class="feature-item${shown ? '' : ' feature-outside'}">
+                <input type="checkbox" class="feature-toggle" data-index="${index}"
+                    ${this.activeFeatures.has(index) ? 'checked' : ''} ${shown ? '' : 'disabled'}
+                    aria-label="Highlight ${escapeHtml(label)}">
+                <button type="button" class="feature-name" data-index="${index}">${escapeHtml(label)}</button>
+                <span class="feature-range">${this.formatPosition(feature)}${shown ? '' : ' (not in this fragment)'}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Attach toggle, details and clear handlers to the feature list
+     */
+    setupInteraction() {
+        this.container.querySelectorAll('.feature-toggle').forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                this.toggleFeature(parseInt(e.target.dataset.index, 10), e.target.checked);
+            });
+        });
+
+        this.container.querySelectorAll('.feature-name').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.showFeatureDetails(parseInt(e.currentTarget.dataset.index, 10));
+            });
+        });
+
+        const clearBtn = this.container.querySelector('.feature-clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearActiveFeatures();
+            });
+        }
+    }
+
+    /**
+     * Highlight or unhighlight a feature on the structure
+     * @param {number} index - Index of the feature in the loaded list
+     * @param {boolean} active - Whether the feature should be highlighted
+     */
+    toggleFeature(index, active) {
+        if (!this.features[index]) return;
+
+        if (active) {
+            this.activeFeatures.add(index);
+        } else {
+            this.activeFeatures.delete(index);
+        }
+
+        // Features can overlap, so clearing one range must not remove another feature's highlight
+        this.applyHighlights();
+    }
+
+    /**
+     * Redraw the highlights of all ticked features
+     */
+    applyHighlights() {
+        this.clearHighlights();
+        if (!this.visualizerComponent) return;
+
+        Array.from(this.activeFeatures).sort((a, b) => a - b).forEach(index => {
+            const feature = this.features[index];
+            const color = this.categoryColors[feature.category];
+            this.toStructureRanges(feature).forEach(range => {
+                this.visualizerComponent.highlightResidueRange(range, color);
+                this.highlightedRanges.push(range);
+            });
+        });
+    }
+
+    /**
+     * Untick all features and remove their highlights
+     */
+    clearActiveFeatures() {
+        this.activeFeatures.clear();
+        this.clearHighlights();
+        this.container.querySelectorAll('.feature-toggle').forEach(toggle => {
+            toggle.checked = false;
+        });
+    }
+
+    /**
+     * Show what a feature is and the evidence UniProt gives for it
+     * @param {number} index - Index of the feature in the loaded list
+     */
+    showFeatureDetails(index) {
+        const feature = this.features[index];
+        const details = this.container && this.container.querySelector('.feature-details');
+        if (!feature || !details) return;
+
+        this.selectedFeature = index;
+        details.style.display = 'block';
+        details.innerHTML = `
+            <h4>${escapeHtml(feature.type)} <span class="feature-range">${this.formatPosition(feature)}</span></h4>
+            ${feature.description ? `<p>${escapeHtml(feature.description)}</p>` : ''}
+            <p class="feature-evidence"><strong>Evidence:</strong> ${escapeHtml(feature.evidenceText || 'No evidence given by UniProt')}</p>
+        `;
+    }
+
+    /**
+     * Convert a feature to residue ranges of the displayed structure
+     * @param {Object} feature - Normalized feature on the UniProt sequence
+     * @returns {Array<Object>} Residue ranges ({chainId, start, end}) in structure file numbering, with chainId
+     *                          null where any chain matches; empty if the displayed structure does not contain the feature
+     */
+    toStructureRanges(feature) {
+        const visualizer = this.visualizerComponent;
+        const toResidue = (position) => visualizer && visualizer.mapSequencePosition
+            ? visualizer.mapSequencePosition(position)
+            : { chainId: null, residueNumber: position };
+
+        // Bonds mark only the two linked residues, not everything between them
+        if (feature.positions) {
+            return feature.positions
+                .map(toResidue)
+                .filter(residue => residue !== null)
+                .map(residue => ({ chainId: residue.chainId, start: residue.residueNumber, end: residue.residueNumber }));
+        }
+
+        // Positions the structure does not cover are left out, and a jump in the structure's
+        // numbering or chain (a gap in an experimental structure) starts a new range
+        const ranges = [];
+        for (let position = feature.start; position <= feature.end; position++) {
+            const residue = toResidue(position);
+            if (residue === null) continue;
+
+            const last = ranges[ranges.length - 1];
+            if (last && last.chainId === residue.chainId && residue.residueNumber === last.end + 1) {
+                last.end = residue.residueNumber;
+            } else {
+                ranges.push({ chainId: residue.chainId, start: residue.residueNumber, end: residue.residueNumber });
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Format the sequence position of a feature
+     * @param {Object} feature - Normalized feature
+     * @returns {string}
+     */
+    formatPosition(feature) {
+        if (feature.positions) {
+            return feature.positions.join(' ↔ ');
+        }
+        return feature.start === feature.end ? `${feature.start}` : `${feature.start}-${feature.end}`;
+    }
+
+    /**
+     * Redraw the panel for a different fragment of the same protein
+     */
+    refresh() {
+        if (!this.container || this.features.length === 0) return;
+        this.render();
+        this.applyHighlights();
+    }
+
+    /**
+     * Remove the highlighted residue ranges from the viewer
+     */
+    clearHighlights() {
+        if (this.visualizerComponent) {
+            this.highlightedRanges.forEach(range => {
+                this.visualizerComponent.clearResidueRangeHighlight(range);
+            });
+        }
+        this.highlightedRanges = [];
+    }
+
+    /**
+     * Hide the feature panel
+     */
+    hide() {
+        this.clearHighlights();
+        this.features = [];
+        this.activeFeatures.clear();
+        this.selectedFeature = null;
+        this.currentProtein = null;
+
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeatureComponent;
+}
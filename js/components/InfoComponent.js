@@ -14,32 +14,61 @@ class InfoComponent {
         if (!this.infoContainer) {
             this.infoContainer = { innerHTML: '', querySelectorAll: () => [] };
         }
+        
+        // pLDDT statistics and provenance of the loaded model, shared from VisualizerComponent
+        this.currentProteinId = null;
+        // UniProt metadata of the shown protein, as returned by APIService.getProteinMetadata
+        this.proteinData = null;
+        this.confidenceStatistics = null;
+        this.modelInfo = null;
+        // Isoforms of the entry the shown protein belongs to
+        this.isoforms = [];
+        // Cancellation signal of the most recent load; progress from older loads is ignored
+        this.activeSignal = null;
     }
 
     /**
      * Fetch and display protein information
      * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the load
      */
-    async fetchProteinInfo(uniprotId) {
+    async fetchProteinInfo(uniprotId, signal = null) {
         if (!uniprotId) {
             this.showError('UniProt ID is required');
             return;
         }
         
+        this.activeSignal = signal;
+        
         try {
             // Show loading state
             this.showLoadingState();
             
             // Create progress callback
             const progressCallback = (progress) => {
-                this.updateInfoProgress(progress);
+                if (this.activeSignal === signal) {
+                    this.updateInfoProgress(progress);
+                }
             };
             
+            // Isoforms are listed alongside the metadata; the panel does without them if they fail
+            const isoformsPromise = this.fetchIsoforms(uniprotId, signal);
+            
             // Fetch protein metadata from UniProt API
-            const proteinData = await this.apiService.getProteinMetadata(uniprotId, progressCallback);
+            const proteinData = await this.apiService.getProteinMetadata(uniprotId, progressCallback, signal);
             this.displayProteinDetails(proteinData);
             
+            const isoforms = await isoformsPromise;
+            if (this.activeSignal === signal) {
+                this.displayIsoforms(proteinData.uniprotId, isoforms);
+            }
+            
         } catch (error) {
+            // A cancelled load is reported through the progress callback, not as an error
+            if (error.cancelled) {
+                console.log(`Cancelled loading protein information for: ${uniprotId}`);
+                return;
+            }
             console.error('Error fetching protein info:', error);
             this.showDetailedError(error, uniprotId);
         }
@@ -66,22 +95,33 @@ class InfoComponent {
     displayProteinDetails(proteinData) {
         this.infoSection.style.display = 'block';
         
-        const confidenceScoreHtml = this.formatConfidenceScore(proteinData.confidenceScore);
+        // Statistics may have arrived before the metadata; only reuse them for the same protein
+        if (this.currentProteinId !== proteinData.uniprotId) {
+            this.confidenceStatistics = null;
+            this.modelInfo = null;
+            this.isoforms = [];
+        }
+        this.currentProteinId = proteinData.uniprotId;
+        this.proteinData = proteinData;
+        
+        const confidenceScoreHtml = this.confidenceStatistics
+            ? this.formatConfidenceStatistics(this.confidenceStatistics)
+            : this.formatConfidenceScore(proteinData.confidenceScore);
         const geneNamesHtml = proteinData.geneNames && proteinData.geneNames.length > 0 
-            ? proteinData.geneNames.join(', ') 
+            ? escapeHtml(proteinData.geneNames.join(', '))
             : 'Not available';
         
         this.infoContainer.innerHTML = `
             <div class="protein-details">
                 <div class="protein-header">
-                    <h3>${proteinData.proteinName}</h3>
-                    <span class="uniprot-id-badge" data-edu-tooltip="uniprot-id">${proteinData.uniprotId}</span>
+                    <h3>${escapeHtml(proteinData.proteinName)}</h3>
+                    <span class="uniprot-id-badge" data-edu-tooltip="uniprot-id">${escapeHtml(proteinData.uniprotId)}</span>
                 </div>
                 
                 <div class="protein-info-grid">
                     <div class="info-item">
                         <label>Organism:</label>
-                        <span>${proteinData.organism}</span>
+                        <span>${escapeHtml(proteinData.organism)}</span>
                     </div>
                     
                     <div class="info-item">
@@ -97,7 +137,7 @@ class InfoComponent {
                     <div class="info-item">
                         <label>Structure Confidence:</label>
                         <span class="confidence-container">
-                            ${confidenceScoreHtml}
+                            <span class="confidence-value">${confidenceScoreHtml}</span>
                             <span class="tooltip-trigger" data-tooltip="confidence-explanation">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 17h-2v-2h2v2zm2.07-7.75l-.9.92C13.45 12.9 13 13.5 13 15h-2v-.5c0-1.1.45-2.1 1.17-2.83l1.24-1.26c.37-.36.59-.86.59-1.41 0-1.1-.9-2-2-2s-2 .9-2 2H8c0-2.21 1.79-4 4-4s4 1.79 4 4c0 .88-.36 1.68-.93 2.25z"/>
@@ -105,11 +145,21 @@ class InfoComponent {
                             </span>
                         </span>
                     </div>
+                    
+                    <div class="info-item">
+                        <label>AlphaFold Model:</label>
+                        <span class="model-provenance-value">${this.formatModelProvenance(this.modelInfo)}</span>
+                    </div>
+                    
+                    <div class="info-item isoform-item" style="display: none;">
+                        <label for="isoform-select">Isoform:</label>
+                        <span class="isoform-value"></span>
+                    </div>
                 </div>
                 
                 <div class="protein-description">
                     <label>Function:</label>
-                    <p>${proteinData.description}</p>
+                    <p>${escapeHtml(proteinData.description)}</p>
                 </div>
                 
                 <div class="protein-meta">
@@ -121,13 +171,13 @@ class InfoComponent {
             <div id="confidence-explanation" class="tooltip" style="display: none;">
                 <div class="tooltip-content">
                     <h4>Structure Confidence Score</h4>
-                    <p>This score indicates the reliability of the predicted protein structure:</p>
+                    <p>The mean per-residue pLDDT of the AlphaFold model, computed from the downloaded structure file:</p>
                     <ul>
                         <li><strong>High (90-100%):</strong> Very confident prediction, likely accurate</li>
                         <li><strong>Medium (70-90%):</strong> Moderately confident, generally reliable</li>
                         <li><strong>Low (&lt;70%):</strong> Less confident, use with caution</li>
                     </ul>
-                    <p><small>Confidence scores are based on AlphaFold's prediction algorithms and training data.</small></p>
+                    <p><small>The same per-residue scores color the 3D structure and fill the confidence legend.</small></p>
                 </div>
             </div>
         `;
@@ -136,6 +186,93 @@ class InfoComponent {
         this.initializeTooltips();
     }
 
+    /**
+     * Fetch the isoforms of a protein's entry
+     * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the request
+     * @returns {Promise<Array>} Isoforms, or an empty list if they could not be loaded
+     */
+    async fetchIsoforms(uniprotId, signal = null) {
+        try {
+            return await this.apiService.getProteinIsoforms(uniprotId, null, signal);
+        } catch (error) {
+            if (!error.cancelled) {
+                console.warn(`Could not load isoforms of ${uniprotId}:`, error);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Show an isoform selector when the protein's entry describes more than one sequence
+     * @param {string} uniprotId - UniProt ID of the shown protein, with or without isoform suffix
+     * @param {Array} isoforms - Isoforms from APIService.getProteinIsoforms
+     */
+    displayIsoforms(uniprotId, isoforms) {
+        this.isoforms = isoforms || [];
+        
+        if (typeof this.infoContainer.querySelector !== 'function') return;
+        const item = this.infoContainer.querySelector('.isoform-item');
+        if (!item || this.isoforms.length < 2) return;
+        
+        // An entry accession stands for its canonical isoform
+        const shown = this.findShownIsoform(uniprotId);
+        const options = this.isoforms.map(isoform => {
+            const synonyms = isoform.synonyms.length > 0 ? ` (${isoform.synonyms.join(', ')})` : '';
+            const canonical = isoform.canonical ? ' - canonical' : '';
+            return `
+                <option value="${escapeHtml(isoform.accession)}" ${isoform === shown ? 'selected' : ''}>
+                    ${escapeHtml(`${isoform.accession}: isoform ${isoform.name}${synonyms}${canonical}`)}
+                </option>
+            `;
+        }).join('');
+        
+        item.querySelector('.isoform-value').innerHTML = `
+            <select id="isoform-select" class="isoform-select">${options}</select>
+            <span class="isoform-details">${this.isoforms.length} isoforms described in UniProt</span>
+        `;
+        item.style.display = '';
+        
+        item.querySelector('.isoform-select').addEventListener('change', (e) => {
+            this.selectIsoform(e.target.value);
+        });
+        
+        // The provenance text depends on whether the shown isoform is canonical
+        const provenanceElement = this.infoContainer.querySelector('.model-provenance-value');
+        if (provenanceElement) {
+            provenanceElement.innerHTML = this.formatModelProvenance(this.modelInfo);
+        }
+    }
+
+    /**
+     * Find the isoform a UniProt ID refers to
+     * @param {string} uniprotId - UniProt ID with or without isoform suffix
+     * @returns {Object|null} Isoform, or null if not listed
+     */
+    findShownIsoform(uniprotId) {
+        const parsed = parseUniProtAccession(uniprotId);
+        if (!parsed) return null;
+        if (parsed.isoform === null) {
+            return this.isoforms.find(isoform => isoform.canonical) || null;
+        }
+        return this.isoforms.find(isoform => isoform.accession === parsed.accession) || null;
+    }
+
+    /**
+     * Load another isoform of the shown protein, through the same event as a search selection
+     * @param {string} accession - Isoform accession such as P04637-2
+     */
+    selectIsoform(accession) {
+        // The canonical isoform is loaded by its entry accession, which AlphaFold models are filed under
+        const isoform = this.isoforms.find(candidate => candidate.accession === accession);
+        const parsed = parseUniProtAccession(accession);
+        const proteinId = isoform && isoform.canonical && parsed ? parsed.entry : accession;
+        
+        document.dispatchEvent(new CustomEvent('proteinSelected', {
+            detail: { proteinId }
+        }));
+    }
+
     /**
      * Format confidence score with explanation
      * @param {number} score - Confidence score
@@ -164,6 +301,107 @@ class InfoComponent {
         `;
     }
 
+    /**
+     * Format pLDDT statistics of the loaded model
+     * @param {Object} statistics - Statistics from VisualizerComponent.calculateConfidenceStatistics
+     * @returns {string} Formatted confidence display
+     */
+    formatConfidenceStatistics(statistics) {
+        if (!statistics || !statistics.totalResidues) {
+            return 'Unknown';
+        }
+        
+        const toPercent = (fraction) => Math.round(fraction * 1000) / 10;
+        const fractions = statistics.fractions;
+        
+        return `
+            ${this.formatConfidenceScore(statistics.averageConfidence)}
+            <span class="confidence-breakdown">
+                Mean pLDDT ${statistics.averageConfidence.toFixed(1)}, median ${statistics.medianConfidence.toFixed(1)}
+                over ${statistics.totalResidues} residues &middot;
+                Very high ${toPercent(fractions.veryHigh)}%,
+                confident ${toPercent(fractions.confident)}%,
+                low ${toPercent(fractions.low)}%,
+                very low ${toPercent(fractions.veryLow)}%
+            </span>
+        `;
+    }
+
+    /**
+     * Set pLDDT statistics computed from the loaded structure
+     * @param {string} uniprotId - UniProt ID the statistics belong to
+     * @param {Object|null} statistics - Confidence statistics, or null if no structure loaded
+     */
+    setConfidenceStatistics(uniprotId, statistics) {
+        if (this.currentProteinId !== uniprotId) {
+            this.modelInfo = null;
+        }
+        this.currentProteinId = uniprotId;
+        this.confidenceStatistics = statistics && statistics.totalResidues ? statistics : null;
+        
+        // Update the panel in place if it is already showing this protein
+        if (typeof this.infoContainer.querySelector !== 'function') return;
+        const valueElement = this.infoContainer.querySelector('.confidence-value');
+        if (valueElement) {
+            valueElement.innerHTML = this.confidenceStatistics
+                ? this.formatConfidenceStatistics(this.confidenceStatistics)
+                : 'Not available (no structure loaded)';
+        }
+    }
+
+    /**
+     * Format AlphaFold model provenance
+     * @param {Object|null} modelInfo - Model information from APIService.getAlphaFoldPrediction
+     * @returns {string} Formatted provenance display
+     */
+    formatModelProvenance(modelInfo) {
+        if (!modelInfo) {
+            const shown = this.findShownIsoform(this.currentProteinId);
+            if (shown && !shown.canonical) {
+                return `
+                    Not available
+                    <span class="model-provenance-details">AlphaFold only predicts the canonical sequence of each UniProt entry, not other isoforms.</span>
+                `;
+            }
+            return 'Not available';
+        }
+        
+        const coverage = modelInfo.coverage || {};
+        const createdDate = modelInfo.modelCreatedDate
+            ? new Date(modelInfo.modelCreatedDate).toLocaleDateString()
+            : 'unknown date';
+        const coverageText = coverage.sequenceLength
+            ? `covers residues ${coverage.start}-${coverage.end} (${coverage.percent}% of sequence)`
+            : 'coverage unknown';
+        const fragmentText = modelInfo.fragments && modelInfo.fragments.length > 1
+            ? `; split into ${modelInfo.fragments.length} overlapping fragments`
+            : '';
+        
+        return `
+            ${modelInfo.entryId || 'Unknown entry'} v${modelInfo.modelVersion || '?'}
+            <span class="model-provenance-details">Created ${createdDate}, ${coverageText}${fragmentText}</span>
+        `;
+    }
+
+    /**
+     * Set AlphaFold model provenance of the loaded structure
+     * @param {string} uniprotId - UniProt ID the model belongs to
+     * @param {Object|null} modelInfo - Model information, or null if no model loaded
+     */
+    setModelProvenance(uniprotId, modelInfo) {
+        if (this.currentProteinId !== uniprotId) {
+            this.confidenceStatistics = null;
+        }
+        this.currentProteinId = uniprotId;
+        this.modelInfo = modelInfo || null;
+        
+        if (typeof this.infoContainer.querySelector !== 'function') return;
+        const valueElement = this.infoContainer.querySelector('.model-provenance-value');
+        if (valueElement) {
+            valueElement.innerHTML = this.formatModelProvenance(this.modelInfo);
+        }
+    }
+
     /**
      * Show loading state
      */
@@ -232,7 +470,7 @@ class InfoComponent {
                     <h3>Unable to Load Protein Information</h3>
                 </div>
                 <div class="error-content">
-                    <p class="error-message"><strong>Error:</strong> ${errorMessage}</p>
+                    <p class="error-message"><strong>Error:</strong> ${escapeHtml(errorMessage)}</p>
                     <p class="error-action"><strong>What to do:</strong> ${userAction}</p>
                     ${suggestions.length > 0 ? `
                         <div class="error-suggestions">
@@ -0,0 +1,352 @@
+/**
+ * PAE component for the Predicted Aligned Error heatmap of an AlphaFold model
+ */
+class PAEComponent {
+    constructor(apiService, visualizerComponent) {
+        this.apiService = apiService;
+        this.visualizerComponent = visualizerComponent;
+        this.container = document.getElementById('pae-panel');
+        this.paeData = null;
+        this.currentModel = null;
+        this.selection = null;
+        this.dragStart = null;
+        this.highlightedRanges = [];
+        // Colors of the two highlighted ranges in the 3D viewer
+        this.scoredColor = '#E6007E';
+        this.alignedColor = '#00A651';
+    }
+
+    /**
+     * Load and display the PAE heatmap for a model
+     * @param {string} uniprotId - UniProt ID
+     * @param {Object} model - Model (or fragment) information from getAlphaFoldPrediction
+     * @param {AbortSignal} signal - Optional signal that cancels the download
+     */
+    async loadPAE(uniprotId, model, signal = null) {
+        if (!this.container) return;
+
+        this.clearSelection();
+        this.paeData = null;
+        this.currentModel = model;
+
+        if (!model || !model.files || !model.files.pae) {
+            this.showMessage('This model does not provide predicted aligned error data.');
+            return;
+        }
+
+        this.showMessage('Loading predicted aligned error...');
+
+        try {
+            const paeData = await this.apiService.fetchAlphaFoldPAE(uniprotId, null, model, signal);
+
+            // Another model (or fragment) was selected while this one was downloading
+            if (this.currentModel !== model) return;
+
+            this.paeData = paeData;
+            this.render();
+        } catch (error) {
+            if (this.currentModel !== model || error.cancelled) return;
+            console.error('Error loading PAE data:', error);
+            this.showMessage(`Predicted aligned error is not available: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the panel with a status message instead of the heatmap
+     * @param {string} message - Message to display
+     */
+    showMessage(message) {
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Predicted Aligned Error</h3>
+            <p class="pae-message">${escapeHtml(message)}</p>
+        `;
+    }
+
+    /**
+     * Render the heatmap panel for the loaded PAE data
+     */
+    render() {
+        const { size, maxError } = this.paeData;
+        const maxLabel = Math.round(maxError);
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Predicted Aligned Error</h3>
+            <div class="pae-layout">
+                <div class="pae-heatmap-wrapper">
+                    <span class="pae-axis-label pae-axis-y">Aligned residue</span>
+                    <div class="pae-heatmap">
+                        <canvas class="pae-canvas" width="${size}" height="${size}"></canvas>
+                        <div class="pae-selection-box" style="display: none;"></div>
+                    </div>
+                    <span class="pae-axis-label pae-axis-x">Scored residue</span>
+                    <div class="pae-scale">
+                        <span>0 Å</span>
+                        <div class="pae-scale-bar"></div>
+                        <span>${maxLabel} Å</span>
+                    </div>
+                </div>
+                <div class="pae-details">
+                    <p class="pae-selection-info">
+                        Drag a rectangle on the heatmap to highlight the scored residues
+                        (<span style="color: ${this.scoredColor};">■</span>) and the residues they are aligned on
+                        (<span style="color: ${this.alignedColor};">■</span>) in the 3D viewer.
+                    </p>
+                    <button type="button" class="pae-clear-btn">Clear Highlight</button>
+                    <p class="legend-note">
+                        Each cell shows the expected position error of the scored residue (x) when the predicted
+                        and true structures are aligned on the other residue (y). Low error between two domains
+                        means their relative placement is confident.
+                    </p>
+                </div>
+            </div>
+        `;
+
+        this.drawHeatmap();
+        this.setupInteraction();
+    }
+
+    /**
+     * Draw the PAE matrix onto the heatmap canvas, one pixel per residue pair
+     */
+    drawHeatmap() {
+        const canvas = this.container.querySelector('.pae-canvas');
+        const context = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) return;
+
+        const { matrix, size, maxError } = this.paeData;
+        const image = context.createImageData(size, size);
+
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                const [r, g, b] = this.getPaeColor(matrix[i][j], maxError);
+                const offset = (i * size + j) * 4;
+                image.data[offset] = r;
+                image.data[offset + 1] = g;
+                image.data[offset + 2] = b;
+                image.data[offset + 3] = 255;
+            }
+        }
+
+        context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Get heatmap color for a PAE value (dark green for low error, white for high)
+     * @param {number} value - Expected position error in Ångströms
+     * @param {number} maxError - Largest error on the scale
+     * @returns {Array<number>} RGB components
+     */
+    getPaeColor(value, maxError) {
+        const fraction = Math.min(Math.max(value / maxError, 0), 1);
+        const low = [30, 94, 33];
+        const high = [255, 255, 255];
+        return low.map((component, index) => Math.round(component + (high[index] - component) * fraction));
+    }
+
+    /**
+     * Attach drag-to-select and clear handlers to the heatmap
+     */
+    setupInteraction() {
+        const heatmap = this.container.querySelector('.pae-heatmap');
+        const clearBtn = this.container.querySelector('.pae-clear-btn');
+
+        if (heatmap) {
+            heatmap.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.dragStart = this.getCellFromEvent(e, heatmap);
+                this.updateSelectionBox(this.dragStart, this.dragStart);
+            });
+
+            heatmap.addEventListener('mousemove', (e) => {
+                if (!this.dragStart) return;
+                this.updateSelectionBox(this.dragStart, this.getCellFromEvent(e, heatmap));
+            });
+
+            const finishDrag = (e) => {
+                if (!this.dragStart) return;
+                const end = this.getCellFromEvent(e, heatmap);
+                this.selectRegion(this.dragStart, end);
+                this.dragStart = null;
+            };
+            heatmap.addEventListener('mouseup', finishDrag);
+            heatmap.addEventListener('mouseleave', finishDrag);
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearSelection();
+            });
+        }
+    }
+
+    /**
+     * Convert a mouse position on the heatmap to matrix indices
+     * @param {MouseEvent} event - Mouse event
+     * @param {HTMLElement} heatmap - Heatmap element
+     * @returns {Object} Cell with row (aligned) and col (scored) indices
+     */
+    getCellFromEvent(event, heatmap) {
+        const rect = heatmap.getBoundingClientRect();
+        const size = this.paeData.size;
+        const toIndex = (offset, length) => {
+            const index = Math.floor((offset / (length || 1)) * size);
+            return Math.min(Math.max(index, 0), size - 1);
+        };
+
+        return {
+            row: toIndex(event.clientY - rect.top, rect.height),
+            col: toIndex(event.clientX - rect.left, rect.width)
+        };
+    }
+
+    /**
+     * Position the drag rectangle over the heatmap
+     * @param {Object} start - Cell where the drag started
+     * @param {Object} end - Current cell
+     */
+    updateSelectionBox(start, end) {
+        const box = this.container.querySelector('.pae-selection-box');
+        if (!box) return;
+
+        const size = this.paeData.size;
+        const top = Math.min(start.row, end.row);
+        const left = Math.min(start.col, end.col);
+
+        box.style.display = 'block';
+        box.style.top = `${(top / size) * 100}%`;
+        box.style.left = `${(left / size) * 100}%`;
+        box.style.height = `${((Math.abs(end.row - start.row) + 1) / size) * 100}%`;
+        box.style.width = `${((Math.abs(end.col - start.col) + 1) / size) * 100}%`;
+    }
+
+    /**
+     * Select a rectangle of the matrix and highlight both residue ranges in the viewer
+     * @param {Object} start - Corner cell of the rectangle
+     * @param {Object} end - Opposite corner cell
+     * @returns {Object} Selection with scored and aligned residue ranges and mean error
+     */
+    selectRegion(start, end) {
+        if (!this.paeData) return null;
+
+        this.clearHighlights();
+
+        const rowStart = Math.min(start.row, end.row);
+        const rowEnd = Math.max(start.row, end.row);
+        const colStart = Math.min(start.col, end.col);
+        const colEnd = Math.max(start.col, end.col);
+
+        // Matrix indices follow the order of residues in the model file
+        const firstResidue = this.getFirstResidueNumber();
+        const scored = { start: firstResidue + colStart, end: firstResidue + colEnd };
+        const aligned = { start: firstResidue + rowStart, end: firstResidue + rowEnd };
+
+        let total = 0;
+        for (let i = rowStart; i <= rowEnd; i++) {
+            for (let j = colStart; j <= colEnd; j++) {
+                total += this.paeData.matrix[i][j];
+            }
+        }
+        const meanError = total / ((rowEnd - rowStart + 1) * (colEnd - colStart + 1));
+
+        this.selection = { scored, aligned, meanError };
+        this.updateSelectionBox(start, end);
+
+        if (this.visualizerComponent) {
+            this.visualizerComponent.highlightResidueRange(aligned, this.alignedColor);
+            this.visualizerComponent.highlightResidueRange(scored, this.scoredColor);
+            this.highlightedRanges = [aligned, scored];
+        }
+
+        this.updateSelectionInfo();
+        return this.selection;
+    }
+
+    /**
+     * Get the residue number of the first residue in the displayed model
+     * @returns {number}
+     */
+    getFirstResidueNumber() {
+        const confidenceData = this.visualizerComponent && this.visualizerComponent.confidenceData;
+        return confidenceData && confidenceData.length > 0 ? confidenceData[0].residueNumber : 1;
+    }
+
+    /**
+     * Describe the current selection below the heatmap
+     */
+    updateSelectionInfo() {
+        const info = this.container && this.container.querySelector('.pae-selection-info');
+        if (!info || !this.selection) return;
+
+        const { scored, aligned, meanError } = this.selection;
+        info.innerHTML = `
+            Scored residues <strong style="color: ${this.scoredColor};">${this.formatRange(scored)}</strong>
+            aligned on residues <strong style="color: ${this.alignedColor};">${this.formatRange(aligned)}</strong>:
+            mean expected error <strong>${meanError.toFixed(1)} Å</strong>
+        `;
+    }
+
+    /**
+     * Format a residue range, including sequence positions for fragments
+     * @param {Object} range - Residue range ({start, end})
+     * @returns {string}
+     */
+    formatRange(range) {
+        const text = range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`;
+        const visualizer = this.visualizerComponent;
+        if (!visualizer || !visualizer.hasMultipleFragments || !visualizer.hasMultipleFragments()) {
+            return text;
+        }
+
+        const start = visualizer.getSequencePosition(range.start);
+        const end = visualizer.getSequencePosition(range.end);
+        return `${text} (sequence ${start}-${end})`;
+    }
+
+    /**
+     * Remove the highlighted residue ranges from the viewer
+     */
+    clearHighlights() {
+        if (this.visualizerComponent) {
+            this.highlightedRanges.forEach(range => {
+                this.visualizerComponent.clearResidueRangeHighlight(range);
+            });
+        }
+        this.highlightedRanges = [];
+    }
+
+    /**
+     * Clear the current selection and its highlights
+     */
+    clearSelection() {
+        this.clearHighlights();
+        this.selection = null;
+        this.dragStart = null;
+
+        const box = this.container && this.container.querySelector
+            ? this.container.querySelector('.pae-selection-box')
+            : null;
+        if (box) {
+            box.style.display = 'none';
+        }
+    }
+
+    /**
+     * Hide the PAE panel
+     */
+    hide() {
+        this.clearSelection();
+        this.paeData = null;
+        this.currentModel = null;
+
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PAEComponent;
+}
@@ -0,0 +1,398 @@
+/**
+ * Ramachandran component for the phi/psi plot of the structure on screen
+ */
+class RamachandranComponent {
+    constructor(visualizerComponent) {
+        this.visualizerComponent = visualizerComponent;
+        this.container = document.getElementById('ramachandran-panel');
+        this.points = [];
+        this.hasConfidence = false;
+        // 'plddt' or 'type'
+        this.colorMode = 'plddt';
+        this.selection = null;
+        this.brushStart = null;
+        this.highlightedResidues = [];
+        // Color of the brushed residues in the 3D viewer
+        this.brushColor = '#E6007E';
+        this.outlierColor = '#D62728';
+        this.typeColors = {
+            Nonpolar: '#E9A23B',
+            Polar: '#2A9D8F',
+            Acidic: '#D1495B',
+            Basic: '#3D5A98',
+            Unknown: '#999999'
+        };
+    }
+
+    /**
+     * Compute and display the plot for a structure
+     * @param {Structure} structure - Structure on screen
+     */
+    showStructure(structure) {
+        if (!this.container) return;
+
+        this.clearSelection();
+        this.points = getRamachandranPoints(structure);
+        this.hasConfidence = this.points.some(point => point.residue.plddt !== null);
+
+        if (this.points.length === 0) {
+            this.showMessage('This structure has no residues with a complete backbone to plot.');
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Show the panel with a status message instead of the plot
+     * @param {string} message - Message to display
+     */
+    showMessage(message) {
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Ramachandran Plot</h3>
+            <p class="rama-message">${message}</p>
+        `;
+    }
+
+    /**
+     * Render the plot panel for the computed points
+     */
+    render() {
+        const colorMode = this.hasConfidence ? this.colorMode : 'type';
+        const outliers = this.points.filter(point => point.outlier);
+        const outlierPercent = (outliers.length / this.points.length) * 100;
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Ramachandran Plot</h3>
+            <div class="rama-layout">
+                <div class="rama-plot-wrapper">
+                    <span class="rama-axis-label rama-axis-y">ψ (psi)</span>
+                    <svg class="rama-plot" viewBox="-180 -180 360 360" preserveAspectRatio="none">
+                        ${this.renderRegions()}
+                        <line class="rama-axis" x1="-180" y1="0" x2="180" y2="0"></line>
+                        <line class="rama-axis" x1="0" y1="-180" x2="0" y2="180"></line>
+                        ${this.points.map((point, index) => this.renderPoint(point, index, colorMode)).join('')}
+                        <rect class="rama-brush" style="display: none;"></rect>
+                    </svg>
+                    <span class="rama-axis-label rama-axis-x">φ (phi)</span>
+                </div>
+                <div class="rama-details">
+                    <label class="rama-color-control">
+                        Color by
+                        <select class="rama-color-mode">
+                            <option value="plddt" ${colorMode === 'plddt' ? 'selected' : ''} ${this.hasConfidence ? '' : 'disabled'}>pLDDT</option>
+                            <option value="type" ${colorMode === 'type' ? 'selected' : ''}>Residue type</option>
+                        </select>
+                    </label>
+                    ${this.renderLegend(colorMode)}
+                    <p class="rama-summary">
+                        ${this.points.length} residues plotted,
+                        <strong>${outliers.length} outside the allowed regions</strong> (${outlierPercent.toFixed(1)}%)
+                    </p>
+                    <p class="rama-selection-info">
+                        Click a point to select its residue, or drag a rectangle to highlight every residue in it
+                        (<span style="color: ${this.brushColor};">■</span>) in the 3D viewer.
+                    </p>
+                    <button type="button" class="rama-clear-btn">Clear Highlight</button>
+                    <p class="legend-note">
+                        Each point is a residue's backbone conformation. Shaded areas are the allowed regions for
+                        residues other than glycine and proline, which are checked against their own regions.
+                        Outliers in confident parts of a model deserve a closer look; in low-confidence segments
+                        they are expected.
+                    </p>
+                </div>
+            </div>
+        `;
+
+        this.setupInteraction();
+    }
+
+    /**
+     * Draw the allowed regions of ordinary residues behind the points
+     * @returns {string} SVG markup
+     */
+    renderRegions() {
+        // psi runs up the plot, SVG y runs down
+        return RAMACHANDRAN_REGIONS.general.map(region => `
+            <rect class="rama-region" x="${region.phi[0]}" y="${-region.psi[1]}"
+                width="${region.phi[1] - region.phi[0]}" height="${region.psi[1] - region.psi[0]}"></rect>
+        `).join('');
+    }
+
+    /**
+     * Draw one residue: glycine as a triangle, proline as a square and other residues as a circle
+     * @param {Object} point - Point from getRamachandranPoints
+     * @param {number} index - Index of the point
+     * @param {string} colorMode - 'plddt' or 'type'
+     * @returns {string} SVG markup
+     */
+    renderPoint(point, index, colorMode) {
+        const x = point.phi;
+        const y = -point.psi;
+        const attributes = `class="rama-point rama-${point.type}${point.outlier ? ' rama-outlier' : ''}" ` +
+            `data-index="${index}" fill="${this.getPointColor(point, colorMode)}"`;
+        const title = `<title>${this.formatPoint(point)}</title>`;
+
+        if (point.type === 'glycine') {
+            return `<polygon ${attributes} points="${x},${y - 5} ${x - 4.5},${y + 3.5} ${x + 4.5},${y + 3.5}">${title}</polygon>`;
+        }
+        if (point.type === 'proline') {
+            return `<rect ${attributes} x="${x - 3.5}" y="${y - 3.5}" width="7" height="7">${title}</rect>`;
+        }
+        return `<circle ${attributes} cx="${x}" cy="${y}" r="3.5">${title}</circle>`;
+    }
+
+    /**
+     * Describe the color scale and marker shapes
+     * @param {string} colorMode - 'plddt' or 'type'
+     * @returns {string} HTML
+     */
+    renderLegend(colorMode) {
+        const colors = colorMode === 'plddt'
+            ? [['Very high (≥90)', 95], ['Confident (70-90)', 80], ['Low (50-70)', 60], ['Very low (<50)', 25]]
+                .map(([label, score]) => [label, this.visualizerComponent.getConfidenceColor(score)])
+            : Object.entries(this.typeColors).filter(([type]) => type !== 'Unknown');
+
+        return `
+            <div class="rama-legend">
+                ${colors.map(([label, color]) => `
+                    <span class="rama-legend-item"><span class="rama-swatch" style="background: ${color};"></span>${label}</span>
+                `).join('')}
+            </div>
+            <div class="rama-legend">
+                <span class="rama-legend-item">● Other residues</span>
+                <span class="rama-legend-item">▲ Glycine</span>
+                <span class="rama-legend-item">■ Proline</span>
+                <span class="rama-legend-item"><span class="rama-outlier-swatch" style="border-color: ${this.outlierColor};"></span>Outlier</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the fill color of a point
+     * @param {Object} point - Point from getRamachandranPoints
+     * @param {string} colorMode - 'plddt' or 'type'
+     * @returns {string}
+     */
+    getPointColor(point, colorMode) {
+        if (colorMode === 'plddt' && point.residue.plddt !== null) {
+            return this.visualizerComponent.getConfidenceColor(point.residue.plddt);
+        }
+        const type = this.visualizerComponent.getAminoAcidInfo(point.residue.residueName).type;
+        return this.typeColors[type] || this.typeColors.Unknown;
+    }
+
+    /**
+     * Describe a point for its tooltip
+     * @param {Object} point - Point from getRamachandranPoints
+     * @returns {string}
+     */
+    formatPoint(point) {
+        const { residue } = point;
+        const confidence = residue.plddt !== null ? `, pLDDT ${residue.plddt.toFixed(1)}` : '';
+        const outlier = point.outlier ? ' (outlier)' : '';
+        return `${residue.residueName}${residue.residueNumber} ${residue.chainId}: ` +
+            `φ ${point.phi.toFixed(1)}°, ψ ${point.psi.toFixed(1)}°${confidence}${outlier}`;
+    }
+
+    /**
+     * Attach click, drag-to-select, color and clear handlers to the plot
+     */
+    setupInteraction() {
+        const plot = this.container.querySelector('.rama-plot');
+        const colorSelect = this.container.querySelector('.rama-color-mode');
+        const clearBtn = this.container.querySelector('.rama-clear-btn');
+
+        if (plot) {
+            plot.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.brushStart = this.getAnglesFromEvent(e, plot);
+            });
+
+            plot.addEventListener('mousemove', (e) => {
+                if (!this.brushStart) return;
+                this.updateBrushBox(this.brushStart, this.getAnglesFromEvent(e, plot));
+            });
+
+            const finishBrush = (e) => {
+                if (!this.brushStart) return;
+                const start = this.brushStart;
+                const end = this.getAnglesFromEvent(e, plot);
+                this.brushStart = null;
+
+                // A press and release in place is a click on whatever point is under the cursor
+                if (Math.abs(end.phi - start.phi) < 3 && Math.abs(end.psi - start.psi) < 3) {
+                    this.updateBrushBox(null);
+                    const marker = e.target && e.target.closest ? e.target.closest('.rama-point') : null;
+                    if (marker) {
+                        this.selectPoint(this.points[parseInt(marker.getAttribute('data-index'), 10)], e);
+                    }
+                    return;
+                }
+                this.selectRegion(start, end);
+            };
+            plot.addEventListener('mouseup', finishBrush);
+            plot.addEventListener('mouseleave', finishBrush);
+        }
+
+        if (colorSelect) {
+            colorSelect.addEventListener('change', () => {
+                this.colorMode = colorSelect.value;
+                this.clearSelection();
+                this.render();
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearSelection();
+            });
+        }
+    }
+
+    /**
+     * Convert a mouse position on the plot to phi/psi angles
+     * @param {MouseEvent} event - Mouse event
+     * @param {Element} plot - Plot element
+     * @returns {Object} Angles ({phi, psi}) in degrees
+     */
+    getAnglesFromEvent(event, plot) {
+        const rect = plot.getBoundingClientRect();
+        const toAngle = (offset, length) => Math.min(Math.max((offset / (length || 1)) * 360 - 180, -180), 180);
+
+        return {
+            phi: toAngle(event.clientX - rect.left, rect.width),
+            psi: -toAngle(event.clientY - rect.top, rect.height)
+        };
+    }
+
+    /**
+     * Position the drag rectangle over the plot
+     * @param {Object|null} start - Angles where the drag started, or null to hide the rectangle
+     * @param {Object} end - Current angles
+     */
+    updateBrushBox(start, end = start) {
+        const box = this.container && this.container.querySelector
+            ? this.container.querySelector('.rama-brush')
+            : null;
+        if (!box) return;
+
+        if (!start) {
+            box.style.display = 'none';
+            return;
+        }
+        box.style.display = '';
+        box.setAttribute('x', Math.min(start.phi, end.phi));
+        box.setAttribute('y', -Math.max(start.psi, end.psi));
+        box.setAttribute('width', Math.abs(end.phi - start.phi));
+        box.setAttribute('height', Math.abs(end.psi - start.psi));
+    }
+
+    /**
+     * Select the residue of a point in the 3D viewer, as if its atom had been clicked
+     * @param {Object} point - Point from getRamachandranPoints
+     * @param {Event} event - Click event
+     */
+    selectPoint(point, event) {
+        if (!point || !this.visualizerComponent) return;
+
+        this.visualizerComponent.handleAtomClick({ resi: point.residue.residueNumber, chain: point.residue.chainId }, event);
+
+        this.container.querySelectorAll('.rama-point.rama-selected').forEach(marker => {
+            marker.classList.remove('rama-selected');
+        });
+        const marker = this.container.querySelector(`.rama-point[data-index="${this.points.indexOf(point)}"]`);
+        if (marker) {
+            marker.classList.add('rama-selected');
+        }
+    }
+
+    /**
+     * Select the points in a phi/psi rectangle and highlight their residues in the viewer
+     * @param {Object} start - Corner of the rectangle ({phi, psi})
+     * @param {Object} end - Opposite corner ({phi, psi})
+     * @returns {Object} Selection ({points, outliers, meanConfidence})
+     */
+    selectRegion(start, end) {
+        this.clearHighlights();
+
+        const points = selectRamachandranPoints(this.points, start, end);
+        const scores = points.map(point => point.residue.plddt).filter(score => score !== null);
+        this.selection = {
+            points,
+            outliers: points.filter(point => point.outlier).length,
+            meanConfidence: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+        };
+        this.updateBrushBox(start, end);
+
+        if (this.visualizerComponent && points.length > 0) {
+            this.highlightedResidues = points.map(point => point.residue);
+            this.visualizerComponent.highlightResidues(this.highlightedResidues, this.brushColor);
+        }
+
+        this.updateSelectionInfo();
+        return this.selection;
+    }
+
+    /**
+     * Describe the brushed residues below the plot
+     */
+    updateSelectionInfo() {
+        const info = this.container && this.container.querySelector('.rama-selection-info');
+        if (!info || !this.selection) return;
+
+        const { points, outliers, meanConfidence } = this.selection;
+        if (points.length === 0) {
+            info.textContent = 'No residues in the selected region.';
+            return;
+        }
+
+        const listed = points.slice(0, 12)
+            .map(point => `${point.residue.residueName}${point.residue.residueNumber}`)
+            .join(', ');
+        const more = points.length > 12 ? ` and ${points.length - 12} more` : '';
+        info.innerHTML = `
+            <strong style="color: ${this.brushColor};">${points.length} residues</strong> in the selected region,
+            ${outliers} of them outliers${meanConfidence !== null ? `, mean pLDDT <strong>${meanConfidence.toFixed(1)}</strong>` : ''}:
+            ${listed}${more}
+        `;
+    }
+
+    /**
+     * Remove the highlighted residues from the viewer
+     */
+    clearHighlights() {
+        if (this.visualizerComponent && this.highlightedResidues.length > 0) {
+            this.visualizerComponent.clearResidueHighlights(this.highlightedResidues);
+        }
+        this.highlightedResidues = [];
+    }
+
+    /**
+     * Clear the current selection and its highlights
+     */
+    clearSelection() {
+        this.clearHighlights();
+        this.selection = null;
+        this.brushStart = null;
+        this.updateBrushBox(null);
+    }
+
+    /**
+     * Hide the Ramachandran panel
+     */
+    hide() {
+        this.clearSelection();
+        this.points = [];
+
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RamachandranComponent;
+}
@@ -8,6 +8,31 @@ class SearchComponent {
         this.searchInput = document.getElementById('search-input');
         this.searchButton = document.getElementById('search-button');
         this.resultsContainer = document.getElementById('search-results');
+        this.filtersContainer = document.getElementById('search-filters');
+        this.filterChipsContainer = document.getElementById('search-filter-chips');
+        
+        // Paging state of the current search, replaced by every new search
+        this.currentSearch = null;
+        this.selectedProteinId = null;
+        
+        // Active search filters (see APIService.buildSearchQuery)
+        this.filters = {};
+        // Organisms offered in the filter panel, by NCBI taxonomy ID
+        this.commonOrganisms = [
+            { id: '9606', name: 'Human' },
+            { id: '10090', name: 'Mouse' },
+            { id: '10116', name: 'Rat' },
+            { id: '7955', name: 'Zebrafish' },
+            { id: '7227', name: 'Fruit fly' },
+            { id: '6239', name: 'C. elegans' },
+            { id: '559292', name: 'Baker\'s yeast' },
+            { id: '83333', name: 'E. coli K-12' },
+            { id: '3702', name: 'Arabidopsis' }
+        ];
+        
+        if (this.filtersContainer) {
+            this.renderFilterPanel();
+        }
         
         this.initializeEventListeners();
     }
@@ -24,9 +49,10 @@ class SearchComponent {
 
     /**
      * Handle search form submission
+     * @param {string} searchQuery - Query to search for; defaults to the search input
      */
-    async handleSearch() {
-        const query = this.searchInput.value.trim();
+    async handleSearch(searchQuery = null) {
+        const query = searchQuery || this.searchInput.value.trim();
         
         // Validate input
         if (!this.validateSearchInput(query)) {
@@ -97,14 +123,224 @@ class SearchComponent {
                 }
             };
 
-            const results = await this.apiService.searchUniProt(query, progressCallback);
-            this.displaySearchResults(results);
+            const search = { query, filters: { ...this.filters }, results: [], totalResults: 0, nextPageUrl: null, queryType: null };
+            this.currentSearch = search;
+
+            const page = await this.apiService.searchUniProtPage(query, progressCallback, null, null, search.filters);
+            // A newer search was started while this one was loading
+            if (this.currentSearch !== search) return;
+
+            search.results = page.results;
+            search.totalResults = page.totalResults;
+            search.nextPageUrl = page.nextPageUrl;
+            // Later pages are read the same way, e.g. as text after a gene symbol found nothing
+            search.queryType = page.queryType || null;
+            this.displaySearchResults(page.results);
         } catch (error) {
             console.error('UniProt search failed:', error);
             throw error; // Re-throw to be handled by handleSearch
         }
     }
 
+    /**
+     * Load the next page of the current search and append it to the results
+     */
+    async loadMoreResults() {
+        const search = this.currentSearch;
+        if (!search || !search.nextPageUrl) return;
+
+        const loadMoreBtn = this.resultsContainer.querySelector('.load-more-btn');
+        if (loadMoreBtn) {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.textContent = 'Loading...';
+        }
+
+        try {
+            const page = await this.apiService.searchUniProtPage(search.query, null, null, search.nextPageUrl, search.filters, search.queryType);
+            if (this.currentSearch !== search) return;
+
+            search.results = search.results.concat(page.results);
+            search.nextPageUrl = page.nextPageUrl;
+            this.appendSearchResults(page.results);
+        } catch (error) {
+            console.error('Error loading more results:', error);
+            if (this.currentSearch !== search) return;
+            if (loadMoreBtn) {
+                loadMoreBtn.disabled = false;
+                loadMoreBtn.textContent = 'Could not load more results. Try again';
+            }
+        }
+    }
+
+    /**
+     * Render the filter panel
+     */
+    renderFilterPanel() {
+        const organismOptions = this.commonOrganisms
+            .map(organism => `<option value="${organism.id}">${this.escapeHtml(organism.name)}</option>`)
+            .join('');
+
+        this.filtersContainer.innerHTML = `
+            <details class="search-filters-panel">
+                <summary>Filters</summary>
+                <div class="search-filter-fields">
+                    <label>
+                        Organism
+                        <input type="text" name="organism" list="search-organism-options" placeholder="Name or taxonomy ID">
+                    </label>
+                    <datalist id="search-organism-options">${organismOptions}</datalist>
+                    <label>
+                        Review status
+                        <select name="reviewed">
+                            <option value="">Any</option>
+                            <option value="reviewed">Reviewed (Swiss-Prot)</option>
+                            <option value="unreviewed">Unreviewed (TrEMBL)</option>
+                        </select>
+                    </label>
+                    <label>
+                        Sequence length
+                        <span class="search-filter-range">
+                            <input type="number" name="minLength" min="1" placeholder="Min">
+                            <span>to</span>
+                            <input type="number" name="maxLength" min="1" placeholder="Max">
+                        </span>
+                    </label>
+                    <label class="search-filter-checkbox">
+                        <input type="checkbox" name="hasAlphaFold">
+                        Has AlphaFold model
+                    </label>
+                </div>
+            </details>
+        `;
+
+        this.filtersContainer.addEventListener('change', () => {
+            this.applyFilters(this.readFilterForm());
+        });
+    }
+
+    /**
+     * Read the filters entered in the filter panel
+     * @returns {Object} Filters; unset filters are left out
+     */
+    readFilterForm() {
+        const field = (name) => this.filtersContainer.querySelector(`[name="${name}"]`);
+        const readLength = (name) => {
+            const value = parseInt(field(name).value, 10);
+            return Number.isFinite(value) && value > 0 ? value : null;
+        };
+
+        const filters = {};
+        const organism = field('organism').value.trim();
+        if (organism) filters.organism = organism;
+        if (field('reviewed').value) filters.reviewed = field('reviewed').value;
+        const minLength = readLength('minLength');
+        const maxLength = readLength('maxLength');
+        if (minLength !== null) filters.minLength = minLength;
+        if (maxLength !== null) filters.maxLength = maxLength;
+        if (field('hasAlphaFold').checked) filters.hasAlphaFold = true;
+        return filters;
+    }
+
+    /**
+     * Show the active filters in the filter panel
+     */
+    writeFilterForm() {
+        if (!this.filtersContainer) return;
+
+        const field = (name) => this.filtersContainer.querySelector(`[name="${name}"]`);
+        if (!field('organism')) return;
+        field('organism').value = this.filters.organism || '';
+        field('reviewed').value = this.filters.reviewed || '';
+        field('minLength').value = this.filters.minLength || '';
+        field('maxLength').value = this.filters.maxLength || '';
+        field('hasAlphaFold').checked = Boolean(this.filters.hasAlphaFold);
+    }
+
+    /**
+     * Make filters active and repeat the current search with them
+     * @param {Object} filters - New filters
+     */
+    applyFilters(filters) {
+        this.filters = filters;
+        this.writeFilterForm();
+        this.renderFilterChips();
+
+        if (this.currentSearch) {
+            this.handleSearch(this.currentSearch.query);
+        }
+    }
+
+    /**
+     * Remove one active filter
+     * @param {string} key - Filter key, or 'length' for the length range
+     */
+    removeFilter(key) {
+        const filters = { ...this.filters };
+        if (key === 'length') {
+            delete filters.minLength;
+            delete filters.maxLength;
+        } else {
+            delete filters[key];
+        }
+        this.applyFilters(filters);
+    }
+
+    /**
+     * Describe the active filters
+     * @returns {Array<Object>} Chips ({key, label}) in display order
+     */
+    getFilterChips() {
+        const chips = [];
+        const { organism, reviewed, minLength, maxLength, hasAlphaFold } = this.filters;
+
+        if (organism) {
+            const known = this.commonOrganisms.find(candidate => candidate.id === organism);
+            chips.push({ key: 'organism', label: `Organism: ${known ? `${known.name} (${known.id})` : organism}` });
+        }
+        if (reviewed) {
+            chips.push({ key: 'reviewed', label: reviewed === 'reviewed' ? 'Reviewed (Swiss-Prot)' : 'Unreviewed (TrEMBL)' });
+        }
+        if (minLength && maxLength) {
+            chips.push({ key: 'length', label: `Length: ${minLength}-${maxLength}` });
+        } else if (minLength) {
+            chips.push({ key: 'length', label: `Length: at least ${minLength}` });
+        } else if (maxLength) {
+            chips.push({ key: 'length', label: `Length: at most ${maxLength}` });
+        }
+        if (hasAlphaFold) {
+            chips.push({ key: 'hasAlphaFold', label: 'Has AlphaFold model' });
+        }
+        return chips;
+    }
+
+    /**
+     * Show the active filters as removable chips above the results
+     */
+    renderFilterChips() {
+        if (!this.filterChipsContainer) return;
+
+        const chips = this.getFilterChips();
+        if (chips.length === 0) {
+            this.filterChipsContainer.innerHTML = '';
+            this.filterChipsContainer.style.display = 'none';
+            return;
+        }
+
+        this.filterChipsContainer.style.display = 'flex';
+        this.filterChipsContainer.innerHTML = chips.map(chip => `
+            <span class="filter-chip">
+                ${this.escapeHtml(chip.label)}
+                <button type="button" class="filter-chip-remove" data-filter-key="${chip.key}" aria-label="Remove filter">×</button>
+            </span>
+        `).join('');
+
+        this.filterChipsContainer.querySelectorAll('.filter-chip-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeFilter(button.dataset.filterKey);
+            });
+        });
+    }
+
     /**
      * Update search progress display
      * @param {Object} progress - Progress information
@@ -122,6 +358,13 @@ class SearchComponent {
             case 'retry_delay':
                 button.textContent = `Retrying in ${Math.round(progress.delay / 1000)}s...`;
                 break;
+            case 'request_queued':
+                button.textContent = `Queued (${progress.position})...`;
+                break;
+            case 'request_throttled':
+            case 'rate_limited':
+                button.textContent = `Waiting ${Math.ceil(progress.delay / 1000)}s...`;
+                break;
             case 'search_processing':
                 button.textContent = 'Processing...';
                 break;
@@ -146,15 +389,62 @@ class SearchComponent {
                     <p>No results found. Try searching with:</p>
                     <ul>
                         <li>Protein name (e.g., "hemoglobin")</li>
-                        <li>UniProt ID (e.g., "P69905")</li>
+                        <li>UniProt ID (e.g., "P69905") or entry name (e.g., "INS_HUMAN")</li>
+                        <li>Gene symbol, optionally with an organism (e.g., "TP53 human")</li>
+                        ${this.getFilterChips().length > 0 ? '<li>Fewer filters (remove them above)</li>' : ''}
                     </ul>
                 </div>
             `;
             return;
         }
 
-        // Create results list
-        const resultsList = results.map(protein => {
+        this.resultsContainer.innerHTML = `
+            <div class="results-header">
+                <h3 class="results-count"></h3>
+            </div>
+            <div class="results-list">
+                ${this.renderResultItems(results)}
+            </div>
+            <button type="button" class="load-more-btn" style="display: none;">Load more results</button>
+        `;
+
+        const loadMoreBtn = this.resultsContainer.querySelector('.load-more-btn');
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', () => {
+                this.loadMoreResults();
+            });
+        }
+
+        // Add click event listeners to select buttons
+        this.addResultEventListeners();
+        this.updateResultsFooter();
+        this.updateSelectedProteinVisual(this.selectedProteinId);
+    }
+
+    /**
+     * Append the next page of results, keeping the selected protein highlighted
+     * @param {Array} results - Array of protein results
+     */
+    appendSearchResults(results) {
+        const resultsList = this.resultsContainer.querySelector('.results-list');
+        if (!resultsList) return;
+
+        const firstNewIndex = resultsList.querySelectorAll('.result-item').length;
+        resultsList.insertAdjacentHTML('beforeend', this.renderResultItems(results));
+
+        const newItems = Array.from(resultsList.querySelectorAll('.result-item')).slice(firstNewIndex);
+        this.addResultEventListeners(newItems.map(item => item.querySelector('.select-protein-btn')).filter(Boolean));
+        this.updateResultsFooter();
+        this.updateSelectedProteinVisual(this.selectedProteinId);
+    }
+
+    /**
+     * Build the markup of result items
+     * @param {Array} results - Array of protein results
+     * @returns {string} HTML
+     */
+    renderResultItems(results) {
+        return results.map(protein => {
             const geneNames = protein.geneNames && protein.geneNames.length > 0 
                 ? ` (${protein.geneNames.join(', ')})` 
                 : '';
@@ -168,6 +458,7 @@ class SearchComponent {
                     <div class="result-details">
                         <p class="organism"><strong>Organism:</strong> ${this.escapeHtml(protein.organism)}</p>
                         ${protein.sequenceLength ? `<p class="sequence-length"><strong>Length:</strong> ${protein.sequenceLength} amino acids</p>` : ''}
+                        ${protein.matchReason ? `<p class="match-reason"><strong>Matched:</strong> ${this.escapeHtml(protein.matchReason)}</p>` : ''}
                     </div>
                     <button class="select-protein-btn" data-uniprot-id="${protein.uniprotId}">
                         Select Protein
@@ -175,25 +466,38 @@ class SearchComponent {
                 </div>
             `;
         }).join('');
+    }
 
-        this.resultsContainer.innerHTML = `
-            <div class="results-header">
-                <h3>Search Results (${results.length} found)</h3>
-            </div>
-            <div class="results-list">
-                ${resultsList}
-            </div>
-        `;
+    /**
+     * Update the result count and the load more button for the current search
+     */
+    updateResultsFooter() {
+        const shown = this.resultsContainer.querySelectorAll('.result-item').length;
+        const search = this.currentSearch;
+        const total = search && search.totalResults > shown ? search.totalResults : shown;
+        const hasMore = Boolean(search && search.nextPageUrl);
 
-        // Add click event listeners to select buttons
-        this.addResultEventListeners();
+        const count = this.resultsContainer.querySelector('.results-count');
+        if (count) {
+            count.textContent = total > shown
+                ? `Search Results (showing ${shown} of ${total.toLocaleString()})`
+                : `Search Results (${shown} found)`;
+        }
+
+        const loadMoreBtn = this.resultsContainer.querySelector('.load-more-btn');
+        if (loadMoreBtn) {
+            loadMoreBtn.style.display = hasMore ? 'block' : 'none';
+            loadMoreBtn.disabled = false;
+            loadMoreBtn.textContent = 'Load more results';
+        }
     }
 
     /**
      * Add event listeners to search result items
+     * @param {Array<HTMLElement>} buttons - Select buttons to attach to; defaults to every result
      */
-    addResultEventListeners() {
-        const selectButtons = this.resultsContainer.querySelectorAll('.select-protein-btn');
+    addResultEventListeners(buttons = null) {
+        const selectButtons = buttons || this.resultsContainer.querySelectorAll('.select-protein-btn');
         selectButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 const proteinId = e.target.getAttribute('data-uniprot-id');
@@ -209,6 +513,9 @@ class SearchComponent {
     selectProtein(proteinId) {
         console.log(`Protein selected: ${proteinId}`);
         
+        // Remembered so results appended later keep the selection
+        this.selectedProteinId = proteinId;
+        
         // Update visual state to show which protein is selected
         this.updateSelectedProteinVisual(proteinId);
         
@@ -242,7 +549,7 @@ class SearchComponent {
         const resultItems = this.resultsContainer.querySelectorAll('.result-item');
         resultItems.forEach(item => {
             const button = item.querySelector('.select-protein-btn');
-            if (button && button.dataset.proteinId === selectedProteinId) {
+            if (button && button.dataset.uniprotId === selectedProteinId) {
                 item.classList.add('selected');
                 button.textContent = 'Currently Selected';
                 button.style.background = 'linear-gradient(135deg, #667eea, #764ba2)';
@@ -254,6 +561,7 @@ class SearchComponent {
      * Clear search results
      */
     clearResults() {
+        this.currentSearch = null;
         this.resultsContainer.innerHTML = '';
         this.resultsContainer.style.display = 'none';
     }
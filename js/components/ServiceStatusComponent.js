@@ -0,0 +1,89 @@
+/**
+ * Service status component showing the health of UniProt and AlphaFold in the header
+ */
+class ServiceStatusComponent {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.container = document.getElementById('service-status');
+        this.refreshTimer = null;
+        this.services = [
+            { key: 'uniprot', label: 'UniProt' },
+            { key: 'alphafold', label: 'AlphaFold' }
+        ];
+
+        if (this.container) {
+            this.apiService.onServiceHealthChange((health) => this.render(health));
+            this.render(this.apiService.getServiceHealth());
+        }
+    }
+
+    /**
+     * Show the health of each service
+     * @param {Object} health - Health of each service from APIService.getServiceHealth
+     */
+    render(health) {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.services.map(({ key, label }) => {
+            const service = health[key];
+            return `
+                <span class="service-status-item status-${service.status}" data-service="${key}" title="${escapeHtml(this.describe(label, service))}">
+                    <span class="service-status-dot"></span>
+                    ${label}
+                </span>
+            `;
+        }).join('');
+
+        this.scheduleRefresh(health);
+    }
+
+    /**
+     * Describe the health of a service for its tooltip
+     * @param {string} label - Service name
+     * @param {Object} service - Health of the service
+     * @returns {string}
+     */
+    describe(label, service) {
+        const host = service.host ? ` (${service.host})` : '';
+        let text = `${label}${host}: ${service.status}`;
+
+        if (service.status === 'down') {
+            text += `. Requests are paused; retrying in ${Math.ceil(service.retryIn / 1000)} s.`;
+        } else if (service.status === 'degraded') {
+            text += service.failures > 0
+                ? `. ${service.failures} recent failed request${service.failures !== 1 ? 's' : ''}.`
+                : '. Checking whether the service has recovered.';
+        }
+        if (service.lastError) {
+            text += ` Last error: ${service.lastError}`;
+        }
+        return text;
+    }
+
+    /**
+     * Re-render when a paused service is due for its next probe
+     * @param {Object} health - Health of each service
+     */
+    scheduleRefresh(health) {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+
+        const retryTimes = this.services
+            .map(({ key }) => health[key])
+            .filter(service => service.status === 'down')
+            .map(service => service.retryIn);
+        if (retryTimes.length === 0) return;
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.render(this.apiService.getServiceHealth());
+        }, Math.min(...retryTimes) + 100);
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceStatusComponent;
+}
@@ -0,0 +1,271 @@
+/**
+ * Session component for saving the current protein, selection, notes and view to a .alphaview.json file
+ * and reopening such files
+ */
+class SessionComponent {
+    /**
+     * @param {VisualizerComponent} visualizerComponent - Viewer whose protein and view are saved
+     * @param {InfoComponent} infoComponent - Info panel holding the protein metadata
+     * @param {Object} callbacks - loadProtein(uniprotId) loads a protein through the application;
+     *                             showError(message) reports problems when the session panel is hidden
+     */
+    constructor(visualizerComponent, infoComponent, callbacks = {}) {
+        this.visualizerComponent = visualizerComponent;
+        this.infoComponent = infoComponent;
+        this.loadProtein = callbacks.loadProtein || null;
+        this.showError = callbacks.showError || null;
+        this.container = document.getElementById('session-panel');
+        this.importInput = document.getElementById('import-session');
+
+        if (this.container) {
+            this.render();
+        }
+        this.setupEventListeners();
+    }
+
+    /**
+     * Render the notes field and save button
+     */
+    render() {
+        this.container.innerHTML = `
+            <h4>Notes and session</h4>
+            <textarea class="session-notes" rows="3" placeholder="Notes about this protein are saved with the session"></textarea>
+            <div class="session-actions">
+                <button type="button" class="session-export-btn">Save session</button>
+            </div>
+            <p class="session-status" role="status"></p>
+        `;
+    }
+
+    /**
+     * Attach handlers to the panel and the file picker
+     */
+    setupEventListeners() {
+        if (this.container) {
+            this.container.querySelector('.session-notes').addEventListener('input', (e) => {
+                const protein = this.visualizerComponent.protein;
+                if (protein) {
+                    protein.notes = e.target.value;
+                }
+            });
+            this.container.querySelector('.session-export-btn').addEventListener('click', () => {
+                this.exportSession();
+            });
+        }
+
+        if (this.importInput) {
+            this.importInput.addEventListener('change', async (e) => {
+                const [file] = e.target.files;
+                // Clear the picker so the same file can be opened again
+                e.target.value = '';
+                if (file) {
+                    await this.importSession(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the panel for a newly loaded protein
+     * @param {Protein} protein - Protein on screen
+     */
+    showProtein(protein) {
+        if (!this.container || !protein) return;
+
+        this.container.style.display = 'block';
+        this.container.querySelector('.session-notes').value = protein.notes;
+        this.setStatus('');
+    }
+
+    /**
+     * Collect the protein on screen into a session
+     * @param {Date} savedAt - Time of saving
+     * @returns {Object} Session (see createSessionFile)
+     */
+    buildSession(savedAt = new Date()) {
+        const visualizer = this.visualizerComponent;
+        const protein = visualizer.protein;
+        if (!protein) {
+            throw new Error('Load a protein before saving a session');
+        }
+
+        // Metadata and statistics are kept by the panels that display them
+        const metadata = this.infoComponent ? this.infoComponent.proteinData : null;
+        if (metadata && metadata.uniprotId === protein.uniprotId) {
+            protein.updateMetadata({
+                name: metadata.proteinName,
+                organism: metadata.organism,
+                sequenceLength: metadata.sequenceLength,
+                description: metadata.description
+            });
+        }
+        if (visualizer.confidenceStatistics) {
+            protein.confidenceScore = visualizer.confidenceStatistics.averageConfidence;
+        }
+        protein.selectedResidues = visualizer.selectedResidue
+            ? [{ chainId: visualizer.selectedResidue.chainId, residueNumber: visualizer.selectedResidue.residueNumber }]
+            : [];
+
+        return createSessionFile(protein, visualizer.getViewSettings(), savedAt);
+    }
+
+    /**
+     * Download the protein on screen as a session file
+     * @returns {boolean} Whether a file was offered for download
+     */
+    exportSession() {
+        try {
+            const session = this.buildSession();
+            const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = getSessionFileName(session.protein.uniprotId);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            this.setStatus(`Saved ${link.download}`);
+            return true;
+        } catch (error) {
+            console.error('Error saving session:', error);
+            this.reportError(`Could not save the session: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Open a session file: load its protein, then restore the structure, view, selection and notes
+     * @param {File|Blob} file - Session file chosen by the user
+     * @returns {Promise<boolean>} Whether the session was restored
+     */
+    async importSession(file) {
+        let saved;
+        let session;
+        try {
+            session = readSessionFile(await file.text());
+            saved = Protein.fromJSON(session.protein);
+        } catch (error) {
+            console.error('Error reading session:', error);
+            this.reportError(`Could not open the session: ${error.message}`);
+            return false;
+        }
+
+        if (this.loadProtein) {
+            await this.loadProtein(saved.uniprotId);
+        }
+        const visualizer = this.visualizerComponent;
+        // The load failed or another protein was chosen meanwhile; the application has reported why
+        if (!this.isShowing(saved.uniprotId) || !visualizer.confidenceData) {
+            return false;
+        }
+
+        const notices = await this.restoreStructureSource(saved.structureSource, saved.uniprotId);
+        if (!this.isShowing(saved.uniprotId)) {
+            return false;
+        }
+        const protein = visualizer.protein;
+        visualizer.applyViewSettings(session.view);
+
+        const missing = saved.selectedResidues.filter(residue =>
+            !visualizer.selectResidue(residue.chainId, residue.residueNumber));
+        if (missing.length > 0) {
+            notices.push(`Residue ${missing.map(residue => residue.residueNumber).join(', ')} is not in this structure.`);
+        }
+
+        protein.notes = saved.notes;
+        this.showProtein(protein);
+        this.setStatus(['Session restored.', ...notices].join(' '));
+        return true;
+    }
+
+    /**
+     * Check that the viewer still shows a protein
+     * @param {string} uniprotId - UniProt ID of the protein being restored
+     * @returns {boolean} Whether that protein is on screen
+     */
+    isShowing(uniprotId) {
+        const protein = this.visualizerComponent.protein;
+        return !!protein && protein.uniprotId === uniprotId;
+    }
+
+    /**
+     * Show the saved structure again if it is not the one loaded by default
+     * @param {Object|null} source - Saved Protein.structureSource
+     * @param {string} uniprotId - UniProt ID of the protein being restored; nothing more is loaded once another is shown
+     * @returns {Promise<Array<string>>} Notices about what could not be restored as saved
+     */
+    async restoreStructureSource(source, uniprotId) {
+        const visualizer = this.visualizerComponent;
+        const notices = [];
+        if (!source) return notices;
+
+        if (source.type === 'pdb') {
+            const experimental = visualizer.experimentalComponent;
+            let loaded = false;
+            if (experimental) {
+                await experimental.loadEntries(uniprotId);
+                if (!this.isShowing(uniprotId)) return notices;
+                loaded = await experimental.loadEntry(source.pdbId);
+            }
+            if (!loaded) {
+                notices.push(`PDB ${source.pdbId} could not be loaded, so the AlphaFold model is shown.`);
+            }
+            return notices;
+        }
+
+        if (source.fragmentNumber > 1) {
+            await visualizer.loadFragment(source.fragmentNumber);
+        }
+        const current = visualizer.describeStructureSource();
+        if (source.modelVersion && current.modelVersion && source.modelVersion !== current.modelVersion) {
+            notices.push(`The session used AlphaFold model version ${source.modelVersion}; version ${current.modelVersion} is shown.`);
+        }
+        if (source.fragmentNumber && current.fragmentNumber !== source.fragmentNumber) {
+            notices.push(`Fragment F${source.fragmentNumber} is no longer available.`);
+        }
+        return notices;
+    }
+
+    /**
+     * Show a message under the save button
+     * @param {string} message - Message, empty to clear
+     * @param {boolean} isError - Whether the message reports a failure
+     */
+    setStatus(message, isError = false) {
+        if (!this.container) return;
+
+        const status = this.container.querySelector('.session-status');
+        status.textContent = message;
+        status.classList.toggle('status-error', isError);
+    }
+
+    /**
+     * Report a failure in the panel, or through the application when the panel is hidden
+     * @param {string} message - Error message
+     */
+    reportError(message) {
+        if (this.container && this.container.style.display !== 'none') {
+            this.setStatus(message, true);
+        } else if (this.showError) {
+            this.showError(message);
+        }
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+            this.setStatus('');
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionComponent;
+}
@@ -0,0 +1,307 @@
+/**
+ * Settings component for choosing where protein data is loaded from
+ */
+class SettingsComponent {
+    /**
+     * @param {APIService} apiService - Service whose endpoints are configured
+     * @param {Storage} storage - Storage for saved settings (localStorage)
+     * @param {Object} proposedConfig - Endpoint settings from a link to another host, applied only if the user confirms
+     */
+    constructor(apiService, storage = null, proposedConfig = null) {
+        this.apiService = apiService;
+        this.storage = storage;
+        this.container = document.getElementById('settings-panel');
+        this.statusElement = document.getElementById('data-source-status');
+        this.lastHealth = null;
+        this.proposedConfig = proposedConfig && Object.keys(proposedConfig).length > 0 ? proposedConfig : null;
+
+        if (this.container) {
+            this.render();
+            this.setupEventListeners();
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Render the settings form with the active configuration
+     */
+    render() {
+        const config = this.apiService.getEndpointConfig();
+
+        this.container.innerHTML = `
+            ${this.renderProposal()}
+            <form class="settings-form" novalidate>
+                <label>
+                    Data source
+                    <select name="backend">
+                        <option value="api" ${config.backend === 'api' ? 'selected' : ''}>AlphaFold API</option>
+                        <option value="static" ${config.backend === 'static' ? 'selected' : ''}>Local directory / static file server</option>
+                    </select>
+                </label>
+                <label>
+                    AlphaFold files
+                    <input type="text" name="alphafoldBaseUrl" value="${escapeHtml(config.alphafoldBaseUrl)}">
+                </label>
+                <label class="settings-api-only">
+                    AlphaFold API
+                    <input type="text" name="alphafoldApiUrl" value="${escapeHtml(config.alphafoldApiUrl)}">
+                </label>
+                <label class="settings-static-only">
+                    Model version
+                    <input type="number" name="modelVersion" min="1" step="1" value="${config.modelVersion}">
+                </label>
+                <label class="settings-static-only settings-checkbox">
+                    <input type="checkbox" name="compressed" ${config.compressed ? 'checked' : ''}>
+                    Model files are gzip-compressed (.cif.gz / .pdb.gz)
+                </label>
+                <label>
+                    UniProt API
+                    <input type="text" name="uniprotBaseUrl" value="${escapeHtml(config.uniprotBaseUrl)}">
+                </label>
+                <p class="settings-errors" style="display: none;"></p>
+                <div class="settings-actions">
+                    <button type="submit">Save</button>
+                    <button type="button" class="settings-reset-btn">Reset to defaults</button>
+                    <button type="button" class="settings-check-btn">Check connection</button>
+                </div>
+            </form>
+        `;
+
+        this.updateBackendFields();
+
+        // Draw attention to a link that wants to change the data source
+        const details = this.proposedConfig && this.container.closest ? this.container.closest('details') : null;
+        if (details) details.open = true;
+    }
+
+    /**
+     * Describe the data sources proposed by a link and ask before using them
+     * @returns {string} HTML, empty when nothing is proposed
+     */
+    renderProposal() {
+        if (!this.proposedConfig) return '';
+
+        const locations = ['alphafoldBaseUrl', 'alphafoldApiUrl', 'uniprotBaseUrl']
+            .filter(key => this.proposedConfig[key])
+            .map(key => `<li><code>${escapeHtml(this.proposedConfig[key])}</code></li>`)
+            .join('');
+
+        return `
+            <div class="settings-proposal">
+                <p>
+                    The link you opened asks AlphaView to load protein data from another server.
+                    It was not used. Only accept it if you trust the person who sent the link.
+                </p>
+                <ul>${locations}</ul>
+                <div class="settings-actions">
+                    <button type="button" class="settings-proposal-accept-btn">Use these data sources</button>
+                    <button type="button" class="settings-proposal-dismiss-btn">Ignore</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach form handlers
+     */
+    setupEventListeners() {
+        const form = this.container.querySelector('.settings-form');
+        const resetBtn = this.container.querySelector('.settings-reset-btn');
+        const checkBtn = this.container.querySelector('.settings-check-btn');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        form.elements.backend.addEventListener('change', () => {
+            this.updateBackendFields();
+        });
+
+        resetBtn.addEventListener('click', () => {
+            this.reset();
+        });
+
+        checkBtn.addEventListener('click', () => {
+            this.checkHealth();
+        });
+
+        const acceptBtn = this.container.querySelector('.settings-proposal-accept-btn');
+        const dismissBtn = this.container.querySelector('.settings-proposal-dismiss-btn');
+        if (acceptBtn) {
+            acceptBtn.addEventListener('click', () => {
+                this.acceptProposal();
+            });
+        }
+        if (dismissBtn) {
+            dismissBtn.addEventListener('click', () => {
+                this.dismissProposal();
+            });
+        }
+    }
+
+    /**
+     * Apply and save the data sources proposed by a link, after the user confirmed them
+     * @returns {boolean} Whether the configuration was saved
+     */
+    acceptProposal() {
+        if (!this.proposedConfig) return false;
+
+        const config = { ...this.apiService.getEndpointConfig(), ...this.proposedConfig };
+        const errors = validateEndpointConfig(config);
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return false;
+        }
+
+        this.proposedConfig = null;
+        this.apiService.configureEndpoints(config);
+        saveEndpointConfig(this.storage, config);
+        this.lastHealth = null;
+        this.render();
+        this.setupEventListeners();
+        this.updateStatus();
+        return true;
+    }
+
+    /**
+     * Keep the current data sources and forget the proposal
+     */
+    dismissProposal() {
+        this.proposedConfig = null;
+        this.render();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Show only the fields used by the selected data source
+     */
+    updateBackendFields() {
+        const form = this.container.querySelector('.settings-form');
+        const isStatic = form.elements.backend.value === 'static';
+
+        this.container.querySelectorAll('.settings-api-only').forEach(field => {
+            field.style.display = isStatic ? 'none' : '';
+        });
+        this.container.querySelectorAll('.settings-static-only').forEach(field => {
+            field.style.display = isStatic ? '' : 'none';
+        });
+    }
+
+    /**
+     * Read the configuration entered in the form
+     * @returns {Object} Complete endpoint configuration
+     */
+    getFormConfig() {
+        const { elements } = this.container.querySelector('.settings-form');
+        return {
+            ...this.apiService.getEndpointConfig(),
+            ...cleanEndpointConfig({
+                backend: elements.backend.value,
+                alphafoldBaseUrl: elements.alphafoldBaseUrl.value,
+                alphafoldApiUrl: elements.alphafoldApiUrl.value,
+                uniprotBaseUrl: elements.uniprotBaseUrl.value,
+                modelVersion: elements.modelVersion.value,
+                compressed: elements.compressed.checked
+            })
+        };
+    }
+
+    /**
+     * Validate, apply and remember the entered configuration
+     * @returns {boolean} Whether the configuration was saved
+     */
+    save() {
+        const config = this.getFormConfig();
+        const errors = validateEndpointConfig(config);
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return false;
+        }
+
+        this.showErrors([]);
+        this.apiService.configureEndpoints(config);
+        saveEndpointConfig(this.storage, config);
+        this.lastHealth = null;
+        this.render();
+        this.setupEventListeners();
+        this.updateStatus();
+        return true;
+    }
+
+    /**
+     * Forget saved settings and return to the default data sources
+     */
+    reset() {
+        clearStoredEndpointConfig(this.storage);
+        this.apiService.configureEndpoints(DEFAULT_ENDPOINT_CONFIG);
+        this.lastHealth = null;
+        this.render();
+        this.setupEventListeners();
+        this.updateStatus();
+    }
+
+    /**
+     * Check whether the active data sources respond and show the result
+     * @returns {Promise<Object>} Health check result
+     */
+    async checkHealth() {
+        const checkBtn = this.container && this.container.querySelector('.settings-check-btn');
+        if (checkBtn) checkBtn.disabled = true;
+        if (this.statusElement) {
+            this.statusElement.textContent = `Data source: ${describeEndpointSource(this.apiService.getEndpointConfig())} (checking...)`;
+        }
+
+        try {
+            this.lastHealth = await this.apiService.checkHealth();
+        } catch (error) {
+            console.error('Error checking data sources:', error);
+            this.lastHealth = null;
+        } finally {
+            if (checkBtn) checkBtn.disabled = false;
+        }
+
+        this.updateStatus();
+        return this.lastHealth;
+    }
+
+    /**
+     * Show the active data source and the result of the last health check
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        const source = describeEndpointSource(this.apiService.getEndpointConfig());
+        this.statusElement.classList.remove('status-ok', 'status-error');
+
+        if (!this.lastHealth) {
+            this.statusElement.textContent = `Data source: ${source}`;
+            return;
+        }
+
+        const { alphafold, uniprot } = this.lastHealth;
+        const describe = (name, result) => result.ok
+            ? `${name} ${result.message.toLowerCase()} (${result.latency} ms)`
+            : `${name} unavailable: ${result.message}`;
+
+        this.statusElement.textContent = `Data source: ${source} | ${describe('AlphaFold', alphafold)} | ${describe('UniProt', uniprot)}`;
+        this.statusElement.classList.add(alphafold.ok && uniprot.ok ? 'status-ok' : 'status-error');
+    }
+
+    /**
+     * Show validation problems below the form
+     * @param {Array<string>} errors - Problems to show; empty hides the list
+     */
+    showErrors(errors) {
+        const errorElement = this.container.querySelector('.settings-errors');
+        if (!errorElement) return;
+
+        errorElement.textContent = errors.join(' ');
+        errorElement.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsComponent;
+}
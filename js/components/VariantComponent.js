@@ -0,0 +1,337 @@
+/**
+ * Variant component for marking UniProt natural variants and disease mutations on the structure
+ */
+class VariantComponent {
+    constructor(apiService, visualizerComponent) {
+        this.apiService = apiService;
+        this.visualizerComponent = visualizerComponent;
+        this.container = document.getElementById('variant-panel');
+        this.variants = [];
+        this.currentProtein = null;
+        this.showMarkers = true;
+        // Marker shapes in the viewer, one per variant position
+        this.markers = [];
+        // Marker colors for variants linked to a disease and for other variants
+        this.diseaseColor = '#C0392B';
+        this.otherColor = '#2980B9';
+    }
+
+    /**
+     * Load the natural variants of a protein and mark them on the structure
+     * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the download
+     */
+    async loadVariants(uniprotId, signal = null) {
+        if (!this.container) return;
+
+        this.clearMarkers();
+        this.variants = [];
+        this.currentProtein = uniprotId;
+
+        this.showMessage('Loading natural variants...');
+
+        try {
+            const variants = await this.apiService.getProteinVariants(uniprotId, null, signal);
+
+            // Another protein was loaded while these variants were downloading
+            if (this.currentProtein !== uniprotId) return;
+
+            this.variants = variants;
+            if (variants.length === 0) {
+                this.showMessage('UniProt lists no natural variants for this protein.');
+                return;
+            }
+            this.render();
+            this.drawMarkers();
+        } catch (error) {
+            if (this.currentProtein !== uniprotId || error.cancelled) return;
+            console.error('Error loading natural variants:', error);
+            this.showMessage(`Natural variants are not available: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the panel with a status message instead of the variant list
+     * @param {string} message - Message to display
+     */
+    showMessage(message) {
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Natural Variants</h3>
+            <p class="variant-message">${escapeHtml(message)}</p>
+        `;
+    }
+
+    /**
+     * Render the variant summary, marker switch and variant list
+     */
+    render() {
+        const diseaseCount = this.variants.filter(variant => variant.diseases.length > 0).length;
+        const items = this.variants.map(variant => {
+            const shown = this.toResidue(variant.start) !== null;
+            const diseases = variant.diseases.map(disease => disease.acronym).join(', ');
+
+            return `
+                <li class="variant-item${shown ? '' : ' variant-outside'}">
+                    <span class="variant-swatch" style="background: ${this.getVariantColor(variant)};"></span>
+                    <button type="button" class="variant-name" data-position="${variant.start}" ${shown ? '' : 'disabled'}>
+                        ${escapeHtml(variant.label)}
+                    </button>
+                    <span class="variant-disease">${escapeHtml(diseases)}${shown ? '' : ' (not in this fragment)'}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <h3>Natural Variants</h3>
+            <p class="legend-note">
+                ${this.variants.length} variants from UniProt, ${diseaseCount} linked to disease
+                (<span style="color: ${this.diseaseColor};">●</span> disease,
+                <span style="color: ${this.otherColor};">●</span> other).
+                Click a marker or a variant to see where it sits in the fold.
+            </p>
+            <label class="settings-checkbox">
+                <input type="checkbox" class="variant-markers-toggle" ${this.showMarkers ? 'checked' : ''}>
+                Show variant markers on the structure
+            </label>
+            <ul class="variant-list">${items}</ul>
+        `;
+
+        this.setupInteraction();
+    }
+
+    /**
+     * Attach marker switch and variant list handlers
+     */
+    setupInteraction() {
+        const toggle = this.container.querySelector('.variant-markers-toggle');
+        if (toggle) {
+            toggle.addEventListener('change', (e) => {
+                this.setMarkersVisible(e.target.checked);
+            });
+        }
+
+        this.container.querySelectorAll('.variant-name').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.showVariantDetails(parseInt(e.currentTarget.dataset.position, 10));
+            });
+        });
+    }
+
+    /**
+     * Show or hide the variant markers in the viewer
+     * @param {boolean} visible - Whether markers are shown
+     */
+    setMarkersVisible(visible) {
+        this.showMarkers = visible;
+        if (visible) {
+            this.drawMarkers();
+        } else {
+            this.clearMarkers();
+        }
+    }
+
+    /**
+     * Draw one marker per variant position covered by the displayed structure
+     */
+    drawMarkers() {
+        this.clearMarkers();
+        if (!this.showMarkers || !this.visualizerComponent) return;
+
+        this.getVariantPositions().forEach((variants, position) => {
+            const residue = this.toResidue(position);
+            if (residue === null) return;
+
+            // A position with any disease variant is marked as disease-linked
+            const color = variants.some(variant => variant.diseases.length > 0) ? this.diseaseColor : this.otherColor;
+            const marker = this.visualizerComponent.addResidueMarker(residue.residueNumber, color, () => {
+                this.showVariantDetails(position);
+            }, residue.chainId);
+            if (marker) {
+                this.markers.push(marker);
+            }
+        });
+    }
+
+    /**
+     * Group the loaded variants by their first sequence position
+     * @returns {Map<number, Array<Object>>} Variants keyed by position, in sequence order
+     */
+    getVariantPositions() {
+        const positions = new Map();
+        this.variants.forEach(variant => {
+            if (!positions.has(variant.start)) positions.set(variant.start, []);
+            positions.get(variant.start).push(variant);
+        });
+        return positions;
+    }
+
+    /**
+     * Show the variants at a position with the local model confidence and burial
+     * @param {number} position - Position on the UniProt sequence
+     */
+    showVariantDetails(position) {
+        const variants = this.variants.filter(variant => variant.start === position);
+        const visualizer = this.visualizerComponent;
+        const residue = this.toResidue(position);
+        if (variants.length === 0 || !visualizer || residue === null) return;
+        const { residueNumber, chainId } = residue;
+
+        // Only one residue popup is open at a time
+        visualizer.hideResidueDetails();
+
+        const residueData = visualizer.getResidueData(residueNumber, chainId);
+        const burial = visualizer.getResidueBurial(residueNumber, chainId);
+        const burialText = burial
+            ? `${burial.buried ? 'Buried' : 'Exposed'} (${burial.neighborCount} residues within 10 Å)`
+            : 'Unknown';
+        // Experimental structures have B-factors instead of pLDDT
+        const isExperimental = !!(residueData && residueData.confidenceScore === null);
+        let confidence = 'Unknown';
+        if (isExperimental) {
+            confidence = `${residueData.bFactor.toFixed(1)} Å²`;
+        } else if (residueData) {
+            confidence = `${residueData.confidenceScore.toFixed(1)}% <span class="confidence-level ${residueData.confidenceLevel}">${visualizer.getConfidenceLevelText(residueData.confidenceLevel)}</span>`;
+        }
+
+        const popup = document.createElement('div');
+        popup.id = 'residue-details-popup';
+        popup.className = 'residue-details-popup variant-details-popup';
+        popup.innerHTML = `
+            <div class="popup-content">
+                <div class="popup-header">
+                    <h4>Variants at position ${position}${residueData ? ` (${residueData.residueName})` : ''}</h4>
+                    <button class="popup-close">×</button>
+                </div>
+                <div class="popup-body">
+                    <div class="residue-info-grid">
+                        <div class="info-item">
+                            <label>Residue</label>
+                            <span>${residueNumber}${residueData ? ` ${residueData.residueName}, chain ${residueData.chainId}` : ''}</span>
+                        </div>
+                        <div class="info-item">
+                            <label>${isExperimental ? 'B-factor' : 'Local pLDDT'}</label>
+                            <span class="confidence-score">${confidence}</span>
+                        </div>
+                        <div class="info-item">
+                            <label>Environment</label>
+                            <span class="variant-burial">${burialText}</span>
+                        </div>
+                    </div>
+                    ${variants.map(variant => this.renderVariantDetails(variant)).join('')}
+                </div>
+            </div>
+        `;
+
+        popup.style.position = 'fixed';
+        popup.style.left = '50%';
+        popup.style.top = '50%';
+        popup.style.transform = 'translate(-50%, -50%)';
+        popup.style.zIndex = '1001';
+
+        document.body.appendChild(popup);
+
+        // Every way of closing the popup also drops its Escape listener
+        const close = () => {
+            popup.remove();
+            document.removeEventListener('keydown', escapeHandler);
+        };
+        const escapeHandler = (e) => {
+            // The popup may already be gone, replaced by the popup of another residue
+            if (e.key === 'Escape' || !popup.isConnected) {
+                close();
+            }
+        };
+        document.addEventListener('keydown', escapeHandler);
+
+        const closeButton = popup.querySelector('.popup-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', close);
+        }
+    }
+
+    /**
+     * Render the description of one variant for the details popup
+     * @param {Object} variant - Normalized variant
+     * @returns {string} HTML
+     */
+    renderVariantDetails(variant) {
+        const diseases = variant.diseases.map(disease => `
+            <li><strong>${escapeHtml(disease.name)}</strong> (${escapeHtml(disease.acronym)})
+                ${disease.description ? `<p>${escapeHtml(disease.description)}</p>` : ''}</li>
+        `).join('');
+
+        return `
+            <div class="variant-details">
+                <h5>${escapeHtml(variant.label)}${variant.id ? ` <small>${escapeHtml(variant.id)}</small>` : ''}</h5>
+                <p>${escapeHtml(variant.original || '?')} → ${escapeHtml(variant.variant)}${variant.dbSnp ? `, ${escapeHtml(variant.dbSnp)}` : ''}</p>
+                ${diseases ? `<ul class="variant-diseases">${diseases}</ul>` : ''}
+                ${variant.notes.length > 0 ? `<p>${escapeHtml(variant.notes.join('; '))}</p>` : ''}
+                ${variant.evidenceText ? `<p class="feature-evidence"><strong>Evidence:</strong> ${escapeHtml(variant.evidenceText)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the marker color of a variant
+     * @param {Object} variant - Normalized variant
+     * @returns {string}
+     */
+    getVariantColor(variant) {
+        return variant.diseases.length > 0 ? this.diseaseColor : this.otherColor;
+    }
+
+    /**
+     * Convert a sequence position to a residue of the displayed structure
+     * @param {number} position - Position on the UniProt sequence
+     * @returns {Object|null} {chainId, residueNumber}, or null if the displayed structure does not contain it
+     */
+    toResidue(position) {
+        const visualizer = this.visualizerComponent;
+        return visualizer && visualizer.mapSequencePosition
+            ? visualizer.mapSequencePosition(position)
+            : { chainId: null, residueNumber: position };
+    }
+
+    /**
+     * Redraw the panel and markers for a different fragment of the same protein
+     */
+    refresh() {
+        if (!this.container || this.variants.length === 0) return;
+        // Rendering the new fragment cleared the viewer, and the old markers with it
+        this.markers = [];
+        this.render();
+        this.drawMarkers();
+    }
+
+    /**
+     * Remove the variant markers from the viewer
+     */
+    clearMarkers() {
+        if (this.visualizerComponent) {
+            this.markers.forEach(marker => {
+                this.visualizerComponent.removeResidueMarker(marker);
+            });
+        }
+        this.markers = [];
+    }
+
+    /**
+     * Hide the variant panel
+     */
+    hide() {
+        this.clearMarkers();
+        this.variants = [];
+        this.currentProtein = null;
+
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VariantComponent;
+}
@@ -11,7 +11,42 @@ class VisualizerComponent {
         this.viewer = null;
         this.currentProtein = null;
         this.selectedResidue = null;
+        // Residue clicked before the selected one; the residue popup shows the distance between them
+        this.previousSelectedResidue = null;
         this.hoveredResidue = null;
+        this.confidenceData = null;
+        // Parsed model of the structure on screen, and the Protein it is attached to
+        this.structure = null;
+        this.protein = null;
+        this.confidenceStatistics = null;
+        this.modelInfo = null;
+        this.currentFragment = null;
+        // Optional PAE heatmap panel, attached by the application
+        this.paeComponent = null;
+        // Optional UniProt feature panel, attached by the application
+        this.featureComponent = null;
+        // Optional UniProt variant markers, attached by the application
+        this.variantComponent = null;
+        // Optional list of experimental PDB structures, attached by the application
+        this.experimentalComponent = null;
+        // Optional Ramachandran plot of the structure on screen, attached by the application
+        this.ramachandranComponent = null;
+        // PDB entry on screen instead of the AlphaFold model, and the B-factor range its colors are scaled to
+        this.experimentalEntry = null;
+        this.bFactorRange = null;
+        // Parts of the UniProt sequence the experimental structure covers, per chain, and how they are numbered
+        this.sequenceSegments = [];
+        // A residue whose CA has at least this many CA neighbors within 10 Å is reported as buried
+        this.burialNeighborThreshold = 20;
+        // Cancellation signal of the most recent load; progress from older loads is ignored
+        this.activeSignal = null;
+        // Fragment being downloaded; a fragment that finishes after another was chosen is dropped
+        this.pendingFragment = null;
+        // CA trace drawn while the structure file is still downloading
+        this.partialTrace = null;
+        // Optional callback(uniprotId, confidenceStatistics) run when another fragment or the AlphaFold model
+        // replaces the structure on screen after the first load; attached by the application
+        this.onModelChanged = null;
     }
 
     /**
@@ -52,11 +87,38 @@ class VisualizerComponent {
     /**
      * Load and render protein structure
      * @param {string} uniprotId - UniProt ID
+     * @param {AbortSignal} signal - Optional signal that cancels the load
      */
-    async loadStructure(uniprotId) {
+    async loadStructure(uniprotId, signal = null) {
         console.log(`Loading structure for: ${uniprotId}`);
+        this.activeSignal = signal;
         
         try {
+            // Drop statistics from the previous protein so they are never reported for this one
+            this.confidenceStatistics = null;
+            this.modelInfo = null;
+            this.currentFragment = null;
+            this.pendingFragment = null;
+            this.partialTrace = null;
+            this.experimentalEntry = null;
+            this.protein = null;
+            this.structure = null;
+            if (this.paeComponent) {
+                this.paeComponent.hide();
+            }
+            if (this.featureComponent) {
+                this.featureComponent.hide();
+            }
+            if (this.variantComponent) {
+                this.variantComponent.hide();
+            }
+            if (this.experimentalComponent) {
+                this.experimentalComponent.hide();
+            }
+            if (this.ramachandranComponent) {
+                this.ramachandranComponent.hide();
+            }
+            
             // Show loading state
             this.showLoadingState();
             
@@ -65,11 +127,25 @@ class VisualizerComponent {
             
             // Create progress callback for structure loading
             const progressCallback = (progress) => {
-                this.updateStructureProgress(progress);
+                if (this.activeSignal !== signal) return;
+                if (progress.type === 'structure_partial') {
+                    this.renderPartialStructure(progress.residues);
+                } else {
+                    this.updateStructureProgress(progress);
+                }
             };
             
+            // Resolve the latest model version and its files before downloading
+            this.modelInfo = await this.apiService.getAlphaFoldPrediction(uniprotId, progressCallback, signal);
+            
+            // Long proteins are split into fragments; start with the first one
+            this.currentFragment = this.modelInfo.fragments && this.modelInfo.fragments.length > 0
+                ? this.modelInfo.fragments[0]
+                : this.modelInfo;
+            
             // Fetch PDB structure data from AlphaFold
-            const pdbData = await this.apiService.fetchAlphaFoldStructure(uniprotId, progressCallback);
+            const pdbData = await this.apiService.fetchAlphaFoldStructure(uniprotId, progressCallback, this.currentFragment, null, signal);
+            this.protein = new Protein(uniprotId);
             
             // Render the structure
             this.renderStructure(pdbData);
@@ -77,17 +153,381 @@ class VisualizerComponent {
             // Store current protein ID
             this.currentProtein = uniprotId;
             
+            // Offer the other fragments when the model is split
+            this.renderFragmentControls();
+            
+            // PAE and UniProt annotations are downloaded separately so the structure is not held up by them
+            this.loadPAE();
+            this.loadFeatures();
+            this.loadVariants();
+            this.loadExperimentalEntries();
+            
             // Show the visualization section
             this.visualizationSection.style.display = 'block';
             
             console.log(`Successfully loaded structure for: ${uniprotId}`);
             
         } catch (error) {
+            // A cancelled load is reported through the progress callback, not as an error
+            if (error.cancelled) {
+                console.log(`Cancelled loading structure for: ${uniprotId}`);
+                return;
+            }
             console.error('Error loading structure:', error);
             this.showDetailedError(error, uniprotId);
         }
     }
 
+    /**
+     * Load the PAE heatmap for the displayed model or fragment
+     */
+    loadPAE() {
+        if (!this.paeComponent || !this.currentProtein) return;
+        this.paeComponent.loadPAE(this.currentProtein, this.currentFragment || this.modelInfo, this.activeSignal);
+    }
+
+    /**
+     * Load the UniProt sequence features of the displayed protein
+     */
+    loadFeatures() {
+        if (!this.featureComponent || !this.currentProtein) return;
+        this.featureComponent.loadFeatures(this.currentProtein, this.activeSignal);
+    }
+
+    /**
+     * Load the UniProt natural variants of the displayed protein
+     */
+    loadVariants() {
+        if (!this.variantComponent || !this.currentProtein) return;
+        this.variantComponent.loadVariants(this.currentProtein, this.activeSignal);
+    }
+
+    /**
+     * List the experimental structures of the displayed protein
+     */
+    loadExperimentalEntries() {
+        if (!this.experimentalComponent || !this.currentProtein) return;
+        this.experimentalComponent.loadEntries(this.currentProtein, this.activeSignal);
+    }
+
+    /**
+     * Redraw UniProt features and variants after a different structure was rendered
+     */
+    refreshAnnotations() {
+        if (this.featureComponent) {
+            this.featureComponent.refresh();
+        }
+        if (this.variantComponent) {
+            this.variantComponent.refresh();
+        }
+    }
+
+    /**
+     * Replace the AlphaFold model with an experimental structure from the PDB
+     * @param {Object} entry - PDB entry from APIService.getExperimentalStructures
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<boolean>} Whether the entry is now shown; false when another protein was selected meanwhile
+     */
+    async loadExperimentalStructure(entry, progressCallback = null) {
+        if (!this.currentProtein || !entry) return false;
+        
+        const signal = this.activeSignal;
+        const structureData = await this.apiService.fetchExperimentalStructure(entry.pdbId, progressCallback, signal);
+        // Another protein was selected while the entry was downloading
+        if (this.activeSignal !== signal) return false;
+        
+        // A fragment still downloading would replace the entry once it arrives
+        this.pendingFragment = null;
+        this.clearSelection();
+        
+        this.setupControls();
+        // renderStructure colors and labels the structure by the entry it shows, so the entry is only
+        // kept, with its sequence mapping, once the structure is on screen
+        const previousEntry = this.experimentalEntry;
+        this.experimentalEntry = entry;
+        try {
+            this.renderStructure(structureData);
+        } catch (error) {
+            this.experimentalEntry = previousEntry;
+            throw error;
+        }
+        this.sequenceSegments = this.getSequenceSegments(entry, structureData);
+        this.renderFragmentControls();
+        // PAE belongs to the prediction and means nothing for an experimental structure
+        if (this.paeComponent) {
+            this.paeComponent.hide();
+        }
+        this.refreshAnnotations();
+        
+        console.log(`Loaded experimental structure ${entry.pdbId} for: ${this.currentProtein}`);
+        return true;
+    }
+
+    /**
+     * Work out which residues of an experimental structure correspond to which UniProt positions
+     * PDB files keep the authors' numbering, which often differs from UniProt's, so the offsets come
+     * from the SIFTS alignment in the mmCIF file. Without one, the chains UniProt lists for the entry
+     * are taken to follow UniProt numbering over the listed ranges.
+     * @param {Object} entry - PDB entry from APIService.getExperimentalStructures
+     * @param {string} structureData - mmCIF file content
+     * @returns {Array<Object>} Segments ({chainId, start, end, offset}) in the order of the entry's chains;
+     *                          residue number = position + offset
+     */
+    getSequenceSegments(entry, structureData) {
+        const parsed = parseUniProtAccession(this.currentProtein);
+        const accession = parsed ? parsed.entry : this.currentProtein;
+        const chains = entry.chains || [];
+        const chainRank = segment => (chains.includes(segment.chainId) ? chains.indexOf(segment.chainId) : chains.length);
+
+        const references = typeof structureData === 'string'
+            ? extractCifSequenceReferences(structureData).filter(segment => segment.accession === accession &&
+                (chains.length === 0 || chains.includes(segment.chainId)))
+            : [];
+        if (references.length > 0) {
+            return references
+                .map(({ chainId, start, end, offset }) => ({ chainId, start, end, offset }))
+                .sort((a, b) => chainRank(a) - chainRank(b) || a.start - b.start);
+        }
+
+        return (entry.ranges || []).flatMap(range =>
+            range.chains.map(chainId => ({ chainId, start: range.start, end: range.end, offset: 0 })));
+    }
+
+    /**
+     * Return from an experimental structure to the AlphaFold model
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<boolean>} Whether the model is now shown; false when another protein was selected meanwhile
+     */
+    async showPredictedStructure(progressCallback = null) {
+        if (!this.currentProtein) return false;
+        if (!this.experimentalEntry) return true;
+        
+        const signal = this.activeSignal;
+        const structureData = await this.apiService.fetchAlphaFoldStructure(
+            this.currentProtein, progressCallback, this.currentFragment || this.modelInfo, null, signal
+        );
+        if (this.activeSignal !== signal) return false;
+        
+        this.pendingFragment = null;
+        this.experimentalEntry = null;
+        this.clearSelection();
+        
+        this.setupControls();
+        this.renderStructure(structureData);
+        this.renderFragmentControls();
+        this.loadPAE();
+        this.refreshAnnotations();
+        this.notifyModelChanged();
+        return true;
+    }
+
+    /**
+     * Report the statistics of the model now on screen to the application
+     */
+    notifyModelChanged() {
+        if (typeof this.onModelChanged === 'function') {
+            this.onModelChanged(this.currentProtein, this.confidenceStatistics);
+        }
+    }
+
+    /**
+     * Check whether the loaded model is split into several fragments
+     * @returns {boolean}
+     */
+    hasMultipleFragments() {
+        return !!(this.modelInfo && this.modelInfo.fragments && this.modelInfo.fragments.length > 1);
+    }
+
+    /**
+     * Load and render a different fragment of the current model
+     * @param {number} fragmentNumber - Fragment number (1 for F1)
+     */
+    async loadFragment(fragmentNumber) {
+        if (!this.hasMultipleFragments() || !this.currentProtein) return;
+        
+        const fragment = this.modelInfo.fragments.find(f => f.fragmentNumber === fragmentNumber);
+        if (!fragment) return;
+        if (fragment === this.currentFragment) {
+            // Back to the fragment on screen before another one finished loading
+            if (this.pendingFragment) {
+                this.pendingFragment = null;
+                this.renderFragmentControls();
+            }
+            return;
+        }
+        
+        const signal = this.activeSignal;
+        this.pendingFragment = fragment;
+        const isLatestRequest = () => this.pendingFragment === fragment && this.activeSignal === signal;
+        
+        const status = this.controlsContainer.querySelector('.fragment-status');
+        if (status) {
+            status.textContent = `Loading fragment F${fragmentNumber}...`;
+        }
+        
+        try {
+            const pdbData = await this.apiService.fetchAlphaFoldStructure(this.currentProtein, (progress) => {
+                if (status && progress.message && isLatestRequest()) {
+                    status.textContent = progress.message;
+                }
+            }, fragment, null, signal);
+            // Another fragment or protein was chosen while this one was downloading
+            if (!isLatestRequest()) return;
+            
+            this.pendingFragment = null;
+            this.currentFragment = fragment;
+            this.experimentalEntry = null;
+            this.clearSelection();
+            
+            // Recreate the controls so listeners are not attached twice by renderStructure
+            this.setupControls();
+            this.renderStructure(pdbData);
+            this.renderFragmentControls();
+            this.loadPAE();
+            this.refreshAnnotations();
+            this.notifyModelChanged();
+            
+            console.log(`Loaded fragment F${fragmentNumber} for: ${this.currentProtein}`);
+        } catch (error) {
+            if (error.cancelled || !isLatestRequest()) return;
+            this.pendingFragment = null;
+            console.error('Error loading fragment:', error);
+            if (status) {
+                status.textContent = `Could not load fragment F${fragmentNumber}: ${error.message}`;
+            }
+        }
+    }
+
+    /**
+     * Render the fragment selector and the sequence coverage map
+     */
+    renderFragmentControls() {
+        const existing = this.controlsContainer.querySelector
+            ? this.controlsContainer.querySelector('.fragment-controls')
+            : null;
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (!this.hasMultipleFragments() || this.experimentalEntry) return;
+        
+        const fragments = this.modelInfo.fragments;
+        const current = this.currentFragment || fragments[0];
+        const sequenceLength = current.coverage.sequenceLength;
+        const toPercent = (position) => ((position - 1) / sequenceLength) * 100;
+        
+        const options = fragments.map(fragment => `
+            <option value="${fragment.fragmentNumber}" ${fragment === current ? 'selected' : ''}>
+                F${fragment.fragmentNumber}: residues ${fragment.coverage.start}-${fragment.coverage.end}
+            </option>
+        `).join('');
+        
+        // Tick marks show where each fragment starts; the active fragment is shaded
+        const ticks = fragments.map(fragment => `
+            <div class="fragment-tick" style="left: ${toPercent(fragment.coverage.start)}%;"></div>
+        `).join('');
+        
+        const group = document.createElement('div');
+        group.className = 'control-group fragment-controls';
+        group.innerHTML = `
+            <h4>Model Fragments</h4>
+            <p class="fragment-warning">
+                AlphaFold splits this ${sequenceLength}-residue protein into ${fragments.length} overlapping fragments.
+                Only one fragment is shown at a time.
+            </p>
+            <select id="fragment-selector">${options}</select>
+            <div class="fragment-map" title="Position of the displayed fragment on the full sequence">
+                ${ticks}
+                <div class="fragment-active" style="
+                    left: ${toPercent(current.coverage.start)}%;
+                    width: ${((current.coverage.end - current.coverage.start + 1) / sequenceLength) * 100}%;
+                "></div>
+            </div>
+            <div class="fragment-scale">
+                <span>1</span>
+                <span>${sequenceLength}</span>
+            </div>
+            <small class="fragment-status">
+                Showing F${current.fragmentNumber}: residues ${current.coverage.start}-${current.coverage.end} of ${sequenceLength}
+            </small>
+        `;
+        this.controlsContainer.appendChild(group);
+        
+        const selector = group.querySelector('#fragment-selector');
+        if (selector) {
+            selector.addEventListener('change', (e) => {
+                this.loadFragment(parseInt(e.target.value, 10));
+            });
+        }
+    }
+
+    /**
+     * Convert a residue number in the loaded file to its position on the full UniProt sequence
+     * @param {number} residueNumber - Residue number from the structure file
+     * @param {string} chainId - Chain of the residue; any chain if omitted
+     * @returns {number|null} Position on the UniProt sequence, or null if the residue does not map onto it
+     */
+    getSequencePosition(residueNumber, chainId = null) {
+        if (this.experimentalEntry) {
+            const segment = this.sequenceSegments.find(candidate => (!chainId || candidate.chainId === chainId) &&
+                residueNumber - candidate.offset >= candidate.start && residueNumber - candidate.offset <= candidate.end);
+            return segment ? residueNumber - segment.offset : null;
+        }
+        if (!this.hasMultipleFragments() || !this.currentFragment || !this.confidenceData || this.confidenceData.length === 0) {
+            return residueNumber;
+        }
+        
+        // Fragment files may be numbered from 1; shift by the fragment's start on the sequence
+        const firstResidue = this.confidenceData[0].residueNumber;
+        return residueNumber + (this.currentFragment.coverage.start - firstResidue);
+    }
+
+    /**
+     * Convert a position on the full UniProt sequence to a residue number in the loaded file
+     * @param {number} sequencePosition - Position on the UniProt sequence
+     * @returns {number|null} Residue number, or null if the displayed structure does not cover the position
+     */
+    getResidueNumber(sequencePosition) {
+        const residue = this.mapSequencePosition(sequencePosition);
+        return residue ? residue.residueNumber : null;
+    }
+
+    /**
+     * Find the residue of the loaded file at a position on the full UniProt sequence
+     * @param {number} sequencePosition - Position on the UniProt sequence
+     * @returns {Object|null} {chainId, residueNumber}, with chainId null for single-chain AlphaFold models,
+     *                        or null if the displayed structure does not cover the position
+     */
+    mapSequencePosition(sequencePosition) {
+        if (this.experimentalEntry) {
+            // The first chain listed for the entry is used where several chains cover the position
+            const segment = this.sequenceSegments.find(candidate =>
+                sequencePosition >= candidate.start && sequencePosition <= candidate.end);
+            return segment ? { chainId: segment.chainId, residueNumber: sequencePosition + segment.offset } : null;
+        }
+        if (!this.hasMultipleFragments() || !this.currentFragment || !this.confidenceData || this.confidenceData.length === 0) {
+            return { chainId: null, residueNumber: sequencePosition };
+        }
+        
+        const { start, end } = this.currentFragment.coverage;
+        if (sequencePosition < start || sequencePosition > end) {
+            return null;
+        }
+        
+        const firstResidue = this.confidenceData[0].residueNumber;
+        return { chainId: null, residueNumber: sequencePosition - (start - firstResidue) };
+    }
+
+    /**
+     * Build a 3Dmol.js selection of residues, limited to one chain when it is given
+     * @param {number|string} resi - Residue number, or a range such as '10-25'
+     * @param {string} chainId - Chain ID; any chain if omitted
+     * @returns {Object} Atom selection
+     */
+    getResidueSelection(resi, chainId = null) {
+        return chainId ? { resi, chain: chainId } : { resi };
+    }
+
     /**
      * Show detailed error message
      * @param {Error} error - Error object
@@ -153,8 +593,8 @@ class VisualizerComponent {
             messageElement.textContent = progress.message || 'Loading structure...';
         }
         
-        // Update progress bar for download progress
-        if (progress.type === 'download_progress' && progressBar) {
+        // Update progress bar for download progress (unknown when the server sends no size)
+        if (progress.type === 'download_progress' && progressBar && typeof progress.progress === 'number') {
             progressBar.style.width = `${progress.progress}%`;
         }
         
@@ -312,31 +752,53 @@ class VisualizerComponent {
 
     /**
      * Render protein structure
-     * @param {string} pdbData - PDB file content
+     * @param {string|Uint8Array} structureData - PDB or mmCIF file content, or BinaryCIF bytes
      */
-    renderStructure(pdbData) {
+    renderStructure(structureData) {
         if (!this.viewer) {
             throw new Error('3Dmol viewer not initialized');
         }
         
-        if (!pdbData || typeof pdbData !== 'string') {
-            throw new Error('Invalid PDB data provided');
+        const isBinary = typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(structureData);
+        if (!structureData || (typeof structureData !== 'string' && !isBinary)) {
+            throw new Error('Invalid structure data provided');
         }
         
         try {
-            // Clear any existing models
+            // Detect and validate the file format before the structure on screen is cleared
+            const format = detectStructureFormat(structureData);
+            if (!format || (format === 'cif' && !isValidCifStructure(structureData))) {
+                throw new Error('Invalid structure file format - missing atom records');
+            }
+            
+            // Clear any existing models, including the trace drawn during the download
             this.viewer.clear();
+            this.partialTrace = null;
+            this.structureFormat = format;
             
-            // Validate PDB data
-            if (!pdbData.includes('HEADER') || !pdbData.includes('ATOM')) {
-                throw new Error('Invalid PDB file format - missing required sections');
-            }
+            // Add the structure data to the viewer
+            this.viewer.addModel(structureData, format);
             
-            // Add the PDB data to the viewer
-            this.viewer.addModel(pdbData, 'pdb');
+            // Parse the file once into chains, residues and atoms; confidence, statistics and analysis all read from it
+            this.structure = this.buildStructure(structureData, format);
+            this.previousSelectedResidue = null;
+            if (this.structure.warnings.length > 0) {
+                console.warn(`${this.structure.warnings.length} problems reading the structure file:`, this.structure.warnings);
+            }
+            if (this.protein) {
+                this.protein.loadStructure(this.structure);
+                this.protein.structureSource = this.describeStructureSource();
+            }
+            this.confidenceData = this.getConfidenceData(this.structure);
             
-            // Parse confidence scores from PDB data
-            this.confidenceData = this.parseConfidenceScores(pdbData);
+            if (this.experimentalEntry) {
+                this.bFactorRange = this.calculateBFactorRange();
+            } else {
+                this.bFactorRange = null;
+                
+                // Compute pLDDT statistics once; the legend and the info panel both read these
+                this.confidenceStatistics = this.calculateConfidenceStatistics();
+            }
             
             // Set default cartoon style with confidence-based coloring
             this.applyConfidenceColoring('cartoon');
@@ -355,8 +817,11 @@ class VisualizerComponent {
             
             // Show confidence legend
             this.showConfidenceLegend();
+            if (this.ramachandranComponent) {
+                this.ramachandranComponent.showStructure(this.structure);
+            }
             
-            console.log('Protein structure rendered successfully');
+            console.log(`Protein structure rendered successfully (${format})`);
             console.log(`Confidence data parsed: ${this.confidenceData ? this.confidenceData.length : 0} residues`);
             
         } catch (error) {
@@ -365,44 +830,91 @@ class VisualizerComponent {
         }
     }
 
+    /**
+     * Draw a CA trace of the residues received so far, while the structure file is still downloading
+     * The trace is replaced by the full cartoon when renderStructure runs.
+     * @param {Array<Object>} residues - Newly received residues from the streaming parser
+     */
+    renderPartialStructure(residues) {
+        if (!this.viewer || !residues || residues.length === 0) return;
+        
+        try {
+            const pdbData = formatCaTracePdb(residues);
+            if (!pdbData) return;
+            
+            if (!this.partialTrace) {
+                this.viewer.clear();
+                this.partialTrace = { model: null };
+            }
+            
+            // New CA atoms join the single trace model, so 3Dmol connects them to the ones already drawn
+            const isFirstChunk = !this.partialTrace.model;
+            if (isFirstChunk) {
+                this.partialTrace.model = this.viewer.addModel(pdbData, 'pdb');
+            } else {
+                this.partialTrace.model.addMolData(pdbData, 'pdb');
+            }
+            // Styles only apply to atoms already in the model
+            this.viewer.setStyle({}, {
+                cartoon: {
+                    style: 'trace',
+                    thickness: 0.4,
+                    colorfunc: (atom) => this.getConfidenceColor(atom.b)
+                }
+            });
+            // Frame the first residues once; the camera stays put while the rest arrives
+            if (isFirstChunk) {
+                this.viewer.zoomTo();
+            }
+            this.viewer.render();
+        } catch (error) {
+            // The full structure is still rendered once the download finishes
+            console.warn('Could not draw partial structure:', error);
+        }
+    }
+
+    /**
+     * Parse a structure file into the shared structure model
+     * BinaryCIF is only decoded by 3Dmol.js, so it is read back from the atoms of the loaded model.
+     * @param {string|Uint8Array} structureData - Structure file content
+     * @param {string} format - 'pdb', 'cif' or 'bcif'
+     * @returns {Structure}
+     */
+    buildStructure(structureData, format) {
+        // B-factors of experimental structures measure atomic displacement, not confidence
+        const options = { confidenceInBFactor: !this.experimentalEntry };
+        if (format === 'bcif') {
+            const atoms = this.viewer && typeof this.viewer.selectedAtoms === 'function' ? this.viewer.selectedAtoms({}) : [];
+            return Structure.fromModelAtoms(atoms, options);
+        }
+        return Structure.parse(structureData, format, options);
+    }
+
+    /**
+     * List the per-residue confidence of a structure
+     * @param {Structure} structure - Parsed structure
+     * @returns {Array} Array of confidence data for each residue with a CA atom
+     */
+    getConfidenceData(structure) {
+        return structure.getPolymerResidues()
+            .filter(residue => structure.getAtom(residue, 'CA') && residue.bFactor !== null)
+            .map(residue => ({
+                residueNumber: residue.residueNumber,
+                residueName: residue.residueName,
+                chainId: residue.chainId,
+                bFactor: residue.bFactor,
+                confidenceScore: residue.plddt,
+                confidenceLevel: residue.plddt === null ? null : this.getConfidenceLevel(residue.plddt)
+            }));
+    }
+
     /**
      * Parse confidence scores from PDB B-factor data
      * @param {string} pdbData - PDB file content
      * @returns {Array} Array of confidence data for each residue
      */
     parseConfidenceScores(pdbData) {
-        const confidenceData = [];
-        const lines = pdbData.split('\n');
-        
-        for (const line of lines) {
-            // Parse ATOM records which contain B-factor (confidence) data
-            if (line.startsWith('ATOM') && line.length >= 66) {
-                try {
-                    // Extract relevant fields from PDB ATOM record
-                    const atomName = line.substring(12, 16).trim();
-                    const residueName = line.substring(17, 20).trim();
-                    const chainId = line.substring(21, 22).trim();
-                    const residueNumber = parseInt(line.substring(22, 26).trim());
-                    const bFactor = parseFloat(line.substring(60, 66).trim());
-                    
-                    // Only process CA (alpha carbon) atoms to avoid duplicates
-                    if (atomName === 'CA' && !isNaN(bFactor) && !isNaN(residueNumber)) {
-                        confidenceData.push({
-                            residueNumber,
-                            residueName,
-                            chainId,
-                            bFactor,
-                            confidenceScore: bFactor, // In AlphaFold PDBs, B-factor = confidence score
-                            confidenceLevel: this.getConfidenceLevel(bFactor)
-                        });
-                    }
-                } catch (error) {
-                    // Skip malformed lines
-                    continue;
-                }
-            }
-        }
-        
+        const confidenceData = this.getConfidenceData(Structure.fromPdb(pdbData));
         console.log(`Parsed confidence data for ${confidenceData.length} residues`);
         return confidenceData;
     }
@@ -444,8 +956,8 @@ class VisualizerComponent {
             this.viewer.setStyle({}, {});
             this.viewer.removeAllSurfaces();
             
-            // Create color function based on confidence scores
-            const colorFunction = (atom) => {
+            // Experimental structures are colored by each atom's own B-factor
+            const colorFunction = this.experimentalEntry ? (atom) => this.getBFactorColor(atom.b) : (atom) => {
                 // Find confidence data for this residue
                 const residueData = this.confidenceData.find(data => 
                     data.residueNumber === atom.resi && 
@@ -470,7 +982,7 @@ class VisualizerComponent {
                     opacity: 0.85,
                     colorscheme: {
                         prop: 'b', // Use B-factor (confidence score)
-                        map: (val) => {
+                        map: this.experimentalEntry ? (val) => this.getBFactorColor(val) : (val) => {
                             // Map confidence score to color
                             if (val >= 90) return '#0053D6'; // Very High - Dark Blue
                             if (val >= 70) return '#65CBF3'; // Confident - Light Blue  
@@ -673,6 +1185,7 @@ class VisualizerComponent {
         
         if (residueData) {
             // Clear previous selection
+            this.previousSelectedResidue = this.selectedResidue;
             if (this.selectedResidue) {
                 this.clearResidueHighlight(this.selectedResidue);
             }
@@ -704,10 +1217,14 @@ class VisualizerComponent {
                 <strong>${residueData.residueName}${residueData.residueNumber}</strong>
                 <div class="tooltip-info">
                     <span>Chain: ${residueData.chainId}</span>
-                    <span>Confidence: ${residueData.confidenceScore.toFixed(1)}%</span>
-                    <span class="confidence-level ${residueData.confidenceLevel}">
-                        ${this.getConfidenceLevelText(residueData.confidenceLevel)}
-                    </span>
+                    ${residueData.confidenceScore === null ? `
+                        <span>B-factor: ${residueData.bFactor.toFixed(1)} Å²</span>
+                    ` : `
+                        <span>Confidence: ${residueData.confidenceScore.toFixed(1)}%</span>
+                        <span class="confidence-level ${residueData.confidenceLevel}">
+                            ${this.getConfidenceLevelText(residueData.confidenceLevel)}
+                        </span>
+                    `}
                 </div>
             </div>
         `;
@@ -746,6 +1263,14 @@ class VisualizerComponent {
         popup.className = 'residue-details-popup';
         
         const aminoAcidInfo = this.getAminoAcidInfo(residueData.residueName);
+        const geometry = this.getResidueGeometry(residueData);
+        const sequencePosition = this.getSequencePosition(residueData.residueNumber, residueData.chainId);
+        let sequenceLabel = '';
+        if (sequencePosition === null) {
+            sequenceLabel = ' (not on the UniProt sequence)';
+        } else if (sequencePosition !== residueData.residueNumber) {
+            sequenceLabel = ` (sequence ${sequencePosition})`;
+        }
         
         popup.innerHTML = `
             <div class="popup-content">
@@ -757,12 +1282,22 @@ class VisualizerComponent {
                     <div class="residue-info-grid">
                         <div class="info-item">
                             <label>Position</label>
-                            <span>${residueData.residueNumber}</span>
+                            <span>${residueData.residueNumber}${sequenceLabel}</span>
                         </div>
                         <div class="info-item">
                             <label>Chain</label>
                             <span>${residueData.chainId}</span>
                         </div>
+                        ${residueData.confidenceScore === null ? `
+                        <div class="info-item">
+                            <label>B-factor</label>
+                            <span>${residueData.bFactor.toFixed(1)} Å²</span>
+                        </div>
+                        <div class="info-item">
+                            <label>Structure</label>
+                            <span>PDB ${this.experimentalEntry ? this.experimentalEntry.pdbId : ''}</span>
+                        </div>
+                        ` : `
                         <div class="info-item">
                             <label>Confidence Score</label>
                             <span class="confidence-score">${residueData.confidenceScore.toFixed(1)}%</span>
@@ -773,6 +1308,7 @@ class VisualizerComponent {
                                 ${this.getConfidenceLevelText(residueData.confidenceLevel)}
                             </span>
                         </div>
+                        `}
                     </div>
                     <div class="amino-acid-info">
                         <h5>Amino Acid Properties</h5>
@@ -792,10 +1328,37 @@ class VisualizerComponent {
                         </div>
                         <p class="amino-acid-description">${aminoAcidInfo.description}</p>
                     </div>
+                    ${geometry ? `
+                    <div class="residue-geometry">
+                        <h5>Backbone Geometry</h5>
+                        <div class="properties-grid">
+                            <div class="property-item">
+                                <label>Phi (φ)</label>
+                                <span>${this.formatAngle(geometry.phi)}</span>
+                            </div>
+                            <div class="property-item">
+                                <label>Psi (ψ)</label>
+                                <span>${this.formatAngle(geometry.psi)}</span>
+                            </div>
+                            <div class="property-item">
+                                <label>Omega (ω)</label>
+                                <span>${this.formatAngle(geometry.omega)}</span>
+                            </div>
+                        </div>
+                        ${geometry.distance ? `
+                        <p class="residue-distance">
+                            CA–CA distance to ${geometry.distance.residueData.residueName}${geometry.distance.residueData.residueNumber}:
+                            <strong>${geometry.distance.value.toFixed(1)} Å</strong>
+                        </p>
+                        ` : ''}
+                    </div>
+                    ` : ''}
+                    ${residueData.confidenceScore === null ? '' : `
                     <div class="confidence-explanation">
                         <h5>Confidence Score Meaning</h5>
                         <p>${this.getConfidenceExplanation(residueData.confidenceScore)}</p>
                     </div>
+                    `}
                 </div>
             </div>
         `;
@@ -914,6 +1477,218 @@ class VisualizerComponent {
         }
     }
 
+    /**
+     * Highlight a contiguous range of residues
+     * @param {Object} range - Residue range ({start, end, chainId}) in structure file numbering; every chain
+     *                         is highlighted when chainId is omitted
+     * @param {string} color - Highlight color
+     */
+    highlightResidueRange(range, color = '#FF0000') {
+        if (!this.viewer || !range) return;
+
+        try {
+            // Same sphere highlight as a single residue, over the whole range
+            this.viewer.addStyle(this.getResidueSelection(`${range.start}-${range.end}`, range.chainId), {
+                sphere: {
+                    color: color,
+                    radius: 1.5,
+                    opacity: 0.8
+                }
+            });
+
+            this.viewer.render();
+            console.log(`Highlighted residues: ${range.start}-${range.end}`);
+
+        } catch (error) {
+            console.error('Error highlighting residue range:', error);
+        }
+    }
+
+    /**
+     * Clear highlight from a range of residues
+     * @param {Object} range - Residue range ({start, end, chainId}) in structure file numbering
+     */
+    clearResidueRangeHighlight(range) {
+        if (!this.viewer || !range) return;
+
+        try {
+            this.viewer.removeStyle(this.getResidueSelection(`${range.start}-${range.end}`, range.chainId), { sphere: {} });
+
+            // Keep the clicked residue highlighted if it was inside the range
+            const selected = this.selectedResidue;
+            if (selected && selected.residueNumber >= range.start && selected.residueNumber <= range.end &&
+                (!range.chainId || selected.chainId === range.chainId)) {
+                this.highlightResidue(selected);
+            } else {
+                this.viewer.render();
+            }
+
+        } catch (error) {
+            console.error('Error clearing residue range highlight:', error);
+        }
+    }
+
+    /**
+     * Highlight a set of residues, which need not be contiguous
+     * @param {Array<Object>} residues - Residues ({chainId, residueNumber}) to highlight
+     * @param {string} color - Highlight color
+     */
+    highlightResidues(residues, color = '#FF0000') {
+        if (!this.viewer || !residues || residues.length === 0) return;
+
+        try {
+            residues.forEach(residue => {
+                this.viewer.addStyle({ resi: residue.residueNumber, chain: residue.chainId }, {
+                    sphere: {
+                        color: color,
+                        radius: 1.5,
+                        opacity: 0.8
+                    }
+                });
+            });
+
+            this.viewer.render();
+            console.log(`Highlighted ${residues.length} residues`);
+
+        } catch (error) {
+            console.error('Error highlighting residues:', error);
+        }
+    }
+
+    /**
+     * Clear the highlight from a set of residues
+     * @param {Array<Object>} residues - Residues ({chainId, residueNumber}) to clear
+     */
+    clearResidueHighlights(residues) {
+        if (!this.viewer || !residues || residues.length === 0) return;
+
+        try {
+            residues.forEach(residue => {
+                this.viewer.removeStyle({ resi: residue.residueNumber, chain: residue.chainId }, { sphere: {} });
+            });
+
+            // Keep the clicked residue highlighted if it was in the set
+            const selected = this.selectedResidue;
+            if (selected && residues.some(residue => residue.residueNumber === selected.residueNumber &&
+                residue.chainId === selected.chainId)) {
+                this.highlightResidue(selected);
+            } else {
+                this.viewer.render();
+            }
+
+        } catch (error) {
+            console.error('Error clearing residue highlights:', error);
+        }
+    }
+
+    /**
+     * Get the parsed data (name, chain, pLDDT) of a residue in the loaded file
+     * @param {number} residueNumber - Residue number in structure file numbering
+     * @param {string} chainId - Chain ID; the first chain with the residue if omitted
+     * @returns {Object|null} Residue data, or null if the residue is not in the model
+     */
+    getResidueData(residueNumber, chainId = null) {
+        if (!this.confidenceData) return null;
+        return this.confidenceData.find(data => data.residueNumber === residueNumber &&
+            (!chainId || data.chainId === chainId)) || null;
+    }
+
+    /**
+     * Measure the backbone of a residue and its distance to the previously selected residue
+     * @param {Object} residueData - Residue information from confidenceData
+     * @returns {Object|null} {phi, psi, omega, distance} with angles in degrees (null where undefined)
+     *     and distance ({residueData, value} in Å, or null), or null if the residue is not in the structure
+     */
+    getResidueGeometry(residueData) {
+        if (!this.structure || !residueData) return null;
+
+        const residue = this.structure.findResidue(residueData.residueNumber, residueData.chainId);
+        if (!residue) return null;
+
+        let distance = null;
+        const previous = this.previousSelectedResidue;
+        if (previous && previous !== residueData) {
+            const other = this.structure.findResidue(previous.residueNumber, previous.chainId);
+            const value = other ? this.structure.getResidueDistance(residue, other) : null;
+            if (value !== null) distance = { residueData: previous, value };
+        }
+
+        return { ...this.structure.getBackboneDihedrals(residue), distance };
+    }
+
+    /**
+     * Format an angle for display
+     * @param {number|null} angle - Angle in degrees
+     * @returns {string} Angle with one decimal, or a dash when it is undefined
+     */
+    formatAngle(angle) {
+        return angle === null ? '—' : `${angle.toFixed(1)}°`;
+    }
+
+    /**
+     * Estimate whether a residue is buried in the fold or exposed to solvent
+     * Counts CA atoms within 10 Å of the residue's CA, a cheap stand-in for solvent accessibility.
+     * @param {number} residueNumber - Residue number in structure file numbering
+     * @param {string} chainId - Chain ID; the first chain with the residue if omitted
+     * @returns {Object|null} Burial ({buried, neighborCount}), or null if the residue has no CA atom
+     */
+    getResidueBurial(residueNumber, chainId = null) {
+        if (!this.structure) return null;
+
+        const residue = this.structure.findResidue(residueNumber, chainId || null);
+        if (!residue || !this.structure.getAtom(residue, 'CA')) return null;
+
+        const neighborCount = this.structure.getNeighborResidues(residue, 10).length;
+        return { buried: neighborCount >= this.burialNeighborThreshold, neighborCount };
+    }
+
+    /**
+     * Draw a clickable marker sphere on the CA atom of a residue
+     * @param {number} residueNumber - Residue number in structure file numbering
+     * @param {string} color - Marker color
+     * @param {Function} onClick - Called with the click event when the marker is clicked
+     * @param {string} chainId - Chain ID; the first chain with the residue if omitted
+     * @returns {Object|null} Marker shape, or null if the residue has no CA atom
+     */
+    addResidueMarker(residueNumber, color, onClick = null, chainId = null) {
+        if (!this.viewer || typeof this.viewer.addSphere !== 'function') return null;
+
+        try {
+            const [ca] = this.viewer.selectedAtoms({ ...this.getResidueSelection(residueNumber, chainId), atom: 'CA' });
+            if (!ca) return null;
+
+            const marker = this.viewer.addSphere({
+                center: { x: ca.x, y: ca.y, z: ca.z },
+                radius: 1.2,
+                color: color,
+                opacity: 0.9,
+                clickable: !!onClick,
+                callback: onClick ? (shape, viewer, event) => onClick(event) : undefined
+            });
+            this.viewer.render();
+            return marker;
+
+        } catch (error) {
+            console.error('Error adding residue marker:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a marker drawn by addResidueMarker
+     * @param {Object} marker - Marker shape
+     */
+    removeResidueMarker(marker) {
+        if (!this.viewer || !marker || typeof this.viewer.removeShape !== 'function') return;
+
+        try {
+            this.viewer.removeShape(marker);
+            this.viewer.render();
+        } catch (error) {
+            console.error('Error removing residue marker:', error);
+        }
+    }
+
     /**
      * Toggle structural elements visibility
      * @param {string} elementType - Type of structural element (helix, sheet, loop)
@@ -949,7 +1724,8 @@ class VisualizerComponent {
                 const confidenceToggle = document.getElementById('confidence-colors');
                 const useConfidenceColors = confidenceToggle ? confidenceToggle.checked : true;
                 
-                if (useConfidenceColors && this.confidenceData) {
+                // Experimental structures have no pLDDT to color by
+                if (useConfidenceColors && this.confidenceData && !this.experimentalEntry) {
                     // Apply confidence-based coloring
                     const colorFunction = (atom) => {
                         const residueData = this.confidenceData.find(data => 
@@ -1003,6 +1779,7 @@ class VisualizerComponent {
             this.clearResidueHighlight(this.selectedResidue);
             this.selectedResidue = null;
         }
+        this.previousSelectedResidue = null;
         
         // Hide any open popups
         this.hideResidueDetails();
@@ -1026,17 +1803,119 @@ class VisualizerComponent {
         }
     }
 
+    /**
+     * Describe where the structure on screen came from, so it can be downloaded again
+     * @returns {Object} {type: 'pdb', pdbId} or {type: 'alphafold', entryId, fragmentNumber, modelVersion}
+     */
+    describeStructureSource() {
+        if (this.experimentalEntry) {
+            return { type: 'pdb', pdbId: this.experimentalEntry.pdbId };
+        }
+        const model = this.currentFragment || this.modelInfo;
+        return {
+            type: 'alphafold',
+            entryId: model ? model.entryId : null,
+            fragmentNumber: model ? model.fragmentNumber : null,
+            modelVersion: this.modelInfo ? this.modelInfo.modelVersion : null
+        };
+    }
+
+    /**
+     * Read the current view settings from the controls and the camera
+     * @returns {Object} {style, confidenceColors, structuralElements: {helix, sheet, loop}, camera}
+     */
+    getViewSettings() {
+        const styleSelector = document.getElementById('style-selector');
+        const confidenceToggle = document.getElementById('confidence-colors');
+        const isShown = (id) => {
+            const toggle = document.getElementById(id);
+            return toggle ? toggle.checked : true;
+        };
+
+        return {
+            style: styleSelector ? styleSelector.value : 'cartoon',
+            confidenceColors: confidenceToggle ? confidenceToggle.checked : true,
+            structuralElements: {
+                helix: isShown('show-helices'),
+                sheet: isShown('show-sheets'),
+                loop: isShown('show-loops')
+            },
+            camera: this.viewer && typeof this.viewer.getView === 'function' ? this.viewer.getView() : null
+        };
+    }
+
+    /**
+     * Apply view settings saved by getViewSettings
+     * @param {Object} view - View settings
+     */
+    applyViewSettings(view) {
+        if (!this.viewer || !view) return;
+
+        const styleSelector = document.getElementById('style-selector');
+        const confidenceToggle = document.getElementById('confidence-colors');
+        if (styleSelector) styleSelector.value = view.style;
+        if (confidenceToggle) confidenceToggle.checked = view.confidenceColors;
+        this.updateVisualizationStyle(view.style);
+
+        const toggles = { helix: 'show-helices', sheet: 'show-sheets', loop: 'show-loops' };
+        Object.entries(toggles).forEach(([elementType, id]) => {
+            const visible = view.structuralElements[elementType] !== false;
+            const toggle = document.getElementById(id);
+            if (toggle) toggle.checked = visible;
+            if (!visible) this.toggleStructuralElement(elementType, false);
+        });
+
+        if (view.camera && typeof this.viewer.setView === 'function') {
+            this.viewer.setView(view.camera);
+        }
+        this.viewer.render();
+    }
+
+    /**
+     * Select a residue without a click, e.g. when reopening a session
+     * @param {string} chainId - Chain ID
+     * @param {number} residueNumber - Residue number in structure file numbering
+     * @returns {boolean} Whether the residue is in the structure
+     */
+    selectResidue(chainId, residueNumber) {
+        if (!this.confidenceData) return false;
+
+        const residueData = this.confidenceData.find(data =>
+            data.residueNumber === residueNumber && (!chainId || data.chainId === chainId)
+        );
+        if (!residueData) return false;
+
+        if (this.selectedResidue) {
+            this.clearResidueHighlight(this.selectedResidue);
+        }
+        this.selectedResidue = residueData;
+        this.highlightResidue(residueData);
+        return true;
+    }
+
     /**
      * Show confidence legend with statistics
      */
     showConfidenceLegend() {
+        if (this.experimentalEntry) {
+            this.showBFactorLegend();
+            return;
+        }
+        
         this.legendContainer.style.display = 'block';
         
-        // Calculate confidence statistics
-        const stats = this.calculateConfidenceStatistics();
+        // Reuse the statistics computed at render time when available
+        const stats = this.confidenceStatistics || this.calculateConfidenceStatistics();
         
         this.legendContainer.innerHTML = `
             <h3>Confidence Score Legend</h3>
+            ${this.hasMultipleFragments() && this.currentFragment ? `
+                <p class="fragment-note">
+                    Statistics for fragment F${this.currentFragment.fragmentNumber}
+                    (residues ${this.currentFragment.coverage.start}-${this.currentFragment.coverage.end}
+                    of ${this.currentFragment.coverage.sequenceLength})
+                </p>
+            ` : ''}
             <div class="legend-content">
                 <div class="legend-item">
                     <div class="legend-color" style="background: #0053D6;"></div>
@@ -1062,9 +1941,11 @@ class VisualizerComponent {
             <div class="confidence-stats">
                 <p><strong>Overall Statistics:</strong></p>
                 <p>Average Confidence: <strong>${stats.averageConfidence}%</strong></p>
+                <p>Median Confidence: <strong>${stats.medianConfidence}%</strong></p>
                 <p>Total Residues: <strong>${stats.totalResidues}</strong></p>
                 <p>High Confidence Regions: <strong>${stats.highConfidencePercent}%</strong> (≥70)</p>
             </div>
+            ${this.getModelProvenanceHtml()}
             <p class="legend-note">
                 Colors represent AlphaFold's confidence in the predicted structure. Higher confidence regions are more reliable for structural analysis.
             </p>
@@ -1072,15 +1953,121 @@ class VisualizerComponent {
     }
 
     /**
-     * Calculate confidence statistics from parsed data
-     * @returns {Object} Statistics about confidence distribution
+     * Show the B-factor color scale and the provenance of the displayed experimental structure
+     */
+    showBFactorLegend() {
+        const entry = this.experimentalEntry;
+        const range = this.bFactorRange || { min: 0, max: 0 };
+        const resolution = entry.resolution !== null ? `${entry.resolution.toFixed(2)} Å` : 'Not applicable';
+        const coverage = entry.ranges.map(item => `${item.chains.join('/')}: ${item.start}-${item.end}`).join(', ');
+        
+        this.legendContainer.style.display = 'block';
+        this.legendContainer.innerHTML = `
+            <h3>B-factor Legend</h3>
+            <div class="bfactor-scale">
+                <span>${range.min.toFixed(0)} Å²</span>
+                <div class="bfactor-scale-bar"></div>
+                <span>${range.max.toFixed(0)} Å²</span>
+            </div>
+            <div class="model-provenance">
+                <p><strong>Structure:</strong> <a href="https://www.rcsb.org/structure/${entry.pdbId}" target="_blank" rel="noopener">PDB ${entry.pdbId}</a></p>
+                <p><strong>Method:</strong> ${entry.method}</p>
+                <p><strong>Resolution:</strong> ${resolution}</p>
+                <p><strong>Chains of this protein:</strong> ${coverage || 'Unknown'}</p>
+            </div>
+            <p class="legend-note">
+                This is an experimentally determined structure, not a prediction. Colors show B-factors
+                (atomic displacement): blue atoms are well ordered, red atoms are mobile or poorly resolved.
+                B-factors are not comparable between entries.
+            </p>
+        `;
+    }
+
+    /**
+     * Get the spread of CA B-factors in the displayed experimental structure
+     * The 5th and 95th percentiles are used so a few disordered atoms do not wash out the scale.
+     * @returns {Object} Range ({min, max}) in Å²
+     */
+    calculateBFactorRange() {
+        const values = (this.confidenceData || [])
+            .map(residue => residue.bFactor)
+            .filter(value => typeof value === 'number' && !isNaN(value))
+            .sort((a, b) => a - b);
+        if (values.length === 0) return { min: 0, max: 0 };
+        
+        const at = (fraction) => values[Math.min(values.length - 1, Math.floor(fraction * values.length))];
+        return { min: at(0.05), max: at(0.95) };
+    }
+
+    /**
+     * Get color for a B-factor on a blue-white-red scale over the structure's B-factor range
+     * @param {number} value - B-factor in Å²
+     * @returns {string} Hex color code
+     */
+    getBFactorColor(value) {
+        const range = this.bFactorRange;
+        if (typeof value !== 'number' || isNaN(value) || !range) return '#CCCCCC';
+        
+        const span = range.max - range.min;
+        const fraction = span > 0 ? Math.min(Math.max((value - range.min) / span, 0), 1) : 0.5;
+        const blue = [33, 102, 172];
+        const white = [247, 247, 247];
+        const red = [178, 24, 43];
+        const [from, to, t] = fraction < 0.5 ? [blue, white, fraction * 2] : [white, red, (fraction - 0.5) * 2];
+        
+        return '#' + from
+            .map((component, index) => Math.round(component + (to[index] - component) * t).toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+
+    /**
+     * Build the model provenance block (entry, version, date, coverage, files)
+     * @returns {string} HTML for the provenance block, or empty string if unknown
+     */
+    getModelProvenanceHtml() {
+        if (!this.modelInfo) return '';
+        
+        // Describe the fragment on screen when the model is split
+        const model = this.currentFragment || this.modelInfo;
+        const coverage = model.coverage || {};
+        const createdDate = model.modelCreatedDate
+            ? new Date(model.modelCreatedDate).toLocaleDateString()
+            : 'Unknown';
+        const coverageText = coverage.sequenceLength
+            ? `Residues ${coverage.start}-${coverage.end} of ${coverage.sequenceLength} (${coverage.percent}%)`
+            : 'Unknown';
+        const fileLinks = [
+            ['PDB', model.files.pdb],
+            ['mmCIF', model.files.cif],
+            ['PAE', model.files.pae]
+        ]
+            .filter(([, url]) => url)
+            .map(([label, url]) => `<a href="${url}" target="_blank" rel="noopener">${label}</a>`)
+            .join(' · ');
+        
+        return `
+            <div class="model-provenance">
+                <p><strong>Model:</strong> ${model.entryId || 'Unknown'} (version ${model.modelVersion || 'unknown'})</p>
+                <p><strong>Created:</strong> ${createdDate}</p>
+                <p><strong>Sequence Coverage:</strong> ${coverageText}</p>
+                ${fileLinks ? `<p><strong>Files:</strong> ${fileLinks}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Calculate per-residue pLDDT statistics from parsed data
+     * @returns {Object} Statistics about confidence distribution (counts, percentages,
+     *                   fractions per band, mean and median)
      */
     calculateConfidenceStatistics() {
         if (!this.confidenceData || this.confidenceData.length === 0) {
             return {
                 veryHigh: 0, confident: 0, low: 0, veryLow: 0,
                 veryHighPercent: 0, confidentPercent: 0, lowPercent: 0, veryLowPercent: 0,
-                averageConfidence: 0, totalResidues: 0, highConfidencePercent: 0
+                fractions: { veryHigh: 0, confident: 0, low: 0, veryLow: 0 },
+                averageConfidence: 0, medianConfidence: 0, totalResidues: 0, highConfidencePercent: 0
             };
         }
 
@@ -1098,7 +2085,17 @@ class VisualizerComponent {
             else veryLow++;
         });
 
+        // Median of the per-residue scores
+        const sortedScores = this.confidenceData
+            .map(residue => residue.confidenceScore)
+            .sort((a, b) => a - b);
+        const middle = Math.floor(total / 2);
+        const median = total % 2 === 0
+            ? (sortedScores[middle - 1] + sortedScores[middle]) / 2
+            : sortedScores[middle];
+
         const averageConfidence = Math.round(totalScore / total * 10) / 10;
+        const medianConfidence = Math.round(median * 10) / 10;
         const highConfidenceCount = veryHigh + confident;
         const highConfidencePercent = Math.round((highConfidenceCount / total) * 100);
 
@@ -1111,7 +2108,14 @@ class VisualizerComponent {
             confidentPercent: Math.round((confident / total) * 100),
             lowPercent: Math.round((low / total) * 100),
             veryLowPercent: Math.round((veryLow / total) * 100),
+            fractions: {
+                veryHigh: veryHigh / total,
+                confident: confident / total,
+                low: low / total,
+                veryLow: veryLow / total
+            },
             averageConfidence,
+            medianConfidence,
             totalResidues: total,
             highConfidencePercent
         };
@@ -1362,9 +2366,18 @@ class VisualizerComponent {
         let userAction = 'Please try again or select a different protein.';
         let suggestions = [];
         let isStructureUnavailable = false;
+        let isIsoformUnavailable = false;
 
         // Provide specific guidance based on error type
-        if (error.message && error.message.includes('No AlphaFold structure available')) {
+        if (error.message && error.message.includes('No AlphaFold structure available for isoform')) {
+            isStructureUnavailable = true;
+            isIsoformUnavailable = true;
+            userAction = 'AlphaFold only predicts the canonical sequence of each UniProt entry.';
+            suggestions = [
+                'Choose the canonical isoform in the protein information panel',
+                'Search for the entry accession without the isoform number'
+            ];
+        } else if (error.message && error.message.includes('No AlphaFold structure available')) {
             isStructureUnavailable = true;
             userAction = 'This protein structure is not available in the AlphaFold database.';
             suggestions = [
@@ -1372,7 +2385,7 @@ class VisualizerComponent {
                 'Check the AlphaFold database directly for availability',
                 'Some proteins may not be included due to size or complexity limitations'
             ];
-        } else if (error.message && error.message.includes('Invalid PDB file format')) {
+        } else if (error.message && (error.message.includes('file format received') || error.message.includes('Invalid structure file format'))) {
             userAction = 'The downloaded structure file appears to be corrupted.';
             suggestions = [
                 'Try downloading the structure again',
@@ -1421,7 +2434,11 @@ class VisualizerComponent {
                     ` : ''}
                     <div class="error-protein-info">
                         <p><strong>Protein ID:</strong> ${uniprotId}</p>
-                        ${isStructureUnavailable ? `
+                        ${isIsoformUnavailable ? `
+                            <p><strong>Note:</strong> Isoforms from alternative splicing or initiation are described
+                            in UniProt, but AlphaFold models are only built for the canonical sequence.</p>
+                        ` : ''}
+                        ${isStructureUnavailable && !isIsoformUnavailable ? `
                             <p><strong>Note:</strong> AlphaFold provides predicted structures for millions of proteins, 
                             but not all proteins are included. Coverage focuses on model organisms and proteins of 
                             scientific interest.</p>
@@ -1642,14 +2659,37 @@ class VisualizerComponent {
         
         // Clear current protein
         this.currentProtein = null;
+        this.protein = null;
+        this.structure = null;
+        this.confidenceStatistics = null;
+        this.modelInfo = null;
+        this.currentFragment = null;
+        this.experimentalEntry = null;
         
         // Clear selection
         this.selectedResidue = null;
+        this.previousSelectedResidue = null;
         this.hoveredResidue = null;
         
         // Hide tooltips and popups
         this.hideResidueTooltip();
         this.hideResidueDetails();
+        
+        if (this.paeComponent) {
+            this.paeComponent.hide();
+        }
+        if (this.featureComponent) {
+            this.featureComponent.hide();
+        }
+        if (this.variantComponent) {
+            this.variantComponent.hide();
+        }
+        if (this.experimentalComponent) {
+            this.experimentalComponent.hide();
+        }
+        if (this.ramachandranComponent) {
+            this.ramachandranComponent.hide();
+        }
     }
 }
 
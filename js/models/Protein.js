@@ -1,3 +1,8 @@
+/**
+ * Version of the object written by Protein.toJSON; raise it when the fields change
+ */
+const PROTEIN_SCHEMA_VERSION = 1;
+
 /**
  * Protein model class for managing protein data
  */
@@ -10,23 +15,37 @@ class Protein {
             throw new Error('Invalid UniProt ID format');
         }
         
-        this.uniprotId = uniprotId.toUpperCase();
+        this.uniprotId = uniprotId.trim().toUpperCase();
         this.name = name;
         this.organism = organism;
         this.sequenceLength = null;
         this.confidenceScore = null;
         this.description = null;
         this.structureData = null;
+        // Where structureData came from, e.g. {type: 'alphafold', entryId, fragmentNumber, modelVersion} or {type: 'pdb', pdbId}
+        this.structureSource = null;
+        // Residues picked by the user ({chainId, residueNumber}) and their free-text notes
+        this.selectedResidues = [];
+        this.notes = '';
         this.lastUpdated = new Date();
     }
 
     /**
      * Load structure data for this protein
-     * @returns {Promise<void>}
+     * @param {string|Structure} source - PDB or mmCIF file content, or an already parsed structure
+     * @param {Object} options - format ('pdb' or 'cif', default 'pdb') and the options of Structure.fromResidues
+     * @returns {Structure} Parsed structure, also kept in structureData
      */
-    async loadStructure() {
-        // Implementation will be added in later tasks
-        console.log(`Loading structure for protein ${this.uniprotId}`);
+    loadStructure(source, options = {}) {
+        if (source instanceof Structure) {
+            this.structureData = source;
+        } else if (typeof source === 'string' && source.trim() !== '') {
+            const { format = 'pdb', ...parseOptions } = options;
+            this.structureData = Structure.parse(source, format, parseOptions);
+        } else {
+            throw new Error('Structure data is required');
+        }
+        return this.structureData;
     }
 
     /**
@@ -69,6 +88,62 @@ class Protein {
         };
     }
 
+    /**
+     * Serialize the protein for saving
+     * The parsed structure is not included, only structureSource, from which it can be downloaded again.
+     * @returns {Object} Plain object understood by Protein.fromJSON
+     */
+    toJSON() {
+        return {
+            schemaVersion: PROTEIN_SCHEMA_VERSION,
+            uniprotId: this.uniprotId,
+            name: this.name,
+            organism: this.organism,
+            sequenceLength: this.sequenceLength,
+            confidenceScore: this.confidenceScore,
+            description: this.description,
+            structureSource: this.structureSource ? { ...this.structureSource } : null,
+            selectedResidues: this.selectedResidues.map(residue => ({
+                chainId: residue.chainId,
+                residueNumber: residue.residueNumber
+            })),
+            notes: this.notes,
+            lastUpdated: this.lastUpdated.toISOString()
+        };
+    }
+
+    /**
+     * Restore a protein saved by toJSON
+     * @param {Object} data - Object from toJSON, e.g. after JSON.parse
+     * @returns {Protein}
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Protein data must be an object');
+        }
+        if (typeof data.schemaVersion === 'number' && data.schemaVersion > PROTEIN_SCHEMA_VERSION) {
+            throw new Error(`Protein data uses schema version ${data.schemaVersion}, but only versions up to ${PROTEIN_SCHEMA_VERSION} are supported`);
+        }
+
+        const protein = new Protein(data.uniprotId, data.name || '', data.organism || '');
+        protein.sequenceLength = typeof data.sequenceLength === 'number' ? data.sequenceLength : null;
+        protein.confidenceScore = typeof data.confidenceScore === 'number' ? data.confidenceScore : null;
+        protein.description = data.description || null;
+        protein.structureSource = data.structureSource ? { ...data.structureSource } : null;
+        protein.selectedResidues = Array.isArray(data.selectedResidues)
+            ? data.selectedResidues
+                .filter(residue => residue && Number.isInteger(residue.residueNumber))
+                .map(residue => ({ chainId: residue.chainId || '', residueNumber: residue.residueNumber }))
+            : [];
+        protein.notes = typeof data.notes === 'string' ? data.notes : '';
+
+        const lastUpdated = data.lastUpdated ? new Date(data.lastUpdated) : null;
+        if (lastUpdated && !isNaN(lastUpdated.getTime())) {
+            protein.lastUpdated = lastUpdated;
+        }
+        return protein;
+    }
+
     /**
      * Check if protein has complete metadata
      * @returns {boolean}
@@ -83,10 +158,8 @@ class Protein {
      * @returns {boolean}
      */
     static isValidUniProtId(id) {
-        if (!id || typeof id !== 'string') return false;
-        // UniProt ID format: 6-10 alphanumeric characters
-        const uniprotRegex = /^[A-Z0-9]{6,10}$/i;
-        return uniprotRegex.test(id);
+        // Shared with APIService; see proteinUtils.js for the accession grammar
+        return isValidUniProtId(id);
     }
 
     /**
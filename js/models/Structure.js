@@ -0,0 +1,443 @@
+/**
+ * One-letter codes of the standard amino acids and common modified residues
+ */
+const AMINO_ACID_CODES = {
+    ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
+    LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+    SEC: 'U', PYL: 'O', MSE: 'M'
+};
+
+/**
+ * In-memory model of a structure file: chains hold residues, residues hold atoms
+ *
+ * A residue is a plain object:
+ * {chainId, residueNumber, insertionCode, residueName, hetero, sequenceIndex, secondaryStructure, bFactor, plddt, atoms}
+ * - sequenceIndex: 0-based position among the polymer residues of its chain (null for ligands and water)
+ * - secondaryStructure: 'helix', 'sheet' or 'coil'
+ * - bFactor: B-factor of the CA atom (or the first atom when there is no CA)
+ * - plddt: AlphaFold per-residue confidence, or null for experimental structures
+ * An atom is {name, element, x, y, z, bFactor}.
+ */
+class Structure {
+    /**
+     * @param {Array<Object>} chains - Chains ({id, residues}) in file order
+     * @param {string} format - Format the structure was read from ('pdb', 'cif' or 'bcif')
+     * @param {Object} details - Optional file header and parser warnings ({header, warnings})
+     */
+    constructor(chains = [], format = null, details = {}) {
+        this.chains = chains;
+        this.format = format;
+        this.header = details.header || null;
+        this.warnings = details.warnings || [];
+        this.residues = chains.flatMap(chain => chain.residues);
+        this.residueIndex = new Map(this.residues.map(residue => [
+            Structure.residueKey(residue.chainId, residue.residueNumber, residue.insertionCode),
+            residue
+        ]));
+    }
+
+    /**
+     * Read a PDB or mmCIF file
+     * @param {string} structureData - File content
+     * @param {string} format - 'pdb' or 'cif'
+     * @param {Object} options - See fromResidues
+     * @returns {Structure}
+     */
+    static parse(structureData, format, options = {}) {
+        if (format === 'pdb') return Structure.fromPdb(structureData, options);
+        if (format === 'cif') return Structure.fromCif(structureData, options);
+        throw new Error(`Cannot read ${format || 'unknown'} structure files as text`);
+    }
+
+    /**
+     * Read the first model of a PDB file, with secondary structure from its HELIX and SHEET records
+     * Only the first alternate location of each atom is kept. Records that cannot be read end up in warnings.
+     * @param {string} pdbData - PDB file content
+     * @param {Object} options - See fromResidues
+     * @returns {Structure}
+     */
+    static fromPdb(pdbData, options = {}) {
+        const parsed = parsePdb(pdbData);
+        const atoms = parsed.models.length > 0 ? selectFirstAltLocs(parsed.models[0].atoms) : [];
+
+        return Structure.fromResidues(Structure.groupAtoms(atoms), {
+            ...options,
+            format: 'pdb',
+            secondaryStructure: [...parsed.helices, ...parsed.sheets],
+            header: parsed.header,
+            warnings: parsed.warnings
+        });
+    }
+
+    /**
+     * Read the first model of an mmCIF file
+     * pLDDT comes from the pLDDT rows of _ma_qa_metric_local when present and secondary structure from
+     * _struct_conf and _struct_sheet_range. Author chain IDs and numbering are used throughout.
+     * @param {string} cifData - mmCIF file content
+     * @param {Object} options - See fromResidues
+     * @returns {Structure}
+     */
+    static fromCif(cifData, options = {}) {
+        const rows = parseCifCategory(cifData, 'atom_site');
+        const firstModel = rows.length > 0 ? rows[0].pdbx_PDB_model_num : undefined;
+
+        const atoms = [];
+        const authByLabel = new Map();
+        rows.forEach(row => {
+            if (row.pdbx_PDB_model_num !== firstModel) return;
+            const atom = cifRowToAtom(row);
+            if (!atom) return;
+            atoms.push({ ...atom, hetero: row.group_PDB === 'HETATM' });
+            authByLabel.set(`${row.label_asym_id}:${row.label_seq_id}`, Structure.residueKey(atom.chainId, atom.residueNumber, atom.insertionCode));
+        });
+
+        const plddtByResidue = new Map();
+        getCifPlddtMetrics(cifData).forEach(metric => {
+            const key = authByLabel.get(`${metric.label_asym_id}:${metric.label_seq_id}`);
+            const value = parseFloat(metric.metric_value);
+            if (key && !isNaN(value)) plddtByResidue.set(key, value);
+        });
+
+        const toRange = (row, type) => {
+            const start = parseInt(row.beg_auth_seq_id || row.beg_label_seq_id, 10);
+            const end = parseInt(row.end_auth_seq_id || row.end_label_seq_id, 10);
+            const chainId = row.beg_auth_asym_id || row.beg_label_asym_id;
+            return isNaN(start) || isNaN(end) ? null : { type, chainId, start, end };
+        };
+        const ranges = [
+            ...parseCifCategory(cifData, 'struct_conf').map(row => {
+                const type = row.conf_type_id || '';
+                if (type.startsWith('HELX')) return toRange(row, 'helix');
+                // ModelCIF files from AlphaFold list strands in _struct_conf
+                if (type.startsWith('STRN')) return toRange(row, 'sheet');
+                return null;
+            }),
+            ...parseCifCategory(cifData, 'struct_sheet_range').map(row => toRange(row, 'sheet'))
+        ];
+
+        return Structure.fromResidues(Structure.groupAtoms(atoms), {
+            ...options,
+            format: 'cif',
+            secondaryStructure: ranges.filter(Boolean),
+            plddtByResidue
+        });
+    }
+
+    /**
+     * Build a structure from the atoms of a 3Dmol.js model, e.g. for BinaryCIF files that are only parsed by 3Dmol
+     * @param {Array<Object>} modelAtoms - Atoms from viewer.selectedAtoms
+     * @param {Object} options - See fromResidues
+     * @returns {Structure}
+     */
+    static fromModelAtoms(modelAtoms, options = {}) {
+        const ranges = [];
+        const atoms = modelAtoms.map(atom => {
+            const secondaryStructure = atom.ss === 'h' ? 'helix' : atom.ss === 's' ? 'sheet' : null;
+            if (secondaryStructure) {
+                ranges.push({ type: secondaryStructure, chainId: atom.chain, start: atom.resi, end: atom.resi });
+            }
+            return {
+                name: atom.atom,
+                residueName: atom.resn,
+                chainId: atom.chain,
+                residueNumber: atom.resi,
+                insertionCode: atom.icode || '',
+                x: atom.x,
+                y: atom.y,
+                z: atom.z,
+                bFactor: atom.b,
+                element: atom.elem || '',
+                hetero: !!atom.hetflag
+            };
+        });
+
+        return Structure.fromResidues(Structure.groupAtoms(atoms), {
+            ...options,
+            format: options.format || 'bcif',
+            secondaryStructure: ranges
+        });
+    }
+
+    /**
+     * Group consecutive atoms of the same residue
+     * @param {Array<Object>} atoms - Atoms with residue identifiers (see parsePdbAtomRecord) and a hetero flag
+     * @returns {Array<Object>} Residues ({chainId, residueNumber, insertionCode, residueName, hetero, atoms})
+     */
+    static groupAtoms(atoms) {
+        const residues = [];
+        let current = null;
+
+        atoms.forEach(atom => {
+            if (!current || current.chainId !== atom.chainId || current.residueNumber !== atom.residueNumber ||
+                current.insertionCode !== atom.insertionCode) {
+                current = {
+                    chainId: atom.chainId,
+                    residueNumber: atom.residueNumber,
+                    insertionCode: atom.insertionCode,
+                    residueName: atom.residueName,
+                    hetero: atom.hetero,
+                    atoms: []
+                };
+                residues.push(current);
+            }
+            current.atoms.push({
+                name: atom.name,
+                element: atom.element,
+                x: atom.x,
+                y: atom.y,
+                z: atom.z,
+                bFactor: atom.bFactor
+            });
+        });
+
+        return residues;
+    }
+
+    /**
+     * Build a structure from grouped residues
+     * @param {Array<Object>} residues - Residues from groupAtoms
+     * @param {Object} options
+     * @param {string} options.format - Format the residues were read from
+     * @param {boolean} options.confidenceInBFactor - Whether B-factors hold pLDDT, as in AlphaFold models (default true)
+     * @param {Map} options.plddtByResidue - pLDDT by residue key, overriding the B-factors
+     * @param {Array<Object>} options.secondaryStructure - Helix and sheet ranges ({type, chainId, start, end})
+     * @param {Object} options.header - File header, e.g. from parsePdb
+     * @param {Array<Object>} options.warnings - Problems met while reading the file
+     * @returns {Structure}
+     */
+    static fromResidues(residues, options = {}) {
+        const {
+            format = null, confidenceInBFactor = true, plddtByResidue = null, secondaryStructure = [], header = null, warnings = []
+        } = options;
+        const chains = new Map();
+
+        residues.forEach(residue => {
+            if (!chains.has(residue.chainId)) {
+                chains.set(residue.chainId, { id: residue.chainId, residues: [], polymerLength: 0 });
+            }
+            const chain = chains.get(residue.chainId);
+
+            const ca = residue.atoms.find(atom => atom.name === 'CA') || residue.atoms[0];
+            const bFactor = ca && typeof ca.bFactor === 'number' && !isNaN(ca.bFactor) ? ca.bFactor : null;
+            const key = Structure.residueKey(residue.chainId, residue.residueNumber, residue.insertionCode);
+            let plddt = null;
+            if (plddtByResidue && plddtByResidue.has(key)) {
+                plddt = plddtByResidue.get(key);
+            } else if (confidenceInBFactor) {
+                plddt = bFactor;
+            }
+            const range = secondaryStructure.find(candidate => candidate.chainId === residue.chainId &&
+                residue.residueNumber >= candidate.start && residue.residueNumber <= candidate.end);
+
+            chain.residues.push({
+                chainId: residue.chainId,
+                residueNumber: residue.residueNumber,
+                insertionCode: residue.insertionCode || '',
+                residueName: residue.residueName,
+                hetero: !!residue.hetero,
+                sequenceIndex: residue.hetero ? null : chain.polymerLength++,
+                secondaryStructure: range ? range.type : 'coil',
+                bFactor,
+                plddt,
+                atoms: residue.atoms
+            });
+        });
+
+        return new Structure(Array.from(chains.values()).map(({ id, residues: chainResidues }) => ({
+            id,
+            residues: chainResidues
+        })), format, { header, warnings });
+    }
+
+    /**
+     * Build the lookup key of a residue
+     * @param {string} chainId - Chain ID
+     * @param {number} residueNumber - Residue number
+     * @param {string} insertionCode - Insertion code, empty if none
+     * @returns {string}
+     */
+    static residueKey(chainId, residueNumber, insertionCode = '') {
+        return `${chainId}:${residueNumber}:${insertionCode || ''}`;
+    }
+
+    /**
+     * Get a chain by ID
+     * @param {string} chainId - Chain ID
+     * @returns {Object|null} Chain ({id, residues}), or null if not in the structure
+     */
+    getChain(chainId) {
+        return this.chains.find(chain => chain.id === chainId) || null;
+    }
+
+    /**
+     * Get all residues in file order
+     * @returns {Array<Object>}
+     */
+    getResidues() {
+        return this.residues;
+    }
+
+    /**
+     * Get the residues of the polymer chains, leaving out ligands and water
+     * @returns {Array<Object>}
+     */
+    getPolymerResidues() {
+        return this.residues.filter(residue => !residue.hetero);
+    }
+
+    /**
+     * Get a residue by its identifiers
+     * @param {string} chainId - Chain ID
+     * @param {number} residueNumber - Residue number
+     * @param {string} insertionCode - Insertion code, empty if none
+     * @returns {Object|null} Residue, or null if not in the structure
+     */
+    getResidue(chainId, residueNumber, insertionCode = '') {
+        return this.residueIndex.get(Structure.residueKey(chainId, residueNumber, insertionCode)) || null;
+    }
+
+    /**
+     * Find a residue by number, in the given chain or the first chain that has it
+     * @param {number} residueNumber - Residue number
+     * @param {string} chainId - Optional chain ID
+     * @returns {Object|null} Residue, or null if not in the structure
+     */
+    findResidue(residueNumber, chainId = null) {
+        return this.residues.find(residue => residue.residueNumber === residueNumber &&
+            (chainId === null || residue.chainId === chainId)) || null;
+    }
+
+    /**
+     * Get an atom of a residue by name
+     * @param {Object} residue - Residue of this structure
+     * @param {string} name - Atom name, e.g. 'CA'
+     * @returns {Object|null} Atom, or null if the residue lacks it
+     */
+    getAtom(residue, name) {
+        return residue ? residue.atoms.find(atom => atom.name === name) || null : null;
+    }
+
+    /**
+     * Count the atoms in the structure
+     * @returns {number}
+     */
+    getAtomCount() {
+        return this.residues.reduce((count, residue) => count + residue.atoms.length, 0);
+    }
+
+    /**
+     * Get the one-letter sequence of a chain's polymer residues
+     * @param {string} chainId - Chain ID; the first chain when not given
+     * @returns {string} Sequence, with X for unknown residues
+     */
+    getSequence(chainId = null) {
+        const chain = chainId === null ? this.chains[0] : this.getChain(chainId);
+        if (!chain) return '';
+        return chain.residues
+            .filter(residue => !residue.hetero)
+            .map(residue => AMINO_ACID_CODES[residue.residueName] || 'X')
+            .join('');
+    }
+
+    /**
+     * Find the polymer residues whose CA lies within a distance of a residue's CA
+     * @param {Object} residue - Residue of this structure
+     * @param {number} radius - Distance in Å
+     * @returns {Array<Object>} Neighboring residues, not including the residue itself
+     */
+    getNeighborResidues(residue, radius) {
+        const center = this.getAtom(residue, 'CA');
+        if (!center) return [];
+
+        const radiusSquared = radius * radius;
+        return this.getPolymerResidues().filter(other => {
+            if (other === residue) return false;
+            const ca = this.getAtom(other, 'CA');
+            if (!ca) return false;
+            const dx = ca.x - center.x;
+            const dy = ca.y - center.y;
+            const dz = ca.z - center.z;
+            return dx * dx + dy * dy + dz * dz <= radiusSquared;
+        });
+    }
+
+    /**
+     * Get the polymer residues either side of a residue in its chain
+     * @param {Object} residue - Polymer residue of this structure
+     * @returns {Object} {previous, next}, each null at the ends of the chain
+     */
+    getAdjacentResidues(residue) {
+        const chain = residue && residue.sequenceIndex !== null ? this.getChain(residue.chainId) : null;
+        if (!chain) return { previous: null, next: null };
+
+        const polymer = chain.residues.filter(other => !other.hetero);
+        return {
+            previous: polymer[residue.sequenceIndex - 1] || null,
+            next: polymer[residue.sequenceIndex + 1] || null
+        };
+    }
+
+    /**
+     * Get the backbone dihedral angles of a residue
+     * @param {Object} residue - Polymer residue of this structure
+     * @returns {Object} {phi, psi, omega} in degrees, null where undefined (see backboneDihedrals)
+     */
+    getBackboneDihedrals(residue) {
+        const { previous, next } = this.getAdjacentResidues(residue);
+        return backboneDihedrals(residue, previous, next);
+    }
+
+    /**
+     * Measure the distance between the same atom of two residues
+     * @param {Object} residue - Residue of this structure
+     * @param {Object} other - Residue of this structure
+     * @param {string} atomName - Atom to measure between (default CA)
+     * @returns {number|null} Distance in Å, or null if either residue lacks the atom
+     */
+    getResidueDistance(residue, other, atomName = 'CA') {
+        const atom = this.getAtom(residue, atomName);
+        const otherAtom = this.getAtom(other, atomName);
+        return atom && otherAtom ? atomDistance(atom, otherAtom) : null;
+    }
+
+    /**
+     * Collect the atoms of a set of residues
+     * @param {Array<Object>} residues - Residues; the polymer residues when not given
+     * @returns {Array<Object>}
+     */
+    getAtoms(residues = this.getPolymerResidues()) {
+        return residues.flatMap(residue => residue.atoms);
+    }
+
+    /**
+     * Get the center of mass of the polymer, or of the given residues
+     * @param {Array<Object>} residues - Optional residues to include
+     * @returns {Object|null} Center {x, y, z}, or null if there are no atoms
+     */
+    getCenterOfMass(residues) {
+        return centerOfMass(this.getAtoms(residues));
+    }
+
+    /**
+     * Get the radius of gyration of the polymer, or of the given residues
+     * @param {Array<Object>} residues - Optional residues to include
+     * @returns {number|null} Radius in Å, or null if there are no atoms
+     */
+    getRadiusOfGyration(residues) {
+        return radiusOfGyration(this.getAtoms(residues));
+    }
+
+    /**
+     * Get the box enclosing the polymer, or the given residues
+     * @param {Array<Object>} residues - Optional residues to include
+     * @returns {Object|null} {min, max, size}, or null if there are no atoms
+     */
+    getBoundingBox(residues) {
+        return boundingBox(this.getAtoms(residues));
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Structure;
+}
@@ -2,26 +2,383 @@
  * API Service for handling external API communications
  */
 class APIService {
-    constructor() {
+    /**
+     * @param {Object} config - Optional endpoint configuration (see configureEndpoints)
+     */
+    constructor(config = {}) {
         this.alphafoldBaseUrl = 'https://alphafold.ebi.ac.uk/files/';
+        this.alphafoldApiUrl = 'https://alphafold.ebi.ac.uk/api/';
+        // 'api' looks models up through the prediction API; 'static' derives file names
+        // from AlphaFold's naming scheme for mirrors without the API
+        this.alphafoldBackend = 'api';
+        this.staticModelVersion = 4;
+        this.staticCompressed = false;
+        // AlphaFold splits long proteins into overlapping fragments of 1,400 residues
+        // starting every 200 residues (F1 = 1-1400, F2 = 201-1600, ...)
+        this.fragmentThreshold = 2700;
+        this.fragmentSize = 1400;
+        this.fragmentStep = 200;
+        // Structure formats to download, in order of preference. mmCIF is AlphaFold's primary
+        // format and keeps chain IDs and atom serials that PDB cannot represent for large entries.
+        this.structureFormatPreference = ['cif', 'pdb', 'bcif'];
         this.uniprotBaseUrl = 'https://rest.uniprot.org/uniprotkb/';
+        this.invalidUniProtIdMessage = 'Invalid UniProt ID format. UniProt accessions look like P69905 or A0A0B4J2F0, optionally followed by an isoform number such as P04637-2.';
+        this.searchPageSize = 25;
+        // Fields requested for protein information, and how many entries one batch request asks for
+        this.metadataFields = 'accession,sec_acc,protein_name,organism_name,length,gene_names,cc_function,ft_chain,sequence';
+        this.metadataBatchSize = 100;
+        // Annotations shown on the structure: domains, sites, modifications and membrane topology
+        this.featureFields = typeof FEATURE_FIELDS !== 'undefined' ? FEATURE_FIELDS.join(',') : '';
+        this.variantFields = typeof VARIANT_FIELDS !== 'undefined' ? VARIANT_FIELDS.join(',') : '';
+        this.pdbXrefFields = typeof PDB_XREF_FIELDS !== 'undefined' ? PDB_XREF_FIELDS.join(',') : '';
+        this.isoformFields = typeof ISOFORM_FIELDS !== 'undefined' ? ISOFORM_FIELDS.join(',') : '';
+        // Experimental structures listed in UniProt are downloaded from the RCSB PDB archive
+        this.rcsbBaseUrl = 'https://files.rcsb.org/download/';
         this.defaultTimeout = 30000; // 30 seconds
         this.retryAttempts = 3;
         this.retryDelay = 1000; // 1 second
+        // Requests are queued per host so bursts (fragments, PAE, metadata) do not trip rate limits
+        this.scheduler = typeof RequestScheduler !== 'undefined' ? new RequestScheduler() : null;
+        // Hosts that keep failing are skipped for a while instead of retried on every request
+        this.circuitBreaker = typeof CircuitBreaker !== 'undefined' ? new CircuitBreaker() : null;
+        // Longest Retry-After the app waits for, and how many times one request may be told to wait
+        this.maxRetryAfter = 60000; // 1 minute
+        this.maxRateLimitWaits = 5;
+        // Persistent response cache; structure files are keyed by model version, so they only
+        // change when AlphaFold publishes a new version and can be kept much longer
+        this.cache = typeof CacheService !== 'undefined' ? new CacheService() : null;
+        this.cacheTtl = {
+            prediction: 24 * 60 * 60 * 1000, // 1 day
+            structure: 30 * 24 * 60 * 60 * 1000, // 30 days
+            metadata: 7 * 24 * 60 * 60 * 1000, // 7 days
+            search: 24 * 60 * 60 * 1000 // 1 day
+        };
+        
+        this.configureEndpoints(config);
     }
 
     /**
-     * Make HTTP request with timeout and retry logic
-     * @param {string} url - Request URL
+     * Point the service at different data sources
+     * @param {Object} config - Endpoint configuration; missing settings are left unchanged
+     * @param {string} config.backend - 'api' or 'static'
+     * @param {string} config.alphafoldBaseUrl - Location of AlphaFold model files
+     * @param {string} config.alphafoldApiUrl - AlphaFold API URL
+     * @param {string} config.uniprotBaseUrl - UniProt REST API URL
+     * @param {number} config.modelVersion - Model version of static files
+     * @param {boolean} config.compressed - Whether static model files are gzip-compressed (.gz)
+     */
+    configureEndpoints(config = {}) {
+        if (config.backend) this.alphafoldBackend = config.backend;
+        if (config.alphafoldBaseUrl) this.alphafoldBaseUrl = config.alphafoldBaseUrl;
+        if (config.alphafoldApiUrl) this.alphafoldApiUrl = config.alphafoldApiUrl;
+        if (config.uniprotBaseUrl) this.uniprotBaseUrl = config.uniprotBaseUrl;
+        if (config.modelVersion) this.staticModelVersion = config.modelVersion;
+        if (typeof config.compressed === 'boolean') this.staticCompressed = config.compressed;
+    }
+
+    /**
+     * Get the active endpoint configuration
+     * @returns {Object} Endpoint configuration
+     */
+    getEndpointConfig() {
+        return {
+            backend: this.alphafoldBackend,
+            alphafoldBaseUrl: this.alphafoldBaseUrl,
+            alphafoldApiUrl: this.alphafoldApiUrl,
+            uniprotBaseUrl: this.uniprotBaseUrl,
+            modelVersion: this.staticModelVersion,
+            compressed: this.staticCompressed
+        };
+    }
+
+    /**
+     * Check that the configured data sources respond
+     * @returns {Promise<Object>} Status of each source ({alphafold, uniprot}), each with
+     *                            url, ok, status, latency (ms) and message
+     */
+    async checkHealth() {
+        // Human hemoglobin alpha is in both databases and unlikely to ever be removed
+        const referenceId = 'P69905';
+        const [alphafold, uniprot] = await Promise.all([
+            this.alphafoldBackend === 'static'
+                // Static servers may refuse directory listings, so any HTTP response counts as reachable
+                ? this.probeEndpoint(this.alphafoldBaseUrl, { method: 'HEAD' }, true)
+                : this.probeEndpoint(`${this.alphafoldApiUrl}prediction/${referenceId}`),
+            this.probeEndpoint(`${this.uniprotBaseUrl}${referenceId}?format=json&fields=accession`)
+        ]);
+
+        return {
+            alphafold: { ...alphafold, backend: this.alphafoldBackend },
+            uniprot
+        };
+    }
+
+    /**
+     * Request a URL once and report whether it responded
+     * @param {string} url - URL to probe
      * @param {Object} options - Fetch options
+     * @param {boolean} anyResponse - Treat HTTP error statuses as reachable
+     * @returns {Promise<Object>} Probe result ({url, ok, status, latency, message})
+     */
+    async probeEndpoint(url, options = {}, anyResponse = false) {
+        const started = Date.now();
+        try {
+            const response = await this.makeRequest(url, options);
+            return { url, ok: true, status: response.status, latency: Date.now() - started, message: 'Available' };
+        } catch (error) {
+            const latency = Date.now() - started;
+            if (anyResponse && error.status) {
+                return { url, ok: true, status: error.status, latency, message: 'Reachable' };
+            }
+            return {
+                url,
+                ok: false,
+                status: error.status || null,
+                latency,
+                message: error.status ? `HTTP ${error.status}` : 'Unreachable'
+            };
+        }
+    }
+
+    /**
+     * Serve a response from the cache, or fetch and cache it
+     * Stale entries are refreshed from the network, and returned only if the refresh fails.
+     * @param {string} cacheKey - Cache key (endpoint, accession and model version)
+     * @param {number} ttl - Time in milliseconds before the cached value becomes stale
+     * @param {Function} fetcher - Async function that fetches the value from the network
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {string} description - What is being loaded, for progress messages
+     * @returns {Promise<*>} Cached or freshly fetched value
+     */
+    async fetchWithCache(cacheKey, ttl, fetcher, progressCallback = null, description = 'data') {
+        const cached = this.cache ? await this.cache.get(cacheKey) : null;
+
+        if (cached && !cached.stale) {
+            if (progressCallback) {
+                progressCallback({
+                    type: 'cache_hit',
+                    message: `Loaded ${description} from cache`,
+                    cacheKey
+                });
+            }
+            return cached.value;
+        }
+
+        let value;
+        try {
+            value = await fetcher();
+        } catch (error) {
+            // Better an out-of-date copy than nothing when the network is unavailable,
+            // but a resource that is gone (404) or forbidden should not be served
+            if (!cached || !(this.shouldRetry(error) || error.circuitOpen)) throw error;
+
+            if (progressCallback) {
+                progressCallback({
+                    type: 'cache_stale',
+                    message: `Could not refresh ${description}; showing copy cached on ${new Date(cached.storedAt).toLocaleDateString()}`,
+                    cacheKey
+                });
+            }
+            return cached.value;
+        }
+
+        if (this.cache) {
+            await this.cache.set(cacheKey, value, ttl);
+        }
+        return value;
+    }
+
+    /**
+     * Build the cache key of a response
+     * Keys include the endpoint, so switching data sources never serves what the previous one returned.
+     * @param {string} kind - Kind of response, e.g. 'uniprot-metadata'
+     * @param {string} baseUrl - Endpoint the response is fetched from
+     * @param {string} id - Accession, query or file identifying the response
+     * @returns {string} Cache key
+     */
+    getCacheKey(kind, baseUrl, id) {
+        return `${kind}@${baseUrl}:${id}`;
+    }
+
+    /**
+     * Remove every cached response
+     */
+    async clearCache() {
+        if (this.cache) {
+            await this.cache.clear();
+        }
+    }
+
+    /**
+     * Get the number and total size of cached responses
+     * @returns {Promise<Object>} Statistics ({entries, size})
+     */
+    async getCacheStats() {
+        return this.cache ? this.cache.getStats() : { entries: 0, size: 0 };
+    }
+
+    /**
+     * Make HTTP request through the host's request queue
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options; options.signal cancels the request
+     * @param {Function} progressCallback - Optional callback told about queueing and throttling
+     * @returns {Promise<Response>}
+     */
+    async makeRequest(url, options = {}, progressCallback = null) {
+        if (!this.scheduler) {
+            return this.sendThroughCircuit(url, options);
+        }
+
+        return this.scheduler.schedule(url, () => this.sendThroughCircuit(url, options), {
+            signal: options.signal,
+            onWait: (wait) => this.reportRequestWait(wait, progressCallback)
+        });
+    }
+
+    /**
+     * Report a request waiting in its host's queue
+     * @param {Object} wait - Wait information from RequestScheduler ({reason, position, waitMs, host})
+     * @param {Function} progressCallback - Optional progress callback
+     */
+    reportRequestWait(wait, progressCallback) {
+        if (!progressCallback) return;
+
+        if (wait.reason === 'queued') {
+            progressCallback({
+                type: 'request_queued',
+                position: wait.position,
+                host: wait.host,
+                message: `Waiting for ${wait.host} (position ${wait.position} in queue)...`
+            });
+        } else {
+            progressCallback({
+                type: 'request_throttled',
+                delay: wait.waitMs,
+                host: wait.host,
+                message: `Waiting ${Math.ceil(wait.waitMs / 1000)}s before contacting ${wait.host}...`
+            });
+        }
+    }
+
+    /**
+     * Send an HTTP request unless the host's circuit is open, and record the outcome
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options; options.signal cancels the request
      * @returns {Promise<Response>}
      */
-    async makeRequest(url, options = {}) {
+    async sendThroughCircuit(url, options = {}) {
+        const breaker = this.circuitBreaker;
+        if (!breaker) {
+            return this.sendRequest(url, options);
+        }
+
+        if (!breaker.canRequest(url)) {
+            throw this.createCircuitOpenError(url);
+        }
+
+        try {
+            const response = await this.sendRequest(url, options);
+            breaker.recordSuccess(url);
+            return response;
+        } catch (error) {
+            if (this.isServiceFailure(error)) {
+                breaker.recordFailure(url, error);
+            } else if (error.status && error.status !== 429) {
+                // The host answered (e.g. 404), so it is up
+                breaker.recordSuccess(url);
+            } else {
+                breaker.recordIgnored(url);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Determine if an error means the host is unavailable
+     * @param {Error} error - Error from sendRequest
+     * @returns {boolean} True for network errors, timeouts and server errors (5xx)
+     */
+    isServiceFailure(error) {
+        if (error.cancelled) return false;
+        return error.name === 'AbortError' ||
+               error.name === 'TypeError' ||
+               (error.status >= 500 && error.status < 600);
+    }
+
+    /**
+     * Create the error thrown for requests to a host whose circuit is open
+     * @param {string} url - Request URL
+     * @returns {Error} Error with circuitOpen set, and retryAfter in milliseconds
+     */
+    createCircuitOpenError(url) {
+        const health = this.circuitBreaker.getHealth(url);
+        const error = new Error(`${health.host} is not responding`);
+        error.name = 'CircuitOpenError';
+        error.circuitOpen = true;
+        error.host = health.host;
+        error.retryAfter = health.retryIn;
+        return error;
+    }
+
+    /**
+     * Get the health of the UniProt and AlphaFold services
+     * @returns {Object} Health of each service ({uniprot, alphafold}); see CircuitBreaker.getHealth
+     */
+    getServiceHealth() {
+        if (!this.circuitBreaker) {
+            return {
+                uniprot: { status: 'healthy', failures: 0, retryIn: 0, lastError: null },
+                alphafold: { status: 'healthy', failures: 0, retryIn: 0, lastError: null }
+            };
+        }
+
+        // AlphaFold files and API may live on different hosts; the service is as healthy as its worst host
+        const severity = { healthy: 0, degraded: 1, down: 2 };
+        const alphafoldUrls = this.alphafoldBackend === 'static'
+            ? [this.alphafoldBaseUrl]
+            : [this.alphafoldApiUrl, this.alphafoldBaseUrl];
+        const alphafold = alphafoldUrls
+            .map(url => this.circuitBreaker.getHealth(url))
+            .reduce((worst, health) => (severity[health.status] > severity[worst.status] ? health : worst));
+
+        return {
+            uniprot: this.circuitBreaker.getHealth(this.uniprotBaseUrl),
+            alphafold
+        };
+    }
+
+    /**
+     * Call a function whenever the health of a service may have changed
+     * @param {Function} listener - Receives the result of getServiceHealth
+     * @returns {Function} Function that removes the listener
+     */
+    onServiceHealthChange(listener) {
+        if (!this.circuitBreaker) return () => {};
+        return this.circuitBreaker.onChange(() => listener(this.getServiceHealth()));
+    }
+
+    /**
+     * Send an HTTP request with timeout
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options; options.signal cancels the request
+     * @returns {Promise<Response>}
+     */
+    async sendRequest(url, options = {}) {
+        const { signal: cancelSignal, ...fetchOptions } = options;
+        this.throwIfCancelled(cancelSignal);
+        
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.defaultTimeout);
         
+        // The same controller handles the timeout and cancellation by the caller
+        const canListen = cancelSignal && typeof cancelSignal.addEventListener === 'function';
+        const onCancel = () => controller.abort();
+        if (canListen) {
+            cancelSignal.addEventListener('abort', onCancel, { once: true });
+        }
+        
         const requestOptions = {
-            ...options,
+            ...fetchOptions,
             signal: controller.signal
         };
 
@@ -39,7 +396,50 @@ class APIService {
             return response;
         } catch (error) {
             clearTimeout(timeoutId);
+            // An abort caused by the caller is a cancellation, not a timeout
+            this.throwIfCancelled(cancelSignal);
             throw error;
+        } finally {
+            // Signals shared by many requests would otherwise keep every finished controller
+            if (canListen) {
+                cancelSignal.removeEventListener('abort', onCancel);
+            }
+        }
+    }
+
+    /**
+     * Create the error thrown for requests cancelled by the caller
+     * @returns {Error} Error with name 'AbortError' and cancelled set to true
+     */
+    createCancelledError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Throw a cancellation error if the signal has been aborted
+     * @param {AbortSignal} signal - Optional cancellation signal
+     * @throws {Error} Cancellation error
+     */
+    throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw this.createCancelledError();
+        }
+    }
+
+    /**
+     * Report a cancelled request to the progress callback
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {string} description - What was being loaded
+     */
+    reportCancelled(progressCallback, description) {
+        if (progressCallback) {
+            progressCallback({
+                type: 'cancelled',
+                message: `Cancelled loading ${description}`
+            });
         }
     }
 
@@ -49,9 +449,10 @@ class APIService {
      * @param {Object} options - Fetch options
      * @param {number} attempt - Current attempt number
      * @param {Function} progressCallback - Optional progress callback
+     * @param {number} rateLimitWaits - Times the server has already asked this request to wait
      * @returns {Promise<Response>}
      */
-    async makeRequestWithRetry(url, options = {}, attempt = 1, progressCallback = null) {
+    async makeRequestWithRetry(url, options = {}, attempt = 1, progressCallback = null, rateLimitWaits = 0) {
         try {
             // Report retry attempt to progress callback
             if (progressCallback && attempt > 1) {
@@ -63,8 +464,35 @@ class APIService {
                 });
             }
 
-            return await this.makeRequest(url, options);
+            return await this.makeRequest(url, options, progressCallback);
         } catch (error) {
+            // The server said when to come back: queue the request again instead of failing it
+            const retryAfter = this.getRetryAfter(error);
+            if (retryAfter !== null && retryAfter <= this.maxRetryAfter && rateLimitWaits < this.maxRateLimitWaits) {
+                if (progressCallback) {
+                    progressCallback({
+                        type: 'rate_limited',
+                        delay: retryAfter,
+                        message: `Server is busy. Retrying in ${Math.ceil(retryAfter / 1000)} seconds...`
+                    });
+                }
+
+                if (this.scheduler) {
+                    this.scheduler.pauseHost(url, retryAfter);
+                } else {
+                    await this.delay(retryAfter);
+                }
+                this.throwIfCancelled(options.signal);
+                return this.makeRequestWithRetry(url, options, attempt, progressCallback, rateLimitWaits + 1);
+            }
+            if (retryAfter !== null) {
+                // Retrying sooner than the server asked would only be refused again
+                error.retryAfter = retryAfter;
+                error.retryAttempts = attempt;
+                error.maxRetryAttempts = this.retryAttempts;
+                throw error;
+            }
+
             if (attempt < this.retryAttempts && this.shouldRetry(error)) {
                 // Exponential backoff: delay increases exponentially with each retry
                 const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1);
@@ -83,6 +511,7 @@ class APIService {
                 }
                 
                 await this.delay(totalDelay);
+                this.throwIfCancelled(options.signal);
                 return this.makeRequestWithRetry(url, options, attempt + 1, progressCallback);
             }
             
@@ -93,15 +522,40 @@ class APIService {
         }
     }
 
+    /**
+     * Read the Retry-After header of a 429 or 503 response
+     * @param {Error} error - Error from makeRequest
+     * @returns {number|null} Milliseconds to wait, or null if the server did not say
+     */
+    getRetryAfter(error) {
+        if (![429, 503].includes(error.status) || !error.response || !error.response.headers) {
+            return null;
+        }
+
+        const value = error.response.headers.get('retry-after');
+        if (!value) return null;
+
+        // Either a number of seconds or an HTTP date
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
     /**
      * Determine if request should be retried
      * @param {Error} error - Error object
      * @returns {boolean}
      */
     shouldRetry(error) {
-        // Retry on network errors or server errors (5xx)
+        // Requests cancelled by the caller, or stopped by an open circuit, are never retried
+        if (error.cancelled || error.circuitOpen) return false;
+        
+        // Retry on network errors, rate limiting (429) or server errors (5xx)
         return error.name === 'AbortError' || 
                error.name === 'TypeError' || 
+               error.status === 429 ||
                (error.status >= 500 && error.status < 600);
     }
 
@@ -118,9 +572,27 @@ class APIService {
      * Search UniProt database for proteins
      * @param {string} query - Search query (protein name or ID)
      * @param {Function} progressCallback - Optional progress callback
-     * @returns {Promise<Array>}
+     * @param {AbortSignal} signal - Optional signal to cancel the search
+     * @returns {Promise<Array>} First page of results
+     */
+    async searchUniProt(query, progressCallback = null, signal = null) {
+        const page = await this.searchUniProtPage(query, progressCallback, signal);
+        return page.results;
+    }
+
+    /**
+     * Search UniProt one page at a time
+     * @param {string} query - Search query (protein name or ID)
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the search
+     * @param {string} pageUrl - nextPageUrl of the previous page, or null for the first page
+     * @param {Object} filters - Optional search filters (see buildSearchQuery)
+     * @param {string} queryType - Query type of the first page, to keep later pages consistent;
+     *     detected with classifySearchQuery when not given
+     * @returns {Promise<Object>} Page ({results, totalResults, nextPageUrl, queryType}); nextPageUrl is null
+     *     on the last page, and each result carries a matchReason
      */
-    async searchUniProt(query, progressCallback = null) {
+    async searchUniProtPage(query, progressCallback = null, signal = null, pageUrl = null, filters = null, queryType = null) {
         this.validateParams({ query }, ['query']);
         
         const trimmedQuery = query.trim();
@@ -128,9 +600,14 @@ class APIService {
             throw new Error('Search query cannot be empty');
         }
 
-        // Check if query looks like a UniProt ID (starts with letter, contains numbers)
-        // UniProt IDs have format like: P01308, Q9Y6R7, O43426, etc.
-        const isUniProtId = /^[A-Z][0-9][A-Z0-9]{4,8}$/i.test(trimmedQuery);
+        // Accessions (P01308, P04637-2) are looked up directly; entry names (INS_HUMAN) and gene
+        // symbols (TP53, "TP53 human") get field queries, and everything else is searched as text
+        const queryInfo = queryType === 'text'
+            ? { type: 'text', query: trimmedQuery, text: trimmedQuery }
+            : classifySearchQuery(trimmedQuery);
+        // With filters an ID is searched like any other term, so the filters still apply
+        const fullQuery = this.buildSearchQuery(this.buildTypedQuery(queryInfo), filters);
+        const isUniProtId = queryInfo.type === 'accession' && this.buildSearchQuery(trimmedQuery, filters) === trimmedQuery;
         
         let searchUrl;
         if (isUniProtId) {
@@ -138,21 +615,38 @@ class APIService {
             searchUrl = `${this.uniprotBaseUrl}${trimmedQuery.toUpperCase()}?format=json&fields=accession,protein_name,organism_name,length,gene_names`;
         } else {
             // Search by protein name or general text
-            const encodedQuery = encodeURIComponent(trimmedQuery);
-            searchUrl = `${this.uniprotBaseUrl}search?query=${encodedQuery}&format=json&fields=accession,protein_name,organism_name,length,gene_names&size=10`;
+            const encodedQuery = encodeURIComponent(fullQuery);
+            searchUrl = pageUrl ||
+                `${this.uniprotBaseUrl}search?query=${encodedQuery}&format=json&fields=accession,protein_name,organism_name,length,gene_names&size=${this.searchPageSize}`;
         }
 
         try {
             if (progressCallback) {
                 progressCallback({
                     type: 'search_start',
-                    message: isUniProtId ? 
-                        `Looking up protein ${trimmedQuery.toUpperCase()}...` : 
-                        `Searching for proteins matching "${trimmedQuery}"...`
+                    message: this.describeSearchStart(queryInfo, isUniProtId)
                 });
             }
 
-            const response = await this.makeRequestWithRetry(searchUrl, {}, 1, progressCallback);
+            // Pages after the first are keyed by their cursor, which UniProt derives from the query
+            const cacheKey = isUniProtId
+                ? this.getCacheKey('uniprot-entry', this.uniprotBaseUrl, trimmedQuery.toUpperCase())
+                : this.getCacheKey('uniprot-search', this.uniprotBaseUrl, `${fullQuery.toLowerCase()}:${this.getPageCursor(searchUrl) || 'first'}`);
+            const data = await this.fetchWithCache(cacheKey, this.cacheTtl.search, async () => {
+                const response = await this.makeRequestWithRetry(searchUrl, { signal }, 1, progressCallback);
+                const body = await response.json();
+                if (isUniProtId) return body;
+
+                // Paging information is only sent in headers, so keep it with the cached results
+                const headers = response.headers;
+                const totalHeader = headers ? headers.get('x-total-results') : null;
+                return {
+                    results: body.results || [],
+                    totalResults: totalHeader !== null && totalHeader !== undefined ? parseInt(totalHeader, 10) : null,
+                    nextPageUrl: this.parseNextLink(headers ? headers.get('link') : null)
+                };
+            }, progressCallback, 'search results');
+            this.throwIfCancelled(signal);
             
             if (progressCallback) {
                 progressCallback({
@@ -160,146 +654,862 @@ class APIService {
                     message: 'Processing search results...'
                 });
             }
-
-            const data = await response.json();
             
-            let results;
+            let rawResults;
+            let totalResults;
+            let nextPageUrl = null;
             if (isUniProtId) {
                 // Single protein response
-                results = data ? [this.formatProteinResult(data)] : [];
+                rawResults = data ? [data] : [];
+                totalResults = rawResults.length;
             } else {
                 // Search results response
-                results = data.results ? data.results.map(result => this.formatProteinResult(result)) : [];
+                rawResults = data.results || [];
+                totalResults = Number.isFinite(data.totalResults) ? data.totalResults : rawResults.length;
+                nextPageUrl = data.nextPageUrl || null;
+            }
+
+            // Symbols like ATP are also ordinary words; search them as text when no entry has that name
+            if (rawResults.length === 0 && !pageUrl && (queryInfo.type === 'gene' || queryInfo.type === 'entry_name')) {
+                return this.searchUniProtPage(trimmedQuery, progressCallback, signal, null, filters, 'text');
+            }
+
+            const results = rawResults.map(result => ({
+                ...this.formatProteinResult(result),
+                matchReason: this.describeSearchMatch(queryInfo, result)
+            }));
+
+            if (progressCallback) {
+                progressCallback({
+                    type: 'search_complete',
+                    message: `Found ${totalResults} result${totalResults !== 1 ? 's' : ''}`
+                });
+            }
+
+            return { results, totalResults, nextPageUrl, queryType: queryInfo.type };
+        } catch (error) {
+            // Reading the body of an aborted response fails with a plain AbortError
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `search results for "${trimmedQuery}"`);
+                throw this.createCancelledError();
+            }
+            
+            const formattedError = this.handleApiErrors(error);
+            
+            // Add context-specific error messages
+            if (formattedError.type === 'not_found' && isUniProtId) {
+                throw new Error(`Protein ${trimmedQuery.toUpperCase()} not found in UniProt database. Please check the UniProt ID and try again.`);
+            } else if (formattedError.type === 'network') {
+                throw new Error(`Unable to search UniProt database. Please check your internet connection and try again.`);
+            } else if (formattedError.type === 'timeout') {
+                throw new Error(`Search request timed out. The UniProt database may be busy. Please try again in a few moments.`);
+            }
+            
+            throw new Error(formattedError.message);
+        }
+    }
+
+    /**
+     * Translate a classified query into UniProt query syntax
+     * @param {Object} queryInfo - Query from classifySearchQuery
+     * @returns {string} UniProt query
+     */
+    buildTypedQuery(queryInfo) {
+        switch (queryInfo.type) {
+            case 'entry_name':
+                return `id:${queryInfo.entryName}`;
+            case 'gene': {
+                const gene = `gene_exact:${queryInfo.gene}`;
+                return queryInfo.organism ? `${gene} AND taxonomy_id:${queryInfo.organism.taxonomyId}` : gene;
+            }
+            default:
+                return queryInfo.query;
+        }
+    }
+
+    /**
+     * Describe a search that is starting, for progress messages
+     * @param {Object} queryInfo - Query from classifySearchQuery
+     * @param {boolean} isLookup - Whether the accession is looked up directly
+     * @returns {string} Progress message
+     */
+    describeSearchStart(queryInfo, isLookup) {
+        if (isLookup) {
+            return `Looking up protein ${queryInfo.accession}...`;
+        }
+        if (queryInfo.type === 'entry_name') {
+            return `Looking up entry ${queryInfo.entryName}...`;
+        }
+        if (queryInfo.type === 'gene') {
+            const organism = queryInfo.organism ? ` in ${queryInfo.organism.name}` : '';
+            return `Looking up gene ${queryInfo.gene}${organism}...`;
+        }
+        return `Searching for proteins matching "${queryInfo.query}"...`;
+    }
+
+    /**
+     * Explain why a UniProt entry matched a search
+     * @param {Object} queryInfo - Query from classifySearchQuery
+     * @param {Object} result - Raw UniProt result
+     * @returns {string} Reason shown with the result
+     */
+    describeSearchMatch(queryInfo, result) {
+        const accession = result.primaryAccession || result.accession || '';
+        const genes = result.genes || [];
+
+        switch (queryInfo.type) {
+            case 'accession':
+                // Merged entries answer to their old accessions too
+                return accession && !queryInfo.accession.startsWith(accession)
+                    ? `Secondary accession ${queryInfo.accession}, now ${accession}`
+                    : `Accession ${queryInfo.accession}`;
+            case 'entry_name':
+                return `Entry name ${result.uniProtkbId || queryInfo.entryName}`;
+            case 'gene': {
+                const symbol = queryInfo.gene.toUpperCase();
+                const organism = queryInfo.organism ? ` in ${queryInfo.organism.name}` : '';
+                const isPrimary = genes.some(gene => gene.geneName && gene.geneName.value.toUpperCase() === symbol);
+                return `${isPrimary ? 'Gene name' : 'Gene synonym'} ${queryInfo.gene}${organism}`;
+            }
+            default: {
+                const text = queryInfo.query.toLowerCase();
+                const formatted = this.formatProteinResult(result);
+                if (formatted.proteinName.toLowerCase().includes(text)) {
+                    return `Protein name contains "${queryInfo.query}"`;
+                }
+                if (formatted.geneNames.some(gene => gene.toLowerCase() === text)) {
+                    return `Gene name ${queryInfo.query}`;
+                }
+                return `Text match for "${queryInfo.query}" in the UniProt entry`;
+            }
+        }
+    }
+
+    /**
+     * Translate search filters into UniProt query syntax
+     * @param {string} query - Search text
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.organism - Taxonomy ID (includes sub-taxa, e.g. 40674 for all mammals) or name
+     * @param {string} filters.reviewed - 'reviewed' for Swiss-Prot, 'unreviewed' for TrEMBL
+     * @param {number} filters.minLength - Shortest sequence length
+     * @param {number} filters.maxLength - Longest sequence length
+     * @param {boolean} filters.hasAlphaFold - Only entries with an AlphaFold model
+     * @returns {string} UniProt query, the search text unchanged when no filter is set
+     */
+    buildSearchQuery(query, filters = null) {
+        if (!filters) return query;
+
+        const clauses = [];
+        const organism = typeof filters.organism === 'string' ? filters.organism.trim() : '';
+        if (/^\d+$/.test(organism)) {
+            clauses.push(`taxonomy_id:${organism}`);
+        } else if (organism) {
+            clauses.push(`taxonomy_name:"${organism.replace(/"/g, '')}"`);
+        }
+
+        if (filters.reviewed === 'reviewed') {
+            clauses.push('reviewed:true');
+        } else if (filters.reviewed === 'unreviewed') {
+            clauses.push('reviewed:false');
+        }
+
+        const minLength = Number.isFinite(filters.minLength) ? filters.minLength : null;
+        const maxLength = Number.isFinite(filters.maxLength) ? filters.maxLength : null;
+        if (minLength !== null || maxLength !== null) {
+            clauses.push(`length:[${minLength !== null ? minLength : '*'} TO ${maxLength !== null ? maxLength : '*'}]`);
+        }
+
+        if (filters.hasAlphaFold) {
+            clauses.push('database:alphafolddb');
+        }
+
+        return clauses.length > 0 ? `(${query}) AND ${clauses.join(' AND ')}` : query;
+    }
+
+    /**
+     * Get the URL of the next page from a Link header
+     * @param {string} linkHeader - Link header (<https://...&cursor=...>; rel="next")
+     * @returns {string|null} Next page URL, or null on the last page
+     */
+    parseNextLink(linkHeader) {
+        if (!linkHeader) return null;
+        const match = linkHeader.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Get the cursor of a paged search URL
+     * @param {string} url - Search URL
+     * @returns {string|null} Cursor, or null for the first page
+     */
+    getPageCursor(url) {
+        const match = url.match(/[?&]cursor=([^&]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Format protein result from UniProt API response
+     * @param {Object} result - Raw UniProt result
+     * @returns {Object} Formatted protein result
+     */
+    formatProteinResult(result) {
+        return {
+            uniprotId: result.primaryAccession || result.accession,
+            proteinName: result.proteinDescription?.recommendedName?.fullName?.value || 
+                        result.proteinName || 
+                        result.protein_name || 
+                        'Unknown protein',
+            organism: result.organism?.scientificName || 
+                     result.organism?.commonName ||
+                     result.organism_name || 
+                     'Unknown organism',
+            sequenceLength: result.sequence?.length || result.length || null,
+            geneNames: result.genes?.map(gene => gene.geneName?.value).filter(Boolean) || []
+        };
+    }
+
+    /**
+     * Look up the AlphaFold prediction metadata for a protein
+     * @param {string} uniprotId - UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the lookup
+     * @returns {Promise<Object>} Model information (version, file URLs, creation date, coverage, fragments)
+     */
+    async getAlphaFoldPrediction(uniprotId, progressCallback = null, signal = null) {
+        this.validateParams({ uniprotId }, ['uniprotId']);
+        
+        if (!uniprotId.trim()) {
+            throw new Error('UniProt ID cannot be empty');
+        }
+        const trimmedId = this.normalizeUniProtId(uniprotId);
+
+        if (this.alphafoldBackend === 'static') {
+            return this.getStaticPrediction(trimmedId, progressCallback);
+        }
+
+        const predictionUrl = `${this.alphafoldApiUrl}prediction/${trimmedId}`;
+
+        let entries;
+        try {
+            if (progressCallback) {
+                progressCallback({
+                    type: 'prediction_start',
+                    message: `Looking up AlphaFold model for ${trimmedId}...`
+                });
+            }
+
+            entries = await this.fetchWithCache(this.getCacheKey('alphafold-prediction', this.alphafoldApiUrl, trimmedId), this.cacheTtl.prediction, async () => {
+                const response = await this.makeRequestWithRetry(predictionUrl, { signal }, 1, progressCallback);
+                return response.json();
+            }, progressCallback, `AlphaFold model list for ${trimmedId}`);
+            this.throwIfCancelled(signal);
+        } catch (error) {
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `AlphaFold model list for ${trimmedId}`);
+                throw this.createCancelledError();
             }
+            
+            const formattedError = this.handleApiErrors(error);
+            
+            if (error.status === 404) {
+                throw new Error(this.describeMissingPrediction(trimmedId));
+            } else if (error.status === 403) {
+                throw new Error(`Access to AlphaFold structure for ${trimmedId} is restricted. This may be a temporary issue with the AlphaFold database.`);
+            } else if (formattedError.type === 'network') {
+                throw new Error(`Unable to download structure for ${trimmedId}. Please check your internet connection and try again.`);
+            } else if (formattedError.type === 'timeout') {
+                throw new Error(`Download of structure for ${trimmedId} timed out. The file may be large or the server may be busy. Please try again.`);
+            }
+            
+            throw new Error(formattedError.message);
+        }
+
+        // The endpoint answers with an empty list when the accession has no model
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error(this.describeMissingPrediction(trimmedId));
+        }
+
+        const models = entries
+            .map(entry => this.formatPredictionEntry(entry))
+            .sort((a, b) => (a.fragmentNumber || 1) - (b.fragmentNumber || 1));
+        const prediction = { ...models[0] };
+        prediction.fragments = this.enumerateFragments(models);
+
+        if (progressCallback) {
+            const fragmentNote = prediction.fragments.length > 1
+                ? `, split into ${prediction.fragments.length} fragments`
+                : '';
+            progressCallback({
+                type: 'prediction_complete',
+                message: `Found AlphaFold model ${prediction.entryId} (version ${prediction.modelVersion})${fragmentNote}`
+            });
+        }
+
+        return prediction;
+    }
+
+    /**
+     * Explain why the AlphaFold database has no model for an accession
+     * @param {string} uniprotId - Normalized UniProt ID
+     * @returns {string} Error message
+     */
+    describeMissingPrediction(uniprotId) {
+        const parsed = parseUniProtAccession(uniprotId);
+        if (parsed && parsed.isoform !== null) {
+            return `No AlphaFold structure available for isoform ${uniprotId}. AlphaFold only predicts the canonical sequence of each UniProt entry, so other isoforms have no model. Select ${parsed.entry} to view the prediction of the canonical sequence.`;
+        }
+        return `No AlphaFold structure available for protein ${uniprotId}. This protein may not be included in the AlphaFold database yet. AlphaFold currently covers proteins from model organisms and proteomes of scientific interest.`;
+    }
+
+    /**
+     * Describe the model files of a static mirror, named like AlphaFold's downloads
+     * (AF-P69905-F1-model_v4.cif, AF-P69905-F1-predicted_aligned_error_v4.json).
+     * Only fragment F1 is listed, since the sequence length is unknown without the API.
+     * @param {string} uniprotId - Normalized UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Object} Model information in the format of getAlphaFoldPrediction
+     */
+    getStaticPrediction(uniprotId, progressCallback = null) {
+        const version = this.staticModelVersion;
+        const entryId = `AF-${uniprotId}-F1`;
+        const extension = this.staticCompressed ? '.gz' : '';
+        const model = this.formatPredictionEntry({
+            entryId,
+            uniprotAccession: uniprotId,
+            latestVersion: version,
+            cifUrl: `${this.alphafoldBaseUrl}${entryId}-model_v${version}.cif${extension}`,
+            pdbUrl: `${this.alphafoldBaseUrl}${entryId}-model_v${version}.pdb${extension}`,
+            paeDocUrl: `${this.alphafoldBaseUrl}${entryId}-predicted_aligned_error_v${version}.json`
+        });
+        const prediction = { ...model, fragments: [model] };
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'prediction_complete',
+                message: `Using local model ${entryId} (version ${version})`
+            });
+        }
+
+        return prediction;
+    }
+
+    /**
+     * Format a prediction entry from the AlphaFold API response
+     * @param {Object} entry - Raw AlphaFold prediction entry
+     * @returns {Object} Formatted model information
+     */
+    formatPredictionEntry(entry) {
+        const sequenceLength = entry.uniprotSequence ? entry.uniprotSequence.length : null;
+        const start = entry.uniprotStart || 1;
+        const end = entry.uniprotEnd || sequenceLength;
+
+        // Fall back to the version embedded in the file name if latestVersion is missing
+        let modelVersion = entry.latestVersion || null;
+        const modelFileUrl = entry.cifUrl || entry.pdbUrl;
+        if (!modelVersion && modelFileUrl) {
+            const versionMatch = modelFileUrl.match(/model_v(\d+)\./);
+            modelVersion = versionMatch ? parseInt(versionMatch[1], 10) : null;
+        }
+
+        const fragmentMatch = entry.entryId ? entry.entryId.match(/-F(\d+)$/) : null;
+
+        return {
+            entryId: entry.entryId || null,
+            uniprotId: entry.uniprotAccession || null,
+            fragmentNumber: fragmentMatch ? parseInt(fragmentMatch[1], 10) : 1,
+            modelVersion,
+            allVersions: entry.allVersions || (modelVersion ? [modelVersion] : []),
+            modelCreatedDate: entry.modelCreatedDate || null,
+            coverage: {
+                start,
+                end,
+                sequenceLength,
+                percent: sequenceLength && end ? Math.round(((end - start + 1) / sequenceLength) * 1000) / 10 : null
+            },
+            files: {
+                pdb: entry.pdbUrl || null,
+                cif: entry.cifUrl || null,
+                bcif: entry.bcifUrl || null,
+                pae: entry.paeDocUrl || null,
+                paeImage: entry.paeImageUrl || null
+            }
+        };
+    }
+
+    /**
+     * Enumerate all fragments of an AlphaFold model
+     * @param {Array} models - Formatted prediction entries, sorted by fragment number
+     * @returns {Array} One model object per fragment, each with its residue range
+     */
+    enumerateFragments(models) {
+        // The API already lists every fragment
+        if (models.length > 1) {
+            return models;
+        }
+
+        const model = models[0];
+        const sequenceLength = model.coverage.sequenceLength;
+        const coversWholeSequence = !sequenceLength || model.coverage.end >= sequenceLength;
+        if (coversWholeSequence || sequenceLength <= this.fragmentThreshold) {
+            return [model];
+        }
+
+        // Only F1 was listed: derive the remaining fragments from AlphaFold's fixed scheme
+        const fragmentCount = Math.ceil((sequenceLength - this.fragmentSize) / this.fragmentStep) + 1;
+        const fragments = [];
+        for (let number = 1; number <= fragmentCount; number++) {
+            const start = (number - 1) * this.fragmentStep + 1;
+            const end = Math.min(start + this.fragmentSize - 1, sequenceLength);
+            const renameFragment = (value) => value ? value.replace(/-F1(?=[-.]|$)/, `-F${number}`) : value;
+            const files = {};
+            Object.keys(model.files).forEach(key => {
+                files[key] = renameFragment(model.files[key]);
+            });
+
+            fragments.push({
+                ...model,
+                entryId: renameFragment(model.entryId),
+                fragmentNumber: number,
+                coverage: {
+                    start,
+                    end,
+                    sequenceLength,
+                    percent: Math.round(((end - start + 1) / sequenceLength) * 1000) / 10
+                },
+                files
+            });
+        }
+
+        return fragments;
+    }
+
+    /**
+     * Fetch AlphaFold structure file with progress tracking
+     * @param {string} uniprotId - UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} prediction - Optional model information from getAlphaFoldPrediction
+     * @param {string} format - Optional format to download ('cif', 'pdb' or 'bcif'); defaults to
+     *                          the first format in structureFormatPreference the model provides
+     * @param {AbortSignal} signal - Optional signal to cancel the download
+     * @returns {Promise<string|Uint8Array>} Structure file content (bytes for BinaryCIF)
+     */
+    async fetchAlphaFoldStructure(uniprotId, progressCallback = null, prediction = null, format = null, signal = null) {
+        this.validateParams({ uniprotId }, ['uniprotId']);
+        
+        if (!uniprotId.trim()) {
+            throw new Error('UniProt ID cannot be empty');
+        }
+        const trimmedId = this.normalizeUniProtId(uniprotId);
+
+        // Resolve the file URL through the prediction metadata so new model versions are picked up
+        const model = prediction || await this.getAlphaFoldPrediction(trimmedId, progressCallback, signal);
+        const structureFormat = format || this.structureFormatPreference.find(candidate => model.files[candidate]);
+        const structureUrl = structureFormat ? model.files[structureFormat] : null;
+        if (!structureUrl) {
+            throw new Error(`AlphaFold model ${model.entryId || trimmedId} (version ${model.modelVersion}) does not provide a ${format ? this.getFormatLabel(format) : 'structure'} file.`);
+        }
+
+        try {
+            if (progressCallback) {
+                progressCallback({
+                    type: 'structure_start',
+                    message: `Downloading 3D structure for ${trimmedId}...`
+                });
+            }
+
+            // Files are keyed by model version, so a new AlphaFold release is never served from an old entry
+            const source = this.alphafoldBackend === 'static' ? this.alphafoldBaseUrl : this.alphafoldApiUrl;
+            const cacheKey = this.getCacheKey('alphafold-structure', source, `${model.entryId || trimmedId}:v${model.modelVersion}:${structureFormat}`);
+            const structureData = await this.fetchWithCache(cacheKey, this.cacheTtl.structure, async () => {
+                const response = await this.makeRequestWithRetry(structureUrl, { signal }, 1, progressCallback);
+                const isBinary = structureFormat === 'bcif';
+
+                // Check content length for progress tracking
+                const contentLength = response.headers.get('content-length');
+                const totalSize = contentLength ? parseInt(contentLength, 10) : null;
+                
+                if (progressCallback && totalSize) {
+                    progressCallback({
+                        type: 'structure_download',
+                        message: `Downloading structure file (${Math.round(totalSize / 1024)} KB)...`,
+                        totalSize
+                    });
+                }
+
+                // Text formats are parsed while they stream in, so the viewer can show the fold early
+                const streamParser = !isBinary && progressCallback
+                    ? this.createStructureStream(structureFormat, progressCallback)
+                    : null;
+
+                // Read response with progress tracking if possible
+                let fileData;
+                if (response.body && typeof response.body.getReader === 'function' && progressCallback) {
+                    fileData = await this.readResponseWithProgress(response, totalSize, progressCallback, isBinary,
+                        streamParser ? (text) => streamParser.push(text) : null);
+                    if (streamParser) streamParser.end();
+                } else {
+                    if (progressCallback) {
+                        progressCallback({
+                            type: 'structure_processing',
+                            message: 'Processing structure file...'
+                        });
+                    }
+                    // Compressed files must be read as bytes; the extension is checked because
+                    // text() would garble them before the magic bytes could be seen
+                    if (isBinary || isGzipUrl(structureUrl)) {
+                        let bytes = new Uint8Array(await response.arrayBuffer());
+                        if (isGzipData(bytes)) {
+                            bytes = await gunzipData(bytes);
+                        }
+                        fileData = isBinary ? bytes : new TextDecoder().decode(bytes);
+                    } else {
+                        fileData = await response.text();
+                    }
+                }
+                
+                // Validate the content against the format we asked for, so bad files are never cached
+                this.validateStructureData(fileData, structureFormat);
+                return fileData;
+            }, progressCallback, `structure file for ${model.entryId || trimmedId}`);
+            this.throwIfCancelled(signal);
+            
+            if (progressCallback) {
+                progressCallback({
+                    type: 'structure_complete',
+                    message: 'Structure file downloaded successfully'
+                });
+            }
+            
+            return structureData;
+        } catch (error) {
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `structure for ${trimmedId}`);
+                throw this.createCancelledError();
+            }
+
+            // Static mirrors often hold only some formats; try the next one the model could provide
+            if (error.status === 404 && !format && this.alphafoldBackend === 'static') {
+                const remainingFiles = { ...model.files, [structureFormat]: null };
+                if (this.structureFormatPreference.some(candidate => remainingFiles[candidate])) {
+                    return this.fetchAlphaFoldStructure(trimmedId, progressCallback, { ...model, files: remainingFiles }, null, signal);
+                }
+            }
+
+            const formattedError = this.handleApiErrors(error);
+
+            // Provide more specific error messages for structure not found
+            if (error.status === 404 && this.alphafoldBackend === 'static') {
+                throw new Error(`No model file for ${trimmedId} was found in ${this.alphafoldBaseUrl}. Files must be named like AlphaFold's downloads (${model.entryId || `AF-${trimmedId}-F1`}-model_v${model.modelVersion}.cif).`);
+            } else if (error.status === 404) {
+                // The model exists (the prediction lookup succeeded) but its file is missing
+                throw new Error(`AlphaFold lists model ${model.entryId || trimmedId} (version ${model.modelVersion}) for ${trimmedId}, but its structure file could not be found. The database may be publishing a new model version; please try again later.`);
+            } else if (error.status === 403) {
+                throw new Error(`Access to AlphaFold structure for ${trimmedId} is restricted. This may be a temporary issue with the AlphaFold database.`);
+            } else if (formattedError.type === 'network') {
+                throw new Error(`Unable to download structure for ${trimmedId}. Please check your internet connection and try again.`);
+            } else if (formattedError.type === 'timeout') {
+                throw new Error(`Download of structure for ${trimmedId} timed out. The file may be large or the server may be busy. Please try again.`);
+            }
+            
+            throw new Error(formattedError.message);
+        }
+    }
+
+    /**
+     * Validate downloaded structure content
+     * @param {string|Uint8Array} structureData - Structure file content
+     * @param {string} expectedFormat - Format that was requested ('cif', 'pdb' or 'bcif')
+     * @throws {Error} If the content is not a valid structure in that format
+     */
+    validateStructureData(structureData, expectedFormat) {
+        const detectedFormat = detectStructureFormat(structureData);
+        const isValid = detectedFormat === expectedFormat &&
+            (detectedFormat !== 'cif' || isValidCifStructure(structureData));
+        
+        if (!isValid) {
+            throw new Error(`Invalid ${this.getFormatLabel(expectedFormat)} file format received. The downloaded file does not appear to be a valid protein structure.`);
+        }
+    }
+
+    /**
+     * Get display label for a structure format
+     * @param {string} format - Format key ('cif', 'pdb' or 'bcif')
+     * @returns {string}
+     */
+    getFormatLabel(format) {
+        const labels = { cif: 'mmCIF', pdb: 'PDB', bcif: 'BinaryCIF' };
+        return labels[format] || format;
+    }
+
+    /**
+     * Create a parser that reports structure residues through the progress callback as they download
+     * @param {string} format - 'pdb' or 'cif'
+     * @param {Function} progressCallback - Progress callback; receives 'structure_partial' updates
+     * @returns {Object|null} Parser from createStructureStreamParser, or null if streaming is unavailable
+     */
+    createStructureStream(format, progressCallback) {
+        if (typeof createStructureStreamParser === 'undefined' || !['pdb', 'cif'].includes(format)) {
+            return null;
+        }
+
+        const parser = createStructureStreamParser(format, (residues) => {
+            progressCallback({
+                type: 'structure_partial',
+                residues,
+                residueCount: parser.getResidueCount(),
+                message: `Received ${parser.getResidueCount()} residues...`
+            });
+        });
+        return parser;
+    }
+
+    /**
+     * Read response with progress tracking
+     * gzip-compressed bodies are recognized by their first bytes and decompressed as they arrive;
+     * progress counts the compressed bytes, matching the content length.
+     * @param {Response} response - Fetch response
+     * @param {number} totalSize - Total size in bytes, or null if the server did not say
+     * @param {Function} progressCallback - Progress callback
+     * @param {boolean} binary - Return the raw bytes instead of decoded text
+     * @param {Function} onText - Optional callback receiving each chunk as decoded text while it arrives
+     * @returns {Promise<string|Uint8Array>} Response text (or bytes), decompressed if needed
+     */
+    async readResponseWithProgress(response, totalSize, progressCallback, binary = false, onText = null) {
+        const reader = response.body.getReader();
+        const chunks = [];
+        let receivedLength = 0;
+        // Decodes chunk by chunk, holding back characters split across chunk boundaries
+        const streamDecoder = onText ? new TextDecoder() : null;
+        const emitText = (bytes) => onText(streamDecoder.decode(bytes, { stream: true }));
+        let gunzipStream = null;
+        
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                
+                if (done) break;
+                
+                if (receivedLength === 0 && isGzipData(value)) {
+                    gunzipStream = createGunzipStream(streamDecoder ? emitText : null);
+                }
+                
+                if (gunzipStream) {
+                    gunzipStream.push(value);
+                } else {
+                    chunks.push(value);
+                }
+                receivedLength += value.length;
+                
+                // Report progress
+                if (totalSize) {
+                    const progress = Math.round((receivedLength / totalSize) * 100);
+                    progressCallback({
+                        type: 'download_progress',
+                        progress,
+                        receivedLength,
+                        totalSize,
+                        message: `Downloading... ${progress}% (${Math.round(receivedLength / 1024)}/${Math.round(totalSize / 1024)} KB)`
+                    });
+                } else {
+                    progressCallback({
+                        type: 'download_progress',
+                        progress: null,
+                        receivedLength,
+                        totalSize: null,
+                        message: `Downloading... ${Math.round(receivedLength / 1024)} KB`
+                    });
+                }
+                
+                if (streamDecoder && !gunzipStream) {
+                    emitText(value);
+                }
+            }
+            
+            // Combine chunks into single Uint8Array
+            let allChunks;
+            if (gunzipStream) {
+                allChunks = await gunzipStream.end();
+            } else {
+                allChunks = new Uint8Array(receivedLength);
+                let position = 0;
+                for (const chunk of chunks) {
+                    allChunks.set(chunk, position);
+                    position += chunk.length;
+                }
+            }
+            
+            if (streamDecoder) {
+                onText(streamDecoder.decode());
+            }
+            
+            // Convert to text
+            return binary ? allChunks : new TextDecoder().decode(allChunks);
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Fetch the Predicted Aligned Error (PAE) matrix of an AlphaFold model
+     * @param {string} uniprotId - UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} prediction - Optional model (or fragment) information from getAlphaFoldPrediction
+     * @param {AbortSignal} signal - Optional signal to cancel the download
+     * @returns {Promise<Object>} PAE data ({matrix, size, maxError})
+     */
+    async fetchAlphaFoldPAE(uniprotId, progressCallback = null, prediction = null, signal = null) {
+        this.validateParams({ uniprotId }, ['uniprotId']);
 
+        const trimmedId = this.normalizeUniProtId(uniprotId);
+
+        const model = prediction || await this.getAlphaFoldPrediction(trimmedId, progressCallback, signal);
+        if (!model.files || !model.files.pae) {
+            throw new Error(`AlphaFold model ${model.entryId || trimmedId} (version ${model.modelVersion}) does not provide a PAE file.`);
+        }
+
+        let paeJson;
+        try {
             if (progressCallback) {
                 progressCallback({
-                    type: 'search_complete',
-                    message: `Found ${results.length} result${results.length !== 1 ? 's' : ''}`
+                    type: 'pae_start',
+                    message: `Downloading predicted aligned error for ${model.entryId || trimmedId}...`
                 });
             }
 
-            return results;
+            const response = await this.makeRequestWithRetry(model.files.pae, { signal }, 1, progressCallback);
+            paeJson = await response.json();
+            this.throwIfCancelled(signal);
         } catch (error) {
-            const formattedError = this.handleApiErrors(error);
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `PAE data for ${trimmedId}`);
+                throw this.createCancelledError();
+            }
             
-            // Add context-specific error messages
-            if (formattedError.type === 'not_found' && isUniProtId) {
-                throw new Error(`Protein ${trimmedQuery.toUpperCase()} not found in UniProt database. Please check the UniProt ID and try again.`);
+            const formattedError = this.handleApiErrors(error);
+
+            if (error.status === 404) {
+                throw new Error(`AlphaFold lists model ${model.entryId || trimmedId} (version ${model.modelVersion}) for ${trimmedId}, but its PAE file could not be found.`);
             } else if (formattedError.type === 'network') {
-                throw new Error(`Unable to search UniProt database. Please check your internet connection and try again.`);
+                throw new Error(`Unable to download PAE data for ${trimmedId}. Please check your internet connection and try again.`);
             } else if (formattedError.type === 'timeout') {
-                throw new Error(`Search request timed out. The UniProt database may be busy. Please try again in a few moments.`);
+                throw new Error(`Download of PAE data for ${trimmedId} timed out. Please try again.`);
             }
-            
+
             throw new Error(formattedError.message);
         }
+
+        const paeData = this.formatPaeData(paeJson);
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'pae_complete',
+                message: `Loaded ${paeData.size}×${paeData.size} PAE matrix`
+            });
+        }
+
+        return paeData;
     }
 
     /**
-     * Format protein result from UniProt API response
-     * @param {Object} result - Raw UniProt result
-     * @returns {Object} Formatted protein result
+     * Normalize an AlphaFold PAE document into a square matrix
+     * Handles the current format (predicted_aligned_error matrix) and the
+     * older flat format (residue1/residue2/distance lists) used by early model versions.
+     * @param {Array|Object} paeJson - Parsed PAE JSON document
+     * @returns {Object} PAE data ({matrix, size, maxError}); matrix[i][j] is the expected
+     *                   error at residue j+1 when aligned on residue i+1, in Ångströms
+     * @throws {Error} If the document does not contain a PAE matrix
      */
-    formatProteinResult(result) {
+    formatPaeData(paeJson) {
+        const doc = Array.isArray(paeJson) ? paeJson[0] : paeJson;
+        let matrix = null;
+
+        if (doc && Array.isArray(doc.predicted_aligned_error)) {
+            matrix = doc.predicted_aligned_error;
+        } else if (doc && Array.isArray(doc.distance) && Array.isArray(doc.residue1) && Array.isArray(doc.residue2)) {
+            // The flat lists hold size² entries, too many to spread into Math.max
+            const size = doc.residue1.reduce((max, residue) => Math.max(max, residue), 0);
+            matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+            doc.distance.forEach((value, index) => {
+                matrix[doc.residue1[index] - 1][doc.residue2[index] - 1] = value;
+            });
+        }
+
+        if (!matrix || matrix.length === 0 || matrix.some(row => !Array.isArray(row) || row.length !== matrix.length)) {
+            throw new Error('Invalid PAE file format received. The downloaded file does not contain a square error matrix.');
+        }
+
+        const maxError = doc.max_predicted_aligned_error ||
+            matrix.reduce((max, row) => Math.max(max, ...row), 0);
+
         return {
-            uniprotId: result.primaryAccession || result.accession,
-            proteinName: result.proteinDescription?.recommendedName?.fullName?.value || 
-                        result.proteinName || 
-                        result.protein_name || 
-                        'Unknown protein',
-            organism: result.organism?.scientificName || 
-                     result.organism?.commonName ||
-                     result.organism_name || 
-                     'Unknown organism',
-            sequenceLength: result.sequence?.length || result.length || null,
-            geneNames: result.genes?.map(gene => gene.geneName?.value).filter(Boolean) || []
+            matrix,
+            size: matrix.length,
+            maxError
         };
     }
 
     /**
-     * Fetch AlphaFold structure file with progress tracking
+     * Get protein metadata from UniProt
      * @param {string} uniprotId - UniProt ID
      * @param {Function} progressCallback - Optional progress callback
-     * @returns {Promise<string>} PDB file content
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Object>}
      */
-    async fetchAlphaFoldStructure(uniprotId, progressCallback = null) {
+    async getProteinMetadata(uniprotId, progressCallback = null, signal = null) {
         this.validateParams({ uniprotId }, ['uniprotId']);
         
-        const trimmedId = uniprotId.trim().toUpperCase();
-        if (!trimmedId) {
+        if (!uniprotId.trim()) {
             throw new Error('UniProt ID cannot be empty');
         }
+        const trimmedId = this.normalizeUniProtId(uniprotId);
 
-        // Validate UniProt ID format
-        if (!/^[A-Z0-9]{6,10}$/i.test(trimmedId)) {
-            throw new Error('Invalid UniProt ID format. UniProt IDs should be 6-10 characters long and contain only letters and numbers.');
-        }
-
-        // AlphaFold PDB file URL format
-        const pdbUrl = `${this.alphafoldBaseUrl}AF-${trimmedId}-F1-model_v4.pdb`;
+        const metadataUrl = `${this.uniprotBaseUrl}${trimmedId}?format=json&fields=${this.metadataFields}`;
 
         try {
             if (progressCallback) {
                 progressCallback({
-                    type: 'structure_start',
-                    message: `Downloading 3D structure for ${trimmedId}...`
+                    type: 'metadata_start',
+                    message: `Fetching protein information for ${trimmedId}...`
                 });
             }
 
-            const response = await this.makeRequestWithRetry(pdbUrl, {}, 1, progressCallback);
-            
-            // Check content length for progress tracking
-            const contentLength = response.headers.get('content-length');
-            const totalSize = contentLength ? parseInt(contentLength, 10) : null;
+            const data = await this.fetchWithCache(this.getCacheKey('uniprot-metadata', this.uniprotBaseUrl, trimmedId), this.cacheTtl.metadata, async () => {
+                const response = await this.makeRequestWithRetry(metadataUrl, { signal }, 1, progressCallback);
+                return response.json();
+            }, progressCallback, `protein information for ${trimmedId}`);
+            this.throwIfCancelled(signal);
             
-            if (progressCallback && totalSize) {
+            if (progressCallback) {
                 progressCallback({
-                    type: 'structure_download',
-                    message: `Downloading structure file (${Math.round(totalSize / 1024)} KB)...`,
-                    totalSize
+                    type: 'metadata_processing',
+                    message: 'Processing protein information...'
                 });
             }
-
-            // Read response with progress tracking if possible
-            let pdbData;
-            if (response.body && typeof response.body.getReader === 'function' && totalSize && progressCallback) {
-                pdbData = await this.readResponseWithProgress(response, totalSize, progressCallback);
-            } else {
-                if (progressCallback) {
-                    progressCallback({
-                        type: 'structure_processing',
-                        message: 'Processing structure file...'
-                    });
-                }
-                pdbData = await response.text();
-            }
-            
-            // Basic validation of PDB content
-            if (!pdbData.includes('HEADER') || !pdbData.includes('ATOM')) {
-                throw new Error('Invalid PDB file format received. The downloaded file does not appear to be a valid protein structure.');
-            }
+            const formattedData = this.formatProteinMetadata(data);
             
             if (progressCallback) {
                 progressCallback({
-                    type: 'structure_complete',
-                    message: 'Structure file downloaded successfully'
+                    type: 'metadata_complete',
+                    message: 'Protein information loaded successfully'
                 });
             }
             
-            return pdbData;
+            return formattedData;
         } catch (error) {
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `protein information for ${trimmedId}`);
+                throw this.createCancelledError();
+            }
+            
             const formattedError = this.handleApiErrors(error);
             
-            // Provide more specific error messages for structure not found
-            if (error.status === 404) {
-                throw new Error(`No AlphaFold structure available for protein ${trimmedId}. This protein may not be included in the AlphaFold database yet. AlphaFold currently covers proteins from model organisms and proteomes of scientific interest.`);
-            } else if (error.status === 403) {
-                throw new Error(`Access to AlphaFold structure for ${trimmedId} is restricted. This may be a temporary issue with the AlphaFold database.`);
+            // Add context-specific error messages
+            if (formattedError.type === 'not_found') {
+                throw new Error(`Protein ${trimmedId} not found in UniProt database. Please verify the UniProt ID is correct.`);
             } else if (formattedError.type === 'network') {
-                throw new Error(`Unable to download structure for ${trimmedId}. Please check your internet connection and try again.`);
+                throw new Error(`Unable to fetch protein information for ${trimmedId}. Please check your internet connection and try again.`);
             } else if (formattedError.type === 'timeout') {
-                throw new Error(`Download of structure for ${trimmedId} timed out. The file may be large or the server may be busy. Please try again.`);
+                throw new Error(`Request for protein information timed out. Please try again in a few moments.`);
             }
             
             throw new Error(formattedError.message);
@@ -307,113 +1517,349 @@ class APIService {
     }
 
     /**
-     * Read response with progress tracking
-     * @param {Response} response - Fetch response
-     * @param {number} totalSize - Total size in bytes
-     * @param {Function} progressCallback - Progress callback
-     * @returns {Promise<string>} Response text
+     * Fetch protein metadata for many UniProt IDs with as few requests as possible
+     * Cached entries are used directly; the rest are requested in chunks from UniProt's
+     * multi-accession endpoint, and every fetched entry is cached for later single lookups.
+     * @param {Array<string>} uniprotIds - UniProt IDs
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the lookup
+     * @returns {Promise<Object>} Formatted metadata and error messages, each keyed by UniProt ID in
+     *                            the order requested ({results, errors}); IDs that fail do not affect the others
      */
-    async readResponseWithProgress(response, totalSize, progressCallback) {
-        const reader = response.body.getReader();
+    async getProteinMetadataBatch(uniprotIds, progressCallback = null, signal = null) {
+        this.validateParams({ uniprotIds }, ['uniprotIds']);
+        if (!Array.isArray(uniprotIds)) {
+            throw new Error('UniProt IDs must be given as a list');
+        }
+
+        const ids = [...new Set(uniprotIds
+            .filter(id => typeof id === 'string' && id.trim())
+            .map(id => id.trim().toUpperCase()))];
+        const results = {};
+        const errors = {};
+        const pending = [];
+
+        for (const id of ids) {
+            if (!isValidUniProtId(id)) {
+                errors[id] = this.invalidUniProtIdMessage;
+                continue;
+            }
+            const cached = this.cache ? await this.cache.get(this.getCacheKey('uniprot-metadata', this.uniprotBaseUrl, id)) : null;
+            if (cached && !cached.stale) {
+                results[id] = this.formatProteinMetadata(cached.value);
+            } else {
+                pending.push({ id, cached });
+            }
+        }
+
         const chunks = [];
-        let receivedLength = 0;
-        
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                
-                if (done) break;
-                
-                chunks.push(value);
-                receivedLength += value.length;
-                
-                // Report progress
-                const progress = Math.round((receivedLength / totalSize) * 100);
+        for (let i = 0; i < pending.length; i += this.metadataBatchSize) {
+            chunks.push(pending.slice(i, i + this.metadataBatchSize));
+        }
+
+        if (progressCallback && chunks.length > 0) {
+            progressCallback({
+                type: 'metadata_batch_start',
+                total: ids.length,
+                cached: Object.keys(results).length,
+                message: `Fetching protein information for ${pending.length} entries in ${chunks.length} request${chunks.length !== 1 ? 's' : ''}...`
+            });
+        }
+
+        const loadChunk = async (chunk) => {
+            let entries;
+            try {
+                entries = await this.fetchMetadataChunk(chunk.map(item => item.id), signal, progressCallback);
+            } catch (error) {
+                if (error.cancelled || (signal && signal.aborted)) throw this.createCancelledError();
+
+                // The whole chunk failed; fall back to out-of-date copies where there are any
+                const message = this.handleApiErrors(error).message;
+                chunk.forEach(({ id, cached }) => {
+                    if (cached) {
+                        results[id] = this.formatProteinMetadata(cached.value);
+                    } else {
+                        errors[id] = message;
+                    }
+                });
+                return;
+            }
+
+            // Merged entries come back under their current accession and isoforms may come back as
+            // their entry, so entries are also found by secondary accession and by entry accession
+            const entriesById = new Map(entries.map(entry => [entry.primaryAccession, entry]));
+            entries.forEach(entry => {
+                (entry.secondaryAccessions || []).forEach(accession => {
+                    if (!entriesById.has(accession)) entriesById.set(accession, entry);
+                });
+            });
+            for (const { id } of chunk) {
+                const parsed = parseUniProtAccession(id);
+                const returned = entriesById.get(id);
+                const entry = returned || (parsed ? entriesById.get(parsed.entry) : undefined);
+                if (!entry) {
+                    errors[id] = `Protein ${id} not found in UniProt database. Please verify the UniProt ID is correct.`;
+                    continue;
+                }
+                results[id] = this.formatProteinMetadata(entry);
+                // An isoform answered by its canonical entry must not be cached as the isoform's own sequence
+                if (this.cache && returned) {
+                    await this.cache.set(this.getCacheKey('uniprot-metadata', this.uniprotBaseUrl, id), entry, this.cacheTtl.metadata);
+                }
+            }
+
+            if (progressCallback) {
                 progressCallback({
-                    type: 'download_progress',
-                    progress,
-                    receivedLength,
-                    totalSize,
-                    message: `Downloading... ${progress}% (${Math.round(receivedLength / 1024)}/${Math.round(totalSize / 1024)} KB)`
+                    type: 'metadata_batch_progress',
+                    loaded: Object.keys(results).length,
+                    total: ids.length,
+                    message: `Loaded protein information for ${Object.keys(results).length} of ${ids.length} entries...`
                 });
             }
-            
-            // Combine chunks into single Uint8Array
-            const allChunks = new Uint8Array(receivedLength);
-            let position = 0;
-            for (const chunk of chunks) {
-                allChunks.set(chunk, position);
-                position += chunk.length;
+        };
+
+        try {
+            await Promise.all(chunks.map(loadChunk));
+            this.throwIfCancelled(signal);
+        } catch (error) {
+            if (error.cancelled) {
+                this.reportCancelled(progressCallback, `protein information for ${ids.length} entries`);
             }
-            
-            // Convert to text
-            return new TextDecoder().decode(allChunks);
-        } finally {
-            reader.releaseLock();
+            throw error;
         }
+
+        if (progressCallback) {
+            const failed = Object.keys(errors).length;
+            progressCallback({
+                type: 'metadata_batch_complete',
+                loaded: Object.keys(results).length,
+                failed,
+                message: `Loaded protein information for ${Object.keys(results).length} of ${ids.length} entries${failed > 0 ? ` (${failed} failed)` : ''}`
+            });
+        }
+
+        // Chunks finish in any order; list entries in the order they were asked for
+        const inRequestOrder = (byId) => Object.fromEntries(ids.filter(id => id in byId).map(id => [id, byId[id]]));
+        return { results: inRequestOrder(results), errors: inRequestOrder(errors) };
     }
 
     /**
-     * Get protein metadata from UniProt
+     * Request the UniProt entries of several accessions at once
+     * @param {Array<string>} accessions - Validated, upper-case UniProt IDs
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<Array<Object>>} Raw UniProt entries; unknown accessions are left out
+     */
+    async fetchMetadataChunk(accessions, signal = null, progressCallback = null) {
+        const url = `${this.uniprotBaseUrl}accessions?accessions=${accessions.join(',')}&format=json&fields=${this.metadataFields}&size=${accessions.length}`;
+        const response = await this.makeRequestWithRetry(url, { signal }, 1, progressCallback);
+        const data = await response.json();
+        return Array.isArray(data.results) ? data.results : [];
+    }
+
+    /**
+     * Get the sequence features of a protein (domains, sites, modifications, topology) from UniProt
      * @param {string} uniprotId - UniProt ID
      * @param {Function} progressCallback - Optional progress callback
-     * @returns {Promise<Object>}
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Array<Object>>} Features as residue ranges on the UniProt sequence, ordered by position
+     */
+    async getProteinFeatures(uniprotId, progressCallback = null, signal = null) {
+        const data = await this.fetchUniProtAnnotations(uniprotId, this.featureFields, 'features', 'sequence features', progressCallback, signal);
+        const features = normalizeUniProtFeatures(data.features);
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'features_complete',
+                count: features.length,
+                message: `Loaded ${features.length} sequence features`
+            });
+        }
+
+        return features;
+    }
+
+    /**
+     * Get the natural variants of a protein, with the diseases they are linked to, from UniProt
+     * @param {string} uniprotId - UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Array<Object>>} Variants as residue changes on the UniProt sequence, ordered by position
+     */
+    async getProteinVariants(uniprotId, progressCallback = null, signal = null) {
+        const data = await this.fetchUniProtAnnotations(uniprotId, this.variantFields, 'variants', 'natural variants', progressCallback, signal);
+        const variants = normalizeUniProtVariants(data.features, data.comments);
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'variants_complete',
+                count: variants.length,
+                message: `Loaded ${variants.length} natural variants`
+            });
+        }
+
+        return variants;
+    }
+
+    /**
+     * List the experimental structures of a protein from UniProt's PDB cross-references
+     * @param {string} uniprotId - UniProt ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Array<Object>>} PDB entries with method, resolution and covered range, best resolution first
+     */
+    async getExperimentalStructures(uniprotId, progressCallback = null, signal = null) {
+        const data = await this.fetchUniProtAnnotations(uniprotId, this.pdbXrefFields, 'pdb-entries', 'experimental structures', progressCallback, signal);
+        const entries = normalizePdbCrossReferences(data.uniProtKBCrossReferences);
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'pdb-entries_complete',
+                count: entries.length,
+                message: `Found ${entries.length} experimental structures`
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Get the isoforms of a UniProt entry
+     * Isoforms are listed on the entry, so an isoform accession is looked up by its entry accession.
+     * @param {string} uniprotId - UniProt accession, optionally with an isoform suffix
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Array>} Isoforms in UniProt's order; empty when the entry has a single sequence
      */
-    async getProteinMetadata(uniprotId, progressCallback = null) {
+    async getProteinIsoforms(uniprotId, progressCallback = null, signal = null) {
         this.validateParams({ uniprotId }, ['uniprotId']);
-        
-        const trimmedId = uniprotId.trim().toUpperCase();
-        if (!trimmedId) {
-            throw new Error('UniProt ID cannot be empty');
+
+        const parsed = parseUniProtAccession(uniprotId);
+        if (!parsed) {
+            throw new Error(this.invalidUniProtIdMessage);
+        }
+
+        const data = await this.fetchUniProtAnnotations(parsed.entry, this.isoformFields, 'isoforms', 'isoforms', progressCallback, signal);
+        const isoforms = normalizeUniProtIsoforms(data.comments);
+
+        if (progressCallback) {
+            progressCallback({
+                type: 'isoforms_complete',
+                count: isoforms.length,
+                message: `Found ${isoforms.length} isoforms`
+            });
         }
 
-        // Validate UniProt ID format
-        if (!/^[A-Z0-9]{6,10}$/i.test(trimmedId)) {
-            throw new Error('Invalid UniProt ID format. UniProt IDs should be 6-10 characters long and contain only letters and numbers.');
+        return isoforms;
+    }
+
+    /**
+     * Download an experimental structure from the RCSB PDB as mmCIF
+     * mmCIF is used because the legacy PDB format is not provided for large entries.
+     * @param {string} pdbId - Four-character PDB ID
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the download
+     * @returns {Promise<string>} mmCIF file content
+     */
+    async fetchExperimentalStructure(pdbId, progressCallback = null, signal = null) {
+        this.validateParams({ pdbId }, ['pdbId']);
+
+        const trimmedId = pdbId.trim().toUpperCase();
+        if (!/^[0-9][A-Z0-9]{3}$/.test(trimmedId)) {
+            throw new Error('Invalid PDB ID format. PDB IDs are four characters starting with a digit, e.g. 1A3N.');
         }
 
-        const metadataUrl = `${this.uniprotBaseUrl}${trimmedId}?format=json&fields=accession,protein_name,organism_name,length,gene_names,cc_function,ft_chain,sequence`;
+        const structureUrl = `${this.rcsbBaseUrl}${trimmedId}.cif`;
 
         try {
             if (progressCallback) {
                 progressCallback({
-                    type: 'metadata_start',
-                    message: `Fetching protein information for ${trimmedId}...`
+                    type: 'structure_start',
+                    message: `Downloading experimental structure ${trimmedId}...`
                 });
             }
 
-            const response = await this.makeRequestWithRetry(metadataUrl, {}, 1, progressCallback);
-            
+            // Released PDB entries are only remediated occasionally, so they are kept as long as model files
+            const structureData = await this.fetchWithCache(this.getCacheKey('rcsb-structure', this.rcsbBaseUrl, trimmedId), this.cacheTtl.structure, async () => {
+                const response = await this.makeRequestWithRetry(structureUrl, { signal }, 1, progressCallback);
+                const contentLength = response.headers.get('content-length');
+                const totalSize = contentLength ? parseInt(contentLength, 10) : null;
+
+                const fileData = response.body && typeof response.body.getReader === 'function' && progressCallback
+                    ? await this.readResponseWithProgress(response, totalSize, progressCallback)
+                    : await response.text();
+
+                this.validateStructureData(fileData, 'cif');
+                return fileData;
+            }, progressCallback, `experimental structure ${trimmedId}`);
+            this.throwIfCancelled(signal);
+
             if (progressCallback) {
                 progressCallback({
-                    type: 'metadata_processing',
-                    message: 'Processing protein information...'
+                    type: 'structure_complete',
+                    message: `Experimental structure ${trimmedId} downloaded successfully`
                 });
             }
 
-            const data = await response.json();
-            const formattedData = this.formatProteinMetadata(data);
-            
+            return structureData;
+        } catch (error) {
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `experimental structure ${trimmedId}`);
+                throw this.createCancelledError();
+            }
+
+            const formattedError = this.handleApiErrors(error);
+            if (error.status === 404) {
+                throw new Error(`PDB entry ${trimmedId} could not be found at RCSB. It may have been obsoleted or not yet released.`);
+            } else if (formattedError.type === 'network') {
+                throw new Error(`Unable to download PDB entry ${trimmedId}. Please check your internet connection and try again.`);
+            }
+            throw new Error(formattedError.message);
+        }
+    }
+
+    /**
+     * Fetch selected annotation fields of a UniProt entry, cached like protein information
+     * @param {string} uniprotId - UniProt ID
+     * @param {string} fields - Comma-separated UniProt field names
+     * @param {string} kind - Short name of the annotations, used in cache keys and progress types
+     * @param {string} description - What is being fetched, for messages
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {AbortSignal} signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} Raw UniProt entry with the requested fields
+     */
+    async fetchUniProtAnnotations(uniprotId, fields, kind, description, progressCallback = null, signal = null) {
+        this.validateParams({ uniprotId }, ['uniprotId']);
+
+        const trimmedId = this.normalizeUniProtId(uniprotId);
+
+        const url = `${this.uniprotBaseUrl}${trimmedId}?format=json&fields=${fields}`;
+
+        try {
             if (progressCallback) {
                 progressCallback({
-                    type: 'metadata_complete',
-                    message: 'Protein information loaded successfully'
+                    type: `${kind}_start`,
+                    message: `Fetching ${description} for ${trimmedId}...`
                 });
             }
-            
-            return formattedData;
+
+            const data = await this.fetchWithCache(this.getCacheKey(`uniprot-${kind}`, this.uniprotBaseUrl, trimmedId), this.cacheTtl.metadata, async () => {
+                const response = await this.makeRequestWithRetry(url, { signal }, 1, progressCallback);
+                return response.json();
+            }, progressCallback, `${description} for ${trimmedId}`);
+            this.throwIfCancelled(signal);
+
+            return data;
         } catch (error) {
+            if (error.cancelled || (signal && signal.aborted)) {
+                this.reportCancelled(progressCallback, `${description} for ${trimmedId}`);
+                throw this.createCancelledError();
+            }
+
             const formattedError = this.handleApiErrors(error);
-            
-            // Add context-specific error messages
             if (formattedError.type === 'not_found') {
                 throw new Error(`Protein ${trimmedId} not found in UniProt database. Please verify the UniProt ID is correct.`);
-            } else if (formattedError.type === 'network') {
-                throw new Error(`Unable to fetch protein information for ${trimmedId}. Please check your internet connection and try again.`);
-            } else if (formattedError.type === 'timeout') {
-                throw new Error(`Request for protein information timed out. Please try again in a few moments.`);
             }
-            
             throw new Error(formattedError.message);
         }
     }
@@ -443,22 +1889,6 @@ class APIService {
             });
         }
 
-        // Calculate confidence score (mock implementation - in real scenario this would come from AlphaFold)
-        // For now, we'll generate a realistic confidence score based on sequence length
-        let confidenceScore = null;
-        if (data.sequence && data.sequence.length) {
-            // Longer proteins tend to have lower confidence in some regions
-            // This is a simplified mock calculation
-            const length = data.sequence.length;
-            if (length < 100) {
-                confidenceScore = 85 + Math.random() * 10; // 85-95%
-            } else if (length < 300) {
-                confidenceScore = 75 + Math.random() * 15; // 75-90%
-            } else {
-                confidenceScore = 65 + Math.random() * 20; // 65-85%
-            }
-        }
-
         return {
             uniprotId: data.primaryAccession || data.accession,
             proteinName: data.proteinDescription?.recommendedName?.fullName?.value || 
@@ -467,7 +1897,9 @@ class APIService {
             sequenceLength: data.sequence?.length || null,
             geneNames: geneNames,
             description: functionDescription || 'No functional description available',
-            confidenceScore: confidenceScore ? Math.round(confidenceScore * 10) / 10 : null,
+            // UniProt carries no structure confidence; the real pLDDT statistics are
+            // computed from the downloaded model by VisualizerComponent
+            confidenceScore: null,
             lastUpdated: new Date().toISOString()
         };
     }
@@ -484,6 +1916,29 @@ class APIService {
         const retryInfo = error.retryAttempts ? 
             ` (Failed after ${error.retryAttempts} attempt${error.retryAttempts > 1 ? 's' : ''})` : '';
         
+        // Cancelled by the caller (e.g. a different protein was selected)
+        if (error.cancelled) {
+            return {
+                type: 'cancelled',
+                message: 'Request cancelled.',
+                retryable: false,
+                userAction: 'No action needed',
+                technicalDetails: error.message
+            };
+        }
+        
+        // The host failed repeatedly and requests to it are paused
+        if (error.circuitOpen) {
+            const seconds = Math.ceil((error.retryAfter || 0) / 1000);
+            return {
+                type: 'service_down',
+                message: `${error.host} is not responding after repeated failures. Requests to it are paused${seconds > 0 ? ` and will be tried again in ${seconds} seconds` : ''}.`,
+                retryable: true,
+                userAction: 'Wait until the service status in the header is no longer shown as down',
+                technicalDetails: error.message
+            };
+        }
+        
         // Network connectivity issues
         if (error.name === 'NetworkError' || error.name === 'TypeError' || !navigator.onLine) {
             return {
@@ -544,9 +1999,11 @@ class APIService {
                 case 429:
                     return {
                         type: 'rate_limit',
-                        message: `Too many requests${retryInfo}. The server is limiting requests to prevent overload. Please wait a moment before trying again.`,
+                        message: `Too many requests${retryInfo}. The server is limiting requests to prevent overload. ${error.retryAfter ? `Please try again in ${Math.ceil(error.retryAfter / 1000)} seconds.` : 'Please wait a moment before trying again.'}`,
                         retryable: true,
-                        userAction: 'Wait 30-60 seconds before trying again',
+                        userAction: error.retryAfter
+                            ? `Wait ${Math.ceil(error.retryAfter / 1000)} seconds before trying again`
+                            : 'Wait 30-60 seconds before trying again',
                         technicalDetails: `HTTP 429: ${error.message || 'Rate Limited'}`
                     };
                 case 500:
@@ -625,6 +2082,20 @@ class APIService {
             }
         }
     }
+
+    /**
+     * Normalize a UniProt accession for use in URLs and cache keys
+     * @param {string} uniprotId - UniProt accession, optionally with an isoform suffix (P04637-2)
+     * @returns {string} Upper-case accession
+     * @throws {Error} If the ID does not follow UniProt's accession grammar
+     */
+    normalizeUniProtId(uniprotId) {
+        const parsed = parseUniProtAccession(uniprotId);
+        if (!parsed) {
+            throw new Error(this.invalidUniProtIdMessage);
+        }
+        return parsed.accession;
+    }
 }
 
 // Export for Node.js testing
@@ -0,0 +1,282 @@
+/**
+ * Cache service for persisting API responses between visits
+ * Entries are stored in IndexedDB, with an in-memory fallback when IndexedDB is
+ * unavailable (private browsing, older browsers, tests).
+ */
+class CacheService {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.maxSize - Largest total size of cached values in bytes
+     * @param {number} options.maxEntries - Largest number of cached entries
+     * @param {boolean} options.useIndexedDB - Set to false to keep entries in memory only
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'alphaview-cache';
+        this.dbVersion = 1;
+        this.maxSize = options.maxSize || 100 * 1024 * 1024; // 100 MB
+        this.maxEntries = options.maxEntries || 500;
+        this.useIndexedDB = options.useIndexedDB !== undefined
+            ? options.useIndexedDB
+            : typeof indexedDB !== 'undefined';
+        this.dbPromise = null;
+        // Entry metadata and values are stored separately so eviction never loads the values
+        this.memoryEntries = new Map();
+        this.memoryValues = new Map();
+    }
+
+    /**
+     * Open (and create if needed) the cache database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to memory
+     */
+    getDatabase() {
+        if (!this.useIndexedDB) return Promise.resolve(null);
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                let request;
+                try {
+                    request = indexedDB.open(this.dbName, this.dbVersion);
+                } catch (error) {
+                    console.warn('IndexedDB unavailable, caching in memory:', error);
+                    this.useIndexedDB = false;
+                    resolve(null);
+                    return;
+                }
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('entries')) {
+                        db.createObjectStore('entries', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('values')) {
+                        db.createObjectStore('values', { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Could not open cache database, caching in memory:', request.error);
+                    this.useIndexedDB = false;
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run an operation on the cache object stores
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the entries and values stores; may return a
+     *                               function that collects the result once the transaction completes
+     * @returns {Promise<*>} Collected result
+     */
+    async runTransaction(mode, operation) {
+        const db = await this.getDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['entries', 'values'], mode);
+            const collect = operation(transaction.objectStore('entries'), transaction.objectStore('values'));
+            transaction.oncomplete = () => resolve(collect ? collect() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Cached entry ({value, stale, storedAt}), or null on a miss.
+     *                                 Stale entries are past their TTL but kept as a fallback.
+     */
+    async get(key) {
+        try {
+            const now = Date.now();
+            let entry;
+            let value;
+
+            if (await this.getDatabase()) {
+                const found = await this.runTransaction('readwrite', (entries, values) => {
+                    const entryRequest = entries.get(key);
+                    const valueRequest = values.get(key);
+                    entryRequest.onsuccess = () => {
+                        // Record the access for LRU eviction
+                        if (entryRequest.result) {
+                            entries.put({ ...entryRequest.result, lastAccessed: now });
+                        }
+                    };
+                    return () => ({ entry: entryRequest.result, stored: valueRequest.result });
+                });
+                if (!found.entry || !found.stored) return null;
+                entry = found.entry;
+                value = found.stored.value;
+            } else {
+                entry = this.memoryEntries.get(key);
+                if (!entry) return null;
+                value = this.memoryValues.get(key);
+                entry.lastAccessed = now;
+            }
+
+            return {
+                value,
+                stale: now >= entry.expiresAt,
+                storedAt: entry.storedAt
+            };
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store (string, bytes or JSON-compatible data)
+     * @param {number} ttl - Time in milliseconds before the entry becomes stale
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async set(key, value, ttl) {
+        try {
+            const size = this.estimateSize(value);
+            if (size > this.maxSize) return false;
+
+            const now = Date.now();
+            const entry = { key, size, storedAt: now, lastAccessed: now, expiresAt: now + ttl };
+
+            if (await this.getDatabase()) {
+                await this.runTransaction('readwrite', (entries, values) => {
+                    entries.put(entry);
+                    values.put({ key, value });
+                });
+            } else {
+                this.memoryEntries.set(key, entry);
+                this.memoryValues.set(key, value);
+            }
+
+            await this.evict();
+            return true;
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove least recently used entries until the cache fits its limits
+     */
+    async evict() {
+        const entries = await this.getAllEntries();
+        let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let count = entries.length;
+
+        const evicted = [];
+        const byLastAccess = entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+        for (const entry of byLastAccess) {
+            if (totalSize <= this.maxSize && count <= this.maxEntries) break;
+            evicted.push(entry.key);
+            totalSize -= entry.size;
+            count--;
+        }
+
+        if (evicted.length > 0) {
+            await this.removeKeys(evicted);
+        }
+    }
+
+    /**
+     * Get metadata of every cached entry
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAllEntries() {
+        if (await this.getDatabase()) {
+            return this.runTransaction('readonly', (entries) => {
+                const request = entries.getAll();
+                return () => request.result;
+            });
+        }
+        return Array.from(this.memoryEntries.values());
+    }
+
+    /**
+     * Remove entries by key
+     * @param {Array<string>} keys - Cache keys
+     */
+    async removeKeys(keys) {
+        if (await this.getDatabase()) {
+            await this.runTransaction('readwrite', (entries, values) => {
+                keys.forEach(key => {
+                    entries.delete(key);
+                    values.delete(key);
+                });
+            });
+        } else {
+            keys.forEach(key => {
+                this.memoryEntries.delete(key);
+                this.memoryValues.delete(key);
+            });
+        }
+    }
+
+    /**
+     * Remove one cached value
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        try {
+            await this.removeKeys([key]);
+        } catch (error) {
+            console.warn(`Cache delete failed for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Remove every cached value
+     */
+    async clear() {
+        if (await this.getDatabase()) {
+            await this.runTransaction('readwrite', (entries, values) => {
+                entries.clear();
+                values.clear();
+            });
+        } else {
+            this.memoryEntries.clear();
+            this.memoryValues.clear();
+        }
+    }
+
+    /**
+     * Get the number and total size of cached entries
+     * @returns {Promise<Object>} Statistics ({entries, size})
+     */
+    async getStats() {
+        try {
+            const entries = await this.getAllEntries();
+            return {
+                entries: entries.length,
+                size: entries.reduce((sum, entry) => sum + entry.size, 0)
+            };
+        } catch (error) {
+            console.warn('Could not read cache statistics:', error);
+            return { entries: 0, size: 0 };
+        }
+    }
+
+    /**
+     * Estimate the stored size of a value in bytes
+     * @param {*} value - Value to measure
+     * @returns {number}
+     */
+    estimateSize(value) {
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'string') return value.length;
+        if (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value))) {
+            return value.byteLength;
+        }
+        return JSON.stringify(value).length;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CacheService;
+}
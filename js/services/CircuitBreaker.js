@@ -0,0 +1,194 @@
+/**
+ * Circuit breaker that stops sending requests to a host that keeps failing
+ *
+ * closed:    requests are sent; consecutive failures are counted
+ * open:      requests fail immediately until the reset timeout has passed
+ * half_open: one probe request is let through; success closes the circuit, failure opens it again
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.resetTimeout - Milliseconds the circuit stays open before a probe
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeout = options.resetTimeout || 30000; // 30 seconds
+        this.circuits = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Get the host a URL is sent to
+     * @param {string} url - Request URL
+     * @returns {string} Host name, or 'local' for relative URLs
+     */
+    getHost(url) {
+        const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url);
+        return match ? match[1].toLowerCase() : 'local';
+    }
+
+    /**
+     * Get (and create if needed) the circuit of a host
+     * @param {string} host - Host name
+     * @returns {Object} Circuit state
+     */
+    getCircuit(host) {
+        if (!this.circuits.has(host)) {
+            this.circuits.set(host, {
+                host,
+                state: 'closed',
+                failures: 0,
+                openedAt: 0,
+                probeInFlight: false,
+                lastError: null
+            });
+        }
+        return this.circuits.get(host);
+    }
+
+    /**
+     * Check whether a request may be sent, letting one probe through once the circuit has been open long enough
+     * @param {string} url - Request URL
+     * @returns {boolean} False while the circuit is open
+     */
+    canRequest(url) {
+        const circuit = this.getCircuit(this.getHost(url));
+
+        if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.resetTimeout) {
+            this.setState(circuit, 'half_open');
+        }
+
+        if (circuit.state === 'closed') return true;
+        if (circuit.state === 'half_open' && !circuit.probeInFlight) {
+            circuit.probeInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a successful request
+     * @param {string} url - Request URL
+     */
+    recordSuccess(url) {
+        const circuit = this.getCircuit(this.getHost(url));
+        const hadFailures = circuit.failures > 0;
+        circuit.failures = 0;
+        circuit.probeInFlight = false;
+        circuit.lastError = null;
+
+        if (circuit.state !== 'closed') {
+            this.setState(circuit, 'closed');
+        } else if (hadFailures) {
+            this.notify(circuit);
+        }
+    }
+
+    /**
+     * Record a request that failed because the host is unavailable
+     * @param {string} url - Request URL
+     * @param {Error} error - Error of the failed request
+     */
+    recordFailure(url, error) {
+        const circuit = this.getCircuit(this.getHost(url));
+        circuit.failures++;
+        circuit.lastError = error ? error.message : null;
+
+        if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+            circuit.probeInFlight = false;
+            circuit.openedAt = Date.now();
+            this.setState(circuit, 'open');
+        } else {
+            this.notify(circuit);
+        }
+    }
+
+    /**
+     * Record a request that ended without saying anything about the host (e.g. cancelled)
+     * @param {string} url - Request URL
+     */
+    recordIgnored(url) {
+        const circuit = this.getCircuit(this.getHost(url));
+        circuit.probeInFlight = false;
+    }
+
+    /**
+     * Get the health of a host
+     * @param {string} url - Any URL on the host
+     * @returns {Object} Health ({host, status, failures, retryIn, lastError}); status is
+     *                   'healthy', 'degraded' (recent failures or probing) or 'down' (circuit open)
+     */
+    getHealth(url) {
+        return this.describeCircuit(this.getCircuit(this.getHost(url)));
+    }
+
+    /**
+     * Describe the health of a circuit
+     * @param {Object} circuit - Circuit state
+     * @returns {Object} Health (see getHealth)
+     */
+    describeCircuit(circuit) {
+        const retryIn = circuit.state === 'open'
+            ? Math.max(0, this.resetTimeout - (Date.now() - circuit.openedAt))
+            : 0;
+
+        // An open circuit whose timeout has passed lets the next request through as a probe
+        let status = 'healthy';
+        if (circuit.state === 'open' && retryIn > 0) {
+            status = 'down';
+        } else if (circuit.state !== 'closed' || circuit.failures > 0) {
+            status = 'degraded';
+        }
+
+        return {
+            host: circuit.host,
+            status,
+            failures: circuit.failures,
+            retryIn,
+            lastError: circuit.lastError
+        };
+    }
+
+    /**
+     * Call a function whenever the health of a host changes
+     * @param {Function} listener - Receives the host's health (see getHealth)
+     * @returns {Function} Function that removes the listener
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(candidate => candidate !== listener);
+        };
+    }
+
+    /**
+     * Move a circuit to a new state and tell listeners
+     * @param {Object} circuit - Circuit state
+     * @param {string} state - 'closed', 'open' or 'half_open'
+     */
+    setState(circuit, state) {
+        circuit.state = state;
+        this.notify(circuit);
+    }
+
+    /**
+     * Tell listeners about the health of a host
+     * @param {Object} circuit - Circuit state
+     */
+    notify(circuit) {
+        const health = this.describeCircuit(circuit);
+        this.listeners.forEach(listener => {
+            try {
+                listener(health);
+            } catch (error) {
+                console.warn('Circuit breaker listener error:', error);
+            }
+        });
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitBreaker;
+}
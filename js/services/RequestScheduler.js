@@ -0,0 +1,250 @@
+/**
+ * Request scheduler that spaces out requests to each host
+ * Every host gets its own queue with a concurrency cap and a token bucket, and can be
+ * paused when the server asks clients to back off (Retry-After).
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.maxConcurrent - Most requests in flight per host
+     * @param {number} options.requestsPerSecond - Sustained request rate per host
+     * @param {number} options.burst - Requests that may start at once before the rate applies
+     * @param {Object} options.hostLimits - Settings for specific hosts, keyed by host name
+     */
+    constructor(options = {}) {
+        this.defaultLimits = {
+            maxConcurrent: options.maxConcurrent || 4,
+            requestsPerSecond: options.requestsPerSecond || 5,
+            burst: options.burst || 10
+        };
+        this.hostLimits = options.hostLimits || {};
+        this.hosts = new Map();
+    }
+
+    /**
+     * Get the host a URL is sent to
+     * @param {string} url - Request URL
+     * @returns {string} Host name, or 'local' for relative URLs
+     */
+    getHost(url) {
+        const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url);
+        return match ? match[1].toLowerCase() : 'local';
+    }
+
+    /**
+     * Get (and create if needed) the queue state of a host
+     * @param {string} host - Host name
+     * @returns {Object} Host state
+     */
+    getHostState(host) {
+        if (!this.hosts.has(host)) {
+            const limits = { ...this.defaultLimits, ...this.hostLimits[host] };
+            this.hosts.set(host, {
+                host,
+                limits,
+                queue: [],
+                active: 0,
+                tokens: limits.burst,
+                lastRefill: Date.now(),
+                pausedUntil: 0
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Run a request once its host has capacity
+     * @param {string} url - Request URL, used to pick the host queue
+     * @param {Function} task - Async function that sends the request
+     * @param {Object} options - Optional settings
+     * @param {AbortSignal} options.signal - Signal that removes the request from the queue
+     * @param {Function} options.onWait - Receives {reason, position, waitMs, host} while the request waits;
+     *                                    reason is 'queued' (behind other requests) or 'throttled' (rate limit)
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule(url, task, options = {}) {
+        const state = this.getHostState(this.getHost(url));
+        const { signal = null, onWait = null } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createCancelledError());
+                return;
+            }
+
+            // onAbort is kept so pump can stop listening once the request leaves the queue
+            const item = { task, resolve, reject, signal, onWait, position: 0, onAbort: null };
+            state.queue.push(item);
+
+            if (signal && typeof signal.addEventListener === 'function') {
+                item.onAbort = () => {
+                    const index = state.queue.indexOf(item);
+                    if (index === -1) return;
+                    state.queue.splice(index, 1);
+                    reject(this.createCancelledError());
+                    this.reportPositions(state);
+                };
+                signal.addEventListener('abort', item.onAbort, { once: true });
+            }
+
+            this.pump(state);
+        });
+    }
+
+    /**
+     * Start queued requests while the host has free slots
+     * @param {Object} state - Host state
+     */
+    pump(state) {
+        while (state.queue.length > 0 && state.active < state.limits.maxConcurrent) {
+            const item = state.queue.shift();
+            // run watches the signal itself while the request waits for its slot
+            if (item.onAbort) {
+                item.signal.removeEventListener('abort', item.onAbort);
+                item.onAbort = null;
+            }
+            state.active++;
+            this.run(state, item, this.reserveSlot(state));
+        }
+        this.reportPositions(state);
+    }
+
+    /**
+     * Take a token from the host's bucket
+     * Requests that find the bucket empty are given the time the next token arrives,
+     * so each request waits once instead of polling.
+     * @param {Object} state - Host state
+     * @returns {number} Milliseconds to wait before sending
+     */
+    reserveSlot(state) {
+        const now = Date.now();
+        const { requestsPerSecond, burst } = state.limits;
+
+        if (now > state.lastRefill) {
+            state.tokens = Math.min(burst, state.tokens + ((now - state.lastRefill) / 1000) * requestsPerSecond);
+            state.lastRefill = now;
+        }
+
+        let waitMs = 0;
+        if (state.tokens >= 1) {
+            state.tokens -= 1;
+        } else {
+            // Borrow the next token; lastRefill moves into the future so later requests queue behind it
+            waitMs = Math.ceil(((1 - state.tokens) / requestsPerSecond) * 1000) + Math.max(0, state.lastRefill - now);
+            state.tokens = 0;
+            state.lastRefill = now + waitMs;
+        }
+
+        return Math.max(waitMs, state.pausedUntil - now);
+    }
+
+    /**
+     * Wait for the reserved slot, then run a request and free its slot
+     * @param {Object} state - Host state
+     * @param {Object} item - Queued request
+     * @param {number} waitMs - Milliseconds to wait first
+     */
+    async run(state, item, waitMs) {
+        try {
+            if (waitMs > 0) {
+                if (item.onWait) {
+                    item.onWait({ reason: 'throttled', position: 0, waitMs, host: state.host });
+                }
+                await this.wait(waitMs, item.signal);
+            }
+            if (item.signal && item.signal.aborted) {
+                throw this.createCancelledError();
+            }
+            item.resolve(await item.task());
+        } catch (error) {
+            item.reject(error);
+        } finally {
+            state.active--;
+            this.pump(state);
+        }
+    }
+
+    /**
+     * Tell queued requests their new place in line
+     * @param {Object} state - Host state
+     */
+    reportPositions(state) {
+        state.queue.forEach((item, index) => {
+            const position = index + 1;
+            if (item.position === position) return;
+            item.position = position;
+            if (item.onWait) {
+                item.onWait({ reason: 'queued', position, waitMs: 0, host: state.host });
+            }
+        });
+    }
+
+    /**
+     * Hold back new requests to a host, e.g. after a 429 with Retry-After
+     * @param {string} url - Any URL on the host
+     * @param {number} ms - Milliseconds to pause
+     */
+    pauseHost(url, ms) {
+        const state = this.getHostState(this.getHost(url));
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Get the queue length and requests in flight of a host
+     * @param {string} url - Any URL on the host
+     * @returns {Object} Statistics ({queued, active, pausedFor})
+     */
+    getHostStats(url) {
+        const state = this.getHostState(this.getHost(url));
+        return {
+            queued: state.queue.length,
+            active: state.active,
+            pausedFor: Math.max(0, state.pausedUntil - Date.now())
+        };
+    }
+
+    /**
+     * Create the error for requests cancelled while queued or waiting for their slot
+     * @returns {Error} Error with name 'AbortError' and cancelled set to true
+     */
+    createCancelledError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Wait before sending a request
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} signal - Optional signal that ends the wait early
+     * @returns {Promise<void>} Resolves after the wait; rejects with a cancelled error if the signal aborts first
+     */
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createCancelledError());
+                return;
+            }
+
+            const canListen = signal && typeof signal.addEventListener === 'function';
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createCancelledError());
+            };
+            const timer = setTimeout(() => {
+                if (canListen) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (canListen) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestScheduler;
+}
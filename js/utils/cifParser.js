@@ -0,0 +1,293 @@
+/**
+ * Utility functions for mmCIF / BinaryCIF structure files
+ */
+
+// BinaryCIF files are a MessagePack map holding at least these keys, ahead of the encoded data
+const BCIF_HEADER_KEYS = ['encoder', 'dataBlocks'];
+const BCIF_HEADER_LENGTH = 1000;
+
+/**
+ * Check whether bytes start like a BinaryCIF file
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean} Whether the content opens with a MessagePack map that has the BinaryCIF keys
+ */
+function isBinaryCifHeader(bytes) {
+    // fixmap, map 16 or map 32
+    const first = bytes[0];
+    if (!((first >= 0x80 && first <= 0x8f) || first === 0xde || first === 0xdf)) return false;
+
+    // Keys are short strings, encoded as a fixstr length byte followed by the characters
+    const head = bytes.subarray(0, BCIF_HEADER_LENGTH);
+    return BCIF_HEADER_KEYS.every(key => {
+        const encoded = [0xa0 | key.length, ...Array.from(key, char => char.charCodeAt(0))];
+        for (let i = 1; i + encoded.length <= head.length; i++) {
+            if (encoded.every((byte, offset) => head[i + offset] === byte)) return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Detect the format of structure file content
+ * @param {string|ArrayBuffer|Uint8Array} data - Structure file content
+ * @returns {string|null} 'pdb', 'cif', 'bcif' or null if unrecognized
+ */
+function detectStructureFormat(data) {
+    if (!data) return null;
+
+    // BinaryCIF is MessagePack-encoded, so it arrives as bytes
+    if (typeof ArrayBuffer !== 'undefined' && (data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        return isBinaryCifHeader(bytes) ? 'bcif' : null;
+    }
+
+    if (typeof data !== 'string') return null;
+
+    const head = data.trimStart().substring(0, 1000);
+    if (/^data_/.test(head) || data.includes('_atom_site.')) {
+        return 'cif';
+    }
+    if (/^(ATOM  |HETATM)/m.test(data)) {
+        return 'pdb';
+    }
+    return null;
+}
+
+/**
+ * Split a line of mmCIF data into tokens, honouring quoted values
+ * @param {string} line - Line of mmCIF data
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeCifLine(line) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < line.length) {
+        const char = line[i];
+
+        if (char === ' ' || char === '\t') {
+            i++;
+            continue;
+        }
+
+        // Comment runs to the end of the line
+        if (char === '#') break;
+
+        // A quote only closes when followed by whitespace or end of line
+        if (char === '\'' || char === '"') {
+            let end = i + 1;
+            while (end < line.length && !(line[end] === char && (end + 1 === line.length || /\s/.test(line[end + 1])))) {
+                end++;
+            }
+            tokens.push(line.substring(i + 1, end));
+            i = end + 1;
+            continue;
+        }
+
+        let end = i;
+        while (end < line.length && line[end] !== ' ' && line[end] !== '\t') {
+            end++;
+        }
+        tokens.push(line.substring(i, end));
+        i = end;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse one category of an mmCIF file into row objects
+ * @param {string} cifData - mmCIF file content
+ * @param {string} categoryName - Category name without leading underscore (e.g. 'atom_site')
+ * @returns {Array<Object>} Rows keyed by field name, empty if the category is absent
+ */
+function parseCifCategory(cifData, categoryName) {
+    if (!cifData || typeof cifData !== 'string') return [];
+
+    const prefix = `_${categoryName}.`;
+    const lines = cifData.split(/\r?\n/);
+    const rows = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        // Looped category: field names followed by whitespace-separated rows
+        if (line === 'loop_' && i + 1 < lines.length && lines[i + 1].trim().startsWith(prefix)) {
+            const fields = [];
+            i++;
+            while (i < lines.length && lines[i].trim().startsWith(prefix)) {
+                fields.push(lines[i].trim().substring(prefix.length));
+                i++;
+            }
+
+            let values = [];
+            while (i < lines.length) {
+                const rowLine = lines[i];
+                const trimmed = rowLine.trim();
+                if (trimmed.startsWith('_') || trimmed === 'loop_' || trimmed.startsWith('data_') || trimmed === '#') {
+                    break;
+                }
+
+                // Semicolon text fields span several lines
+                if (rowLine.startsWith(';')) {
+                    const textLines = [rowLine.substring(1)];
+                    i++;
+                    while (i < lines.length && !lines[i].startsWith(';')) {
+                        textLines.push(lines[i]);
+                        i++;
+                    }
+                    values.push(textLines.join('\n').trim());
+                } else {
+                    values = values.concat(tokenizeCifLine(rowLine));
+                }
+
+                while (values.length >= fields.length) {
+                    const row = {};
+                    fields.forEach((field, index) => {
+                        row[field] = values[index];
+                    });
+                    rows.push(row);
+                    values = values.slice(fields.length);
+                }
+                i++;
+            }
+            return rows;
+        }
+
+        // Single-row category written as key-value pairs
+        if (line.startsWith(prefix)) {
+            const row = {};
+            while (i < lines.length && lines[i].trim().startsWith(prefix)) {
+                const tokens = tokenizeCifLine(lines[i].trim());
+                const field = tokens[0].substring(prefix.length);
+                if (tokens.length > 1) {
+                    row[field] = tokens[1];
+                } else if (i + 1 < lines.length && lines[i + 1].startsWith(';')) {
+                    const textLines = [lines[i + 1].substring(1)];
+                    i += 2;
+                    while (i < lines.length && !lines[i].startsWith(';')) {
+                        textLines.push(lines[i]);
+                        i++;
+                    }
+                    row[field] = textLines.join('\n').trim();
+                } else if (i + 1 < lines.length) {
+                    row[field] = tokenizeCifLine(lines[i + 1])[0];
+                    i++;
+                }
+                i++;
+            }
+            return [row];
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Check that mmCIF content contains atomic coordinates
+ * @param {string} cifData - mmCIF file content
+ * @returns {boolean}
+ */
+function isValidCifStructure(cifData) {
+    if (detectStructureFormat(cifData) !== 'cif') return false;
+    return /^data_/m.test(cifData) && cifData.includes('_atom_site.Cartn_x');
+}
+
+/**
+ * Get the per-residue pLDDT rows of a ModelCIF file
+ * _ma_qa_metric_local may hold several local metrics, so only rows of a metric that
+ * _ma_qa_metric declares with mode 'local' and type 'pLDDT' are kept.
+ * @param {string} cifData - mmCIF file content
+ * @returns {Array<Object>} _ma_qa_metric_local rows, empty if the file declares no local pLDDT metric
+ */
+function getCifPlddtMetrics(cifData) {
+    const plddtIds = new Set(parseCifCategory(cifData, 'ma_qa_metric')
+        .filter(metric => (metric.mode || '').toLowerCase() === 'local' && (metric.type || '').toLowerCase() === 'plddt')
+        .map(metric => metric.id));
+    if (plddtIds.size === 0) return [];
+
+    return parseCifCategory(cifData, 'ma_qa_metric_local').filter(row => plddtIds.has(row.metric_id));
+}
+
+/**
+ * Extract per-residue pLDDT scores from an AlphaFold mmCIF file
+ * Uses the pLDDT rows of _ma_qa_metric_local and falls back to CA B-factors in _atom_site.
+ * Residues are reported with author chain IDs and numbering, matching what 3Dmol.js displays.
+ * @param {string} cifData - mmCIF file content
+ * @returns {Array<Object>} Residues with residueNumber, residueName, chainId and confidenceScore
+ */
+function extractCifConfidenceScores(cifData) {
+    const atoms = parseCifCategory(cifData, 'atom_site')
+        .filter(atom => atom.label_atom_id === 'CA' || atom.auth_atom_id === 'CA');
+
+    // Map label identifiers (used by ModelCIF) to author identifiers (used by viewers)
+    const authByLabel = new Map();
+    atoms.forEach(atom => {
+        authByLabel.set(`${atom.label_asym_id}:${atom.label_seq_id}`, {
+            chainId: atom.auth_asym_id || atom.label_asym_id,
+            residueNumber: parseInt(atom.auth_seq_id || atom.label_seq_id, 10)
+        });
+    });
+
+    const metrics = getCifPlddtMetrics(cifData);
+    if (metrics.length > 0) {
+        return metrics
+            .map(metric => {
+                const auth = authByLabel.get(`${metric.label_asym_id}:${metric.label_seq_id}`);
+                return {
+                    residueNumber: auth ? auth.residueNumber : parseInt(metric.label_seq_id, 10),
+                    residueName: metric.label_comp_id,
+                    chainId: auth ? auth.chainId : metric.label_asym_id,
+                    confidenceScore: parseFloat(metric.metric_value)
+                };
+            })
+            .filter(residue => !isNaN(residue.residueNumber) && !isNaN(residue.confidenceScore));
+    }
+
+    // AlphaFold also stores pLDDT in the B-factor column
+    return atoms
+        .map(atom => ({
+            residueNumber: parseInt(atom.auth_seq_id || atom.label_seq_id, 10),
+            residueName: atom.auth_comp_id || atom.label_comp_id,
+            chainId: atom.auth_asym_id || atom.label_asym_id,
+            confidenceScore: parseFloat(atom.B_iso_or_equiv)
+        }))
+        .filter(residue => !isNaN(residue.residueNumber) && !isNaN(residue.confidenceScore));
+}
+
+/**
+ * Extract how the chains of an experimental mmCIF file align to sequence database entries
+ * Reads _struct_ref_seq, which the PDB derives from SIFTS. Residue numbers are author numbering,
+ * matching what 3Dmol.js displays, and need not equal positions on the UniProt sequence.
+ * @param {string} cifData - mmCIF file content
+ * @returns {Array<Object>} Aligned segments ({chainId, accession, start, end, offset}); start and end are
+ *                          positions on the database sequence, and residue number = position + offset
+ */
+function extractCifSequenceReferences(cifData) {
+    return parseCifCategory(cifData, 'struct_ref_seq')
+        .map(row => {
+            const start = parseInt(row.db_align_beg, 10);
+            return {
+                chainId: row.pdbx_strand_id,
+                accession: (row.pdbx_db_accession || '').toUpperCase(),
+                start,
+                end: parseInt(row.db_align_end, 10),
+                offset: parseInt(row.pdbx_auth_seq_align_beg, 10) - start
+            };
+        })
+        .filter(segment => segment.chainId && !isNaN(segment.start) && !isNaN(segment.end) && !isNaN(segment.offset));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isBinaryCifHeader,
+        detectStructureFormat,
+        tokenizeCifLine,
+        parseCifCategory,
+        isValidCifStructure,
+        getCifPlddtMetrics,
+        extractCifConfidenceScores,
+        extractCifSequenceReferences
+    };
+}
@@ -0,0 +1,252 @@
+/**
+ * Utility functions for configuring data-source endpoints
+ *
+ * Settings are merged in this order, later sources winning:
+ * defaults, window.ALPHAVIEW_CONFIG, settings saved from the settings panel, URL parameters.
+ * URL parameters may only point at the page's own origin, since anyone can send a link; links to
+ * other hosts are offered in the settings panel instead of being applied.
+ */
+
+const DEFAULT_ENDPOINT_CONFIG = {
+    // 'api' uses the AlphaFold prediction API; 'static' reads files named like AlphaFold's
+    // downloads (AF-P69905-F1-model_v4.cif) from a directory or static file server
+    backend: 'api',
+    alphafoldBaseUrl: 'https://alphafold.ebi.ac.uk/files/',
+    alphafoldApiUrl: 'https://alphafold.ebi.ac.uk/api/',
+    uniprotBaseUrl: 'https://rest.uniprot.org/uniprotkb/',
+    // Model version assumed for static files, which have no API to ask
+    modelVersion: 4,
+    // Static files are gzip-compressed, as in AlphaFold's proteome archives (AF-P69905-F1-model_v4.cif.gz)
+    compressed: false
+};
+
+const ENDPOINT_STORAGE_KEY = 'alphaview.endpoints';
+
+// Settings that name a location data is downloaded from
+const ENDPOINT_URL_KEYS = ['alphafoldBaseUrl', 'alphafoldApiUrl', 'uniprotBaseUrl'];
+
+// URL parameter names for each setting
+const ENDPOINT_URL_PARAMS = {
+    backend: 'source',
+    alphafoldBaseUrl: 'alphafold',
+    alphafoldApiUrl: 'alphafold_api',
+    uniprotBaseUrl: 'uniprot',
+    modelVersion: 'model_version',
+    compressed: 'compressed'
+};
+
+/**
+ * Normalize a base URL or directory so file names can be appended
+ * @param {string} url - Base URL or path
+ * @returns {string|null} URL ending in '/', or null if empty
+ */
+function normalizeBaseUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+    const trimmed = url.trim();
+    return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+}
+
+/**
+ * Keep only known endpoint settings and normalize their values
+ * @param {Object} config - Partial endpoint configuration
+ * @returns {Object} Cleaned partial configuration
+ */
+function cleanEndpointConfig(config) {
+    const cleaned = {};
+    if (!config || typeof config !== 'object') return cleaned;
+
+    if (typeof config.backend === 'string' && config.backend.trim()) {
+        // 'local' reads better in URLs and is accepted as an alias for static files
+        const backend = config.backend.trim().toLowerCase();
+        cleaned.backend = backend === 'local' ? 'static' : backend;
+    }
+
+    ENDPOINT_URL_KEYS.forEach(key => {
+        const url = normalizeBaseUrl(config[key]);
+        if (url) cleaned[key] = url;
+    });
+
+    if (config.modelVersion !== undefined && config.modelVersion !== null && config.modelVersion !== '') {
+        cleaned.modelVersion = Number(config.modelVersion);
+    }
+
+    // URL parameters arrive as strings ('1', 'true', 'yes')
+    if (typeof config.compressed === 'boolean') {
+        cleaned.compressed = config.compressed;
+    } else if (typeof config.compressed === 'string' && config.compressed.trim()) {
+        cleaned.compressed = ['1', 'true', 'yes', 'on'].includes(config.compressed.trim().toLowerCase());
+    }
+
+    return cleaned;
+}
+
+/**
+ * Check whether an endpoint stays on the page's own origin
+ * @param {string} url - Base URL or path
+ * @param {string} origin - Origin of the page (window.location.origin); 'null' or empty for file:// pages
+ * @returns {boolean} True for relative paths and URLs on the same origin
+ */
+function isSameOriginEndpoint(url, origin) {
+    if (typeof url !== 'string') return false;
+
+    // Pages opened from disk have no origin, so only relative paths count as their own
+    const base = origin && origin !== 'null' ? origin : 'http://alphaview.invalid';
+    try {
+        return new URL(url, `${base}/`).origin === new URL(base).origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Read endpoint settings from URL parameters and sort out those that point to another host
+ * The parameters of a link are kept together: if any location is on another origin, none of them apply.
+ * @param {string} search - Query string (window.location.search)
+ * @param {string} origin - Origin of the page (window.location.origin)
+ * @returns {Object} {accepted, rejected}, each a partial endpoint configuration
+ */
+function readEndpointParams(search, origin = null) {
+    const params = new URLSearchParams(search || '');
+    const config = {};
+    Object.entries(ENDPOINT_URL_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) config[key] = params.get(param);
+    });
+
+    const cleaned = cleanEndpointConfig(config);
+    const foreign = ENDPOINT_URL_KEYS.some(key => cleaned[key] && !isSameOriginEndpoint(cleaned[key], origin));
+    return foreign ? { accepted: {}, rejected: cleaned } : { accepted: cleaned, rejected: {} };
+}
+
+/**
+ * Read the endpoint settings from URL parameters that can be applied without asking
+ * @param {string} search - Query string (window.location.search)
+ * @param {string} origin - Origin of the page (window.location.origin)
+ * @returns {Object} Partial endpoint configuration
+ */
+function parseEndpointParams(search, origin = null) {
+    return readEndpointParams(search, origin).accepted;
+}
+
+/**
+ * Read endpoint settings saved from the settings panel
+ * @param {Storage} storage - Storage to read from (localStorage)
+ * @returns {Object} Partial endpoint configuration
+ */
+function loadStoredEndpointConfig(storage) {
+    if (!storage) return {};
+    try {
+        const stored = storage.getItem(ENDPOINT_STORAGE_KEY);
+        return stored ? cleanEndpointConfig(JSON.parse(stored)) : {};
+    } catch (error) {
+        console.warn('Ignoring invalid saved endpoint settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Save endpoint settings from the settings panel
+ * @param {Storage} storage - Storage to write to (localStorage)
+ * @param {Object} config - Endpoint configuration
+ */
+function saveEndpointConfig(storage, config) {
+    if (!storage) return;
+    storage.setItem(ENDPOINT_STORAGE_KEY, JSON.stringify(cleanEndpointConfig(config)));
+}
+
+/**
+ * Remove saved endpoint settings
+ * @param {Storage} storage - Storage to clear (localStorage)
+ */
+function clearStoredEndpointConfig(storage) {
+    if (!storage) return;
+    storage.removeItem(ENDPOINT_STORAGE_KEY);
+}
+
+/**
+ * Check an endpoint configuration
+ * @param {Object} config - Endpoint configuration
+ * @returns {Array<string>} Problems found, empty if the configuration is usable
+ */
+function validateEndpointConfig(config) {
+    const errors = [];
+    if (!['api', 'static'].includes(config.backend)) {
+        errors.push(`Unknown data source "${config.backend}". Use "api" or "static".`);
+    }
+    if (!config.alphafoldBaseUrl) {
+        errors.push('AlphaFold file location is required.');
+    }
+    if (config.backend === 'api' && !config.alphafoldApiUrl) {
+        errors.push('AlphaFold API URL is required for the API data source.');
+    }
+    if (!config.uniprotBaseUrl) {
+        errors.push('UniProt URL is required.');
+    }
+    if (!Number.isInteger(config.modelVersion) || config.modelVersion < 1) {
+        errors.push('Model version must be a positive whole number.');
+    }
+    return errors;
+}
+
+/**
+ * Build the endpoint configuration from every source
+ * @param {Object} sources - Configuration sources
+ * @param {Object} sources.config - Configuration object (window.ALPHAVIEW_CONFIG)
+ * @param {Storage} sources.storage - Storage holding settings saved from the settings panel
+ * @param {string} sources.search - Query string with URL parameters
+ * @param {string} sources.origin - Origin of the page; URL parameters pointing elsewhere are ignored
+ * @returns {Object} Complete endpoint configuration; invalid settings fall back to the defaults
+ */
+function resolveEndpointConfig({ config = null, storage = null, search = '', origin = null } = {}) {
+    const resolved = {
+        ...DEFAULT_ENDPOINT_CONFIG,
+        ...cleanEndpointConfig(config),
+        ...loadStoredEndpointConfig(storage),
+        ...parseEndpointParams(search, origin)
+    };
+
+    const errors = validateEndpointConfig(resolved);
+    if (errors.length > 0) {
+        console.warn('Invalid endpoint configuration, using defaults:', errors);
+        return { ...DEFAULT_ENDPOINT_CONFIG };
+    }
+    return resolved;
+}
+
+/**
+ * Describe the active data source for display
+ * @param {Object} config - Endpoint configuration
+ * @returns {string} Short label such as "AlphaFold DB (EBI)" or "Local files: /data/afdb/"
+ */
+function describeEndpointSource(config) {
+    if (config.backend === 'static') {
+        return `Local files: ${config.alphafoldBaseUrl}${config.compressed ? ' (gzip)' : ''}`;
+    }
+    if (config.alphafoldBaseUrl === DEFAULT_ENDPOINT_CONFIG.alphafoldBaseUrl &&
+        config.alphafoldApiUrl === DEFAULT_ENDPOINT_CONFIG.alphafoldApiUrl) {
+        return 'AlphaFold DB (EBI)';
+    }
+    try {
+        return `Mirror: ${new URL(config.alphafoldApiUrl).host}`;
+    } catch (error) {
+        return `Mirror: ${config.alphafoldApiUrl}`;
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_ENDPOINT_CONFIG,
+        ENDPOINT_STORAGE_KEY,
+        normalizeBaseUrl,
+        cleanEndpointConfig,
+        isSameOriginEndpoint,
+        readEndpointParams,
+        parseEndpointParams,
+        loadStoredEndpointConfig,
+        saveEndpointConfig,
+        clearStoredEndpointConfig,
+        validateEndpointConfig,
+        resolveEndpointConfig,
+        describeEndpointSource
+    };
+}
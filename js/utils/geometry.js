@@ -0,0 +1,284 @@
+/**
+ * Coordinate geometry for structure atoms
+ * Vectors and atoms are plain {x, y, z} objects; distances are in Å and angles in degrees.
+ */
+
+/**
+ * Average atomic masses (Da) of the elements found in protein structures
+ */
+const ATOMIC_MASSES = {
+    H: 1.008, D: 2.014, C: 12.011, N: 14.007, O: 15.999, F: 18.998, NA: 22.990, MG: 24.305, P: 30.974,
+    S: 32.06, CL: 35.45, K: 39.098, CA: 40.078, MN: 54.938, FE: 55.845, CO: 58.933, NI: 58.693,
+    CU: 63.546, ZN: 65.38, SE: 78.971, BR: 79.904, I: 126.904
+};
+
+// Longest C-N distance still read as a peptide bond; anything longer is a chain break
+const PEPTIDE_BOND_MAX_LENGTH = 2.0;
+
+/**
+ * Subtract one vector from another
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {Object} a - b
+ */
+function subtractVectors(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+/**
+ * Add two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {Object} a + b
+ */
+function addVectors(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+/**
+ * Multiply a vector by a number
+ * @param {Object} v - Vector {x, y, z}
+ * @param {number} factor - Scale factor
+ * @returns {Object}
+ */
+function scaleVector(v, factor) {
+    return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+/**
+ * Dot product of two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {number}
+ */
+function dotProduct(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/**
+ * Cross product of two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {Object} a × b
+ */
+function crossProduct(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+/**
+ * Length of a vector
+ * @param {Object} v - Vector {x, y, z}
+ * @returns {number}
+ */
+function vectorLength(v) {
+    return Math.sqrt(dotProduct(v, v));
+}
+
+/**
+ * Scale a vector to length 1
+ * @param {Object} v - Vector {x, y, z}
+ * @returns {Object|null} Unit vector, or null for the zero vector
+ */
+function normalizeVector(v) {
+    const length = vectorLength(v);
+    return length === 0 ? null : scaleVector(v, 1 / length);
+}
+
+/**
+ * Distance between two atoms
+ * @param {Object} a - Atom with x, y, z
+ * @param {Object} b - Atom with x, y, z
+ * @returns {number} Distance in Å
+ */
+function atomDistance(a, b) {
+    return vectorLength(subtractVectors(a, b));
+}
+
+/**
+ * Angle a-b-c at the middle atom
+ * @param {Object} a - First atom
+ * @param {Object} b - Vertex atom
+ * @param {Object} c - Third atom
+ * @returns {number|null} Angle in degrees (0 to 180), or null if two atoms coincide
+ */
+function bondAngle(a, b, c) {
+    const ba = normalizeVector(subtractVectors(a, b));
+    const bc = normalizeVector(subtractVectors(c, b));
+    if (!ba || !bc) return null;
+
+    // Clamp against rounding just outside [-1, 1] for straight angles
+    const cosine = Math.min(1, Math.max(-1, dotProduct(ba, bc)));
+    return Math.acos(cosine) * 180 / Math.PI;
+}
+
+/**
+ * Dihedral (torsion) angle of four atoms about the b-c bond
+ * Positive angles are clockwise looking from b to c, the IUPAC convention used for phi and psi.
+ * @param {Object} a - First atom
+ * @param {Object} b - Second atom
+ * @param {Object} c - Third atom
+ * @param {Object} d - Fourth atom
+ * @returns {number|null} Angle in degrees (-180 to 180), or null if three atoms are collinear
+ */
+function dihedralAngle(a, b, c, d) {
+    const b1 = subtractVectors(b, a);
+    const b2 = subtractVectors(c, b);
+    const b3 = subtractVectors(d, c);
+
+    const n1 = crossProduct(b1, b2);
+    const n2 = crossProduct(b2, b3);
+    const axis = normalizeVector(b2);
+    if (!axis || vectorLength(n1) === 0 || vectorLength(n2) === 0) return null;
+
+    const x = dotProduct(n1, n2);
+    const y = dotProduct(crossProduct(n1, n2), axis);
+    return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+/**
+ * Find an atom of a residue by name
+ * @param {Object} residue - Residue with an atoms list
+ * @param {string} name - Atom name, e.g. 'CA'
+ * @returns {Object|null}
+ */
+function findResidueAtom(residue, name) {
+    return residue ? residue.atoms.find(atom => atom.name === name) || null : null;
+}
+
+/**
+ * Check that two residues are joined by a peptide bond
+ * @param {Object} residue - Residue
+ * @param {Object} next - Following residue
+ * @returns {boolean} False when either lacks its C or N atom, or they are too far apart
+ */
+function isPeptideBonded(residue, next) {
+    const carbon = findResidueAtom(residue, 'C');
+    const nitrogen = findResidueAtom(next, 'N');
+    return !!carbon && !!nitrogen && atomDistance(carbon, nitrogen) <= PEPTIDE_BOND_MAX_LENGTH;
+}
+
+/**
+ * Backbone dihedral angles of a residue
+ * - phi: C(i-1) N CA C
+ * - psi: N CA C N(i+1)
+ * - omega: CA C N(i+1) CA(i+1), the peptide bond that follows the residue
+ * An angle is null at chain ends, across chain breaks and where backbone atoms are missing.
+ * @param {Object} residue - Residue with N, CA and C atoms
+ * @param {Object|null} previous - Preceding residue in the chain
+ * @param {Object|null} next - Following residue in the chain
+ * @returns {Object} {phi, psi, omega} in degrees
+ */
+function backboneDihedrals(residue, previous = null, next = null) {
+    const n = findResidueAtom(residue, 'N');
+    const ca = findResidueAtom(residue, 'CA');
+    const c = findResidueAtom(residue, 'C');
+    const dihedrals = { phi: null, psi: null, omega: null };
+    if (!n || !ca || !c) return dihedrals;
+
+    if (previous && isPeptideBonded(previous, residue)) {
+        dihedrals.phi = dihedralAngle(findResidueAtom(previous, 'C'), n, ca, c);
+    }
+    if (next && isPeptideBonded(residue, next)) {
+        const nextN = findResidueAtom(next, 'N');
+        const nextCa = findResidueAtom(next, 'CA');
+        dihedrals.psi = dihedralAngle(n, ca, c, nextN);
+        if (nextCa) dihedrals.omega = dihedralAngle(ca, c, nextN, nextCa);
+    }
+
+    return dihedrals;
+}
+
+/**
+ * Mass of an atom from its element
+ * @param {Object} atom - Atom with an element symbol
+ * @returns {number} Mass in Da; carbon's for unknown elements
+ */
+function atomMass(atom) {
+    const element = (atom.element || '').trim().toUpperCase();
+    return ATOMIC_MASSES[element] || ATOMIC_MASSES.C;
+}
+
+/**
+ * Mass-weighted center of a set of atoms
+ * @param {Array<Object>} atoms - Atoms with x, y, z and element
+ * @returns {Object|null} Center {x, y, z}, or null for no atoms
+ */
+function centerOfMass(atoms) {
+    if (!atoms || atoms.length === 0) return null;
+
+    let totalMass = 0;
+    let sum = { x: 0, y: 0, z: 0 };
+    atoms.forEach(atom => {
+        const mass = atomMass(atom);
+        totalMass += mass;
+        sum = addVectors(sum, scaleVector(atom, mass));
+    });
+    return scaleVector(sum, 1 / totalMass);
+}
+
+/**
+ * Mass-weighted radius of gyration, a measure of how compact a structure is
+ * @param {Array<Object>} atoms - Atoms with x, y, z and element
+ * @returns {number|null} Radius in Å, or null for no atoms
+ */
+function radiusOfGyration(atoms) {
+    const center = centerOfMass(atoms);
+    if (!center) return null;
+
+    let totalMass = 0;
+    let sum = 0;
+    atoms.forEach(atom => {
+        const mass = atomMass(atom);
+        const offset = subtractVectors(atom, center);
+        totalMass += mass;
+        sum += mass * dotProduct(offset, offset);
+    });
+    return Math.sqrt(sum / totalMass);
+}
+
+/**
+ * Axis-aligned box around a set of atoms
+ * @param {Array<Object>} atoms - Atoms with x, y, z
+ * @returns {Object|null} {min, max, size} as vectors, or null for no atoms
+ */
+function boundingBox(atoms) {
+    if (!atoms || atoms.length === 0) return null;
+
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    atoms.forEach(atom => {
+        ['x', 'y', 'z'].forEach(axis => {
+            min[axis] = Math.min(min[axis], atom[axis]);
+            max[axis] = Math.max(max[axis], atom[axis]);
+        });
+    });
+    return { min, max, size: subtractVectors(max, min) };
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATOMIC_MASSES,
+        PEPTIDE_BOND_MAX_LENGTH,
+        subtractVectors,
+        addVectors,
+        scaleVector,
+        dotProduct,
+        crossProduct,
+        vectorLength,
+        normalizeVector,
+        atomDistance,
+        bondAngle,
+        dihedralAngle,
+        isPeptideBonded,
+        backboneDihedrals,
+        atomMass,
+        centerOfMass,
+        radiusOfGyration,
+        boundingBox
+    };
+}
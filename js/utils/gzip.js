@@ -0,0 +1,395 @@
+/**
+ * Utility functions for gzip-compressed files (.pdb.gz, .cif.gz)
+ *
+ * Decompression uses the browser's DecompressionStream where available and falls back to a
+ * small DEFLATE decoder (RFC 1951) for environments without it.
+ */
+
+// Base values and extra bits of DEFLATE length codes 257-285 and distance codes 0-29
+const DEFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const DEFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DEFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DEFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which dynamic blocks list the code lengths of the code length alphabet
+const DEFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Check whether data starts with the gzip magic bytes (1f 8b)
+ * @param {Uint8Array|ArrayBuffer} data - File content
+ * @returns {boolean}
+ */
+function isGzipData(data) {
+    if (!data || typeof data === 'string') return false;
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Check whether a URL names a gzip-compressed file
+ * @param {string} url - File URL
+ * @returns {boolean}
+ */
+function isGzipUrl(url) {
+    return typeof url === 'string' && /\.gz(?:$|[?#])/i.test(url);
+}
+
+/**
+ * Join byte chunks into one array
+ * @param {Array<Uint8Array>} chunks - Byte chunks
+ * @returns {Uint8Array}
+ */
+function concatBytes(chunks) {
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    }
+    return bytes;
+}
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ * @param {Array<number>} lengths - Code length of each symbol (0 for unused symbols)
+ * @returns {Object} Table ({counts, symbols}) for decodeDeflateSymbol
+ */
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    lengths.forEach(length => counts[length]++);
+    counts[0] = 0;
+
+    // Symbols ordered by code length, then by symbol value
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 16; length++) {
+        offsets[length] = offsets[length - 1] + counts[length - 1];
+    }
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length) symbols[offsets[length]++] = symbol;
+    });
+
+    return { counts, symbols };
+}
+
+/**
+ * Read bits from a DEFLATE stream, least significant bit first
+ * @param {Object} state - Decoder state
+ * @param {number} count - Number of bits (0-16)
+ * @returns {number}
+ */
+function readDeflateBits(state, count) {
+    while (state.bitCount < count) {
+        if (state.position >= state.input.length) {
+            throw new Error('Unexpected end of compressed data');
+        }
+        state.bitBuffer |= state.input[state.position++] << state.bitCount;
+        state.bitCount += 8;
+    }
+    const value = state.bitBuffer & ((1 << count) - 1);
+    state.bitBuffer >>>= count;
+    state.bitCount -= count;
+    return value;
+}
+
+/**
+ * Decode one Huffman-coded symbol
+ * @param {Object} state - Decoder state
+ * @param {Object} table - Table from buildHuffmanTable
+ * @returns {number} Symbol
+ */
+function decodeDeflateSymbol(state, table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+        code |= readDeflateBits(state, 1);
+        const count = table.counts[length];
+        if (code - first < count) {
+            return table.symbols[index + code - first];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+}
+
+/**
+ * Append a byte to the growing output of the decoder
+ * @param {Object} state - Decoder state
+ * @param {number} byte - Byte value
+ */
+function writeDeflateByte(state, byte) {
+    if (state.length === state.output.length) {
+        const larger = new Uint8Array(state.output.length * 2);
+        larger.set(state.output);
+        state.output = larger;
+    }
+    state.output[state.length++] = byte;
+}
+
+/**
+ * Decode the Huffman tables of a dynamic block
+ * @param {Object} state - Decoder state
+ * @returns {Object} Literal/length and distance tables ({lengthTable, distanceTable})
+ */
+function readDynamicTables(state) {
+    const literalCount = readDeflateBits(state, 5) + 257;
+    const distanceCount = readDeflateBits(state, 5) + 1;
+    const codeLengthCount = readDeflateBits(state, 4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[DEFLATE_CODE_LENGTH_ORDER[i]] = readDeflateBits(state, 3);
+    }
+    const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = decodeDeflateSymbol(state, codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+            continue;
+        }
+
+        let repeat;
+        let value = 0;
+        if (symbol === 16) {
+            if (lengths.length === 0) throw new Error('Invalid code lengths in compressed data');
+            value = lengths[lengths.length - 1];
+            repeat = 3 + readDeflateBits(state, 2);
+        } else if (symbol === 17) {
+            repeat = 3 + readDeflateBits(state, 3);
+        } else {
+            repeat = 11 + readDeflateBits(state, 7);
+        }
+        for (let i = 0; i < repeat; i++) lengths.push(value);
+    }
+
+    return {
+        lengthTable: buildHuffmanTable(lengths.slice(0, literalCount)),
+        distanceTable: buildHuffmanTable(lengths.slice(literalCount, literalCount + distanceCount))
+    };
+}
+
+/**
+ * Decompress raw DEFLATE data (RFC 1951)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} start - Offset of the DEFLATE stream in input
+ * @returns {Object} Decompressed bytes and the offset just after the stream ({output, end})
+ */
+function inflateRaw(input, start = 0) {
+    const state = {
+        input,
+        position: start,
+        bitBuffer: 0,
+        bitCount: 0,
+        output: new Uint8Array(Math.max(1024, input.length * 4)),
+        length: 0
+    };
+
+    let fixedTables = null;
+    let lastBlock = 0;
+    while (!lastBlock) {
+        lastBlock = readDeflateBits(state, 1);
+        const blockType = readDeflateBits(state, 2);
+
+        if (blockType === 0) {
+            // Stored block: byte-aligned length, its complement, then raw bytes
+            state.bitBuffer = 0;
+            state.bitCount = 0;
+            if (state.position + 4 > input.length) throw new Error('Unexpected end of compressed data');
+            const length = input[state.position] | (input[state.position + 1] << 8);
+            const complement = input[state.position + 2] | (input[state.position + 3] << 8);
+            if (length !== (~complement & 0xffff)) throw new Error('Invalid stored block in compressed data');
+            state.position += 4;
+            if (state.position + length > input.length) throw new Error('Unexpected end of compressed data');
+            for (let i = 0; i < length; i++) {
+                writeDeflateByte(state, input[state.position++]);
+            }
+            continue;
+        }
+
+        let tables;
+        if (blockType === 1) {
+            if (!fixedTables) {
+                const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+                fixedTables = {
+                    lengthTable: buildHuffmanTable(lengths),
+                    distanceTable: buildHuffmanTable(new Array(30).fill(5))
+                };
+            }
+            tables = fixedTables;
+        } else if (blockType === 2) {
+            tables = readDynamicTables(state);
+        } else {
+            throw new Error('Invalid block type in compressed data');
+        }
+
+        while (true) {
+            const symbol = decodeDeflateSymbol(state, tables.lengthTable);
+            if (symbol < 256) {
+                writeDeflateByte(state, symbol);
+                continue;
+            }
+            if (symbol === 256) break;
+
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= DEFLATE_LENGTH_BASE.length) throw new Error('Invalid length code in compressed data');
+            const length = DEFLATE_LENGTH_BASE[lengthIndex] + readDeflateBits(state, DEFLATE_LENGTH_EXTRA[lengthIndex]);
+
+            const distanceIndex = decodeDeflateSymbol(state, tables.distanceTable);
+            if (distanceIndex >= DEFLATE_DISTANCE_BASE.length) throw new Error('Invalid distance code in compressed data');
+            const distance = DEFLATE_DISTANCE_BASE[distanceIndex] + readDeflateBits(state, DEFLATE_DISTANCE_EXTRA[distanceIndex]);
+            if (distance > state.length) throw new Error('Invalid distance in compressed data');
+
+            // Copy byte by byte: the source may overlap the bytes being written
+            for (let i = 0; i < length; i++) {
+                writeDeflateByte(state, state.output[state.length - distance]);
+            }
+        }
+    }
+
+    return { output: state.output.subarray(0, state.length), end: state.position };
+}
+
+/**
+ * Decompress gzip data without DecompressionStream
+ * Files made of several gzip members (e.g. bgzip output) are joined.
+ * @param {Uint8Array|ArrayBuffer} data - gzip file content
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function gunzip(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const members = [];
+    let position = 0;
+
+    while (position < bytes.length) {
+        if (!isGzipData(bytes.subarray(position))) {
+            // Archives may pad the last member with zeros
+            if (members.length > 0) break;
+            throw new Error('Data is not gzip-compressed');
+        }
+        if (bytes[position + 2] !== 8) {
+            throw new Error('Unsupported gzip compression method');
+        }
+
+        // Header: magic, method, flags, mtime, extra flags, OS, then optional fields
+        const flags = bytes[position + 3];
+        position += 10;
+        if (flags & 0x04) {
+            position += 2 + (bytes[position] | (bytes[position + 1] << 8));
+        }
+        if (flags & 0x08) {
+            while (position < bytes.length && bytes[position] !== 0) position++;
+            position++;
+        }
+        if (flags & 0x10) {
+            while (position < bytes.length && bytes[position] !== 0) position++;
+            position++;
+        }
+        if (flags & 0x02) {
+            position += 2;
+        }
+
+        const { output, end } = inflateRaw(bytes, position);
+        if (end + 8 > bytes.length) {
+            throw new Error('Unexpected end of compressed data');
+        }
+
+        // Trailer: CRC-32, then the uncompressed size modulo 2^32
+        const size = (bytes[end + 4] | (bytes[end + 5] << 8) | (bytes[end + 6] << 16) | (bytes[end + 7] << 24)) >>> 0;
+        if (size !== output.length >>> 0) {
+            throw new Error('Decompressed size does not match the gzip trailer');
+        }
+
+        members.push(output);
+        position = end + 8;
+    }
+
+    return members.length === 1 ? members[0] : concatBytes(members);
+}
+
+/**
+ * Create a decompressor that unpacks gzip data chunk by chunk as it downloads
+ * Without DecompressionStream the chunks are collected and unpacked by end().
+ * @param {Function} onChunk - Optional callback receiving each decompressed chunk
+ * @returns {Object} Decompressor with push(bytes) and end(), which resolves to all decompressed bytes
+ */
+function createGunzipStream(onChunk = null) {
+    const output = [];
+    const collect = (chunk) => {
+        output.push(chunk);
+        if (onChunk) onChunk(chunk);
+    };
+    const decompressionError = (error) => new Error(`Could not decompress gzip data: ${error.message}`);
+
+    if (typeof DecompressionStream === 'undefined') {
+        const input = [];
+        return {
+            push(chunk) {
+                input.push(chunk);
+            },
+            async end() {
+                try {
+                    collect(gunzip(concatBytes(input)));
+                } catch (error) {
+                    throw decompressionError(error);
+                }
+                return concatBytes(output);
+            }
+        };
+    }
+
+    const stream = new DecompressionStream('gzip');
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    const reading = (async () => {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            collect(value);
+        }
+    })();
+    // Errors are reported once by end(); the stream rejects every pending write as well
+    reading.catch(() => {});
+
+    return {
+        push(chunk) {
+            writer.write(chunk).catch(() => {});
+        },
+        async end() {
+            try {
+                await Promise.all([writer.close(), reading]);
+            } catch (error) {
+                throw decompressionError(error);
+            }
+            return concatBytes(output);
+        }
+    };
+}
+
+/**
+ * Decompress gzip data
+ * @param {Uint8Array|ArrayBuffer} data - gzip file content
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function gunzipData(data) {
+    const stream = createGunzipStream();
+    stream.push(data instanceof Uint8Array ? data : new Uint8Array(data));
+    return stream.end();
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isGzipData,
+        isGzipUrl,
+        concatBytes,
+        inflateRaw,
+        gunzip,
+        createGunzipStream,
+        gunzipData
+    };
+}
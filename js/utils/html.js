@@ -0,0 +1,30 @@
+/**
+ * Utility functions for building HTML from untrusted text
+ * Components render with template strings, so text from UniProt, the PDB, user settings and
+ * error messages goes through escapeHtml before it is placed in markup.
+ */
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param {*} text - Text to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml
+    };
+}
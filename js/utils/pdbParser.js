@@ -0,0 +1,316 @@
+/**
+ * Utility functions for PDB format structure files
+ * Column positions follow the wwPDB format description, version 3.3.
+ */
+
+/**
+ * Read a fixed-width field of a PDB record
+ * @param {string} line - PDB record
+ * @param {number} start - First column, 1-based as in the format description
+ * @param {number} end - Last column, inclusive
+ * @returns {string} Trimmed field, empty if the line is shorter
+ */
+function readPdbField(line, start, end) {
+    return line.substring(start - 1, end).trim();
+}
+
+/**
+ * Read an integer field of a PDB record
+ * @param {string} line - PDB record
+ * @param {number} start - First column
+ * @param {number} end - Last column
+ * @returns {number|null} Value, or null if the field is blank or not a number
+ */
+function readPdbInteger(line, start, end) {
+    const field = readPdbField(line, start, end);
+    return /^-?\d+$/.test(field) ? parseInt(field, 10) : null;
+}
+
+/**
+ * Read a decimal field of a PDB record
+ * @param {string} line - PDB record
+ * @param {number} start - First column
+ * @param {number} end - Last column
+ * @returns {number|null} Value, or null if the field is blank or not a number
+ */
+function readPdbDecimal(line, start, end) {
+    const field = readPdbField(line, start, end);
+    return field !== '' && !isNaN(Number(field)) ? Number(field) : null;
+}
+
+/**
+ * Parse an ATOM or HETATM record
+ * @param {string} line - PDB record
+ * @returns {Object} {atom} with serial, name, altLoc, residueName, chainId, residueNumber, insertionCode,
+ *                   x, y, z, occupancy, bFactor, element, charge and hetero; or {error} describing why it was rejected
+ */
+function parsePdbAtomRecord(line) {
+    const residueNumber = readPdbInteger(line, 23, 26);
+    const x = readPdbDecimal(line, 31, 38);
+    const y = readPdbDecimal(line, 39, 46);
+    const z = readPdbDecimal(line, 47, 54);
+    const name = readPdbField(line, 13, 16);
+
+    if (line.length < 54) return { error: 'Atom record is too short to hold coordinates' };
+    if (!name) return { error: 'Atom record has no atom name' };
+    if (residueNumber === null) return { error: `Invalid residue number "${readPdbField(line, 23, 26)}"` };
+    if (x === null || y === null || z === null) return { error: 'Invalid atom coordinates' };
+
+    const charge = readPdbField(line, 79, 80).match(/^(\d)([+-])$/);
+    return {
+        atom: {
+            serial: readPdbInteger(line, 7, 11),
+            name,
+            altLoc: readPdbField(line, 17, 17),
+            residueName: readPdbField(line, 18, 20),
+            chainId: readPdbField(line, 22, 22),
+            residueNumber,
+            insertionCode: readPdbField(line, 27, 27),
+            x,
+            y,
+            z,
+            occupancy: readPdbDecimal(line, 55, 60),
+            bFactor: readPdbDecimal(line, 61, 66),
+            // Old files leave the element columns blank; the atom name then starts with it
+            element: readPdbField(line, 77, 78) || readPdbField(line, 13, 14).replace(/[0-9]/g, ''),
+            charge: charge ? parseInt(charge[2] + charge[1], 10) : 0,
+            hetero: line.startsWith('HETATM')
+        }
+    };
+}
+
+/**
+ * Parse a HELIX record
+ * @param {string} line - PDB record
+ * @returns {Object} {range} ({type: 'helix', id, chainId, start, startInsertionCode, end, endInsertionCode, helixClass})
+ *                   or {error}
+ */
+function parsePdbHelixRecord(line) {
+    const chainId = readPdbField(line, 20, 20);
+    const start = readPdbInteger(line, 22, 25);
+    const end = readPdbInteger(line, 34, 37);
+
+    if (start === null || end === null) return { error: 'HELIX record has invalid residue numbers' };
+    if (readPdbField(line, 32, 32) !== chainId) return { error: 'HELIX record spans two chains' };
+
+    return {
+        range: {
+            type: 'helix',
+            id: readPdbField(line, 12, 14),
+            chainId,
+            start,
+            startInsertionCode: readPdbField(line, 26, 26),
+            end,
+            endInsertionCode: readPdbField(line, 38, 38),
+            helixClass: readPdbInteger(line, 39, 40)
+        }
+    };
+}
+
+/**
+ * Parse a SHEET record
+ * @param {string} line - PDB record
+ * @returns {Object} {range} ({type: 'sheet', id, strand, chainId, start, startInsertionCode, end, endInsertionCode, sense})
+ *                   or {error}
+ */
+function parsePdbSheetRecord(line) {
+    const chainId = readPdbField(line, 22, 22);
+    const start = readPdbInteger(line, 23, 26);
+    const end = readPdbInteger(line, 34, 37);
+
+    if (start === null || end === null) return { error: 'SHEET record has invalid residue numbers' };
+    if (readPdbField(line, 33, 33) !== chainId) return { error: 'SHEET record spans two chains' };
+
+    return {
+        range: {
+            type: 'sheet',
+            id: readPdbField(line, 12, 14),
+            strand: readPdbInteger(line, 8, 10),
+            chainId,
+            start,
+            startInsertionCode: readPdbField(line, 27, 27),
+            end,
+            endInsertionCode: readPdbField(line, 38, 38),
+            sense: readPdbInteger(line, 39, 40)
+        }
+    };
+}
+
+/**
+ * Parse a PDB file
+ * Every model of multi-model (NMR) files is kept; records that cannot be read are skipped
+ * and reported as warnings rather than failing the whole file.
+ * @param {string} pdbData - PDB file content
+ * @returns {Object} Parsed file:
+ *   - header: {classification, depositionDate, idCode, title, resolution}
+ *   - remarks: REMARK text by remark number
+ *   - sequences: SEQRES residue names by chain ID
+ *   - helices, sheets: secondary structure ranges (see parsePdbHelixRecord and parsePdbSheetRecord)
+ *   - models: [{modelNumber, atoms}] in file order (see parsePdbAtomRecord)
+ *   - warnings: [{line, record, message}] with 1-based line numbers
+ */
+function parsePdb(pdbData) {
+    const result = {
+        header: { classification: null, depositionDate: null, idCode: null, title: null, resolution: null },
+        remarks: {},
+        sequences: {},
+        helices: [],
+        sheets: [],
+        models: [],
+        warnings: []
+    };
+    if (!pdbData || typeof pdbData !== 'string') return result;
+
+    const titleParts = [];
+    const seqresCounts = {};
+    let openModel = null;
+    let implicitModel = null;
+
+    const warn = (lineNumber, record, message) => {
+        result.warnings.push({ line: lineNumber, record, message });
+    };
+
+    const lines = pdbData.split(/\r?\n/);
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const record = line.substring(0, 6).trim();
+
+        switch (record) {
+            case 'HEADER':
+                result.header.classification = readPdbField(line, 11, 50) || null;
+                result.header.depositionDate = readPdbField(line, 51, 59) || null;
+                result.header.idCode = readPdbField(line, 63, 66) || null;
+                break;
+
+            case 'TITLE':
+                titleParts.push(readPdbField(line, 11, 80));
+                break;
+
+            case 'REMARK': {
+                const remarkNumber = readPdbInteger(line, 8, 10);
+                if (remarkNumber === null) {
+                    warn(lineNumber, record, 'REMARK record has no remark number');
+                    break;
+                }
+                const text = line.substring(11).trimEnd();
+                if (!result.remarks[remarkNumber]) result.remarks[remarkNumber] = [];
+                // The first line of each remark only repeats its number
+                if (text !== '') result.remarks[remarkNumber].push(text);
+
+                const resolution = remarkNumber === 2 && text.match(/RESOLUTION\.\s+(\d+(?:\.\d+)?)\s+ANGSTROMS/);
+                if (resolution) result.header.resolution = parseFloat(resolution[1]);
+                break;
+            }
+
+            case 'SEQRES': {
+                const chainId = readPdbField(line, 12, 12);
+                const residueCount = readPdbInteger(line, 14, 17);
+                if (residueCount === null) {
+                    warn(lineNumber, record, 'SEQRES record has no residue count');
+                    break;
+                }
+                if (!result.sequences[chainId]) result.sequences[chainId] = [];
+                result.sequences[chainId].push(...line.substring(19, 70).trim().split(/\s+/).filter(Boolean));
+                seqresCounts[chainId] = { residueCount, lineNumber };
+                break;
+            }
+
+            case 'HELIX':
+            case 'SHEET': {
+                const { range, error } = record === 'HELIX' ? parsePdbHelixRecord(line) : parsePdbSheetRecord(line);
+                if (error) {
+                    warn(lineNumber, record, error);
+                } else {
+                    (record === 'HELIX' ? result.helices : result.sheets).push(range);
+                }
+                break;
+            }
+
+            case 'MODEL': {
+                if (openModel) {
+                    warn(lineNumber, record, `Model ${openModel.modelNumber} has no ENDMDL record`);
+                }
+                const modelNumber = readPdbInteger(line, 11, 14);
+                if (modelNumber === null) {
+                    warn(lineNumber, record, 'MODEL record has no model number');
+                }
+                openModel = { modelNumber: modelNumber !== null ? modelNumber : result.models.length + 1, atoms: [] };
+                result.models.push(openModel);
+                break;
+            }
+
+            case 'ENDMDL':
+                if (!openModel) {
+                    warn(lineNumber, record, 'ENDMDL record without a matching MODEL record');
+                }
+                openModel = null;
+                break;
+
+            case 'ATOM':
+            case 'HETATM': {
+                const { atom, error } = parsePdbAtomRecord(line);
+                if (error) {
+                    warn(lineNumber, record, error);
+                    break;
+                }
+                if (openModel) {
+                    openModel.atoms.push(atom);
+                } else if (result.models.length > 0 && !implicitModel) {
+                    warn(lineNumber, record, 'Atom record outside a MODEL block');
+                } else {
+                    // Single-model files have no MODEL records; their atoms form model 1
+                    if (!implicitModel) {
+                        implicitModel = { modelNumber: 1, atoms: [] };
+                        result.models.push(implicitModel);
+                    }
+                    implicitModel.atoms.push(atom);
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+    });
+
+    if (openModel) {
+        warn(lines.length, 'MODEL', `Model ${openModel.modelNumber} has no ENDMDL record`);
+    }
+    Object.entries(seqresCounts).forEach(([chainId, { residueCount, lineNumber }]) => {
+        if (result.sequences[chainId].length !== residueCount) {
+            warn(lineNumber, 'SEQRES', `Chain ${chainId || '(blank)'} lists ${result.sequences[chainId].length} residues but declares ${residueCount}`);
+        }
+    });
+
+    result.header.title = titleParts.length > 0 ? titleParts.join(' ').replace(/\s+/g, ' ') : null;
+    return result;
+}
+
+/**
+ * Keep one alternate location of each atom
+ * Atoms without an alternate location are always kept; of the others, the first location listed for an atom wins.
+ * @param {Array<Object>} atoms - Atoms from parsePdb
+ * @returns {Array<Object>} Atoms in file order
+ */
+function selectFirstAltLocs(atoms) {
+    const chosen = new Map();
+
+    return atoms.filter(atom => {
+        if (!atom.altLoc) return true;
+        const key = `${atom.chainId}:${atom.residueNumber}:${atom.insertionCode}:${atom.name}`;
+        if (!chosen.has(key)) chosen.set(key, atom.altLoc);
+        return chosen.get(key) === atom.altLoc;
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readPdbField,
+        parsePdbAtomRecord,
+        parsePdbHelixRecord,
+        parsePdbSheetRecord,
+        parsePdb,
+        selectFirstAltLocs
+    };
+}
@@ -2,16 +2,55 @@
  * Utility functions for protein data handling
  */
 
+/**
+ * UniProt accession grammar (https://www.uniprot.org/help/accession_numbers),
+ * optionally followed by an isoform number as in P04637-2
+ */
+const UNIPROT_ACCESSION_PATTERN = /^([OPQ][0-9][A-Z0-9]{3}[0-9]|[A-NR-Z][0-9](?:[A-Z][A-Z0-9]{2}[0-9]){1,2})(?:-([0-9]+))?$/;
+
+/**
+ * Split a UniProt accession into its entry accession and isoform number
+ * @param {string} id - UniProt accession, case-insensitive
+ * @returns {Object|null} {accession, entry, isoform} with isoform null for entry accessions,
+ *     or null if the ID does not follow the accession grammar
+ */
+function parseUniProtAccession(id) {
+    if (!id || typeof id !== 'string') return null;
+    const accession = id.trim().toUpperCase();
+    const match = UNIPROT_ACCESSION_PATTERN.exec(accession);
+    if (!match) return null;
+    return {
+        accession,
+        entry: match[1],
+        isoform: match[2] !== undefined ? parseInt(match[2], 10) : null
+    };
+}
+
+// UniProt entry names (mnemonics) such as INS_HUMAN or A0A024RBG1_HUMAN
+const UNIPROT_ENTRY_NAME_PATTERN = /^[A-Z0-9]{1,10}_[A-Z0-9]{1,5}$/;
+
+// Organisms that can follow a gene symbol in a search ("TP53 human"), by common and scientific name
+const SEARCH_ORGANISMS = [
+    { taxonomyId: '9606', name: 'Homo sapiens', aliases: ['human', 'homo sapiens'] },
+    { taxonomyId: '10090', name: 'Mus musculus', aliases: ['mouse', 'mus musculus'] },
+    { taxonomyId: '10116', name: 'Rattus norvegicus', aliases: ['rat', 'rattus norvegicus'] },
+    { taxonomyId: '7955', name: 'Danio rerio', aliases: ['zebrafish', 'danio rerio'] },
+    { taxonomyId: '7227', name: 'Drosophila melanogaster', aliases: ['fly', 'fruit fly', 'drosophila', 'drosophila melanogaster'] },
+    { taxonomyId: '6239', name: 'Caenorhabditis elegans', aliases: ['worm', 'c. elegans', 'c elegans', 'caenorhabditis elegans'] },
+    { taxonomyId: '4932', name: 'Saccharomyces cerevisiae', aliases: ['yeast', 'saccharomyces cerevisiae', 's. cerevisiae'] },
+    { taxonomyId: '562', name: 'Escherichia coli', aliases: ['e. coli', 'e coli', 'ecoli', 'escherichia coli'] },
+    { taxonomyId: '3702', name: 'Arabidopsis thaliana', aliases: ['arabidopsis', 'arabidopsis thaliana'] },
+    { taxonomyId: '9031', name: 'Gallus gallus', aliases: ['chicken', 'gallus gallus'] },
+    { taxonomyId: '9913', name: 'Bos taurus', aliases: ['bovine', 'cow', 'bos taurus'] }
+];
+
 /**
  * Validate UniProt ID format
  * @param {string} id - UniProt ID to validate
  * @returns {boolean}
  */
 function isValidUniProtId(id) {
-    if (!id || typeof id !== 'string') return false;
-    // UniProt ID format: 6-10 alphanumeric characters
-    const uniprotRegex = /^[A-Z0-9]{6,10}$/i;
-    return uniprotRegex.test(id.trim());
+    return parseUniProtAccession(id) !== null;
 }
 
 /**
@@ -101,10 +140,66 @@ function parseOrganismName(organism) {
     return match ? match[1].trim() : organism.trim();
 }
 
+/**
+ * Find a search organism by one of its names
+ * @param {string} name - Common or scientific name, case-insensitive
+ * @returns {Object|null} Organism ({taxonomyId, name, aliases}), or null if not known
+ */
+function findSearchOrganism(name) {
+    if (!name || typeof name !== 'string') return null;
+    const normalized = name.trim().toLowerCase().replace(/\s+/g, ' ');
+    return SEARCH_ORGANISMS.find(organism => organism.aliases.includes(normalized)) || null;
+}
+
+/**
+ * Check whether a word looks like a gene symbol (TP53, BRCA1, Trp53) rather than an ordinary word
+ * @param {string} word - Single search word
+ * @returns {boolean}
+ */
+function looksLikeGeneSymbol(word) {
+    if (!/^[A-Za-z][A-Za-z0-9-]{1,14}$/.test(word)) return false;
+    // Symbols carry a digit or are written in capitals; "insulin" is searched as text
+    return /[0-9]/.test(word) || word === word.toUpperCase();
+}
+
+/**
+ * Work out what kind of search a query is
+ * @param {string} query - Search text
+ * @returns {Object} {type, query} plus, by type: accession ('accession'), entryName ('entry_name'),
+ *     gene and organism ('gene'; organism is null when not given), or text ('text')
+ */
+function classifySearchQuery(query) {
+    const trimmed = typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+
+    const accession = parseUniProtAccession(trimmed);
+    if (accession) {
+        return { type: 'accession', query: trimmed, accession: accession.accession };
+    }
+
+    if (UNIPROT_ENTRY_NAME_PATTERN.test(trimmed.toUpperCase())) {
+        return { type: 'entry_name', query: trimmed, entryName: trimmed.toUpperCase() };
+    }
+
+    const [first, ...rest] = trimmed.split(' ');
+    const organism = rest.length > 0 ? findSearchOrganism(rest.join(' ')) : null;
+    if (looksLikeGeneSymbol(first) && (rest.length === 0 || organism)) {
+        return { type: 'gene', query: trimmed, gene: first, organism };
+    }
+
+    return { type: 'text', query: trimmed, text: trimmed };
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        UNIPROT_ACCESSION_PATTERN,
+        parseUniProtAccession,
         isValidUniProtId,
+        UNIPROT_ENTRY_NAME_PATTERN,
+        SEARCH_ORGANISMS,
+        findSearchOrganism,
+        looksLikeGeneSymbol,
+        classifySearchQuery,
         formatUniProtId,
         isValidProteinName,
         formatConfidenceScore,
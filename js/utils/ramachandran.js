@@ -0,0 +1,101 @@
+/**
+ * Utility functions for Ramachandran (phi/psi) analysis
+ */
+
+/**
+ * Allowed phi/psi regions by residue type, as rectangles in degrees ({phi: [min, max], psi: [min, max]})
+ * These are a coarse outline of the generously allowed regions of Lovell et al. (2003), enough to flag
+ * residues that are clearly strained; they are not the MolProbity contours.
+ * Glycine has no side chain and reaches the mirror images of the general regions; proline's ring fixes phi near -65°.
+ */
+const RAMACHANDRAN_REGIONS = {
+    general: [
+        { phi: [-180, -45], psi: [80, 180] },     // beta strand and polyproline II
+        { phi: [-180, -45], psi: [-180, -150] },  // beta region across the psi = ±180 edge
+        { phi: [-160, -20], psi: [-120, 50] },    // right-handed helix and bridge
+        { phi: [40, 100], psi: [-20, 100] }       // left-handed helix
+    ],
+    glycine: [
+        { phi: [-180, -45], psi: [80, 180] },
+        { phi: [-180, -45], psi: [-180, -150] },
+        { phi: [-160, -20], psi: [-120, 60] },
+        { phi: [45, 180], psi: [-180, -80] },
+        { phi: [45, 180], psi: [150, 180] },
+        { phi: [20, 160], psi: [-60, 120] }
+    ],
+    proline: [
+        { phi: [-100, -40], psi: [100, 180] },    // polyproline II
+        { phi: [-100, -40], psi: [-180, -170] },
+        { phi: [-100, -40], psi: [-60, 50] }      // helix
+    ]
+};
+
+/**
+ * Get the Ramachandran region set that applies to a residue
+ * @param {string} residueName - Three-letter residue name
+ * @returns {string} 'glycine', 'proline' or 'general'
+ */
+function getRamachandranType(residueName) {
+    if (residueName === 'GLY') return 'glycine';
+    if (residueName === 'PRO') return 'proline';
+    return 'general';
+}
+
+/**
+ * Check whether a backbone conformation lies in an allowed region
+ * @param {number} phi - Phi angle in degrees
+ * @param {number} psi - Psi angle in degrees
+ * @param {string} type - Region set from getRamachandranType
+ * @returns {boolean}
+ */
+function isRamachandranAllowed(phi, psi, type = 'general') {
+    const regions = RAMACHANDRAN_REGIONS[type] || RAMACHANDRAN_REGIONS.general;
+    return regions.some(region => phi >= region.phi[0] && phi <= region.phi[1] &&
+        psi >= region.psi[0] && psi <= region.psi[1]);
+}
+
+/**
+ * Compute the Ramachandran plot points of a structure
+ * Residues at chain ends and breaks have no phi or psi and are left out.
+ * @param {Structure} structure - Parsed structure
+ * @returns {Array<Object>} Points ({residue, phi, psi, type, outlier}) in file order
+ */
+function getRamachandranPoints(structure) {
+    if (!structure) return [];
+
+    return structure.getPolymerResidues().reduce((points, residue) => {
+        const { phi, psi } = structure.getBackboneDihedrals(residue);
+        if (phi === null || psi === null) return points;
+
+        const type = getRamachandranType(residue.residueName);
+        points.push({ residue, phi, psi, type, outlier: !isRamachandranAllowed(phi, psi, type) });
+        return points;
+    }, []);
+}
+
+/**
+ * Find the points inside a phi/psi rectangle
+ * @param {Array<Object>} points - Points from getRamachandranPoints
+ * @param {Object} start - Corner of the rectangle ({phi, psi})
+ * @param {Object} end - Opposite corner ({phi, psi})
+ * @returns {Array<Object>}
+ */
+function selectRamachandranPoints(points, start, end) {
+    const phiMin = Math.min(start.phi, end.phi);
+    const phiMax = Math.max(start.phi, end.phi);
+    const psiMin = Math.min(start.psi, end.psi);
+    const psiMax = Math.max(start.psi, end.psi);
+    return points.filter(point => point.phi >= phiMin && point.phi <= phiMax &&
+        point.psi >= psiMin && point.psi <= psiMax);
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RAMACHANDRAN_REGIONS,
+        getRamachandranType,
+        isRamachandranAllowed,
+        getRamachandranPoints,
+        selectRamachandranPoints
+    };
+}
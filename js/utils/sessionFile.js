@@ -0,0 +1,215 @@
+/**
+ * Utility functions for .alphaview.json session files
+ * The format is described in README.md under "Session files".
+ */
+
+const SESSION_FILE_FORMAT = 'alphaview-session';
+const SESSION_FILE_VERSION = 1;
+const SESSION_FILE_EXTENSION = '.alphaview.json';
+
+const SESSION_STYLES = ['cartoon', 'surface', 'stick'];
+
+const DEFAULT_SESSION_VIEW = {
+    style: 'cartoon',
+    confidenceColors: true,
+    structuralElements: { helix: true, sheet: true, loop: true },
+    camera: null
+};
+
+/**
+ * Upgrades from each older version to the next one
+ * Version 0 is a bare protein as written by Protein.toJSON, without the session wrapper.
+ */
+const SESSION_MIGRATIONS = {
+    0: (protein) => ({
+        format: SESSION_FILE_FORMAT,
+        version: 1,
+        savedAt: protein.lastUpdated || null,
+        protein,
+        view: completeSessionView()
+    })
+};
+
+/**
+ * Fill in view settings missing from a session
+ * @param {Object} view - View settings, possibly partial
+ * @returns {Object} Complete view settings
+ */
+function completeSessionView(view = {}) {
+    return {
+        ...DEFAULT_SESSION_VIEW,
+        ...view,
+        structuralElements: { ...DEFAULT_SESSION_VIEW.structuralElements, ...(view.structuralElements || {}) }
+    };
+}
+
+/**
+ * Build a session file
+ * @param {Protein} protein - Protein with its selection, notes and structure source
+ * @param {Object} view - View settings ({style, confidenceColors, structuralElements, camera})
+ * @param {Date} savedAt - Time of saving
+ * @returns {Object} Session, ready for JSON.stringify
+ */
+function createSessionFile(protein, view = {}, savedAt = new Date()) {
+    return {
+        format: SESSION_FILE_FORMAT,
+        version: SESSION_FILE_VERSION,
+        savedAt: savedAt.toISOString(),
+        protein: protein.toJSON(),
+        view: completeSessionView(view)
+    };
+}
+
+/**
+ * Get the version of a session file, treating a bare protein as version 0
+ * @param {Object} data - Parsed file content
+ * @returns {number|null} Version, or null if the content is not a session
+ */
+function getSessionFileVersion(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    if (data.format === SESSION_FILE_FORMAT) {
+        return Number.isInteger(data.version) ? data.version : null;
+    }
+    return data.format === undefined && typeof data.uniprotId === 'string' ? 0 : null;
+}
+
+/**
+ * Upgrade a session file written by an older version of AlphaView
+ * @param {Object} data - Parsed file content
+ * @returns {Object} Session in the current version
+ */
+function migrateSessionFile(data) {
+    let version = getSessionFileVersion(data);
+    if (version !== null && version > SESSION_FILE_VERSION) {
+        throw new Error(`This session was saved by a newer version of AlphaView (session format ${version}). Please update AlphaView to open it.`);
+    }
+    // Only versions AlphaView has written can be upgraded
+    if (version === null || (version < SESSION_FILE_VERSION && !SESSION_MIGRATIONS[version])) {
+        throw new Error('This is not an AlphaView session file');
+    }
+
+    let session = data;
+    while (version < SESSION_FILE_VERSION) {
+        session = SESSION_MIGRATIONS[version](session);
+        version = session.version;
+    }
+    return session;
+}
+
+/**
+ * Check a session file against the current format
+ * @param {Object} session - Session in the current version
+ * @returns {Array<string>} Problems found, empty if the session is valid
+ */
+function validateSessionFile(session) {
+    const errors = [];
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(session)) return ['session must be an object'];
+    if (session.format !== SESSION_FILE_FORMAT) errors.push(`format must be "${SESSION_FILE_FORMAT}"`);
+    if (session.version !== SESSION_FILE_VERSION) errors.push(`version must be ${SESSION_FILE_VERSION}`);
+    if (session.savedAt !== null && session.savedAt !== undefined && isNaN(new Date(session.savedAt).getTime())) {
+        errors.push('savedAt must be a date');
+    }
+
+    const protein = session.protein;
+    if (!isObject(protein)) {
+        errors.push('protein must be an object');
+    } else {
+        if (typeof protein.uniprotId !== 'string' || !isValidUniProtId(protein.uniprotId)) {
+            errors.push('protein.uniprotId must be a UniProt accession');
+        }
+        ['name', 'organism', 'notes'].forEach(field => {
+            if (protein[field] !== undefined && protein[field] !== null && typeof protein[field] !== 'string') {
+                errors.push(`protein.${field} must be text`);
+            }
+        });
+        if (protein.selectedResidues !== undefined) {
+            if (!Array.isArray(protein.selectedResidues)) {
+                errors.push('protein.selectedResidues must be a list');
+            } else if (protein.selectedResidues.some(residue => !isObject(residue) || !Number.isInteger(residue.residueNumber))) {
+                errors.push('protein.selectedResidues must list residues with a whole residueNumber');
+            }
+        }
+        const source = protein.structureSource;
+        if (source !== undefined && source !== null) {
+            if (!isObject(source) || !['alphafold', 'pdb'].includes(source.type)) {
+                errors.push('protein.structureSource.type must be "alphafold" or "pdb"');
+            } else if (source.type === 'pdb' && typeof source.pdbId !== 'string') {
+                errors.push('protein.structureSource.pdbId must be a PDB ID');
+            }
+        }
+    }
+
+    const view = session.view;
+    if (view !== undefined) {
+        if (!isObject(view)) {
+            errors.push('view must be an object');
+        } else {
+            if (view.style !== undefined && !SESSION_STYLES.includes(view.style)) {
+                errors.push(`view.style must be one of ${SESSION_STYLES.join(', ')}`);
+            }
+            if (view.confidenceColors !== undefined && typeof view.confidenceColors !== 'boolean') {
+                errors.push('view.confidenceColors must be true or false');
+            }
+            if (view.structuralElements !== undefined && (!isObject(view.structuralElements) ||
+                Object.values(view.structuralElements).some(value => typeof value !== 'boolean'))) {
+                errors.push('view.structuralElements must map helix, sheet and loop to true or false');
+            }
+            if (view.camera !== undefined && view.camera !== null &&
+                (!Array.isArray(view.camera) || view.camera.some(value => typeof value !== 'number' || !isFinite(value)))) {
+                errors.push('view.camera must be a list of numbers');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Read a session file, upgrading and validating it
+ * @param {string} text - File content
+ * @returns {Object} Session in the current version, with default view settings filled in
+ */
+function readSessionFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The session file is not valid JSON');
+    }
+
+    const session = migrateSessionFile(data);
+    const errors = validateSessionFile(session);
+    if (errors.length > 0) {
+        throw new Error(`The session file is invalid: ${errors.join('; ')}`);
+    }
+
+    return { ...session, view: completeSessionView(session.view) };
+}
+
+/**
+ * Get the file name for saving a session
+ * @param {string} uniprotId - UniProt ID of the session's protein
+ * @returns {string} File name, e.g. P69905.alphaview.json
+ */
+function getSessionFileName(uniprotId) {
+    return `${uniprotId}${SESSION_FILE_EXTENSION}`;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_FILE_FORMAT,
+        SESSION_FILE_VERSION,
+        SESSION_FILE_EXTENSION,
+        DEFAULT_SESSION_VIEW,
+        completeSessionView,
+        createSessionFile,
+        getSessionFileVersion,
+        migrateSessionFile,
+        validateSessionFile,
+        readSessionFile,
+        getSessionFileName
+    };
+}
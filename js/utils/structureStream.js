@@ -0,0 +1,227 @@
+/**
+ * Utility functions for reading PDB / mmCIF structure files while they download
+ */
+
+/**
+ * Convert a row of the mmCIF _atom_site category to an atom
+ * Author chain IDs and numbering are used, matching parsePdbAtomRecord and what 3Dmol.js displays.
+ * @param {Object} row - Row keyed by _atom_site field name
+ * @returns {Object|null} Atom with the fields the stream parser reads from parsePdbAtomRecord
+ *                        (name, residueName, chainId, residueNumber, insertionCode, x, y, z, bFactor, element),
+ *                        or null if the row has no coordinates
+ */
+function cifRowToAtom(row) {
+    const insertionCode = row.pdbx_PDB_ins_code;
+    const atom = {
+        name: row.auth_atom_id || row.label_atom_id,
+        residueName: row.auth_comp_id || row.label_comp_id,
+        chainId: row.auth_asym_id || row.label_asym_id,
+        residueNumber: parseInt(row.auth_seq_id || row.label_seq_id, 10),
+        insertionCode: insertionCode && insertionCode !== '?' && insertionCode !== '.' ? insertionCode : '',
+        x: parseFloat(row.Cartn_x),
+        y: parseFloat(row.Cartn_y),
+        z: parseFloat(row.Cartn_z),
+        bFactor: parseFloat(row.B_iso_or_equiv),
+        element: row.type_symbol || ''
+    };
+
+    if (!atom.name || isNaN(atom.residueNumber) || isNaN(atom.x) || isNaN(atom.y) || isNaN(atom.z)) return null;
+    return atom;
+}
+
+/**
+ * Create a parser that turns chunks of a PDB or mmCIF file into complete residues as they arrive
+ * A residue is complete once the next residue starts, so the last one is only reported by end().
+ * Only the first model of multi-model files is read.
+ * @param {string} format - 'pdb' or 'cif'
+ * @param {Function} onResidues - Called with each batch of newly completed residues
+ *                                ({chainId, residueNumber, insertionCode, residueName, atoms})
+ * @returns {Object} Parser with push(text), end() and getResidueCount()
+ */
+function createStructureStreamParser(format, onResidues) {
+    let buffer = '';
+    let current = null;
+    let finished = false;
+    let residueCount = 0;
+    let completed = [];
+
+    // mmCIF state: field names of the _atom_site loop, and values of a row split over several lines
+    let atomSiteFields = null;
+    let inAtomSite = false;
+    let pendingValues = [];
+    let modelNumber = null;
+
+    const closeResidue = () => {
+        if (current) {
+            completed.push(current);
+            residueCount++;
+            current = null;
+        }
+    };
+
+    const addAtom = (atom) => {
+        const key = `${atom.chainId}:${atom.residueNumber}:${atom.insertionCode}`;
+        if (!current || current.key !== key) {
+            closeResidue();
+            current = {
+                key,
+                chainId: atom.chainId,
+                residueNumber: atom.residueNumber,
+                insertionCode: atom.insertionCode,
+                residueName: atom.residueName,
+                atoms: []
+            };
+        }
+        current.atoms.push({
+            name: atom.name,
+            element: atom.element,
+            x: atom.x,
+            y: atom.y,
+            z: atom.z,
+            bFactor: atom.bFactor
+        });
+    };
+
+    const finishModel = () => {
+        closeResidue();
+        finished = true;
+    };
+
+    const readPdbLine = (line) => {
+        if (/^(ENDMDL|END\b)/.test(line)) {
+            finishModel();
+        } else if (line.startsWith('TER')) {
+            closeResidue();
+        } else if (/^(ATOM  |HETATM)/.test(line)) {
+            // Records that cannot be read are skipped; parsePdb reports them once the file is complete
+            const { atom } = parsePdbAtomRecord(line);
+            if (atom) addAtom(atom);
+        }
+    };
+
+    const readCifLine = (line) => {
+        const trimmed = line.trim();
+
+        if (!inAtomSite) {
+            if (trimmed.startsWith('_atom_site.')) {
+                atomSiteFields = atomSiteFields || [];
+                atomSiteFields.push(trimmed.substring('_atom_site.'.length));
+            } else if (atomSiteFields && atomSiteFields.length > 0 && trimmed) {
+                inAtomSite = true;
+            } else if (trimmed === 'loop_') {
+                atomSiteFields = null;
+            }
+            if (!inAtomSite) return;
+        }
+
+        // The loop ends at the next category, loop or comment line
+        if (trimmed.startsWith('_') || trimmed === 'loop_' || trimmed.startsWith('data_') || trimmed.startsWith('#')) {
+            finishModel();
+            return;
+        }
+
+        pendingValues = pendingValues.concat(tokenizeCifLine(line));
+        while (pendingValues.length >= atomSiteFields.length) {
+            const row = {};
+            atomSiteFields.forEach((field, index) => {
+                row[field] = pendingValues[index];
+            });
+            pendingValues = pendingValues.slice(atomSiteFields.length);
+
+            if (row.pdbx_PDB_model_num) {
+                if (modelNumber === null) {
+                    modelNumber = row.pdbx_PDB_model_num;
+                } else if (row.pdbx_PDB_model_num !== modelNumber) {
+                    finishModel();
+                    return;
+                }
+            }
+
+            const atom = cifRowToAtom(row);
+            if (atom) addAtom(atom);
+        }
+    };
+
+    const readLine = format === 'cif' ? readCifLine : readPdbLine;
+
+    const report = () => {
+        if (completed.length === 0) return;
+        const batch = completed.map(({ key, ...residue }) => residue);
+        completed = [];
+        onResidues(batch);
+    };
+
+    return {
+        /**
+         * Read the next chunk of the file
+         * @param {string} text - Decoded chunk of the file
+         */
+        push(text) {
+            if (finished || !text) return;
+
+            buffer += text;
+            const lines = buffer.split(/\r?\n/);
+            // The last line may continue in the next chunk
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                readLine(line);
+                if (finished) break;
+            }
+            report();
+        },
+
+        /**
+         * Read whatever is left once the download has finished
+         */
+        end() {
+            if (!finished) {
+                if (buffer) readLine(buffer);
+                buffer = '';
+                finishModel();
+            }
+            report();
+        },
+
+        /**
+         * Get the number of residues completed so far
+         * @returns {number}
+         */
+        getResidueCount() {
+            return residueCount;
+        }
+    };
+}
+
+/**
+ * Write the CA atoms of residues as PDB records, e.g. to draw a trace of a partly downloaded structure
+ * @param {Array<Object>} residues - Residues from createStructureStreamParser
+ * @returns {string} PDB ATOM records
+ */
+function formatCaTracePdb(residues) {
+    const lines = [];
+    residues.forEach(residue => {
+        const ca = residue.atoms.find(atom => atom.name === 'CA');
+        if (!ca) return;
+
+        const serial = String(lines.length + 1).padStart(5);
+        const residueName = (residue.residueName || 'UNK').substring(0, 3).padStart(3);
+        const chainId = (residue.chainId || 'A').substring(0, 1);
+        const residueNumber = String(residue.residueNumber).padStart(4);
+        const insertionCode = (residue.insertionCode || ' ').substring(0, 1);
+        const coordinates = [ca.x, ca.y, ca.z].map(value => value.toFixed(3).padStart(8)).join('');
+        const bFactor = (Number.isFinite(ca.bFactor) ? ca.bFactor : 0).toFixed(2).padStart(6);
+
+        lines.push(`ATOM  ${serial}  CA  ${residueName} ${chainId}${residueNumber}${insertionCode}   ${coordinates}  1.00${bFactor}           C`);
+    });
+    return lines.join('\n');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cifRowToAtom,
+        createStructureStreamParser,
+        formatCaTracePdb
+    };
+}
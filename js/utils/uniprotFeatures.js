@@ -0,0 +1,331 @@
+/**
+ * Utility functions for UniProt annotations: sequence features (domains, sites, PTMs, topology),
+ * natural variants and cross-references to experimental structures
+ */
+
+// Feature types shown in the feature panel, grouped as UniProt groups them on entry pages
+const FEATURE_CATEGORIES = [
+    {
+        key: 'domains',
+        label: 'Domains & regions',
+        types: ['Domain', 'Repeat', 'Region', 'Motif', 'Zinc finger', 'DNA binding', 'Coiled coil']
+    },
+    {
+        key: 'sites',
+        label: 'Active & binding sites',
+        types: ['Active site', 'Binding site', 'Site']
+    },
+    {
+        key: 'ptms',
+        label: 'Modifications',
+        types: ['Modified residue', 'Glycosylation', 'Lipidation', 'Disulfide bond', 'Cross-link']
+    },
+    {
+        key: 'topology',
+        label: 'Signals & membrane topology',
+        types: ['Signal', 'Transit peptide', 'Propeptide', 'Transmembrane', 'Intramembrane', 'Topological domain']
+    }
+];
+
+// UniProt REST field names of the feature types above
+const FEATURE_FIELDS = [
+    'ft_domain', 'ft_repeat', 'ft_region', 'ft_motif', 'ft_zn_fing', 'ft_dna_bind', 'ft_coiled',
+    'ft_act_site', 'ft_binding', 'ft_site',
+    'ft_mod_res', 'ft_carbohyd', 'ft_lipid', 'ft_disulfid', 'ft_crosslnk',
+    'ft_signal', 'ft_transit', 'ft_propep', 'ft_transmem', 'ft_intramem', 'ft_topo_dom'
+];
+
+// UniProt REST field names of natural variants and the diseases they are linked to
+const VARIANT_FIELDS = ['ft_variant', 'cc_disease'];
+
+// UniProt REST field name of the cross-references to PDB entries
+const PDB_XREF_FIELDS = ['xref_pdb'];
+
+// UniProt REST field name of the isoforms produced by alternative splicing or initiation
+const ISOFORM_FIELDS = ['cc_alternative_products'];
+
+// Evidence and Conclusion Ontology codes used by UniProt, in plain words
+const EVIDENCE_LABELS = {
+    'ECO:0000269': 'Experimental evidence',
+    'ECO:0007744': 'Experimental evidence (structure)',
+    'ECO:0007829': 'Experimental evidence (large-scale study)',
+    'ECO:0000303': 'Author statement',
+    'ECO:0000305': 'Curator inference',
+    'ECO:0000250': 'By similarity',
+    'ECO:0000255': 'Sequence analysis',
+    'ECO:0000256': 'Automatic annotation',
+    'ECO:0000259': 'Domain prediction',
+    'ECO:0000312': 'Imported annotation',
+    'ECO:0000313': 'Imported annotation'
+};
+
+/**
+ * Get the panel category of a UniProt feature type
+ * @param {string} type - UniProt feature type (e.g. 'Binding site')
+ * @returns {string|null} Category key, or null for types the panel does not show
+ */
+function getFeatureCategory(type) {
+    const category = FEATURE_CATEGORIES.find(candidate => candidate.types.includes(type));
+    return category ? category.key : null;
+}
+
+/**
+ * Describe the evidence behind a UniProt annotation
+ * @param {Array<Object>} evidences - UniProt evidences ({evidenceCode, source, id})
+ * @returns {Array<Object>} Evidence with a readable label and reference ({code, label, reference})
+ */
+function describeEvidence(evidences) {
+    if (!Array.isArray(evidences)) return [];
+
+    return evidences.map(evidence => ({
+        code: evidence.evidenceCode || null,
+        label: EVIDENCE_LABELS[evidence.evidenceCode] || evidence.evidenceCode || 'Unspecified evidence',
+        reference: evidence.source && evidence.id ? `${evidence.source}:${evidence.id}` : null
+    }));
+}
+
+/**
+ * Summarize evidence as one line of text, e.g. "Experimental evidence (PubMed:123, PubMed:456); By similarity"
+ * @param {Array<Object>} evidence - Evidence from describeEvidence
+ * @returns {string}
+ */
+function formatEvidenceText(evidence) {
+    const references = new Map();
+    evidence.forEach(item => {
+        if (!references.has(item.label)) references.set(item.label, []);
+        if (item.reference) references.get(item.label).push(item.reference);
+    });
+
+    return Array.from(references.entries())
+        .map(([label, refs]) => refs.length > 0 ? `${label} (${refs.join(', ')})` : label)
+        .join('; ');
+}
+
+/**
+ * Convert a UniProt feature to a residue range the viewer can show
+ * @param {Object} feature - Feature from the UniProt JSON format
+ * @returns {Object|null} Feature ({type, category, description, start, end, positions, evidence, evidenceText}),
+ *                        or null if its type is not shown or its position is unknown.
+ *                        positions lists the residues to mark when they are not the whole range
+ *                        (the two cysteines of a disulfide bond).
+ */
+function normalizeUniProtFeature(feature) {
+    if (!feature || !feature.location) return null;
+
+    const category = getFeatureCategory(feature.type);
+    if (!category) return null;
+
+    const start = feature.location.start ? feature.location.start.value : null;
+    const end = feature.location.end ? feature.location.end.value : null;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) return null;
+
+    const ligand = feature.ligand && feature.ligand.name;
+    const evidence = describeEvidence(feature.evidences);
+    const isLink = (feature.type === 'Disulfide bond' || feature.type === 'Cross-link') && end > start;
+
+    return {
+        type: feature.type,
+        category,
+        description: feature.description || (ligand ? `Binds ${ligand}` : ''),
+        start,
+        end,
+        positions: isLink ? [start, end] : null,
+        evidence,
+        evidenceText: formatEvidenceText(evidence)
+    };
+}
+
+/**
+ * Convert the features of a UniProt entry, dropping types the panel does not show
+ * @param {Array<Object>} features - Features from the UniProt JSON format
+ * @returns {Array<Object>} Features (see normalizeUniProtFeature), ordered by position
+ */
+function normalizeUniProtFeatures(features) {
+    if (!Array.isArray(features)) return [];
+
+    return features
+        .map(normalizeUniProtFeature)
+        .filter(feature => feature !== null)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Read the diseases described in the comments of a UniProt entry
+ * @param {Array<Object>} comments - Comments from the UniProt JSON format
+ * @returns {Array<Object>} Diseases ({id, name, acronym, description})
+ */
+function extractDiseases(comments) {
+    if (!Array.isArray(comments)) return [];
+
+    return comments
+        .filter(comment => comment.commentType === 'DISEASE' && comment.disease)
+        .map(comment => ({
+            id: comment.disease.diseaseAccession || null,
+            name: comment.disease.diseaseId,
+            acronym: comment.disease.acronym || null,
+            description: comment.disease.description || ''
+        }));
+}
+
+/**
+ * Convert a UniProt natural variant to a residue change
+ * @param {Object} feature - 'Natural variant' feature from the UniProt JSON format
+ * @param {Array<Object>} diseases - Diseases of the entry (see extractDiseases)
+ * @returns {Object|null} Variant ({id, label, start, end, original, variant, description, notes, diseases, dbSnp,
+ *                        evidence, evidenceText}), or null if the feature is not a located variant
+ */
+function normalizeUniProtVariant(feature, diseases = []) {
+    if (!feature || feature.type !== 'Natural variant' || !feature.location) return null;
+
+    const start = feature.location.start ? feature.location.start.value : null;
+    const end = feature.location.end ? feature.location.end.value : null;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) return null;
+
+    const change = feature.alternativeSequence || {};
+    const original = change.originalSequence || '';
+    const alternatives = Array.isArray(change.alternativeSequences) ? change.alternativeSequences : [];
+    // An empty alternative sequence means the residues are missing in the variant
+    const variant = alternatives.length > 0 ? alternatives.join('/') : 'del';
+
+    // Descriptions read like "in SKCA; sickle cell anemia; dbSNP:rs334"; diseases are cited by acronym
+    const description = feature.description || '';
+    const dbSnpMatch = description.match(/dbSNP:(rs\d+)/);
+    const notes = description
+        .split(';')
+        .map(part => part.trim())
+        .filter(part => part && !part.startsWith('dbSNP:'));
+    const words = description.split(/[^A-Za-z0-9-]+/);
+    const linkedDiseases = diseases.filter(disease => disease.acronym && words.includes(disease.acronym));
+    const evidence = describeEvidence(feature.evidences);
+    const position = start === end ? `${start}` : `${start}-${end}`;
+
+    return {
+        id: feature.featureId || null,
+        label: `${original || '?'}${position}${variant}`,
+        start,
+        end,
+        original,
+        variant,
+        description,
+        notes,
+        diseases: linkedDiseases,
+        dbSnp: dbSnpMatch ? dbSnpMatch[1] : null,
+        evidence,
+        evidenceText: formatEvidenceText(evidence)
+    };
+}
+
+/**
+ * Convert the natural variants of a UniProt entry
+ * @param {Array<Object>} features - Features from the UniProt JSON format
+ * @param {Array<Object>} comments - Comments from the UniProt JSON format, for the linked diseases
+ * @returns {Array<Object>} Variants (see normalizeUniProtVariant), ordered by position
+ */
+function normalizeUniProtVariants(features, comments = []) {
+    if (!Array.isArray(features)) return [];
+
+    const diseases = extractDiseases(comments);
+    return features
+        .map(feature => normalizeUniProtVariant(feature, diseases))
+        .filter(variant => variant !== null)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Parse the chain coverage of a PDB cross-reference, e.g. "A/C=1-141, B/D=1-146"
+ * @param {string} chains - Value of the cross-reference's Chains property
+ * @returns {Array<Object>} Covered ranges on the UniProt sequence ({chains, start, end})
+ */
+function parsePdbChainRanges(chains) {
+    if (!chains) return [];
+
+    return chains.split(',')
+        .map(segment => segment.trim().match(/^([^=]+)=(\d+)-(\d+)$/))
+        .filter(match => match !== null)
+        .map(([, ids, start, end]) => ({
+            chains: ids.split('/').map(id => id.trim()),
+            start: parseInt(start, 10),
+            end: parseInt(end, 10)
+        }));
+}
+
+/**
+ * Convert UniProt cross-references to the experimental structures of a protein
+ * @param {Array<Object>} crossReferences - uniProtKBCrossReferences from the UniProt JSON format
+ * @returns {Array<Object>} PDB entries ({pdbId, method, resolution, chains, ranges, coverage}), best resolution
+ *                          first; resolution is in Ångströms, or null for methods without one (NMR)
+ */
+function normalizePdbCrossReferences(crossReferences) {
+    if (!Array.isArray(crossReferences)) return [];
+
+    // Entries without a resolution sort after all others
+    const resolutionRank = entry => entry.resolution === null ? Infinity : entry.resolution;
+
+    return crossReferences
+        .filter(reference => reference.database === 'PDB' && reference.id)
+        .map(reference => {
+            const properties = {};
+            (reference.properties || []).forEach(({ key, value }) => {
+                properties[key] = value;
+            });
+
+            const resolution = parseFloat(properties.Resolution);
+            const ranges = parsePdbChainRanges(properties.Chains);
+            const chains = [...new Set(ranges.flatMap(range => range.chains))];
+
+            return {
+                pdbId: reference.id.toUpperCase(),
+                method: properties.Method || 'Unknown',
+                resolution: Number.isFinite(resolution) ? resolution : null,
+                chains,
+                ranges,
+                coverage: ranges.length > 0
+                    ? { start: Math.min(...ranges.map(range => range.start)), end: Math.max(...ranges.map(range => range.end)) }
+                    : null
+            };
+        })
+        .sort((a, b) => resolutionRank(a) - resolutionRank(b) || a.pdbId.localeCompare(b.pdbId));
+}
+
+/**
+ * Convert the alternative products comment of a UniProt entry into a list of isoforms
+ * @param {Array} comments - UniProt comments
+ * @returns {Array} Isoforms as {accession, name, synonyms, canonical}, in UniProt's order
+ */
+function normalizeUniProtIsoforms(comments) {
+    const products = (comments || []).find(comment => comment.commentType === 'ALTERNATIVE PRODUCTS');
+    if (!products || !Array.isArray(products.isoforms)) return [];
+
+    return products.isoforms
+        .filter(isoform => Array.isArray(isoform.isoformIds) && isoform.isoformIds.length > 0)
+        .map(isoform => ({
+            accession: isoform.isoformIds[0],
+            name: isoform.name && isoform.name.value ? isoform.name.value : isoform.isoformIds[0],
+            synonyms: (isoform.synonyms || []).map(synonym => synonym.value),
+            // The displayed isoform is the canonical sequence of the entry
+            canonical: isoform.isoformSequenceStatus === 'Displayed'
+        }));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FEATURE_CATEGORIES,
+        FEATURE_FIELDS,
+        VARIANT_FIELDS,
+        PDB_XREF_FIELDS,
+        ISOFORM_FIELDS,
+        EVIDENCE_LABELS,
+        getFeatureCategory,
+        describeEvidence,
+        formatEvidenceText,
+        normalizeUniProtFeature,
+        normalizeUniProtFeatures,
+        extractDiseases,
+        normalizeUniProtVariant,
+        normalizeUniProtVariants,
+        parsePdbChainRanges,
+        normalizePdbCrossReferences,
+        normalizeUniProtIsoforms
+    };
+}
@@ -209,6 +209,170 @@ describe('APIService Tests', () => {
             clientError.status = 400;
             expect(apiService.shouldRetry(clientError)).toBe(false);
         });
+
+        test('should retry when rate limited', () => {
+            const rateLimitError = new Error('Too Many Requests');
+            rateLimitError.status = 429;
+            expect(apiService.shouldRetry(rateLimitError)).toBe(true);
+        });
+    });
+
+    describe('rate limiting', () => {
+        const rateLimited = (retryAfter, status = 429) => ({
+            ok: false,
+            status,
+            statusText: 'Too Many Requests',
+            headers: { get: jest.fn(name => (name === 'retry-after' ? retryAfter : null)) }
+        });
+
+        test('should read Retry-After in seconds or as a date', () => {
+            const error = (retryAfter, status = 429) => ({ status, response: rateLimited(retryAfter) });
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+
+            expect(apiService.getRetryAfter(error('30'))).toBe(30000);
+            expect(apiService.getRetryAfter(error(new Date(now + 5000).toUTCString()))).toBeGreaterThan(3000);
+            expect(apiService.getRetryAfter(error('30', 500))).toBeNull();
+            expect(apiService.getRetryAfter(error(null))).toBeNull();
+
+            Date.now.mockRestore();
+        });
+
+        test('should pause the host for Retry-After and queue the request again', async () => {
+            const pauseSpy = jest.spyOn(apiService.scheduler, 'pauseHost');
+            fetch
+                .mockResolvedValueOnce(rateLimited('2'))
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+            const progressCallback = jest.fn();
+
+            const response = await apiService.makeRequestWithRetry('https://rest.uniprot.org/uniprotkb/P69905', {}, 1, progressCallback);
+
+            expect(response.ok).toBe(true);
+            expect(pauseSpy).toHaveBeenCalledWith('https://rest.uniprot.org/uniprotkb/P69905', 2000);
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'rate_limited',
+                delay: 2000,
+                message: 'Server is busy. Retrying in 2 seconds...'
+            });
+            expect(progressCallback).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'request_throttled',
+                host: 'rest.uniprot.org'
+            }));
+        });
+
+        test('should honor Retry-After on 503 responses', async () => {
+            fetch
+                .mockResolvedValueOnce(rateLimited('1', 503))
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+
+            const response = await apiService.makeRequestWithRetry('https://alphafold.ebi.ac.uk/api/prediction/P69905');
+
+            expect(response.ok).toBe(true);
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should fail without retrying when the server asks for too long a wait', async () => {
+            fetch.mockResolvedValueOnce(rateLimited('3600'));
+
+            const error = await apiService.makeRequestWithRetry('https://rest.uniprot.org/uniprotkb/P69905').catch(e => e);
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(error.retryAfter).toBe(3600000);
+            expect(apiService.handleApiErrors(error).userAction).toBe('Wait 3600 seconds before trying again');
+        });
+
+        test('should stop after repeated rate limiting', async () => {
+            fetch.mockResolvedValue(rateLimited('1'));
+
+            await expect(apiService.makeRequestWithRetry('https://rest.uniprot.org/uniprotkb/P69905'))
+                .rejects.toThrow('HTTP 429');
+            expect(fetch).toHaveBeenCalledTimes(apiService.maxRateLimitWaits + 1);
+            fetch.mockReset();
+        });
+
+        test('should report the queue position of waiting requests', () => {
+            const progressCallback = jest.fn();
+
+            apiService.reportRequestWait({ reason: 'queued', position: 3, waitMs: 0, host: 'rest.uniprot.org' }, progressCallback);
+
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'request_queued',
+                position: 3,
+                host: 'rest.uniprot.org',
+                message: 'Waiting for rest.uniprot.org (position 3 in queue)...'
+            });
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const url = 'https://rest.uniprot.org/uniprotkb/P69905';
+        const serverError = { ok: false, status: 503, statusText: 'Service Unavailable' };
+
+        const openCircuit = () => {
+            for (let i = 0; i < apiService.circuitBreaker.failureThreshold; i++) {
+                apiService.circuitBreaker.recordFailure(url, new Error('HTTP 503: Service Unavailable'));
+            }
+        };
+
+        test('should open the circuit after repeated server errors', async () => {
+            fetch.mockResolvedValue(serverError);
+
+            await expect(apiService.makeRequestWithRetry(url)).rejects.toThrow('HTTP 503');
+
+            expect(apiService.getServiceHealth().uniprot.status).toBe('down');
+            expect(apiService.getServiceHealth().alphafold.status).toBe('healthy');
+            fetch.mockReset();
+        });
+
+        test('should fail fast without retrying while the circuit is open', async () => {
+            openCircuit();
+
+            await expect(apiService.makeRequestWithRetry(url)).rejects.toMatchObject({
+                name: 'CircuitOpenError',
+                circuitOpen: true,
+                host: 'rest.uniprot.org'
+            });
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        test('should not count a missing resource as a failure', async () => {
+            fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+            for (let i = 0; i < 3; i++) {
+                await expect(apiService.makeRequest(url)).rejects.toThrow('HTTP 404');
+            }
+
+            expect(apiService.getServiceHealth().uniprot.status).toBe('healthy');
+            fetch.mockReset();
+        });
+
+        test('should serve a stale cached copy while the circuit is open', async () => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+            jest.spyOn(apiService.cache, 'get').mockResolvedValue({
+                value: { uniprotId: 'P69905' },
+                stale: true,
+                storedAt: Date.now()
+            });
+            openCircuit();
+            const progressCallback = jest.fn();
+
+            const result = await apiService.fetchWithCache('uniprot-metadata:P69905', 60000,
+                () => apiService.makeRequest(url), progressCallback, 'protein information');
+
+            expect(result).toEqual({ uniprotId: 'P69905' });
+            expect(fetch).not.toHaveBeenCalled();
+            expect(progressCallback).toHaveBeenCalledWith(expect.objectContaining({ type: 'cache_stale' }));
+        });
+
+        test('should explain that the service is down', () => {
+            openCircuit();
+
+            const result = apiService.handleApiErrors(apiService.createCircuitOpenError(url), 'Test operation');
+
+            expect(result.type).toBe('service_down');
+            expect(result.retryable).toBe(true);
+            expect(result.message).toContain('rest.uniprot.org is not responding');
+        });
     });
 
     describe('handleApiErrors', () => {
@@ -397,7 +561,8 @@ describe('APIService Tests', () => {
                 proteinName: 'Hemoglobin subunit alpha',
                 organism: 'Homo sapiens',
                 sequenceLength: 141,
-                geneNames: ['HBA1']
+                geneNames: ['HBA1'],
+                matchReason: 'Text match for "protein test" in the UniProt entry'
             });
         });
 
@@ -528,7 +693,8 @@ describe('APIService Tests', () => {
                 proteinName: 'Unknown protein',
                 organism: 'Unknown organism',
                 sequenceLength: null,
-                geneNames: []
+                geneNames: [],
+                matchReason: 'Text match for "test" in the UniProt entry'
             });
         });
 
@@ -548,6 +714,166 @@ describe('APIService Tests', () => {
             );
         });
 
+        describe('query types', () => {
+            const searchResponse = (results) => ({ ok: true, status: 200, json: () => Promise.resolve({ results }) });
+            const tp53 = {
+                primaryAccession: 'P04637',
+                proteinDescription: { recommendedName: { fullName: { value: 'Cellular tumor antigen p53' } } },
+                organism: { scientificName: 'Homo sapiens' },
+                genes: [{ geneName: { value: 'TP53' }, synonyms: [{ value: 'P53' }] }]
+            };
+
+            test('should look up entry names by their id field', async () => {
+                fetch.mockResolvedValueOnce(searchResponse([{ primaryAccession: 'P01308', uniProtkbId: 'INS_HUMAN' }]));
+
+                const page = await apiService.searchUniProtPage('ins_human');
+
+                expect(fetch.mock.calls[0][0]).toContain(`search?query=${encodeURIComponent('id:INS_HUMAN')}&`);
+                expect(page.queryType).toBe('entry_name');
+                expect(page.results[0].matchReason).toBe('Entry name INS_HUMAN');
+            });
+
+            test('should search gene symbols in the named organism', async () => {
+                fetch.mockResolvedValueOnce(searchResponse([tp53]));
+                const progressCallback = jest.fn();
+
+                const page = await apiService.searchUniProtPage('TP53 human', progressCallback);
+
+                expect(fetch.mock.calls[0][0]).toContain(`search?query=${encodeURIComponent('gene_exact:TP53 AND taxonomy_id:9606')}&`);
+                expect(progressCallback).toHaveBeenCalledWith({ type: 'search_start', message: 'Looking up gene TP53 in Homo sapiens...' });
+                expect(page.results[0].matchReason).toBe('Gene name TP53 in Homo sapiens');
+            });
+
+            test('should tell gene synonyms from gene names', async () => {
+                fetch.mockResolvedValueOnce(searchResponse([tp53]));
+
+                const page = await apiService.searchUniProtPage('p53');
+
+                expect(fetch.mock.calls[0][0]).toContain(`search?query=${encodeURIComponent('gene_exact:p53')}&`);
+                expect(page.results[0].matchReason).toBe('Gene synonym p53');
+            });
+
+            test('should search a symbol as text when no gene has that name', async () => {
+                fetch
+                    .mockResolvedValueOnce(searchResponse([]))
+                    .mockResolvedValueOnce(searchResponse([{
+                        primaryAccession: 'P06576',
+                        proteinDescription: { recommendedName: { fullName: { value: 'ATP synthase subunit beta' } } }
+                    }]));
+
+                const page = await apiService.searchUniProtPage('ATP');
+
+                expect(fetch.mock.calls[1][0]).toContain('search?query=ATP&');
+                expect(page.queryType).toBe('text');
+                expect(page.results[0].matchReason).toBe('Protein name contains "ATP"');
+            });
+
+            test('should apply filters to typed queries', async () => {
+                fetch.mockResolvedValueOnce(searchResponse([tp53]));
+
+                await apiService.searchUniProtPage('TP53', null, null, null, { reviewed: 'reviewed' });
+
+                expect(fetch.mock.calls[0][0]).toContain(`search?query=${encodeURIComponent('(gene_exact:TP53) AND reviewed:true')}&`);
+            });
+        });
+
+        describe('paging', () => {
+            const nextUrl = 'https://rest.uniprot.org/uniprotkb/search?query=kinase&format=json&size=25&cursor=1mkycb2xwxbouw';
+            const pageResponse = (accession, headers) => ({
+                ok: true,
+                status: 200,
+                headers: { get: jest.fn(name => headers[name] || null) },
+                json: () => Promise.resolve({ results: [{ primaryAccession: accession }] })
+            });
+
+            test('should read the total and the next page from the response headers', async () => {
+                fetch.mockResolvedValueOnce(pageResponse('P00533', {
+                    'x-total-results': '4521',
+                    link: `<${nextUrl}>; rel="next"`
+                }));
+                const progressCallback = jest.fn();
+
+                const page = await apiService.searchUniProtPage('kinase', progressCallback);
+
+                expect(fetch.mock.calls[0][0]).toContain('&size=25');
+                expect(page.results.map(result => result.uniprotId)).toEqual(['P00533']);
+                expect(page.totalResults).toBe(4521);
+                expect(page.nextPageUrl).toBe(nextUrl);
+                expect(progressCallback).toHaveBeenCalledWith({ type: 'search_complete', message: 'Found 4521 results' });
+            });
+
+            test('should request the next page URL and report the last page', async () => {
+                fetch.mockResolvedValueOnce(pageResponse('P06239', { 'x-total-results': '4521' }));
+
+                const page = await apiService.searchUniProtPage('kinase', null, null, nextUrl);
+
+                expect(fetch.mock.calls[0][0]).toBe(nextUrl);
+                expect(page.nextPageUrl).toBeNull();
+            });
+
+            test('should cache each page separately', async () => {
+                apiService.cache = new CacheService({ useIndexedDB: false });
+                fetch
+                    .mockResolvedValueOnce(pageResponse('P00533', { link: `<${nextUrl}>; rel="next"` }))
+                    .mockResolvedValueOnce(pageResponse('P06239', {}));
+
+                await apiService.searchUniProtPage('kinase');
+                await apiService.searchUniProtPage('kinase', null, null, nextUrl);
+                const cachedFirst = await apiService.searchUniProtPage('kinase');
+
+                expect(fetch).toHaveBeenCalledTimes(2);
+                expect(cachedFirst.nextPageUrl).toBe(nextUrl);
+                expect(cachedFirst.results[0].uniprotId).toBe('P00533');
+            });
+
+            test('should keep filters on later pages', async () => {
+                fetch.mockResolvedValueOnce(pageResponse('P06239', {}));
+
+                await apiService.searchUniProtPage('kinase', null, null, nextUrl, { reviewed: 'reviewed' });
+
+                expect(fetch.mock.calls[0][0]).toBe(nextUrl);
+            });
+
+            test('should parse Link headers', () => {
+                expect(apiService.parseNextLink(`<${nextUrl}>; rel="next"`)).toBe(nextUrl);
+                expect(apiService.parseNextLink('<https://example.org/prev>; rel="prev"')).toBeNull();
+                expect(apiService.parseNextLink(null)).toBeNull();
+            });
+        });
+
+        describe('filters', () => {
+            test('should translate filters into UniProt query syntax', () => {
+                expect(apiService.buildSearchQuery('insulin', {
+                    organism: '9606',
+                    reviewed: 'reviewed',
+                    minLength: 50,
+                    maxLength: 200,
+                    hasAlphaFold: true
+                })).toBe('(insulin) AND taxonomy_id:9606 AND reviewed:true AND length:[50 TO 200] AND database:alphafolddb');
+            });
+
+            test('should quote organism names and leave open length ranges', () => {
+                expect(apiService.buildSearchQuery('actin', {
+                    organism: 'Danio "rerio"',
+                    reviewed: 'unreviewed',
+                    maxLength: 400
+                })).toBe('(actin) AND taxonomy_name:"Danio rerio" AND reviewed:false AND length:[* TO 400]');
+            });
+
+            test('should leave the query unchanged without filters', () => {
+                expect(apiService.buildSearchQuery('insulin', {})).toBe('insulin');
+                expect(apiService.buildSearchQuery('insulin', null)).toBe('insulin');
+            });
+
+            test('should search a UniProt ID with filters instead of looking it up', async () => {
+                fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ results: [] }) });
+
+                await apiService.searchUniProtPage('P69905', null, null, null, { reviewed: 'reviewed' });
+
+                expect(fetch.mock.calls[0][0]).toContain(`search?query=${encodeURIComponent('(P69905) AND reviewed:true')}`);
+            });
+        });
+
         test('should use correct URL for UniProt ID lookup', async () => {
             const mockResponse = {
                 ok: true,
@@ -664,7 +990,7 @@ describe('APIService Tests', () => {
             const result = await apiService.getProteinMetadata('P69905');
             
             expect(fetch).toHaveBeenCalledWith(
-                expect.stringContaining('P69905?format=json&fields=accession,protein_name,organism_name,length,gene_names,cc_function,ft_chain,sequence'),
+                expect.stringContaining('P69905?format=json&fields=accession,sec_acc,protein_name,organism_name,length,gene_names,cc_function,ft_chain,sequence'),
                 expect.any(Object)
             );
             
@@ -675,12 +1001,9 @@ describe('APIService Tests', () => {
                 sequenceLength: 141,
                 geneNames: ['HBA1', 'HBA2'],
                 description: 'Involved in oxygen transport from the lungs to the various peripheral tissues.',
-                confidenceScore: expect.any(Number),
+                confidenceScore: null,
                 lastUpdated: expect.any(String)
             });
-            
-            expect(result.confidenceScore).toBeGreaterThan(0);
-            expect(result.confidenceScore).toBeLessThanOrEqual(100);
         });
 
         test('should validate UniProt ID parameter', async () => {
@@ -735,6 +1058,293 @@ describe('APIService Tests', () => {
         });
     });
 
+    describe('getProteinMetadataBatch', () => {
+        const entry = (accession) => ({
+            primaryAccession: accession,
+            proteinDescription: { recommendedName: { fullName: { value: `Protein ${accession}` } } },
+            sequence: { length: 100 }
+        });
+
+        const batchResponse = (accessions) => ({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({ results: accessions.map(entry) })
+        });
+
+        const requestedAccessions = (call) => new URL(call[0]).searchParams.get('accessions').split(',');
+
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+            apiService.metadataBatchSize = 2;
+        });
+
+        test('should request accessions in chunks from the multi-accession endpoint', async () => {
+            fetch.mockImplementation(url => Promise.resolve(batchResponse(new URL(url).searchParams.get('accessions').split(','))));
+
+            const { results, errors } = await apiService.getProteinMetadataBatch(['P69905', 'p68871', 'P01308', 'P69905', 'P04637']);
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch.mock.calls[0][0]).toContain('https://rest.uniprot.org/uniprotkb/accessions?accessions=P69905,P68871&format=json');
+            expect(requestedAccessions(fetch.mock.calls[1])).toEqual(['P01308', 'P04637']);
+            expect(Object.keys(results)).toEqual(['P69905', 'P68871', 'P01308', 'P04637']);
+            expect(results.P68871.proteinName).toBe('Protein P68871');
+            expect(errors).toEqual({});
+            fetch.mockReset();
+        });
+
+        test('should report unknown and malformed IDs without failing the others', async () => {
+            fetch.mockResolvedValueOnce(batchResponse(['P69905']));
+
+            const { results, errors } = await apiService.getProteinMetadataBatch(['P69905', 'Q00000', 'NOT-AN-ID']);
+
+            expect(Object.keys(results)).toEqual(['P69905']);
+            expect(errors.Q00000).toContain('not found');
+            expect(errors['NOT-AN-ID']).toContain('Invalid UniProt ID format');
+            expect(requestedAccessions(fetch.mock.calls[0])).toEqual(['P69905', 'Q00000']);
+        });
+
+        test('should keep the results of other chunks when one request fails', async () => {
+            fetch
+                .mockResolvedValueOnce(batchResponse(['P69905', 'P68871']))
+                .mockResolvedValue({ ok: false, status: 400, statusText: 'Bad Request' });
+            const progressCallback = jest.fn();
+
+            const { results, errors } = await apiService.getProteinMetadataBatch(['P69905', 'P68871', 'P01308'], progressCallback);
+
+            expect(Object.keys(results)).toEqual(['P69905', 'P68871']);
+            expect(Object.keys(errors)).toEqual(['P01308']);
+            expect(progressCallback).toHaveBeenLastCalledWith({
+                type: 'metadata_batch_complete',
+                loaded: 2,
+                failed: 1,
+                message: 'Loaded protein information for 2 of 3 entries (1 failed)'
+            });
+            fetch.mockReset();
+        });
+
+        test('should match entries requested by a secondary or isoform accession', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ results: [{ ...entry('P69905'), secondaryAccessions: ['P01922', 'Q3MIF5'] }, entry('P68871')] })
+            });
+
+            const { results, errors } = await apiService.getProteinMetadataBatch(['Q3MIF5', 'P68871-2']);
+
+            expect(errors).toEqual({});
+            expect(results.Q3MIF5.proteinName).toBe('Protein P69905');
+            expect(results['P68871-2'].proteinName).toBe('Protein P68871');
+            fetch.mockReset();
+        });
+
+        test('should not cache the canonical entry under an isoform accession', async () => {
+            fetch.mockResolvedValueOnce(batchResponse(['P68871']));
+            await apiService.getProteinMetadataBatch(['P68871-2']);
+
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ ...entry('P68871-2'), sequence: { length: 120 } })
+            });
+            const single = await apiService.getProteinMetadata('P68871-2');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch.mock.calls[1][0]).toContain('P68871-2?format=json');
+            expect(single.sequenceLength).toBe(120);
+            fetch.mockReset();
+        });
+
+        test('should fill the cache for single lookups and reuse cached entries', async () => {
+            fetch.mockResolvedValueOnce(batchResponse(['P69905', 'P68871']));
+            await apiService.getProteinMetadataBatch(['P69905', 'P68871']);
+
+            const single = await apiService.getProteinMetadata('P68871');
+            fetch.mockResolvedValueOnce(batchResponse(['P01308']));
+            const { results } = await apiService.getProteinMetadataBatch(['P69905', 'P01308']);
+
+            expect(single.proteinName).toBe('Protein P68871');
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(requestedAccessions(fetch.mock.calls[1])).toEqual(['P01308']);
+            expect(Object.keys(results)).toEqual(['P69905', 'P01308']);
+        });
+
+        test('should reject input that is not a list', async () => {
+            await expect(apiService.getProteinMetadataBatch('P69905')).rejects.toThrow('UniProt IDs must be given as a list');
+            await expect(apiService.getProteinMetadataBatch(null)).rejects.toThrow('Missing required parameter: uniprotIds');
+        });
+    });
+
+    describe('getProteinFeatures', () => {
+        const featureEntry = {
+            primaryAccession: 'P69905',
+            features: [
+                {
+                    type: 'Binding site',
+                    location: { start: { value: 88 }, end: { value: 88 } },
+                    ligand: { name: 'heme b' },
+                    evidences: [{ evidenceCode: 'ECO:0000269', source: 'PubMed', id: '123' }]
+                },
+                { type: 'Chain', location: { start: { value: 2 }, end: { value: 142 } } },
+                { type: 'Domain', location: { start: { value: 2 }, end: { value: 142 } }, description: 'Globin' }
+            ]
+        };
+
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+        });
+
+        test('should request feature fields and return normalized features', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(featureEntry) });
+
+            const features = await apiService.getProteinFeatures('p69905');
+
+            expect(fetch.mock.calls[0][0]).toContain('https://rest.uniprot.org/uniprotkb/P69905?format=json&fields=ft_domain,');
+            expect(fetch.mock.calls[0][0]).toContain('ft_binding');
+            expect(features.map(feature => feature.type)).toEqual(['Domain', 'Binding site']);
+            expect(features[1]).toMatchObject({
+                category: 'sites',
+                description: 'Binds heme b',
+                evidenceText: 'Experimental evidence (PubMed:123)'
+            });
+        });
+
+        test('should cache features per protein', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(featureEntry) });
+
+            await apiService.getProteinFeatures('P69905');
+            const features = await apiService.getProteinFeatures('P69905');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(features).toHaveLength(2);
+        });
+
+        test('should reject malformed IDs and report unknown proteins', async () => {
+            await expect(apiService.getProteinFeatures('NOT-AN-ID')).rejects.toThrow('Invalid UniProt ID format');
+
+            fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+            await expect(apiService.getProteinFeatures('Q00000')).rejects.toThrow('Protein Q00000 not found in UniProt database');
+        });
+    });
+
+    describe('getProteinVariants', () => {
+        const variantEntry = {
+            primaryAccession: 'P68871',
+            features: [{
+                type: 'Natural variant',
+                featureId: 'VAR_002863',
+                location: { start: { value: 7 }, end: { value: 7 } },
+                description: 'in SKCA; dbSNP:rs334',
+                alternativeSequence: { originalSequence: 'E', alternativeSequences: ['V'] }
+            }],
+            comments: [{
+                commentType: 'DISEASE',
+                disease: { diseaseId: 'Sickle cell anemia', acronym: 'SKCA', description: 'A hemoglobinopathy.' }
+            }]
+        };
+
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+        });
+
+        test('should request variants with disease comments and link them', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(variantEntry) });
+
+            const variants = await apiService.getProteinVariants('P68871');
+
+            expect(fetch.mock.calls[0][0]).toBe('https://rest.uniprot.org/uniprotkb/P68871?format=json&fields=ft_variant,cc_disease');
+            expect(variants).toHaveLength(1);
+            expect(variants[0]).toMatchObject({ label: 'E7V', dbSnp: 'rs334' });
+            expect(variants[0].diseases[0].name).toBe('Sickle cell anemia');
+        });
+    });
+
+    describe('isoforms', () => {
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+        });
+
+        test('should list the isoforms of the entry an isoform belongs to', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({
+                    primaryAccession: 'P04637',
+                    comments: [{
+                        commentType: 'ALTERNATIVE PRODUCTS',
+                        events: ['Alternative splicing'],
+                        isoforms: [
+                            { name: { value: '1' }, synonyms: [{ value: 'p53' }], isoformIds: ['P04637-1'], isoformSequenceStatus: 'Displayed' },
+                            { name: { value: '2' }, synonyms: [{ value: 'I9RET' }], isoformIds: ['P04637-2'], isoformSequenceStatus: 'Described' }
+                        ]
+                    }]
+                })
+            });
+
+            const isoforms = await apiService.getProteinIsoforms('P04637-2');
+
+            expect(fetch.mock.calls[0][0]).toBe('https://rest.uniprot.org/uniprotkb/P04637?format=json&fields=cc_alternative_products');
+            expect(isoforms).toEqual([
+                { accession: 'P04637-1', name: '1', synonyms: ['p53'], canonical: true },
+                { accession: 'P04637-2', name: '2', synonyms: ['I9RET'], canonical: false }
+            ]);
+        });
+
+        test('should reject IDs outside the accession grammar before requesting anything', async () => {
+            await expect(apiService.getProteinIsoforms('ABCDEF')).rejects.toThrow('Invalid UniProt ID format');
+            await expect(apiService.getProteinMetadata('ABCDEF')).rejects.toThrow('Invalid UniProt ID format');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('experimental structures', () => {
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+        });
+
+        test('should list PDB entries from UniProt cross-references', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({
+                    primaryAccession: 'P69905',
+                    uniProtKBCrossReferences: [{
+                        database: 'PDB',
+                        id: '1A3N',
+                        properties: [
+                            { key: 'Method', value: 'X-ray' },
+                            { key: 'Resolution', value: '1.80 A' },
+                            { key: 'Chains', value: 'A/C=2-142' }
+                        ]
+                    }]
+                })
+            });
+
+            const entries = await apiService.getExperimentalStructures('P69905');
+
+            expect(fetch.mock.calls[0][0]).toBe('https://rest.uniprot.org/uniprotkb/P69905?format=json&fields=xref_pdb');
+            expect(entries).toEqual([expect.objectContaining({ pdbId: '1A3N', method: 'X-ray', resolution: 1.8 })]);
+        });
+
+        test('should download entries from RCSB as mmCIF and cache them', async () => {
+            const cif = 'data_1A3N\nloop_\n_atom_site.group_PDB\n_atom_site.Cartn_x\nATOM 1.0\n';
+            fetch.mockResolvedValueOnce({ ok: true, status: 200, headers: new Map(), text: () => Promise.resolve(cif) });
+
+            await apiService.fetchExperimentalStructure('1a3n');
+            const data = await apiService.fetchExperimentalStructure('1A3N');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(fetch.mock.calls[0][0]).toBe('https://files.rcsb.org/download/1A3N.cif');
+            expect(data).toBe(cif);
+        });
+
+        test('should reject malformed PDB IDs and report missing entries', async () => {
+            await expect(apiService.fetchExperimentalStructure('P69905')).rejects.toThrow('Invalid PDB ID format');
+
+            fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+            await expect(apiService.fetchExperimentalStructure('9ZZZ')).rejects.toThrow('PDB entry 9ZZZ could not be found at RCSB');
+        });
+    });
+
     describe('formatProteinMetadata', () => {
         test('should format complete protein metadata', () => {
             const rawData = {
@@ -769,7 +1379,7 @@ describe('APIService Tests', () => {
                 sequenceLength: 141,
                 geneNames: ['HBA1', 'HBA2'],
                 description: 'Involved in oxygen transport from the lungs to the various peripheral tissues.',
-                confidenceScore: expect.any(Number),
+                confidenceScore: null,
                 lastUpdated: expect.any(String)
             });
         });
@@ -808,8 +1418,8 @@ describe('APIService Tests', () => {
             expect(formatted.geneNames).toEqual([]);
         });
 
-        test('should generate confidence score based on sequence length', () => {
-            const shortProtein = {
+        test('should not invent a confidence score from sequence length', () => {
+            const rawData = {
                 primaryAccession: 'P12345',
                 proteinDescription: {
                     recommendedName: {
@@ -820,23 +1430,12 @@ describe('APIService Tests', () => {
                 sequence: { length: 50 }
             };
 
-            const longProtein = {
-                primaryAccession: 'P67890',
-                proteinDescription: {
-                    recommendedName: {
-                        fullName: { value: 'Long Protein' }
-                    }
-                },
-                organism: { scientificName: 'Test Organism' },
-                sequence: { length: 500 }
-            };
-
-            const shortFormatted = apiService.formatProteinMetadata(shortProtein);
-            const longFormatted = apiService.formatProteinMetadata(longProtein);
+            const first = apiService.formatProteinMetadata(rawData);
+            const second = apiService.formatProteinMetadata(rawData);
             
-            // Short proteins should generally have higher confidence
-            expect(shortFormatted.confidenceScore).toBeGreaterThan(80);
-            expect(longFormatted.confidenceScore).toBeLessThan(90);
+            // Confidence comes from the model's pLDDT, not from UniProt metadata
+            expect(first.confidenceScore).toBeNull();
+            expect(second.confidenceScore).toBeNull();
         });
 
         test('should handle missing sequence length', () => {
@@ -900,6 +1499,17 @@ ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N
 ATOM      2  CA  VAL A   1      -8.608   3.135  -1.618  1.00 11.85           C  
 END`;
 
+        const predictionResponse = {
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve([{
+                entryId: 'AF-P69905-F1',
+                uniprotAccession: 'P69905',
+                latestVersion: 4,
+                pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb'
+            }])
+        };
+
         test('should fetch structure with progress tracking', async () => {
             const mockResponse = {
                 ok: true,
@@ -909,12 +1519,16 @@ END`;
                 },
                 text: () => Promise.resolve(validPdbData)
             };
-            fetch.mockResolvedValueOnce(mockResponse);
+            fetch
+                .mockResolvedValueOnce(predictionResponse)
+                .mockResolvedValueOnce(mockResponse);
 
             const progressCallback = jest.fn();
             const result = await apiService.fetchAlphaFoldStructure('P69905', progressCallback);
 
             expect(result).toBe(validPdbData);
+            expect(fetch).toHaveBeenNthCalledWith(1, 'https://alphafold.ebi.ac.uk/api/prediction/P69905', expect.any(Object));
+            expect(fetch).toHaveBeenNthCalledWith(2, 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb', expect.any(Object));
             expect(progressCallback).toHaveBeenCalledWith({
                 type: 'structure_start',
                 message: 'Downloading 3D structure for P69905...'
@@ -948,7 +1562,9 @@ END`;
                 headers: { get: jest.fn(() => null) },
                 text: () => Promise.resolve('Invalid PDB content')
             };
-            fetch.mockResolvedValueOnce(mockResponse);
+            fetch
+                .mockResolvedValueOnce(predictionResponse)
+                .mockResolvedValueOnce(mockResponse);
 
             await expect(apiService.fetchAlphaFoldStructure('P69905'))
                 .rejects.toThrow('Invalid PDB file format received');
@@ -956,7 +1572,17 @@ END`;
 
         test('should validate UniProt ID format with detailed message', async () => {
             await expect(apiService.fetchAlphaFoldStructure('invalid-id'))
-                .rejects.toThrow('Invalid UniProt ID format. UniProt IDs should be 6-10 characters long');
+                .rejects.toThrow('Invalid UniProt ID format. UniProt accessions look like P69905 or A0A0B4J2F0');
+        });
+
+        test('should explain that isoforms other than the canonical sequence have no model', async () => {
+            const notFoundError = new Error('Not Found');
+            notFoundError.status = 404;
+            fetch.mockRejectedValueOnce(notFoundError);
+
+            await expect(apiService.fetchAlphaFoldStructure('p04637-2'))
+                .rejects.toThrow('No AlphaFold structure available for isoform P04637-2. AlphaFold only predicts the canonical sequence');
+            expect(fetch.mock.calls[0][0]).toBe('https://alphafold.ebi.ac.uk/api/prediction/P04637-2');
         });
 
         test('should handle access forbidden error', async () => {
@@ -976,6 +1602,278 @@ END`;
             await expect(apiService.fetchAlphaFoldStructure('P69905'))
                 .rejects.toThrow('Unable to download structure for P69905');
         });
+    
+        test('should download the file listed for the latest model version', async () => {
+            const mockResponse = {
+                ok: true,
+                status: 200,
+                headers: { get: jest.fn(() => null) },
+                text: () => Promise.resolve(validPdbData)
+            };
+            fetch.mockResolvedValueOnce(mockResponse);
+
+            const prediction = apiService.formatPredictionEntry({
+                entryId: 'AF-P69905-F1',
+                latestVersion: 6,
+                pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v6.pdb'
+            });
+            await apiService.fetchAlphaFoldStructure('P69905', null, prediction);
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(fetch).toHaveBeenCalledWith('https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v6.pdb', expect.any(Object));
+        });
+
+        test('should distinguish a missing file from a missing model', async () => {
+            const notFoundError = new Error('Not Found');
+            notFoundError.status = 404;
+            fetch
+                .mockResolvedValueOnce(predictionResponse)
+                .mockRejectedValueOnce(notFoundError);
+
+            await expect(apiService.fetchAlphaFoldStructure('P69905'))
+                .rejects.toThrow('AlphaFold lists model AF-P69905-F1 (version 4) for P69905, but its structure file could not be found');
+        });
+
+        describe('structure formats', () => {
+            const validCifData = `data_AF-P69905-F1
+loop_
+_atom_site.group_PDB
+_atom_site.Cartn_x
+ATOM -8.608
+`;
+            const prediction = {
+                entryId: 'AF-P69905-F1',
+                modelVersion: 4,
+                files: {
+                    pdb: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb',
+                    cif: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.cif',
+                    bcif: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.bcif'
+                }
+            };
+
+            test('should prefer mmCIF when the model provides it', async () => {
+                fetch.mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    text: () => Promise.resolve(validCifData)
+                });
+
+                const result = await apiService.fetchAlphaFoldStructure('P69905', null, prediction);
+
+                expect(result).toBe(validCifData);
+                expect(fetch).toHaveBeenCalledWith(prediction.files.cif, expect.any(Object));
+            });
+
+            test('should fall back to PDB when no mmCIF file is listed', async () => {
+                fetch.mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    text: () => Promise.resolve(validPdbData)
+                });
+
+                const pdbOnly = { ...prediction, files: { pdb: prediction.files.pdb } };
+                await apiService.fetchAlphaFoldStructure('P69905', null, pdbOnly);
+
+                expect(fetch).toHaveBeenCalledWith(prediction.files.pdb, expect.any(Object));
+            });
+
+            test('should reject mmCIF without coordinates', async () => {
+                fetch.mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    text: () => Promise.resolve('data_AF-P69905-F1\n_entry.id AF-P69905-F1\n')
+                });
+
+                await expect(apiService.fetchAlphaFoldStructure('P69905', null, prediction))
+                    .rejects.toThrow('Invalid mmCIF file format received');
+            });
+
+            test('should download BinaryCIF as bytes', async () => {
+                const bytes = new Uint8Array([0x82, 0xa7, ...Buffer.from('encoder'), 0xa3, ...Buffer.from('mol'), 0xaa, ...Buffer.from('dataBlocks'), 0x90]);
+                fetch.mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    arrayBuffer: () => Promise.resolve(bytes.buffer)
+                });
+
+                const result = await apiService.fetchAlphaFoldStructure('P69905', null, prediction, 'bcif');
+
+                expect(result).toBeInstanceOf(Uint8Array);
+                expect(Array.from(result)).toEqual(Array.from(bytes));
+                expect(fetch).toHaveBeenCalledWith(prediction.files.bcif, expect.any(Object));
+            });
+
+            test('should reject bytes that are not BinaryCIF', async () => {
+                fetch.mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    arrayBuffer: () => Promise.resolve(new Uint8Array([0x3c, 0x68, 0x74, 0x6d, 0x6c]).buffer) // "<html"
+                });
+
+                await expect(apiService.fetchAlphaFoldStructure('P69905', null, prediction, 'bcif'))
+                    .rejects.toThrow('Invalid BinaryCIF file format received');
+            });
+
+            test('should report a requested format the model does not provide', async () => {
+                const pdbOnly = { ...prediction, files: { pdb: prediction.files.pdb } };
+
+                await expect(apiService.fetchAlphaFoldStructure('P69905', null, pdbOnly, 'bcif'))
+                    .rejects.toThrow('AlphaFold model AF-P69905-F1 (version 4) does not provide a BinaryCIF file');
+                expect(fetch).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('getAlphaFoldPrediction', () => {
+        const rawEntry = {
+            entryId: 'AF-P69905-F1',
+            uniprotAccession: 'P69905',
+            uniprotStart: 1,
+            uniprotEnd: 142,
+            uniprotSequence: 'M'.repeat(142),
+            modelCreatedDate: '2022-06-01T00:00:00Z',
+            latestVersion: 4,
+            allVersions: [1, 2, 3, 4],
+            pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb',
+            cifUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.cif',
+            bcifUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.bcif',
+            paeDocUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-predicted_aligned_error_v4.json',
+            paeImageUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-predicted_aligned_error_v4.png'
+        };
+
+        test('should resolve model version, files, date and coverage', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([rawEntry])
+            });
+
+            const prediction = await apiService.getAlphaFoldPrediction('p69905');
+
+            expect(fetch).toHaveBeenCalledWith('https://alphafold.ebi.ac.uk/api/prediction/P69905', expect.any(Object));
+            expect(prediction).toEqual({
+                entryId: 'AF-P69905-F1',
+                uniprotId: 'P69905',
+                fragmentNumber: 1,
+                fragments: [expect.objectContaining({ entryId: 'AF-P69905-F1' })],
+                modelVersion: 4,
+                allVersions: [1, 2, 3, 4],
+                modelCreatedDate: '2022-06-01T00:00:00Z',
+                coverage: { start: 1, end: 142, sequenceLength: 142, percent: 100 },
+                files: {
+                    pdb: rawEntry.pdbUrl,
+                    cif: rawEntry.cifUrl,
+                    bcif: rawEntry.bcifUrl,
+                    pae: rawEntry.paeDocUrl,
+                    paeImage: rawEntry.paeImageUrl
+                }
+            });
+        });
+
+        test('should report partial sequence coverage', () => {
+            const prediction = apiService.formatPredictionEntry({
+                ...rawEntry,
+                uniprotStart: 1,
+                uniprotEnd: 50,
+                uniprotSequence: 'M'.repeat(200)
+            });
+
+            expect(prediction.coverage.percent).toBe(25);
+        });
+
+        test('should read the version from the file name when latestVersion is missing', () => {
+            const prediction = apiService.formatPredictionEntry({
+                ...rawEntry,
+                latestVersion: undefined,
+                cifUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v5.cif',
+                pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v5.pdb'
+            });
+
+            expect(prediction.modelVersion).toBe(5);
+        });
+
+        test('should expose a single fragment for short proteins', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([rawEntry])
+            });
+
+            const prediction = await apiService.getAlphaFoldPrediction('P69905');
+
+            expect(prediction.fragmentNumber).toBe(1);
+            expect(prediction.fragments).toHaveLength(1);
+        });
+
+        test('should derive all fragments of a long protein from F1', () => {
+            const f1 = apiService.formatPredictionEntry({
+                ...rawEntry,
+                entryId: 'AF-Q8WZ42-F1',
+                uniprotStart: 1,
+                uniprotEnd: 1400,
+                uniprotSequence: 'M'.repeat(3000),
+                pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-Q8WZ42-F1-model_v4.pdb',
+                paeDocUrl: 'https://alphafold.ebi.ac.uk/files/AF-Q8WZ42-F1-predicted_aligned_error_v4.json'
+            });
+
+            const fragments = apiService.enumerateFragments([f1]);
+
+            // ceil((3000 - 1400) / 200) + 1 fragments
+            expect(fragments).toHaveLength(9);
+            expect(fragments[1].entryId).toBe('AF-Q8WZ42-F2');
+            expect(fragments[1].coverage).toEqual(expect.objectContaining({ start: 201, end: 1600 }));
+            expect(fragments[1].files.pdb).toBe('https://alphafold.ebi.ac.uk/files/AF-Q8WZ42-F2-model_v4.pdb');
+            expect(fragments[1].files.pae).toBe('https://alphafold.ebi.ac.uk/files/AF-Q8WZ42-F2-predicted_aligned_error_v4.json');
+            expect(fragments[8].coverage).toEqual(expect.objectContaining({ start: 1601, end: 3000 }));
+        });
+
+        test('should keep fragments listed by the API', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([
+                    { ...rawEntry, entryId: 'AF-Q8WZ42-F2', uniprotStart: 201, uniprotEnd: 1600, uniprotSequence: 'M'.repeat(1800) },
+                    { ...rawEntry, entryId: 'AF-Q8WZ42-F1', uniprotStart: 1, uniprotEnd: 1400, uniprotSequence: 'M'.repeat(1800) }
+                ])
+            });
+
+            const prediction = await apiService.getAlphaFoldPrediction('Q8WZ42');
+
+            expect(prediction.entryId).toBe('AF-Q8WZ42-F1');
+            expect(prediction.fragments.map(f => f.fragmentNumber)).toEqual([1, 2]);
+        });
+
+        test('should treat an empty prediction list as no model', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([])
+            });
+
+            await expect(apiService.getAlphaFoldPrediction('P99999'))
+                .rejects.toThrow('No AlphaFold structure available for protein P99999');
+        });
+
+        test('should report progress while looking up the model', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([rawEntry])
+            });
+
+            const progressCallback = jest.fn();
+            await apiService.getAlphaFoldPrediction('P69905', progressCallback);
+
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'prediction_complete',
+                message: 'Found AlphaFold model AF-P69905-F1 (version 4)'
+            });
+        });
     });
 
     describe('readResponseWithProgress', () => {
@@ -1041,6 +1939,565 @@ END`;
 
             expect(mockReader.releaseLock).toHaveBeenCalled();
         });
+
+        describe('streaming structures', () => {
+            const MockTextDecoder = global.TextDecoder;
+            const encoder = new (require('util').TextEncoder)();
+            const pdbLines = [
+                'ATOM      1  CA  VAL A   1      -8.608   3.135  -1.618  1.00 91.99           C',
+                'ATOM      2  CA  LEU A   2      -5.061   1.951  -1.779  1.00 95.50           C',
+                'END'
+            ].join('\n');
+
+            const streamingResponse = (text, chunkSize, contentLength = String(text.length)) => {
+                const bytes = encoder.encode(text);
+                const reads = [];
+                for (let i = 0; i < bytes.length; i += chunkSize) {
+                    reads.push({ done: false, value: bytes.slice(i, i + chunkSize) });
+                }
+                const read = jest.fn();
+                reads.forEach(result => read.mockResolvedValueOnce(result));
+                read.mockResolvedValueOnce({ done: true });
+                return {
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(name => (name === 'content-length' ? contentLength : null)) },
+                    body: { getReader: () => ({ read, releaseLock: jest.fn() }) }
+                };
+            };
+
+            beforeEach(() => {
+                global.TextDecoder = require('util').TextDecoder;
+            });
+
+            afterEach(() => {
+                global.TextDecoder = MockTextDecoder;
+            });
+
+            test('should pass each chunk to onText as it arrives', async () => {
+                const onText = jest.fn();
+
+                const result = await apiService.readResponseWithProgress(streamingResponse('HELLO WORLD', 5), 11, jest.fn(), false, onText);
+
+                expect(result).toBe('HELLO WORLD');
+                expect(onText.mock.calls.map(([text]) => text).join('')).toBe('HELLO WORLD');
+                expect(onText.mock.calls[0][0]).toBe('HELLO');
+            });
+
+            test('should report progress without a content length', async () => {
+                const progressCallback = jest.fn();
+
+                await apiService.readResponseWithProgress(streamingResponse('HELLO WORLD', 11), null, progressCallback);
+
+                expect(progressCallback).toHaveBeenCalledWith(expect.objectContaining({
+                    type: 'download_progress',
+                    progress: null,
+                    receivedLength: 11
+                }));
+            });
+
+            test('should report residues of a structure while it downloads', async () => {
+                fetch.mockResolvedValueOnce(streamingResponse(pdbLines, 40, null));
+                const progressCallback = jest.fn();
+                const model = {
+                    entryId: 'AF-P69905-F1',
+                    modelVersion: 4,
+                    files: { pdb: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb' }
+                };
+
+                const result = await apiService.fetchAlphaFoldStructure('P69905', progressCallback, model);
+
+                const partial = progressCallback.mock.calls
+                    .map(([progress]) => progress)
+                    .filter(progress => progress.type === 'structure_partial');
+                expect(result).toBe(pdbLines);
+                expect(partial.flatMap(progress => progress.residues).map(residue => residue.residueName)).toEqual(['VAL', 'LEU']);
+                expect(partial[partial.length - 1]).toMatchObject({ residueCount: 2, message: 'Received 2 residues...' });
+            });
+
+            describe('gzip-compressed files', () => {
+                const zlib = require('zlib');
+                const originalDecompressionStream = global.DecompressionStream;
+                const compressed = zlib.gzipSync(pdbLines);
+                const model = {
+                    entryId: 'AF-P69905-F1',
+                    modelVersion: 4,
+                    files: { pdb: 'https://mirror.example.org/AF-P69905-F1-model_v4.pdb' }
+                };
+
+                // Serve the compressed bytes through the same reader as plain files
+                const compressedResponse = (chunkSize) => {
+                    const reads = [];
+                    for (let i = 0; i < compressed.length; i += chunkSize) {
+                        reads.push({ done: false, value: new Uint8Array(compressed.subarray(i, i + chunkSize)) });
+                    }
+                    const read = jest.fn();
+                    reads.forEach(result => read.mockResolvedValueOnce(result));
+                    read.mockResolvedValueOnce({ done: true });
+                    return {
+                        ok: true,
+                        status: 200,
+                        headers: { get: jest.fn(name => (name === 'content-length' ? String(compressed.length) : null)) },
+                        body: { getReader: () => ({ read, releaseLock: jest.fn() }) }
+                    };
+                };
+
+                afterEach(() => {
+                    global.DecompressionStream = originalDecompressionStream;
+                });
+
+                test.each([
+                    ['DecompressionStream', require('stream/web').DecompressionStream],
+                    ['the built-in decoder', undefined]
+                ])('should detect and decompress gzip data with %s', async (name, implementation) => {
+                    global.DecompressionStream = implementation;
+                    fetch.mockResolvedValueOnce(compressedResponse(32));
+                    const progressCallback = jest.fn();
+
+                    const result = await apiService.fetchAlphaFoldStructure('P69905', progressCallback, model);
+
+                    const calls = progressCallback.mock.calls.map(([progress]) => progress);
+                    const downloads = calls.filter(progress => progress.type === 'download_progress');
+                    expect(result).toBe(pdbLines);
+                    expect(downloads[downloads.length - 1]).toMatchObject({ progress: 100, receivedLength: compressed.length });
+                    expect(calls.filter(progress => progress.type === 'structure_partial')
+                        .flatMap(progress => progress.residues)).toHaveLength(2);
+                });
+
+                test('should decompress .gz files read without a stream reader', async () => {
+                    fetch.mockResolvedValueOnce({
+                        ok: true,
+                        status: 200,
+                        headers: { get: jest.fn(() => null) },
+                        arrayBuffer: () => Promise.resolve(compressed.buffer.slice(compressed.byteOffset, compressed.byteOffset + compressed.length))
+                    });
+
+                    const result = await apiService.fetchAlphaFoldStructure('P69905', null, {
+                        ...model,
+                        files: { pdb: `${model.files.pdb}.gz` }
+                    });
+
+                    expect(result).toBe(pdbLines);
+                });
+
+                test('should request compressed files from a static directory', async () => {
+                    apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/', compressed: true });
+
+                    const prediction = await apiService.getAlphaFoldPrediction('P69905');
+
+                    expect(prediction.files.cif).toBe('/data/afdb/AF-P69905-F1-model_v4.cif.gz');
+                    expect(prediction.files.pdb).toBe('/data/afdb/AF-P69905-F1-model_v4.pdb.gz');
+                    expect(prediction.files.pae).toBe('/data/afdb/AF-P69905-F1-predicted_aligned_error_v4.json');
+                });
+            });
+        });
+    });
+
+    describe('fetchAlphaFoldPAE', () => {
+        const model = {
+            entryId: 'AF-P69905-F1',
+            modelVersion: 4,
+            files: { pae: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-predicted_aligned_error_v4.json' }
+        };
+
+        test('should download and normalize the PAE matrix', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([{
+                    predicted_aligned_error: [[0, 5], [7, 0]],
+                    max_predicted_aligned_error: 31.75
+                }])
+            });
+
+            const progressCallback = jest.fn();
+            const result = await apiService.fetchAlphaFoldPAE('P69905', progressCallback, model);
+
+            expect(fetch).toHaveBeenCalledWith(model.files.pae, expect.any(Object));
+            expect(result).toEqual({ matrix: [[0, 5], [7, 0]], size: 2, maxError: 31.75 });
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'pae_complete',
+                message: 'Loaded 2×2 PAE matrix'
+            });
+        });
+
+        test('should report models without a PAE file', async () => {
+            await expect(apiService.fetchAlphaFoldPAE('P69905', null, { ...model, files: {} }))
+                .rejects.toThrow('AlphaFold model AF-P69905-F1 (version 4) does not provide a PAE file');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        test('should report a missing PAE file', async () => {
+            const notFoundError = new Error('Not Found');
+            notFoundError.status = 404;
+            fetch.mockRejectedValueOnce(notFoundError);
+
+            await expect(apiService.fetchAlphaFoldPAE('P69905', null, model))
+                .rejects.toThrow('AlphaFold lists model AF-P69905-F1 (version 4) for P69905, but its PAE file could not be found');
+        });
+    });
+
+    describe('cancellation', () => {
+        const createSignal = (aborted = false) => ({
+            aborted,
+            addEventListener: jest.fn(),
+            removeEventListener: jest.fn()
+        });
+
+        test('should not send a request whose signal is already aborted', async () => {
+            await expect(apiService.makeRequest('https://example.com', { signal: createSignal(true) }))
+                .rejects.toMatchObject({ name: 'AbortError', cancelled: true });
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        test('should report an abort by the caller as a cancellation, not a timeout', async () => {
+            const signal = createSignal();
+            fetch.mockImplementationOnce(() => {
+                signal.aborted = true;
+                const abortError = new Error('The operation was aborted');
+                abortError.name = 'AbortError';
+                return Promise.reject(abortError);
+            });
+
+            await expect(apiService.makeRequestWithRetry('https://example.com', { signal }))
+                .rejects.toMatchObject({ cancelled: true });
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(signal.addEventListener).toHaveBeenCalledWith('abort', expect.any(Function), { once: true });
+        });
+
+        test('should not pass the caller signal to fetch directly', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+
+            await apiService.makeRequest('https://example.com', { signal: createSignal() });
+
+            expect(fetch).toHaveBeenCalledWith('https://example.com', { signal: expect.any(Object) });
+        });
+
+        test('should stop listening to the caller signal once the request finishes', async () => {
+            const signal = createSignal();
+            fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+
+            await apiService.sendRequest('https://example.com', { signal });
+
+            const [, listener] = signal.addEventListener.mock.calls[0];
+            expect(signal.removeEventListener).toHaveBeenCalledWith('abort', listener);
+        });
+
+        test('should not retry cancelled requests', () => {
+            expect(apiService.shouldRetry(apiService.createCancelledError())).toBe(false);
+            expect(apiService.handleApiErrors(apiService.createCancelledError()).type).toBe('cancelled');
+        });
+
+        test('should report cancelled loads through the progress callback', async () => {
+            const progressCallback = jest.fn();
+
+            await expect(apiService.getProteinMetadata('P69905', progressCallback, createSignal(true)))
+                .rejects.toThrow('Request cancelled');
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'cancelled',
+                message: 'Cancelled loading protein information for P69905'
+            });
+        });
+
+        test('should drop results that arrive after the load was cancelled', async () => {
+            const signal = createSignal();
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => {
+                    signal.aborted = true;
+                    return Promise.resolve({ primaryAccession: 'P69905' });
+                }
+            });
+
+            await expect(apiService.getProteinMetadata('P69905', null, signal))
+                .rejects.toMatchObject({ cancelled: true });
+        });
+
+        test('should pass the signal on to the structure download', async () => {
+            const signal = createSignal();
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                headers: { get: jest.fn(() => null) },
+                text: () => Promise.resolve('ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N')
+            });
+            const makeRequestSpy = jest.spyOn(apiService, 'makeRequestWithRetry');
+
+            await apiService.fetchAlphaFoldStructure('P69905', null, {
+                entryId: 'AF-P69905-F1',
+                modelVersion: 4,
+                files: { pdb: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb' }
+            }, null, signal);
+
+            expect(makeRequestSpy).toHaveBeenCalledWith(expect.any(String), { signal }, 1, null);
+        });
+    });
+
+    describe('response cache', () => {
+        const metadataResponse = {
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({
+                primaryAccession: 'P69905',
+                proteinDescription: { recommendedName: { fullName: { value: 'Hemoglobin subunit alpha' } } },
+                sequence: { length: 142 }
+            })
+        };
+
+        const pdbData = 'ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N';
+
+        const structureResponse = () => ({
+            ok: true,
+            status: 200,
+            headers: { get: jest.fn(() => null) },
+            text: () => Promise.resolve(pdbData)
+        });
+
+        const model = (version) => ({
+            entryId: 'AF-P69905-F1',
+            modelVersion: version,
+            files: { pdb: `https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v${version}.pdb` }
+        });
+
+        beforeEach(() => {
+            apiService.cache = new CacheService({ useIndexedDB: false });
+        });
+
+        test('should serve repeated metadata requests from the cache and report the hit', async () => {
+            fetch.mockResolvedValueOnce(metadataResponse);
+            await apiService.getProteinMetadata('P69905');
+
+            const progressCallback = jest.fn();
+            const result = await apiService.getProteinMetadata('P69905', progressCallback);
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result.proteinName).toBe('Hemoglobin subunit alpha');
+            expect(progressCallback).toHaveBeenCalledWith({
+                type: 'cache_hit',
+                message: 'Loaded protein information for P69905 from cache',
+                cacheKey: 'uniprot-metadata@https://rest.uniprot.org/uniprotkb/:P69905'
+            });
+        });
+
+        test('should serve repeated searches from the cache', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ results: [{ primaryAccession: 'P01308' }] })
+            });
+
+            await apiService.searchUniProt('insulin');
+            const results = await apiService.searchUniProt('Insulin');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(results[0].uniprotId).toBe('P01308');
+        });
+
+        test('should cache structure files per model version', async () => {
+            fetch
+                .mockResolvedValueOnce(structureResponse())
+                .mockResolvedValueOnce(structureResponse());
+
+            await apiService.fetchAlphaFoldStructure('P69905', null, model(4));
+            await apiService.fetchAlphaFoldStructure('P69905', null, model(4));
+            await apiService.fetchAlphaFoldStructure('P69905', null, model(5));
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch).toHaveBeenLastCalledWith('https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v5.pdb', expect.any(Object));
+        });
+
+        test('should not serve responses cached from another endpoint', async () => {
+            fetch.mockResolvedValue(metadataResponse);
+            await apiService.getProteinMetadata('P69905');
+
+            apiService.configureEndpoints({ uniprotBaseUrl: 'https://uniprot.example.org/' });
+            await apiService.getProteinMetadata('P69905');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch).toHaveBeenLastCalledWith(expect.stringMatching(/^https:\/\/uniprot\.example\.org\/P69905/), expect.any(Object));
+            fetch.mockReset();
+        });
+
+        test('should refresh stale entries from the network', async () => {
+            await apiService.cache.set(apiService.getCacheKey('uniprot-metadata', apiService.uniprotBaseUrl, 'P69905'), { primaryAccession: 'P69905' }, -1);
+            fetch.mockResolvedValueOnce(metadataResponse);
+
+            const result = await apiService.getProteinMetadata('P69905');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result.proteinName).toBe('Hemoglobin subunit alpha');
+        });
+
+        test('should fall back to a stale entry when the network fails', async () => {
+            await apiService.cache.set(apiService.getCacheKey('uniprot-metadata', apiService.uniprotBaseUrl, 'P69905'), { primaryAccession: 'P69905' }, -1);
+            const serverError = new Error('Service Unavailable');
+            serverError.status = 503;
+            fetch.mockRejectedValue(serverError);
+
+            const progressCallback = jest.fn();
+            const result = await apiService.getProteinMetadata('P69905', progressCallback);
+
+            expect(result.uniprotId).toBe('P69905');
+            expect(progressCallback).toHaveBeenCalledWith(expect.objectContaining({ type: 'cache_stale' }));
+            fetch.mockReset();
+        });
+
+        test('should not serve a stale entry for a resource that no longer exists', async () => {
+            await apiService.cache.set(apiService.getCacheKey('uniprot-metadata', apiService.uniprotBaseUrl, 'P69905'), { primaryAccession: 'P69905' }, -1);
+            const notFoundError = new Error('Not Found');
+            notFoundError.status = 404;
+            fetch.mockRejectedValueOnce(notFoundError);
+
+            await expect(apiService.getProteinMetadata('P69905'))
+                .rejects.toThrow('Protein P69905 not found in UniProt database');
+        });
+
+        test('should not cache invalid structure files', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                headers: { get: jest.fn(() => null) },
+                text: () => Promise.resolve('Invalid PDB content')
+            });
+
+            await expect(apiService.fetchAlphaFoldStructure('P69905', null, model(4))).rejects.toThrow();
+
+            expect(await apiService.getCacheStats()).toEqual({ entries: 0, size: 0 });
+        });
+
+        test('should clear cached responses', async () => {
+            fetch.mockResolvedValue(metadataResponse);
+            await apiService.getProteinMetadata('P69905');
+
+            await apiService.clearCache();
+            await apiService.getProteinMetadata('P69905');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            fetch.mockReset();
+        });
+    });
+
+    describe('endpoint configuration', () => {
+        const pdbData = 'ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N';
+        const notFound = { ok: false, status: 404, statusText: 'Not Found' };
+
+        test('should accept endpoints in the constructor and keep unset defaults', () => {
+            const service = new APIService({ uniprotBaseUrl: 'https://uniprot.example.org/uniprotkb/' });
+
+            expect(service.uniprotBaseUrl).toBe('https://uniprot.example.org/uniprotkb/');
+            expect(service.getEndpointConfig()).toEqual({
+                backend: 'api',
+                alphafoldBaseUrl: 'https://alphafold.ebi.ac.uk/files/',
+                alphafoldApiUrl: 'https://alphafold.ebi.ac.uk/api/',
+                uniprotBaseUrl: 'https://uniprot.example.org/uniprotkb/',
+                modelVersion: 4,
+                compressed: false
+            });
+        });
+
+        test('should use the configured API for predictions', async () => {
+            apiService.configureEndpoints({ alphafoldApiUrl: 'https://afdb.example.org/api/' });
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([{ entryId: 'AF-P69905-F1', uniprotAccession: 'P69905', latestVersion: 4 }])
+            });
+
+            await apiService.getAlphaFoldPrediction('P69905');
+
+            expect(fetch.mock.calls[0][0]).toBe('https://afdb.example.org/api/prediction/P69905');
+        });
+
+        test('should derive file names for a static directory without calling an API', async () => {
+            apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/', modelVersion: 3 });
+
+            const prediction = await apiService.getAlphaFoldPrediction('p69905');
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(prediction.entryId).toBe('AF-P69905-F1');
+            expect(prediction.modelVersion).toBe(3);
+            expect(prediction.files).toMatchObject({
+                cif: '/data/afdb/AF-P69905-F1-model_v3.cif',
+                pdb: '/data/afdb/AF-P69905-F1-model_v3.pdb',
+                pae: '/data/afdb/AF-P69905-F1-predicted_aligned_error_v3.json'
+            });
+            expect(prediction.fragments).toHaveLength(1);
+        });
+
+        test('should fall back to the PDB file when a static directory has no mmCIF file', async () => {
+            apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/' });
+            fetch
+                .mockResolvedValueOnce(notFound)
+                .mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    headers: { get: jest.fn(() => null) },
+                    text: () => Promise.resolve(pdbData)
+                });
+
+            const structure = await apiService.fetchAlphaFoldStructure('P69905');
+
+            expect(structure).toBe(pdbData);
+            expect(fetch.mock.calls.map(call => call[0])).toEqual([
+                '/data/afdb/AF-P69905-F1-model_v4.cif',
+                '/data/afdb/AF-P69905-F1-model_v4.pdb'
+            ]);
+        });
+
+        test('should explain the expected file names when a static directory has no model', async () => {
+            apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/' });
+            fetch.mockResolvedValue(notFound);
+
+            await expect(apiService.fetchAlphaFoldStructure('P69905'))
+                .rejects.toThrow('No model file for P69905 was found in /data/afdb/');
+            fetch.mockReset();
+        });
+
+        test('should report the health of both sources', async () => {
+            fetch
+                .mockResolvedValueOnce({ ok: true, status: 200 })
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+            const health = await apiService.checkHealth();
+
+            expect(fetch.mock.calls[0][0]).toBe('https://alphafold.ebi.ac.uk/api/prediction/P69905');
+            expect(health.alphafold).toMatchObject({ ok: true, status: 200, backend: 'api', message: 'Available' });
+            expect(health.uniprot).toMatchObject({ ok: false, status: null, message: 'Unreachable' });
+        });
+
+        test('should treat any HTTP response from a static server as reachable', async () => {
+            apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/' });
+            fetch
+                .mockResolvedValueOnce({ ok: false, status: 403, statusText: 'Forbidden' })
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+
+            const health = await apiService.checkHealth();
+
+            expect(fetch.mock.calls[0][0]).toBe('/data/afdb/');
+            expect(fetch.mock.calls[0][1].method).toBe('HEAD');
+            expect(health.alphafold).toMatchObject({ ok: true, status: 403, backend: 'static', message: 'Reachable' });
+            expect(health.uniprot.ok).toBe(true);
+        });
+    });
+
+    describe('formatPaeData', () => {
+        test('should convert the flat format of early model versions', () => {
+            const result = apiService.formatPaeData([{
+                residue1: [1, 1, 2, 2],
+                residue2: [1, 2, 1, 2],
+                distance: [0, 3.5, 4.25, 0]
+            }]);
+
+            expect(result).toEqual({ matrix: [[0, 3.5], [4.25, 0]], size: 2, maxError: 4.25 });
+        });
+
+        test('should reject documents without a square matrix', () => {
+            expect(() => apiService.formatPaeData([{ predicted_aligned_error: [[0, 1], [2]] }]))
+                .toThrow('Invalid PAE file format received');
+            expect(() => apiService.formatPaeData({}))
+                .toThrow('Invalid PAE file format received');
+        });
     });
 
     describe('getProteinMetadata', () => {
@@ -0,0 +1,129 @@
+/**
+ * Tests for CacheService
+ */
+
+const CacheService = require('../js/services/CacheService.js');
+
+describe('CacheService', () => {
+    let cache;
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        cache = new CacheService({ useIndexedDB: false, maxSize: 100, maxEntries: 3 });
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    describe('get and set', () => {
+        test('should return stored values', async () => {
+            await cache.set('uniprot-metadata:P69905', { primaryAccession: 'P69905' }, 1000);
+
+            const entry = await cache.get('uniprot-metadata:P69905');
+
+            expect(entry).toEqual({ value: { primaryAccession: 'P69905' }, stale: false, storedAt: 1000000 });
+        });
+
+        test('should return null on a miss', async () => {
+            expect(await cache.get('uniprot-metadata:P99999')).toBeNull();
+        });
+
+        test('should keep binary values', async () => {
+            await cache.set('alphafold-structure:AF-P69905-F1:v4:bcif', new Uint8Array([1, 2, 3]), 1000);
+
+            const entry = await cache.get('alphafold-structure:AF-P69905-F1:v4:bcif');
+
+            expect(Array.from(entry.value)).toEqual([1, 2, 3]);
+        });
+
+        test('should mark entries past their TTL as stale', async () => {
+            await cache.set('uniprot-search:insulin', { results: [] }, 1000);
+
+            now += 1000;
+            const entry = await cache.get('uniprot-search:insulin');
+
+            expect(entry.stale).toBe(true);
+            expect(entry.value).toEqual({ results: [] });
+        });
+
+        test('should not store values larger than the cache', async () => {
+            expect(await cache.set('large', 'x'.repeat(101), 1000)).toBe(false);
+            expect(await cache.get('large')).toBeNull();
+        });
+    });
+
+    describe('eviction', () => {
+        test('should evict the least recently used entry when over the size limit', async () => {
+            await cache.set('a', 'x'.repeat(40), 1000);
+            now++;
+            await cache.set('b', 'x'.repeat(40), 1000);
+            now++;
+            await cache.get('a');
+            now++;
+            await cache.set('c', 'x'.repeat(40), 1000);
+
+            expect(await cache.get('a')).not.toBeNull();
+            expect(await cache.get('b')).toBeNull();
+            expect(await cache.get('c')).not.toBeNull();
+        });
+
+        test('should evict when over the entry limit', async () => {
+            for (const key of ['a', 'b', 'c', 'd']) {
+                await cache.set(key, 'x', 1000);
+                now++;
+            }
+
+            expect(await cache.get('a')).toBeNull();
+            expect((await cache.getStats()).entries).toBe(3);
+        });
+    });
+
+    describe('delete, clear and stats', () => {
+        test('should report entry count and size', async () => {
+            await cache.set('a', 'xxxx', 1000);
+            await cache.set('b', { id: 1 }, 1000);
+
+            expect(await cache.getStats()).toEqual({ entries: 2, size: 4 + JSON.stringify({ id: 1 }).length });
+        });
+
+        test('should delete single entries', async () => {
+            await cache.set('a', 'x', 1000);
+
+            await cache.delete('a');
+
+            expect(await cache.get('a')).toBeNull();
+        });
+
+        test('should clear every entry', async () => {
+            await cache.set('a', 'x', 1000);
+            await cache.set('b', 'y', 1000);
+
+            await cache.clear();
+
+            expect(await cache.getStats()).toEqual({ entries: 0, size: 0 });
+        });
+    });
+
+    describe('IndexedDB fallback', () => {
+        test('should fall back to memory when the database cannot be opened', async () => {
+            global.indexedDB = {
+                open: jest.fn(() => {
+                    throw new Error('SecurityError');
+                })
+            };
+
+            try {
+                const idbCache = new CacheService();
+                await idbCache.set('a', 'x', 1000);
+
+                expect(idbCache.useIndexedDB).toBe(false);
+                expect((await idbCache.get('a')).value).toBe('x');
+            } finally {
+                delete global.indexedDB;
+            }
+        });
+    });
+});
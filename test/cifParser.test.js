@@ -0,0 +1,221 @@
+/**
+ * Unit tests for mmCIF / BinaryCIF utility functions
+ */
+
+const {
+    detectStructureFormat,
+    tokenizeCifLine,
+    parseCifCategory,
+    isValidCifStructure,
+    getCifPlddtMetrics,
+    extractCifConfidenceScores,
+    extractCifSequenceReferences
+} = require('../js/utils/cifParser.js');
+
+const alphafoldCif = `data_AF-P69905-F1
+#
+_entry.id AF-P69905-F1
+#
+_struct.title 'Hemoglobin subunit alpha'
+#
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.B_iso_or_equiv
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+ATOM 1 N N   MET A 1 -8.901 4.127 -0.555 45.30 1 A
+ATOM 2 C CA  MET A 1 -8.608 3.135 -1.618 45.30 1 A
+ATOM 3 C CA  VAL A 2 -6.603 1.849 -0.648 85.25 2 A
+ATOM 4 C CA  LEU A 3 -4.347 1.256 0.289 95.50 3 A
+#
+loop_
+_ma_qa_metric.id
+_ma_qa_metric.mode
+_ma_qa_metric.name
+_ma_qa_metric.type
+1 global pLDDT pLDDT
+2 local pLDDT pLDDT
+#
+loop_
+_ma_qa_metric_local.label_asym_id
+_ma_qa_metric_local.label_comp_id
+_ma_qa_metric_local.label_seq_id
+_ma_qa_metric_local.metric_id
+_ma_qa_metric_local.metric_value
+_ma_qa_metric_local.model_id
+_ma_qa_metric_local.ordinal_id
+A MET 1 2 45.30 1 1
+A VAL 2 2 85.25 1 2
+A LEU 3 2 95.50 1 3
+#
+`;
+
+describe('CIF Parser Tests', () => {
+    describe('detectStructureFormat', () => {
+        test('should detect mmCIF content', () => {
+            expect(detectStructureFormat(alphafoldCif)).toBe('cif');
+        });
+
+        test('should detect PDB content without a HEADER record', () => {
+            expect(detectStructureFormat('ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N')).toBe('pdb');
+        });
+
+        test('should detect BinaryCIF bytes', () => {
+            const bytes = new Uint8Array([0x82, 0xa7, ...Buffer.from('encoder'), 0xa3, ...Buffer.from('mol'), 0xaa, ...Buffer.from('dataBlocks'), 0x90]);
+
+            expect(detectStructureFormat(bytes)).toBe('bcif');
+            expect(detectStructureFormat(bytes.buffer)).toBe('bcif');
+        });
+
+        test('should not take other bytes for BinaryCIF', () => {
+            // gzip, a MessagePack map without the BinaryCIF keys, and a map that is not at the start
+            expect(detectStructureFormat(new Uint8Array([0x1f, 0x8b, 8, 0]))).toBeNull();
+            expect(detectStructureFormat(new Uint8Array([0x81, 0xa3, ...Buffer.from('foo'), 0x01]))).toBeNull();
+            expect(detectStructureFormat(new Uint8Array([0x00, ...[0x82, 0xa7, ...Buffer.from('encoder'), 0xa3, ...Buffer.from('mol'), 0xaa, ...Buffer.from('dataBlocks'), 0x90]]))).toBeNull();
+            expect(detectStructureFormat(new Uint8Array(0))).toBeNull();
+        });
+
+        test('should reject unrecognized content', () => {
+            expect(detectStructureFormat('Invalid content')).toBeNull();
+            expect(detectStructureFormat('')).toBeNull();
+            expect(detectStructureFormat(null)).toBeNull();
+            expect(detectStructureFormat(42)).toBeNull();
+        });
+    });
+
+    describe('tokenizeCifLine', () => {
+        test('should split on whitespace and keep quoted values together', () => {
+            expect(tokenizeCifLine(`_struct.title 'Hemoglobin subunit alpha'`))
+                .toEqual(['_struct.title', 'Hemoglobin subunit alpha']);
+            expect(tokenizeCifLine(`A "O5'" 12`)).toEqual(['A', "O5'", '12']);
+        });
+
+        test('should ignore comments', () => {
+            expect(tokenizeCifLine('A 1 # trailing comment')).toEqual(['A', '1']);
+        });
+    });
+
+    describe('parseCifCategory', () => {
+        test('should parse looped categories into rows', () => {
+            const rows = parseCifCategory(alphafoldCif, 'ma_qa_metric_local');
+
+            expect(rows).toHaveLength(3);
+            expect(rows[1]).toEqual({
+                label_asym_id: 'A',
+                label_comp_id: 'VAL',
+                label_seq_id: '2',
+                metric_id: '2',
+                metric_value: '85.25',
+                model_id: '1',
+                ordinal_id: '2'
+            });
+        });
+
+        test('should parse key-value categories into a single row', () => {
+            expect(parseCifCategory(alphafoldCif, 'struct')).toEqual([{ title: 'Hemoglobin subunit alpha' }]);
+        });
+
+        test('should parse semicolon text fields', () => {
+            const cif = 'data_test\n_struct.title\n;Multi-line\ntitle\n;\n';
+            expect(parseCifCategory(cif, 'struct')).toEqual([{ title: 'Multi-line\ntitle' }]);
+        });
+
+        test('should return an empty list for missing categories', () => {
+            expect(parseCifCategory(alphafoldCif, 'pdbx_struct_assembly')).toEqual([]);
+            expect(parseCifCategory(null, 'atom_site')).toEqual([]);
+        });
+    });
+
+    describe('isValidCifStructure', () => {
+        test('should accept mmCIF with coordinates', () => {
+            expect(isValidCifStructure(alphafoldCif)).toBe(true);
+        });
+
+        test('should reject mmCIF without coordinates', () => {
+            expect(isValidCifStructure('data_test\n_entry.id test\n_atom_site.id 1\n')).toBe(false);
+            expect(isValidCifStructure('ATOM      1  N   VAL A   1')).toBe(false);
+        });
+    });
+
+    describe('extractCifConfidenceScores', () => {
+        test('should read pLDDT from _ma_qa_metric_local', () => {
+            const residues = extractCifConfidenceScores(alphafoldCif);
+
+            expect(residues).toEqual([
+                { residueNumber: 1, residueName: 'MET', chainId: 'A', confidenceScore: 45.3 },
+                { residueNumber: 2, residueName: 'VAL', chainId: 'A', confidenceScore: 85.25 },
+                { residueNumber: 3, residueName: 'LEU', chainId: 'A', confidenceScore: 95.5 }
+            ]);
+        });
+
+        test('should map label identifiers to author identifiers', () => {
+            const renumbered = alphafoldCif
+                .replace('-6.603 1.849 -0.648 85.25 2 A', '-6.603 1.849 -0.648 85.25 102 B');
+
+            const residues = extractCifConfidenceScores(renumbered);
+
+            expect(residues[1]).toEqual(expect.objectContaining({ residueNumber: 102, chainId: 'B' }));
+        });
+
+        test('should ignore local metrics other than pLDDT', () => {
+            const withOtherMetric = alphafoldCif
+                .replace('2 local pLDDT pLDDT', '2 local pLDDT pLDDT\n3 local contacts other')
+                .replace('A LEU 3 2 95.50 1 3', 'A LEU 3 2 95.50 1 3\nA MET 1 3 0.12 1 4\nA VAL 2 3 0.34 1 5');
+
+            const residues = extractCifConfidenceScores(withOtherMetric);
+
+            expect(residues.map(residue => residue.confidenceScore)).toEqual([45.3, 85.25, 95.5]);
+        });
+
+        test('should fall back to CA B-factors without a declared pLDDT metric', () => {
+            const undeclared = alphafoldCif.replace('2 local pLDDT pLDDT', '2 local contacts other');
+
+            expect(extractCifConfidenceScores(undeclared).map(residue => residue.confidenceScore))
+                .toEqual([45.3, 85.25, 95.5]);
+            expect(getCifPlddtMetrics(undeclared)).toEqual([]);
+        });
+
+        test('should fall back to CA B-factors without a local metric table', () => {
+            const withoutMetrics = alphafoldCif.substring(0, alphafoldCif.indexOf('loop_\n_ma_qa_metric_local'));
+
+            const residues = extractCifConfidenceScores(withoutMetrics);
+
+            expect(residues.map(residue => residue.confidenceScore)).toEqual([45.3, 85.25, 95.5]);
+        });
+    });
+
+    describe('extractCifSequenceReferences', () => {
+        test('should read the offset between author numbering and the UniProt sequence', () => {
+            const cif = `data_1ABC
+loop_
+_struct_ref_seq.align_id
+_struct_ref_seq.ref_id
+_struct_ref_seq.pdbx_strand_id
+_struct_ref_seq.db_align_beg
+_struct_ref_seq.db_align_end
+_struct_ref_seq.pdbx_db_accession
+_struct_ref_seq.pdbx_auth_seq_align_beg
+_struct_ref_seq.pdbx_auth_seq_align_end
+1 1 A 25 140 p69905 1 116
+2 1 B 25 140 P69905 101 216
+3 2 C ? ? 1ABC ? ?
+#
+`;
+
+            expect(extractCifSequenceReferences(cif)).toEqual([
+                { chainId: 'A', accession: 'P69905', start: 25, end: 140, offset: -24 },
+                { chainId: 'B', accession: 'P69905', start: 25, end: 140, offset: 76 }
+            ]);
+            expect(extractCifSequenceReferences(alphafoldCif)).toEqual([]);
+        });
+    });
+});
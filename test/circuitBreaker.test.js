@@ -0,0 +1,102 @@
+/**
+ * Tests for CircuitBreaker
+ */
+
+const CircuitBreaker = require('../js/services/CircuitBreaker.js');
+
+describe('CircuitBreaker', () => {
+    let breaker;
+    let now;
+    const url = 'https://rest.uniprot.org/uniprotkb/P69905';
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    const fail = (times) => {
+        for (let i = 0; i < times; i++) {
+            breaker.recordFailure(url, new Error('HTTP 503: Service Unavailable'));
+        }
+    };
+
+    test('should start healthy and let requests through', () => {
+        expect(breaker.canRequest(url)).toBe(true);
+        expect(breaker.getHealth(url)).toEqual({
+            host: 'rest.uniprot.org',
+            status: 'healthy',
+            failures: 0,
+            retryIn: 0,
+            lastError: null
+        });
+    });
+
+    test('should report failures below the threshold as degraded', () => {
+        fail(2);
+
+        expect(breaker.canRequest(url)).toBe(true);
+        expect(breaker.getHealth(url)).toMatchObject({ status: 'degraded', failures: 2, lastError: 'HTTP 503: Service Unavailable' });
+    });
+
+    test('should open after repeated failures and fail fast', () => {
+        fail(3);
+        now += 10000;
+
+        expect(breaker.canRequest(url)).toBe(false);
+        expect(breaker.getHealth(url)).toMatchObject({ status: 'down', retryIn: 20000 });
+    });
+
+    test('should let one probe through after the reset timeout', () => {
+        fail(3);
+        now += 30000;
+
+        expect(breaker.canRequest(url)).toBe(true);
+        expect(breaker.canRequest(url)).toBe(false);
+        expect(breaker.getHealth(url).status).toBe('degraded');
+    });
+
+    test('should close when the probe succeeds', () => {
+        fail(3);
+        now += 30000;
+        breaker.canRequest(url);
+
+        breaker.recordSuccess(url);
+
+        expect(breaker.getHealth(url).status).toBe('healthy');
+        expect(breaker.canRequest(url)).toBe(true);
+    });
+
+    test('should open again when the probe fails', () => {
+        fail(3);
+        now += 30000;
+        breaker.canRequest(url);
+
+        fail(1);
+
+        expect(breaker.canRequest(url)).toBe(false);
+        expect(breaker.getHealth(url)).toMatchObject({ status: 'down', retryIn: 30000 });
+    });
+
+    test('should keep hosts separate', () => {
+        fail(3);
+
+        expect(breaker.canRequest('https://alphafold.ebi.ac.uk/api/prediction/P69905')).toBe(true);
+    });
+
+    test('should tell listeners about changes', () => {
+        const listener = jest.fn();
+        const remove = breaker.onChange(listener);
+
+        fail(3);
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ host: 'rest.uniprot.org', status: 'down' }));
+
+        remove();
+        breaker.recordSuccess(url);
+        expect(listener).toHaveBeenCalledTimes(3);
+    });
+});
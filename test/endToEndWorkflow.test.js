@@ -197,7 +197,7 @@ ATOM      1  CA  ALA A   1      20.154  16.967  14.421  1.00 95.20           C`;
             expect(mockApp.scrollToSection).toHaveBeenCalledWith('info-section');
             
             // Verify API calls were made
-            expect(apiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function));
+            expect(apiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function), null);
         });
 
         test('should handle search errors gracefully in complete workflow', async () => {
@@ -368,7 +368,7 @@ ATOM      1  CA  ALA A   1      20.154  16.967  14.421  1.00 95.20           C`;
                 await infoComponent.fetchProteinInfo(protein.id);
                 
                 // Verify protein info was loaded
-                expect(apiService.getProteinMetadata).toHaveBeenCalledWith(protein.id, expect.any(Function));
+                expect(apiService.getProteinMetadata).toHaveBeenCalledWith(protein.id, expect.any(Function), null);
             }
         });
 
@@ -465,7 +465,7 @@ ATOM      1  CA  ALA A   1      20.154  16.967  14.421  1.00 95.20           C`;
             }
             
             // App should still be functional for other operations
-            expect(apiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function));
+            expect(apiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function), null);
         });
     });
 
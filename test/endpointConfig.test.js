@@ -0,0 +1,187 @@
+/**
+ * Tests for endpoint configuration utilities
+ */
+
+const {
+    DEFAULT_ENDPOINT_CONFIG,
+    ENDPOINT_STORAGE_KEY,
+    normalizeBaseUrl,
+    cleanEndpointConfig,
+    isSameOriginEndpoint,
+    readEndpointParams,
+    parseEndpointParams,
+    loadStoredEndpointConfig,
+    saveEndpointConfig,
+    clearStoredEndpointConfig,
+    validateEndpointConfig,
+    resolveEndpointConfig,
+    describeEndpointSource
+} = require('../js/utils/endpointConfig.js');
+
+describe('endpointConfig', () => {
+    let storage;
+
+    beforeEach(() => {
+        const items = new Map();
+        storage = {
+            getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+            setItem: jest.fn((key, value) => items.set(key, value)),
+            removeItem: jest.fn(key => items.delete(key))
+        };
+    });
+
+    describe('normalizeBaseUrl', () => {
+        test('should add a trailing slash', () => {
+            expect(normalizeBaseUrl(' /data/afdb ')).toBe('/data/afdb/');
+            expect(normalizeBaseUrl('https://mirror.example.org/files/')).toBe('https://mirror.example.org/files/');
+        });
+
+        test('should return null for empty values', () => {
+            expect(normalizeBaseUrl('  ')).toBeNull();
+            expect(normalizeBaseUrl(undefined)).toBeNull();
+        });
+    });
+
+    describe('cleanEndpointConfig', () => {
+        test('should keep known settings only', () => {
+            expect(cleanEndpointConfig({
+                backend: 'API',
+                alphafoldBaseUrl: '/data',
+                modelVersion: '3',
+                unknown: true
+            })).toEqual({ backend: 'api', alphafoldBaseUrl: '/data/', modelVersion: 3 });
+        });
+
+        test('should accept local as an alias for static files', () => {
+            expect(cleanEndpointConfig({ backend: 'local' }).backend).toBe('static');
+        });
+
+        test('should read the compression setting from booleans and URL strings', () => {
+            expect(cleanEndpointConfig({ compressed: true }).compressed).toBe(true);
+            expect(cleanEndpointConfig({ compressed: '1' }).compressed).toBe(true);
+            expect(cleanEndpointConfig({ compressed: 'false' }).compressed).toBe(false);
+            expect(cleanEndpointConfig({ compressed: '' })).toEqual({});
+        });
+    });
+
+    describe('parseEndpointParams', () => {
+        test('should read settings from URL parameters', () => {
+            expect(parseEndpointParams('?source=local&alphafold=/models&model_version=2&debug=true')).toEqual({
+                backend: 'static',
+                alphafoldBaseUrl: '/models/',
+                modelVersion: 2
+            });
+        });
+
+        test('should only accept endpoints on the page origin', () => {
+            const origin = 'https://alphaview.example.org';
+
+            expect(parseEndpointParams('?alphafold=https://alphaview.example.org/models', origin)).toEqual({
+                alphafoldBaseUrl: 'https://alphaview.example.org/models/'
+            });
+            expect(parseEndpointParams('?source=local&uniprot=https://evil.example.com/', origin)).toEqual({});
+            expect(parseEndpointParams('?alphafold=//evil.example.com/models')).toEqual({});
+        });
+
+        test('should hand off-origin endpoints back for confirmation', () => {
+            const { accepted, rejected } = readEndpointParams('?source=local&alphafold=https://mirror.example.com/afdb', 'https://alphaview.example.org');
+
+            expect(accepted).toEqual({});
+            expect(rejected).toEqual({ backend: 'static', alphafoldBaseUrl: 'https://mirror.example.com/afdb/' });
+        });
+    });
+
+    describe('isSameOriginEndpoint', () => {
+        test('should treat relative paths as same-origin', () => {
+            expect(isSameOriginEndpoint('/data/afdb/', 'https://alphaview.example.org')).toBe(true);
+            expect(isSameOriginEndpoint('data/afdb/', null)).toBe(true);
+            expect(isSameOriginEndpoint('https://alphafold.ebi.ac.uk/files/', null)).toBe(false);
+            expect(isSameOriginEndpoint('https://alphafold.ebi.ac.uk/files/', 'https://alphaview.example.org')).toBe(false);
+            expect(isSameOriginEndpoint(undefined, 'https://alphaview.example.org')).toBe(false);
+        });
+    });
+
+    describe('stored settings', () => {
+        test('should save, load and clear settings', () => {
+            saveEndpointConfig(storage, { backend: 'static', alphafoldBaseUrl: '/models' });
+            expect(loadStoredEndpointConfig(storage)).toEqual({ backend: 'static', alphafoldBaseUrl: '/models/' });
+
+            clearStoredEndpointConfig(storage);
+            expect(storage.removeItem).toHaveBeenCalledWith(ENDPOINT_STORAGE_KEY);
+            expect(loadStoredEndpointConfig(storage)).toEqual({});
+        });
+
+        test('should ignore corrupt saved settings', () => {
+            storage.setItem(ENDPOINT_STORAGE_KEY, '{not json');
+
+            expect(loadStoredEndpointConfig(storage)).toEqual({});
+        });
+    });
+
+    describe('validateEndpointConfig', () => {
+        test('should accept the defaults', () => {
+            expect(validateEndpointConfig(DEFAULT_ENDPOINT_CONFIG)).toEqual([]);
+        });
+
+        test('should report unknown sources and bad model versions', () => {
+            const errors = validateEndpointConfig({ ...DEFAULT_ENDPOINT_CONFIG, backend: 'ftp', modelVersion: 0 });
+
+            expect(errors).toHaveLength(2);
+            expect(errors[0]).toContain('Unknown data source');
+            expect(errors[1]).toContain('Model version');
+        });
+    });
+
+    describe('resolveEndpointConfig', () => {
+        test('should return the defaults without other sources', () => {
+            expect(resolveEndpointConfig()).toEqual(DEFAULT_ENDPOINT_CONFIG);
+        });
+
+        test('should let URL parameters win over saved settings and the config object', () => {
+            saveEndpointConfig(storage, { alphafoldBaseUrl: '/saved/', uniprotBaseUrl: 'https://uniprot.example.org/' });
+
+            const config = resolveEndpointConfig({
+                config: { backend: 'static', alphafoldBaseUrl: '/configured/', modelVersion: 3 },
+                storage,
+                search: '?alphafold=/from-url/'
+            });
+
+            expect(config).toEqual({
+                ...DEFAULT_ENDPOINT_CONFIG,
+                backend: 'static',
+                alphafoldBaseUrl: '/from-url/',
+                uniprotBaseUrl: 'https://uniprot.example.org/',
+                modelVersion: 3
+            });
+        });
+
+        test('should ignore URL parameters that point at another origin', () => {
+            const config = resolveEndpointConfig({
+                search: '?uniprot=https://evil.example.com/',
+                origin: 'https://alphaview.example.org'
+            });
+
+            expect(config).toEqual(DEFAULT_ENDPOINT_CONFIG);
+        });
+
+        test('should fall back to the defaults for invalid settings', () => {
+            expect(resolveEndpointConfig({ search: '?source=ftp' })).toEqual(DEFAULT_ENDPOINT_CONFIG);
+            expect(console.warn).toHaveBeenCalled();
+        });
+    });
+
+    describe('describeEndpointSource', () => {
+        test('should name the active source', () => {
+            expect(describeEndpointSource(DEFAULT_ENDPOINT_CONFIG)).toBe('AlphaFold DB (EBI)');
+            expect(describeEndpointSource({
+                ...DEFAULT_ENDPOINT_CONFIG,
+                alphafoldApiUrl: 'https://afdb.example.org/api/'
+            })).toBe('Mirror: afdb.example.org');
+            expect(describeEndpointSource({
+                ...DEFAULT_ENDPOINT_CONFIG,
+                backend: 'static',
+                alphafoldBaseUrl: '/data/afdb/'
+            })).toBe('Local files: /data/afdb/');
+        });
+    });
+});
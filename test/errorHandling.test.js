@@ -171,6 +171,11 @@ describe('Comprehensive Error Handling Tests', () => {
                 headers: { get: jest.fn(() => null) },
                 text: () => Promise.resolve('This is not a valid PDB file')
             };
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([{ entryId: 'AF-P69905-F1', latestVersion: 4, pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb' }])
+            });
             fetch.mockResolvedValueOnce(mockResponse);
 
             try {
@@ -280,6 +285,11 @@ describe('Comprehensive Error Handling Tests', () => {
                     })
                 }
             };
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([{ entryId: 'AF-P69905-F1', latestVersion: 4, pdbUrl: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb' }])
+            });
             fetch.mockResolvedValueOnce(mockResponse);
 
             const progressCallback = jest.fn();
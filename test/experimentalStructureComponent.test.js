@@ -0,0 +1,105 @@
+/**
+ * Tests for ExperimentalStructureComponent
+ */
+
+const ExperimentalStructureComponent = require('../js/components/ExperimentalStructureComponent.js');
+
+describe('ExperimentalStructureComponent', () => {
+    let component;
+    let mockApiService;
+    let mockVisualizer;
+    let container;
+
+    const entries = [
+        {
+            pdbId: '2DN2', method: 'X-ray', resolution: 1.25, chains: ['A', 'C'],
+            ranges: [{ chains: ['A', 'C'], start: 2, end: 142 }], coverage: { start: 2, end: 142 }
+        },
+        {
+            pdbId: '1A00', method: 'NMR', resolution: null, chains: ['A'],
+            ranges: [{ chains: ['A'], start: 1, end: 142 }], coverage: { start: 1, end: 142 }
+        }
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="experimental-panel" style="display: none;"></div>';
+        container = document.getElementById('experimental-panel');
+
+        mockApiService = {
+            getExperimentalStructures: jest.fn().mockResolvedValue(entries)
+        };
+        mockVisualizer = {
+            experimentalEntry: null,
+            loadExperimentalStructure: jest.fn(async (entry) => {
+                mockVisualizer.experimentalEntry = entry;
+                return true;
+            }),
+            showPredictedStructure: jest.fn(async () => {
+                mockVisualizer.experimentalEntry = null;
+                return true;
+            })
+        };
+
+        component = new ExperimentalStructureComponent(mockApiService, mockVisualizer);
+    });
+
+    test('should list entries with method, resolution and covered residues', async () => {
+        await component.loadEntries('P69905');
+
+        const rows = container.querySelectorAll('tbody tr');
+        expect(mockApiService.getExperimentalStructures).toHaveBeenCalledWith('P69905', null, null);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].textContent).toContain('1.25 Å');
+        expect(rows[0].textContent).toContain('2-142 (A/C)');
+        expect(rows[1].textContent).toContain('NMR');
+        expect(container.querySelector('.experimental-current').textContent).toContain('AlphaFold prediction');
+    });
+
+    test('should explain when a protein has no experimental structures', async () => {
+        mockApiService.getExperimentalStructures.mockResolvedValue([]);
+
+        await component.loadEntries('Q8WZ42');
+
+        expect(container.textContent).toContain('No experimental structures of this protein are listed in the PDB');
+    });
+
+    test('should load the chosen entry into the viewer and offer the prediction again', async () => {
+        await component.loadEntries('P69905');
+
+        const loaded = await component.loadEntry('1A00');
+
+        expect(loaded).toBe(true);
+        expect(mockVisualizer.loadExperimentalStructure).toHaveBeenCalledWith(entries[1], expect.any(Function));
+        expect(container.querySelector('.experimental-current').textContent).toContain('PDB 1A00 (colored by B-factor)');
+        expect(container.querySelector('.experimental-load-btn[data-pdb-id="1A00"]').disabled).toBe(true);
+
+        container.querySelector('.experimental-prediction-btn').click();
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(mockVisualizer.showPredictedStructure).toHaveBeenCalled();
+        expect(container.querySelector('.experimental-current').textContent).toContain('AlphaFold prediction');
+    });
+
+    test('should report download errors in the panel', async () => {
+        mockVisualizer.loadExperimentalStructure.mockRejectedValue(new Error('PDB entry 2DN2 could not be found at RCSB.'));
+        await component.loadEntries('P69905');
+
+        const loaded = await component.loadEntry('2DN2');
+
+        const status = container.querySelector('.experimental-status');
+        expect(loaded).toBe(false);
+        expect(status.textContent).toBe('Could not load the structure: PDB entry 2DN2 could not be found at RCSB.');
+        expect(status.classList.contains('status-error')).toBe(true);
+        expect(container.querySelector('.experimental-load-btn[data-pdb-id="2DN2"]').disabled).toBe(false);
+    });
+
+    test('should hide the panel', async () => {
+        await component.loadEntries('P69905');
+
+        component.hide();
+
+        expect(container.style.display).toBe('none');
+        expect(component.entries).toEqual([]);
+    });
+});
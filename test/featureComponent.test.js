@@ -0,0 +1,148 @@
+/**
+ * Tests for FeatureComponent
+ */
+
+const FeatureComponent = require('../js/components/FeatureComponent.js');
+
+describe('FeatureComponent', () => {
+    let featureComponent;
+    let mockApiService;
+    let mockVisualizer;
+    let container;
+
+    const features = [
+        {
+            type: 'Domain', category: 'domains', description: 'Globin', start: 2, end: 142,
+            positions: null, evidence: [], evidenceText: 'Domain prediction'
+        },
+        {
+            type: 'Binding site', category: 'sites', description: 'Binds heme b', start: 88, end: 88,
+            positions: null, evidence: [], evidenceText: 'Experimental evidence (PubMed:123)'
+        },
+        {
+            type: 'Disulfide bond', category: 'ptms', description: '', start: 10, end: 300,
+            positions: [10, 300], evidence: [], evidenceText: ''
+        }
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="feature-panel" style="display: none;"></div>';
+        container = document.getElementById('feature-panel');
+
+        mockApiService = {
+            getProteinFeatures: jest.fn().mockResolvedValue(features)
+        };
+        mockVisualizer = {
+            highlightResidueRange: jest.fn(),
+            clearResidueRangeHighlight: jest.fn(),
+            mapSequencePosition: jest.fn(position => ({ chainId: null, residueNumber: position }))
+        };
+
+        featureComponent = new FeatureComponent(mockApiService, mockVisualizer);
+    });
+
+    test('should list features grouped by category', async () => {
+        await featureComponent.loadFeatures('P69905');
+
+        expect(mockApiService.getProteinFeatures).toHaveBeenCalledWith('P69905', null, null);
+        expect(container.style.display).toBe('block');
+        expect(container.querySelectorAll('.feature-group')).toHaveLength(3);
+        expect(container.querySelector('[data-category="sites"]').textContent).toContain('Binding site: Binds heme b');
+    });
+
+    test('should explain when features cannot be loaded', async () => {
+        mockApiService.getProteinFeatures.mockRejectedValue(new Error('Service unavailable'));
+
+        await featureComponent.loadFeatures('P69905');
+
+        expect(container.textContent).toContain('Sequence features are not available: Service unavailable');
+    });
+
+    test('should ignore features of a protein that is no longer shown', async () => {
+        let resolveFirst;
+        mockApiService.getProteinFeatures
+            .mockReturnValueOnce(new Promise(resolve => { resolveFirst = resolve; }))
+            .mockResolvedValueOnce([]);
+
+        const first = featureComponent.loadFeatures('P69905');
+        await featureComponent.loadFeatures('P68871');
+        resolveFirst(features);
+        await first;
+
+        expect(featureComponent.features).toEqual([]);
+        expect(container.textContent).toContain('UniProt lists no domains');
+    });
+
+    test('should highlight toggled features in their category color', async () => {
+        await featureComponent.loadFeatures('P69905');
+        const toggle = container.querySelector('.feature-toggle[data-index="1"]');
+
+        toggle.checked = true;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(mockVisualizer.highlightResidueRange).toHaveBeenCalledWith({ chainId: null, start: 88, end: 88 }, '#E74C3C');
+
+        toggle.checked = false;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalledWith({ chainId: null, start: 88, end: 88 });
+        expect(featureComponent.highlightedRanges).toEqual([]);
+    });
+
+    test('should keep overlapping highlights when one feature is turned off', async () => {
+        await featureComponent.loadFeatures('P69905');
+        featureComponent.toggleFeature(0, true);
+        featureComponent.toggleFeature(1, true);
+        mockVisualizer.highlightResidueRange.mockClear();
+
+        featureComponent.toggleFeature(1, false);
+
+        expect(mockVisualizer.highlightResidueRange).toHaveBeenCalledTimes(1);
+        expect(mockVisualizer.highlightResidueRange).toHaveBeenCalledWith({ chainId: null, start: 2, end: 142 }, '#8E44AD');
+    });
+
+    test('should show the evidence of a clicked feature', async () => {
+        await featureComponent.loadFeatures('P69905');
+
+        container.querySelector('.feature-name[data-index="1"]').click();
+
+        const details = container.querySelector('.feature-details');
+        expect(details.style.display).toBe('block');
+        expect(details.textContent).toContain('Experimental evidence (PubMed:123)');
+    });
+
+    test('should map features onto the displayed fragment', () => {
+        mockVisualizer.mapSequencePosition.mockImplementation(position =>
+            position >= 201 && position <= 1600 ? { chainId: null, residueNumber: position - 200 } : null);
+
+        expect(featureComponent.toStructureRanges({ start: 150, end: 250, positions: null })).toEqual([{ chainId: null, start: 1, end: 50 }]);
+        expect(featureComponent.toStructureRanges({ start: 10, end: 300, positions: [10, 300] })).toEqual([{ chainId: null, start: 100, end: 100 }]);
+        expect(featureComponent.toStructureRanges({ start: 20, end: 40, positions: null })).toEqual([]);
+    });
+
+    test('should split features at gaps in the structure numbering and between chains', () => {
+        // Positions 1-9 are missing, 20-29 are numbered from 120 and 30 onwards are in chain B
+        mockVisualizer.mapSequencePosition.mockImplementation(position => {
+            if (position < 10) return null;
+            if (position >= 30) return { chainId: 'B', residueNumber: position - 10 };
+            return { chainId: 'A', residueNumber: position < 20 ? position : position + 100 };
+        });
+
+        expect(featureComponent.toStructureRanges({ start: 5, end: 32, positions: null })).toEqual([
+            { chainId: 'A', start: 10, end: 19 },
+            { chainId: 'A', start: 120, end: 129 },
+            { chainId: 'B', start: 20, end: 22 }
+        ]);
+    });
+
+    test('should hide the panel and clear highlights', async () => {
+        await featureComponent.loadFeatures('P69905');
+        featureComponent.toggleFeature(1, true);
+
+        featureComponent.hide();
+
+        expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalledWith({ chainId: null, start: 88, end: 88 });
+        expect(container.style.display).toBe('none');
+        expect(featureComponent.features).toEqual([]);
+    });
+});
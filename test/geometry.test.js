@@ -0,0 +1,120 @@
+/**
+ * Unit tests for coordinate geometry utilities
+ */
+
+const {
+    subtractVectors,
+    crossProduct,
+    normalizeVector,
+    atomDistance,
+    bondAngle,
+    dihedralAngle,
+    isPeptideBonded,
+    backboneDihedrals,
+    centerOfMass,
+    radiusOfGyration,
+    boundingBox
+} = require('../js/utils/geometry.js');
+
+// Backbone atoms laid out as a flat zigzag, i.e. a fully extended chain with trans peptide bonds
+const zigzag = index => ({ x: index * 1.2, y: (index % 2) * 0.8, z: 0 });
+const residue = (first, names = ['N', 'CA', 'C']) => ({
+    atoms: names.map((name, offset) => ({ name, element: name[0], ...zigzag(first + offset) }))
+});
+
+describe('Geometry Tests', () => {
+    describe('vectors', () => {
+        test('should subtract, cross and normalize vectors', () => {
+            expect(subtractVectors({ x: 3, y: 2, z: 1 }, { x: 1, y: 1, z: 1 })).toEqual({ x: 2, y: 1, z: 0 });
+            expect(crossProduct({ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 })).toEqual({ x: 0, y: 0, z: 1 });
+            expect(normalizeVector({ x: 0, y: 0, z: 4 })).toEqual({ x: 0, y: 0, z: 1 });
+            expect(normalizeVector({ x: 0, y: 0, z: 0 })).toBeNull();
+        });
+    });
+
+    describe('distances and angles', () => {
+        test('should measure the distance between atoms', () => {
+            expect(atomDistance({ x: 0, y: 0, z: 0 }, { x: 1, y: 2, z: 2 })).toBe(3);
+        });
+
+        test('should measure the angle at the middle atom', () => {
+            const vertex = { x: 0, y: 0, z: 0 };
+            expect(bondAngle({ x: 1, y: 0, z: 0 }, vertex, { x: 0, y: 2, z: 0 })).toBeCloseTo(90);
+            expect(bondAngle({ x: 1, y: 0, z: 0 }, vertex, { x: -1, y: 0, z: 0 })).toBeCloseTo(180);
+            expect(bondAngle(vertex, vertex, { x: 1, y: 0, z: 0 })).toBeNull();
+        });
+
+        test('should sign dihedral angles by the IUPAC convention', () => {
+            const b = { x: 0, y: 0, z: 0 };
+            const c = { x: 0, y: 1, z: 0 };
+
+            expect(dihedralAngle({ x: 1, y: 0, z: 0 }, b, c, { x: 1, y: 1, z: 0 })).toBeCloseTo(0);
+            expect(Math.abs(dihedralAngle({ x: 1, y: 0, z: 0 }, b, c, { x: -1, y: 1, z: 0 }))).toBeCloseTo(180);
+            expect(dihedralAngle({ x: 1, y: 0, z: 0 }, b, c, { x: 0, y: 1, z: 1 })).toBeCloseTo(-90);
+            expect(dihedralAngle({ x: 1, y: 0, z: 0 }, b, c, { x: 0, y: 1, z: -1 })).toBeCloseTo(90);
+            expect(dihedralAngle({ x: 0, y: -1, z: 0 }, b, c, { x: 1, y: 1, z: 0 })).toBeNull();
+        });
+    });
+
+    describe('backboneDihedrals', () => {
+        test('should measure phi, psi and omega of an extended chain', () => {
+            const dihedrals = backboneDihedrals(residue(3), residue(0), residue(6));
+
+            expect(Math.abs(dihedrals.phi)).toBeCloseTo(180);
+            expect(Math.abs(dihedrals.psi)).toBeCloseTo(180);
+            expect(Math.abs(dihedrals.omega)).toBeCloseTo(180);
+        });
+
+        test('should use the neighboring residues\' backbone atoms', () => {
+            const previous = residue(0);
+            previous.atoms[2] = { name: 'C', element: 'C', x: 2.4, y: 0, z: 1 };
+            const current = residue(3);
+            const atom = name => current.atoms.find(candidate => candidate.name === name);
+
+            const dihedrals = backboneDihedrals(current, previous, residue(6));
+
+            expect(dihedrals.phi).toBeCloseTo(dihedralAngle(previous.atoms[2], atom('N'), atom('CA'), atom('C')));
+            expect(Math.abs(dihedrals.phi)).toBeLessThan(179);
+        });
+
+        test('should leave angles undefined at chain ends, breaks and missing atoms', () => {
+            const farAway = residue(6);
+            farAway.atoms.forEach(atom => { atom.z += 10; });
+
+            expect(backboneDihedrals(residue(3), null, farAway)).toEqual({ phi: null, psi: null, omega: null });
+            expect(isPeptideBonded(residue(3), farAway)).toBe(false);
+            expect(backboneDihedrals(residue(3, ['N', 'CA']), residue(0), residue(6))).toEqual({ phi: null, psi: null, omega: null });
+        });
+    });
+
+    describe('atom sets', () => {
+        const atoms = [
+            { element: 'C', x: 0, y: 0, z: 0 },
+            { element: 'O', x: 1, y: 0, z: 0 },
+            { element: ' N', x: 0, y: 2, z: -1 }
+        ];
+
+        test('should weight the center of mass by element', () => {
+            const center = centerOfMass([atoms[0], atoms[1]]);
+
+            expect(center.x).toBeCloseTo(15.999 / (12.011 + 15.999));
+            expect(center.y).toBe(0);
+            expect(centerOfMass([])).toBeNull();
+        });
+
+        test('should measure the radius of gyration', () => {
+            expect(radiusOfGyration([{ element: 'C', x: -1, y: 0, z: 0 }, { element: 'C', x: 1, y: 0, z: 0 }])).toBeCloseTo(1);
+            expect(radiusOfGyration([atoms[0]])).toBe(0);
+            expect(radiusOfGyration([])).toBeNull();
+        });
+
+        test('should find the bounding box', () => {
+            expect(boundingBox(atoms)).toEqual({
+                min: { x: 0, y: 0, z: -1 },
+                max: { x: 1, y: 2, z: 0 },
+                size: { x: 1, y: 2, z: 1 }
+            });
+            expect(boundingBox([])).toBeNull();
+        });
+    });
+});
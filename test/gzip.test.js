@@ -0,0 +1,110 @@
+/**
+ * Unit tests for gzip utility functions
+ */
+
+const zlib = require('zlib');
+const { DecompressionStream: NodeDecompressionStream } = require('stream/web');
+const {
+    isGzipData,
+    isGzipUrl,
+    gunzip,
+    createGunzipStream,
+    gunzipData
+} = require('../js/utils/gzip.js');
+
+const pdbText = Array.from({ length: 500 }, (_, i) =>
+    `ATOM  ${String(i + 1).padStart(5)}  CA  ALA A${String(i + 1).padStart(4)}      ${(i * 3.8).toFixed(3).padStart(8)}   0.000   0.000  1.00 90.00           C`
+).join('\n');
+
+const toBytes = (buffer) => new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+const toText = (bytes) => Buffer.from(bytes).toString('utf8');
+
+describe('gzip detection', () => {
+    test('should recognize gzip magic bytes', () => {
+        expect(isGzipData(toBytes(zlib.gzipSync('ATOM')))).toBe(true);
+        expect(isGzipData(toBytes(Buffer.from('ATOM')))).toBe(false);
+        expect(isGzipData('ATOM')).toBe(false);
+        expect(isGzipData(null)).toBe(false);
+    });
+
+    test('should recognize compressed file names', () => {
+        expect(isGzipUrl('/data/AF-P69905-F1-model_v4.cif.gz')).toBe(true);
+        expect(isGzipUrl('https://mirror.example.org/AF-P69905-F1-model_v4.pdb.GZ?token=1')).toBe(true);
+        expect(isGzipUrl('/data/AF-P69905-F1-model_v4.cif')).toBe(false);
+    });
+});
+
+describe('gunzip', () => {
+    test.each([0, 1, 6, 9])('should decompress data compressed at level %i', (level) => {
+        expect(toText(gunzip(toBytes(zlib.gzipSync(pdbText, { level }))))).toBe(pdbText);
+    });
+
+    test('should join multi-member files', () => {
+        const data = Buffer.concat([zlib.gzipSync('ATOM 1\n'), zlib.gzipSync('ATOM 2\n')]);
+
+        expect(toText(gunzip(toBytes(data)))).toBe('ATOM 1\nATOM 2\n');
+    });
+
+    test('should skip the optional file name in the header', () => {
+        const data = Buffer.from(zlib.gzipSync('ATOM'));
+        // Set FNAME and insert a zero-terminated name after the fixed header
+        data[3] = 0x08;
+        const named = Buffer.concat([data.subarray(0, 10), Buffer.from('model.pdb\0'), data.subarray(10)]);
+
+        expect(toText(gunzip(toBytes(named)))).toBe('ATOM');
+    });
+
+    test('should reject truncated and uncompressed data', () => {
+        const data = toBytes(zlib.gzipSync(pdbText));
+
+        expect(() => gunzip(data.subarray(0, data.length - 20))).toThrow();
+        expect(() => gunzip(toBytes(Buffer.from('ATOM')))).toThrow('Data is not gzip-compressed');
+    });
+});
+
+describe('createGunzipStream', () => {
+    const originalDecompressionStream = global.DecompressionStream;
+
+    afterEach(() => {
+        global.DecompressionStream = originalDecompressionStream;
+    });
+
+    const decompressInChunks = async (chunkSize) => {
+        const data = toBytes(zlib.gzipSync(pdbText));
+        const onChunk = jest.fn();
+        const stream = createGunzipStream(onChunk);
+        for (let i = 0; i < data.length; i += chunkSize) {
+            stream.push(data.slice(i, i + chunkSize));
+        }
+        const result = await stream.end();
+        return { result, onChunk };
+    };
+
+    test('should decompress with DecompressionStream when available', async () => {
+        global.DecompressionStream = NodeDecompressionStream;
+
+        const { result, onChunk } = await decompressInChunks(64);
+
+        expect(toText(result)).toBe(pdbText);
+        expect(toText(Buffer.concat(onChunk.mock.calls.map(([chunk]) => chunk)))).toBe(pdbText);
+    });
+
+    test('should fall back to the built-in decoder without DecompressionStream', async () => {
+        delete global.DecompressionStream;
+
+        const { result, onChunk } = await decompressInChunks(64);
+
+        expect(toText(result)).toBe(pdbText);
+        expect(onChunk).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        ['DecompressionStream', NodeDecompressionStream],
+        ['the built-in decoder', undefined]
+    ])('should report corrupt data with %s', async (name, implementation) => {
+        global.DecompressionStream = implementation;
+
+        await expect(gunzipData(new Uint8Array([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3])))
+            .rejects.toThrow('Could not decompress gzip data');
+    });
+});
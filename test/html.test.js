@@ -0,0 +1,18 @@
+/**
+ * Unit tests for HTML utilities
+ */
+
+const { escapeHtml } = require('../js/utils/html.js');
+
+describe('HTML Utils Tests', () => {
+    test('should escape markup and quotes', () => {
+        expect(escapeHtml('<img src="x" onerror=\'alert(1)\'> & more'))
+            .toBe('&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; more');
+    });
+
+    test('should turn missing values into empty text and other values into strings', () => {
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(142)).toBe('142');
+    });
+});
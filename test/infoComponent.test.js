@@ -8,6 +8,8 @@ const InfoComponent = require('../js/components/InfoComponent.js');
 describe('InfoComponent', () => {
     let infoComponent;
     let mockApiService;
+    // The jsdom document, for tests that render into a real container
+    const jsdomDocument = document;
 
     beforeEach(() => {
         // Mock document and window for testing environment
@@ -52,7 +54,38 @@ describe('InfoComponent', () => {
             
             await infoComponent.fetchProteinInfo('P69905');
             
-            expect(mockApiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function));
+            expect(mockApiService.getProteinMetadata).toHaveBeenCalledWith('P69905', expect.any(Function), null);
+        });
+
+        test('should not show an error for a cancelled load', async () => {
+            const cancelledError = new Error('Request cancelled');
+            cancelledError.cancelled = true;
+            mockApiService.getProteinMetadata.mockRejectedValue(cancelledError);
+            infoComponent.showLoadingState = jest.fn();
+            infoComponent.showDetailedError = jest.fn();
+
+            await infoComponent.fetchProteinInfo('P69905', { aborted: true });
+
+            expect(infoComponent.showDetailedError).not.toHaveBeenCalled();
+        });
+
+        test('should ignore progress from a superseded load', async () => {
+            let firstProgress;
+            mockApiService.getProteinMetadata
+                .mockImplementationOnce((id, progressCallback) => {
+                    firstProgress = progressCallback;
+                    return new Promise(() => {});
+                })
+                .mockResolvedValueOnce(mockProteinData);
+            infoComponent.showLoadingState = jest.fn();
+            infoComponent.displayProteinDetails = jest.fn();
+            infoComponent.updateInfoProgress = jest.fn();
+
+            infoComponent.fetchProteinInfo('P69905', { aborted: false });
+            await infoComponent.fetchProteinInfo('P68871', { aborted: false });
+            firstProgress({ type: 'cancelled', message: 'Cancelled loading protein information for P69905' });
+
+            expect(infoComponent.updateInfoProgress).not.toHaveBeenCalled();
         });
 
         test('should handle API errors gracefully', async () => {
@@ -120,6 +153,203 @@ describe('InfoComponent', () => {
         });
     });
 
+    describe('confidence statistics', () => {
+        const statistics = {
+            totalResidues: 100,
+            averageConfidence: 82.4,
+            medianConfidence: 88.0,
+            fractions: { veryHigh: 0.5, confident: 0.25, low: 0.15, veryLow: 0.1 }
+        };
+
+        test('should format mean, median and band fractions', () => {
+            const result = infoComponent.formatConfidenceStatistics(statistics);
+            
+            expect(result).toContain('82.4%');
+            expect(result).toContain('Medium Confidence');
+            expect(result).toContain('median 88.0');
+            expect(result).toContain('Very high 50%');
+            expect(result).toContain('very low 10%');
+        });
+
+        test('should show unknown for missing statistics', () => {
+            expect(infoComponent.formatConfidenceStatistics(null)).toBe('Unknown');
+            expect(infoComponent.formatConfidenceStatistics({ totalResidues: 0 })).toBe('Unknown');
+        });
+
+        test('should use shared statistics when displaying the same protein', () => {
+            infoComponent.setConfidenceStatistics('P69905', statistics);
+            infoComponent.displayProteinDetails({
+                uniprotId: 'P69905',
+                proteinName: 'Hemoglobin subunit alpha',
+                organism: 'Homo sapiens',
+                sequenceLength: 141,
+                geneNames: [],
+                description: 'Oxygen transport',
+                confidenceScore: null,
+                lastUpdated: '2023-01-01T00:00:00.000Z'
+            });
+            
+            expect(infoComponent.infoContainer.innerHTML).toContain('median 88.0');
+        });
+
+        test('should not reuse statistics from a different protein', () => {
+            infoComponent.setConfidenceStatistics('P01308', statistics);
+            infoComponent.displayProteinDetails({
+                uniprotId: 'P69905',
+                proteinName: 'Hemoglobin subunit alpha',
+                organism: 'Homo sapiens',
+                sequenceLength: 141,
+                geneNames: [],
+                description: 'Oxygen transport',
+                confidenceScore: null,
+                lastUpdated: '2023-01-01T00:00:00.000Z'
+            });
+            
+            expect(infoComponent.infoContainer.innerHTML).not.toContain('median 88.0');
+            expect(infoComponent.confidenceStatistics).toBeNull();
+        });
+
+        test('should follow the statistics of another fragment shown in the visualizer', async () => {
+            const VisualizerComponent = require('../js/components/VisualizerComponent.js');
+            const fragments = [1, 2].map(fragmentNumber => ({ fragmentNumber, entryId: `AF-Q8WZ42-F${fragmentNumber}` }));
+            const visualizer = new VisualizerComponent({ fetchAlphaFoldStructure: jest.fn().mockResolvedValue('F2') });
+            Object.assign(visualizer, {
+                currentProtein: 'Q8WZ42',
+                modelInfo: { ...fragments[0], fragments },
+                currentFragment: fragments[0],
+                confidenceStatistics: statistics,
+                controlsContainer: { querySelector: () => null },
+                clearSelection: jest.fn(),
+                setupControls: jest.fn(),
+                renderFragmentControls: jest.fn(),
+                // Stands in for the statistics renderStructure computes from fragment F2
+                renderStructure: jest.fn(() => {
+                    visualizer.confidenceStatistics = { ...statistics, averageConfidence: 61.2, medianConfidence: 64.5 };
+                })
+            });
+            visualizer.onModelChanged = (proteinId, shared) => infoComponent.setConfidenceStatistics(proteinId, shared);
+            infoComponent.infoContainer = jsdomDocument.createElement('div');
+            infoComponent.infoContainer.innerHTML = '<span class="confidence-value"></span>';
+            infoComponent.setConfidenceStatistics('Q8WZ42', statistics);
+
+            await visualizer.loadFragment(2);
+
+            const value = infoComponent.infoContainer.querySelector('.confidence-value').textContent;
+            expect(value).toContain('61.2%');
+            expect(value).toContain('median 64.5');
+            expect(value).not.toContain('82.4%');
+        });
+    });
+
+    describe('model provenance', () => {
+        test('should format model version, date and coverage', () => {
+            const result = infoComponent.formatModelProvenance({
+                entryId: 'AF-P69905-F1',
+                modelVersion: 4,
+                modelCreatedDate: '2022-06-01T00:00:00Z',
+                coverage: { start: 1, end: 142, sequenceLength: 142, percent: 100 }
+            });
+            
+            expect(result).toContain('AF-P69905-F1 v4');
+            expect(result).toContain('covers residues 1-142 (100% of sequence)');
+        });
+
+        test('should handle missing model information', () => {
+            expect(infoComponent.formatModelProvenance(null)).toBe('Not available');
+        });
+    });
+
+    describe('isoforms', () => {
+        const isoforms = [
+            { accession: 'P04637-1', name: '1', synonyms: ['p53'], canonical: true },
+            { accession: 'P04637-2', name: '2', synonyms: ['I9RET'], canonical: false }
+        ];
+        const proteinData = (uniprotId) => ({
+            uniprotId,
+            proteinName: 'Cellular tumor antigen p53',
+            organism: 'Homo sapiens',
+            sequenceLength: 393,
+            geneNames: ['TP53'],
+            description: 'Tumor suppressor',
+            confidenceScore: null,
+            lastUpdated: '2023-01-01T00:00:00.000Z'
+        });
+
+        beforeEach(() => {
+            global.document = jsdomDocument;
+            document.body.innerHTML = '<section id="info-section"><div id="protein-info"></div></section>';
+            mockApiService.getProteinIsoforms = jest.fn().mockResolvedValue(isoforms);
+            infoComponent = new InfoComponent(mockApiService);
+        });
+
+        test('should offer the isoforms of the entry and select the canonical one', async () => {
+            mockApiService.getProteinMetadata.mockResolvedValue(proteinData('P04637'));
+
+            await infoComponent.fetchProteinInfo('P04637');
+
+            const select = document.querySelector('.isoform-select');
+            expect(mockApiService.getProteinIsoforms).toHaveBeenCalledWith('P04637', null, null);
+            expect(select.options).toHaveLength(2);
+            expect(select.value).toBe('P04637-1');
+            expect(select.options[0].textContent).toContain('P04637-1: isoform 1 (p53) - canonical');
+        });
+
+        test('should load the chosen isoform through a protein selection', async () => {
+            mockApiService.getProteinMetadata.mockResolvedValue(proteinData('P04637'));
+            const listener = jest.fn();
+            document.addEventListener('proteinSelected', listener);
+
+            await infoComponent.fetchProteinInfo('P04637');
+            const select = document.querySelector('.isoform-select');
+            select.value = 'P04637-2';
+            select.dispatchEvent(new Event('change'));
+            // The canonical isoform is loaded by its entry accession, where AlphaFold files its model
+            select.value = 'P04637-1';
+            select.dispatchEvent(new Event('change'));
+            document.removeEventListener('proteinSelected', listener);
+
+            expect(listener.mock.calls.map(([event]) => event.detail.proteinId)).toEqual(['P04637-2', 'P04637']);
+        });
+
+        test('should explain the missing model of a non-canonical isoform', async () => {
+            mockApiService.getProteinMetadata.mockResolvedValue(proteinData('P04637-2'));
+
+            await infoComponent.fetchProteinInfo('P04637-2');
+            infoComponent.setModelProvenance('P04637-2', null);
+
+            expect(document.querySelector('.isoform-select').value).toBe('P04637-2');
+            expect(document.querySelector('.model-provenance-value').textContent)
+                .toContain('AlphaFold only predicts the canonical sequence of each UniProt entry');
+        });
+
+        test('should leave out the selector when isoforms cannot be loaded', async () => {
+            mockApiService.getProteinMetadata.mockResolvedValue(proteinData('P04637'));
+            mockApiService.getProteinIsoforms.mockRejectedValue(new Error('Service unavailable'));
+
+            await infoComponent.fetchProteinInfo('P04637');
+
+            expect(document.querySelector('.isoform-select')).toBeNull();
+            expect(document.querySelector('.isoform-item').style.display).toBe('none');
+            expect(document.querySelector('.protein-header h3').textContent).toBe('Cellular tumor antigen p53');
+        });
+
+        test('should show UniProt text as text, not markup', async () => {
+            mockApiService.getProteinMetadata.mockResolvedValue({
+                ...proteinData('P04637'),
+                proteinName: '<img src=x onerror="alert(1)">',
+                organism: '<b>Homo sapiens</b>',
+                description: '<script>alert(1)</script>'
+            });
+
+            await infoComponent.fetchProteinInfo('P04637');
+
+            expect(document.querySelector('#protein-info img')).toBeNull();
+            expect(document.querySelector('#protein-info script')).toBeNull();
+            expect(document.querySelector('.protein-header h3').textContent).toBe('<img src=x onerror="alert(1)">');
+            expect(document.querySelector('.protein-description p').textContent).toBe('<script>alert(1)</script>');
+        });
+    });
+
     describe('tooltip functionality', () => {
         let mockTrigger, mockTooltip;
 
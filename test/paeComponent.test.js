@@ -0,0 +1,201 @@
+/**
+ * Tests for PAEComponent
+ */
+
+const PAEComponent = require('../js/components/PAEComponent.js');
+
+describe('PAEComponent', () => {
+    let paeComponent;
+    let mockApiService;
+    let mockVisualizer;
+    let container;
+    let mockContext;
+
+    // 4×4 matrix: residues 1-2 and 3-4 form two confident domains
+    const paeData = {
+        matrix: [
+            [0, 2, 20, 24],
+            [2, 0, 22, 26],
+            [28, 30, 0, 4],
+            [26, 24, 4, 0]
+        ],
+        size: 4,
+        maxError: 31.75
+    };
+
+    const model = {
+        entryId: 'AF-P69905-F1',
+        modelVersion: 4,
+        files: { pae: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-predicted_aligned_error_v4.json' }
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="pae-panel" style="display: none;"></div>';
+        container = document.getElementById('pae-panel');
+
+        // jsdom has no canvas implementation
+        mockContext = {
+            createImageData: jest.fn((width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })),
+            putImageData: jest.fn()
+        };
+        HTMLCanvasElement.prototype.getContext = jest.fn(() => mockContext);
+
+        mockApiService = {
+            fetchAlphaFoldPAE: jest.fn().mockResolvedValue(paeData)
+        };
+        mockVisualizer = {
+            confidenceData: [{ residueNumber: 1 }],
+            highlightResidueRange: jest.fn(),
+            clearResidueRangeHighlight: jest.fn(),
+            hasMultipleFragments: jest.fn(() => false),
+            getSequencePosition: jest.fn(residueNumber => residueNumber)
+        };
+
+        paeComponent = new PAEComponent(mockApiService, mockVisualizer);
+    });
+
+    describe('loadPAE', () => {
+        test('should fetch PAE for the given model and render the heatmap', async () => {
+            await paeComponent.loadPAE('P69905', model);
+
+            expect(mockApiService.fetchAlphaFoldPAE).toHaveBeenCalledWith('P69905', null, model, null);
+            expect(paeComponent.paeData).toBe(paeData);
+            expect(container.style.display).toBe('block');
+            expect(container.querySelector('.pae-canvas').getAttribute('width')).toBe('4');
+            expect(container.textContent).toContain('32 Å');
+        });
+
+        test('should draw one pixel per residue pair', async () => {
+            await paeComponent.loadPAE('P69905', model);
+
+            const image = mockContext.putImageData.mock.calls[0][0];
+            expect(mockContext.createImageData).toHaveBeenCalledWith(4, 4);
+            // Cell (0, 0) has no error and is drawn dark green
+            expect(Array.from(image.data.slice(0, 4))).toEqual([30, 94, 33, 255]);
+        });
+
+        test('should explain when the model has no PAE file', async () => {
+            await paeComponent.loadPAE('P69905', { ...model, files: {} });
+
+            expect(mockApiService.fetchAlphaFoldPAE).not.toHaveBeenCalled();
+            expect(container.textContent).toContain('does not provide predicted aligned error data');
+        });
+
+        test('should show download errors in the panel', async () => {
+            mockApiService.fetchAlphaFoldPAE.mockRejectedValue(new Error('Network down'));
+
+            await paeComponent.loadPAE('P69905', model);
+
+            expect(paeComponent.paeData).toBeNull();
+            expect(container.textContent).toContain('Predicted aligned error is not available: Network down');
+        });
+
+        test('should show error messages as text', async () => {
+            mockApiService.fetchAlphaFoldPAE.mockRejectedValue(new Error('Unexpected <img src=x onerror=alert(1)> in response'));
+
+            await paeComponent.loadPAE('P69905', model);
+
+            expect(container.querySelector('img')).toBeNull();
+            expect(container.querySelector('.pae-message').textContent).toContain('Unexpected <img src=x onerror=alert(1)> in response');
+        });
+
+        test('should drop PAE data for a model that is no longer displayed', async () => {
+            let resolveFirst;
+            mockApiService.fetchAlphaFoldPAE
+                .mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }));
+
+            const firstLoad = paeComponent.loadPAE('P69905', model);
+            const fragment = { ...model, entryId: 'AF-P69905-F2' };
+            await paeComponent.loadPAE('P69905', fragment);
+            resolveFirst({ ...paeData, size: 99 });
+            await firstLoad;
+
+            expect(paeComponent.currentModel).toBe(fragment);
+            expect(paeComponent.paeData).toBe(paeData);
+        });
+    });
+
+    describe('selectRegion', () => {
+        beforeEach(async () => {
+            await paeComponent.loadPAE('P69905', model);
+        });
+
+        test('should highlight the scored and aligned residue ranges', () => {
+            const selection = paeComponent.selectRegion({ row: 0, col: 2 }, { row: 1, col: 3 });
+
+            expect(selection.aligned).toEqual({ start: 1, end: 2 });
+            expect(selection.scored).toEqual({ start: 3, end: 4 });
+            expect(selection.meanError).toBe(23);
+            expect(mockVisualizer.highlightResidueRange).toHaveBeenCalledWith({ start: 1, end: 2 }, paeComponent.alignedColor);
+            expect(mockVisualizer.highlightResidueRange).toHaveBeenCalledWith({ start: 3, end: 4 }, paeComponent.scoredColor);
+            expect(container.querySelector('.pae-selection-info').textContent).toContain('23.0 Å');
+        });
+
+        test('should accept rectangles dragged in any direction', () => {
+            const selection = paeComponent.selectRegion({ row: 3, col: 3 }, { row: 2, col: 2 });
+
+            expect(selection.aligned).toEqual({ start: 3, end: 4 });
+            expect(selection.scored).toEqual({ start: 3, end: 4 });
+        });
+
+        test('should offset ranges by the first residue number of the model', () => {
+            mockVisualizer.confidenceData = [{ residueNumber: 201 }];
+
+            const selection = paeComponent.selectRegion({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(selection.scored).toEqual({ start: 201, end: 202 });
+        });
+
+        test('should clear the previous highlight before applying a new one', () => {
+            paeComponent.selectRegion({ row: 0, col: 0 }, { row: 1, col: 1 });
+            paeComponent.selectRegion({ row: 2, col: 2 }, { row: 3, col: 3 });
+
+            expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalledTimes(2);
+            expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalledWith({ start: 1, end: 2 });
+        });
+
+        test('should select a region by dragging on the heatmap', () => {
+            const heatmap = container.querySelector('.pae-heatmap');
+            heatmap.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+
+            heatmap.dispatchEvent(new MouseEvent('mousedown', { clientX: 10, clientY: 60 }));
+            heatmap.dispatchEvent(new MouseEvent('mousemove', { clientX: 40, clientY: 90 }));
+            heatmap.dispatchEvent(new MouseEvent('mouseup', { clientX: 40, clientY: 90 }));
+
+            expect(paeComponent.selection.scored).toEqual({ start: 1, end: 2 });
+            expect(paeComponent.selection.aligned).toEqual({ start: 3, end: 4 });
+            expect(container.querySelector('.pae-selection-box').style.display).toBe('block');
+        });
+
+        test('should clear the highlight from the clear button', () => {
+            paeComponent.selectRegion({ row: 0, col: 0 }, { row: 1, col: 1 });
+
+            container.querySelector('.pae-clear-btn').click();
+
+            expect(paeComponent.selection).toBeNull();
+            expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalledTimes(2);
+            expect(container.querySelector('.pae-selection-box').style.display).toBe('none');
+        });
+    });
+
+    describe('getPaeColor', () => {
+        test('should scale from dark green to white', () => {
+            expect(paeComponent.getPaeColor(0, 30)).toEqual([30, 94, 33]);
+            expect(paeComponent.getPaeColor(30, 30)).toEqual([255, 255, 255]);
+            expect(paeComponent.getPaeColor(45, 30)).toEqual([255, 255, 255]);
+        });
+    });
+
+    describe('hide', () => {
+        test('should hide the panel and remove highlights', async () => {
+            await paeComponent.loadPAE('P69905', model);
+            paeComponent.selectRegion({ row: 0, col: 0 }, { row: 0, col: 0 });
+
+            paeComponent.hide();
+
+            expect(container.style.display).toBe('none');
+            expect(paeComponent.paeData).toBeNull();
+            expect(mockVisualizer.clearResidueRangeHighlight).toHaveBeenCalled();
+        });
+    });
+});
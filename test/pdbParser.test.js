@@ -0,0 +1,197 @@
+/**
+ * Unit tests for PDB format utility functions
+ */
+
+const {
+    readPdbField,
+    parsePdbAtomRecord,
+    parsePdbHelixRecord,
+    parsePdbSheetRecord,
+    parsePdb,
+    selectFirstAltLocs
+} = require('../js/utils/pdbParser.js');
+
+const atomLine = ({
+    record = 'ATOM', serial = 1, name = 'CA', altLoc = ' ', residueName = 'ALA', chainId = 'A', residueNumber = 1,
+    insertionCode = ' ', coords = [0, 0, 0], occupancy = 1, bFactor = 50, element = 'C', charge = '  '
+}) =>
+    `${record.padEnd(6)}${String(serial).padStart(5)} ${name.length < 4 ? ` ${name.padEnd(3)}` : name}${altLoc}` +
+    `${residueName.padStart(3)} ${chainId}${String(residueNumber).padStart(4)}${insertionCode}   ` +
+    coords.map(value => value.toFixed(3).padStart(8)).join('') +
+    `${occupancy.toFixed(2).padStart(6)}${bFactor.toFixed(2).padStart(6)}          ${element.padStart(2)}${charge}`;
+
+const nmrFile = [
+    'HEADER    OXYGEN TRANSPORT                        11-DEC-97   1A00              ',
+    'TITLE     L-LEUCINE-DEPENDENT HEMOGLOBIN VARIANT, NMR,                          ',
+    'TITLE    2 20 STRUCTURES                                                        ',
+    'REMARK   2                                                                      ',
+    'REMARK   2 RESOLUTION.    1.74 ANGSTROMS.                                       ',
+    'REMARK 465 MISSING RESIDUES                                                     ',
+    'SEQRES   1 A    3  VAL LEU SER                                                  ',
+    'HELIX    1   1 VAL A    1  LEU A    2  1                                   2    ',
+    'SHEET    1  S1 2 SER A   3  SER A   3  0                                        ',
+    'MODEL        1                                                                  ',
+    atomLine({ serial: 1, residueName: 'VAL', residueNumber: 1, bFactor: 91.99 }),
+    atomLine({ serial: 2, residueName: 'LEU', residueNumber: 2, coords: [3.8, 0, 0] }),
+    atomLine({ serial: 3, residueName: 'SER', residueNumber: 3, coords: [7.6, 0, 0] }),
+    atomLine({ record: 'HETATM', serial: 4, name: 'FE', residueName: 'HEM', residueNumber: 201, element: 'FE', charge: '2+' }),
+    'ENDMDL                                                                          ',
+    'MODEL        2                                                                  ',
+    atomLine({ serial: 1, residueName: 'VAL', residueNumber: 1, coords: [0.5, 0, 0] }),
+    'ENDMDL                                                                          ',
+    'END                                                                             '
+].join('\n');
+
+describe('PDB Parser Tests', () => {
+    describe('readPdbField', () => {
+        test('should read 1-based inclusive columns and tolerate short lines', () => {
+            expect(readPdbField('HEADER    OXYGEN TRANSPORT', 11, 50)).toBe('OXYGEN TRANSPORT');
+            expect(readPdbField('END', 63, 66)).toBe('');
+        });
+    });
+
+    describe('parsePdbAtomRecord', () => {
+        test('should read every field of an atom record', () => {
+            const { atom } = parsePdbAtomRecord(atomLine({
+                serial: 12, name: 'CB', altLoc: 'B', residueName: 'SER', chainId: 'H', residueNumber: 52,
+                insertionCode: 'A', coords: [-8.608, 3.135, -1.618], occupancy: 0.5, bFactor: 21.3, element: 'C'
+            }));
+
+            expect(atom).toEqual({
+                serial: 12,
+                name: 'CB',
+                altLoc: 'B',
+                residueName: 'SER',
+                chainId: 'H',
+                residueNumber: 52,
+                insertionCode: 'A',
+                x: -8.608,
+                y: 3.135,
+                z: -1.618,
+                occupancy: 0.5,
+                bFactor: 21.3,
+                element: 'C',
+                charge: 0,
+                hetero: false
+            });
+        });
+
+        test('should read ligand charges and fall back to the atom name for the element', () => {
+            const { atom } = parsePdbAtomRecord(atomLine({
+                record: 'HETATM', name: 'FE', residueName: 'HEM', element: 'FE', charge: '2+'
+            }));
+            const { atom: oldStyle } = parsePdbAtomRecord(atomLine({ name: 'N', element: '' }));
+
+            expect(atom).toMatchObject({ hetero: true, element: 'FE', charge: 2 });
+            expect(oldStyle.element).toBe('N');
+        });
+
+        test('should explain why a record was rejected', () => {
+            expect(parsePdbAtomRecord('ATOM      1  CA  ALA A   1').error).toBe('Atom record is too short to hold coordinates');
+            expect(parsePdbAtomRecord(atomLine({}).replace('   1    ', '  1X    ')).error).toBe('Invalid residue number "1X"');
+            expect(parsePdbAtomRecord(atomLine({}).replace('   0.000', '   x.xxx')).error).toBe('Invalid atom coordinates');
+        });
+    });
+
+    describe('secondary structure records', () => {
+        test('should read helix and strand ranges with insertion codes', () => {
+            expect(parsePdbHelixRecord('HELIX    1  H1 SER A   52A TRP A   60  1                                   9').range)
+                .toEqual({
+                    type: 'helix', id: 'H1', chainId: 'A', start: 52, startInsertionCode: 'A',
+                    end: 60, endInsertionCode: '', helixClass: 1
+                });
+            expect(parsePdbSheetRecord('SHEET    2  S1 2 VAL B  10  LEU B  14 -1').range)
+                .toMatchObject({ type: 'sheet', id: 'S1', strand: 2, chainId: 'B', start: 10, end: 14, sense: -1 });
+        });
+
+        test('should reject ranges that cannot be placed', () => {
+            expect(parsePdbHelixRecord('HELIX    1   1 VAL A    ?  LEU A    2  1').error)
+                .toBe('HELIX record has invalid residue numbers');
+            expect(parsePdbSheetRecord('SHEET    1  S1 2 VAL A  10  LEU B  14  0').error)
+                .toBe('SHEET record spans two chains');
+        });
+    });
+
+    describe('parsePdb', () => {
+        test('should read the header, title and resolution', () => {
+            const { header, remarks } = parsePdb(nmrFile);
+
+            expect(header).toEqual({
+                classification: 'OXYGEN TRANSPORT',
+                depositionDate: '11-DEC-97',
+                idCode: '1A00',
+                title: 'L-LEUCINE-DEPENDENT HEMOGLOBIN VARIANT, NMR, 20 STRUCTURES',
+                resolution: 1.74
+            });
+            expect(remarks[2]).toEqual(['RESOLUTION.    1.74 ANGSTROMS.']);
+            expect(remarks[465]).toEqual(['MISSING RESIDUES']);
+        });
+
+        test('should read SEQRES sequences and secondary structure', () => {
+            const parsed = parsePdb(nmrFile);
+
+            expect(parsed.sequences).toEqual({ A: ['VAL', 'LEU', 'SER'] });
+            expect(parsed.helices).toHaveLength(1);
+            expect(parsed.sheets[0]).toMatchObject({ chainId: 'A', start: 3, end: 3 });
+        });
+
+        test('should keep every model and its ligands', () => {
+            const { models, warnings } = parsePdb(nmrFile);
+
+            expect(models.map(model => model.modelNumber)).toEqual([1, 2]);
+            expect(models[0].atoms).toHaveLength(4);
+            expect(models[0].atoms[3]).toMatchObject({ residueName: 'HEM', hetero: true, charge: 2 });
+            expect(models[1].atoms[0].x).toBe(0.5);
+            expect(warnings).toEqual([]);
+        });
+
+        test('should treat files without MODEL records as a single model', () => {
+            const { models } = parsePdb([atomLine({ residueNumber: 1 }), atomLine({ residueNumber: 2 }), 'END'].join('\n'));
+
+            expect(models).toHaveLength(1);
+            expect(models[0]).toMatchObject({ modelNumber: 1 });
+            expect(models[0].atoms).toHaveLength(2);
+        });
+
+        test('should report malformed records by line and keep reading', () => {
+            const { models, warnings } = parsePdb([
+                'SEQRES   1 A    4  VAL LEU SER',
+                'MODEL        1',
+                atomLine({ residueNumber: 1 }),
+                'ATOM      2  CA  LEU A   2      -5.061',
+                'ENDMDL',
+                atomLine({ residueNumber: 3 }),
+                'ENDMDL',
+                'MODEL        2',
+                atomLine({ residueNumber: 1 })
+            ].join('\n'));
+
+            expect(models[0].atoms).toHaveLength(1);
+            expect(models[1].atoms).toHaveLength(1);
+            expect(warnings).toEqual([
+                { line: 4, record: 'ATOM', message: 'Atom record is too short to hold coordinates' },
+                { line: 6, record: 'ATOM', message: 'Atom record outside a MODEL block' },
+                { line: 7, record: 'ENDMDL', message: 'ENDMDL record without a matching MODEL record' },
+                { line: 9, record: 'MODEL', message: 'Model 2 has no ENDMDL record' },
+                { line: 1, record: 'SEQRES', message: 'Chain A lists 3 residues but declares 4' }
+            ]);
+        });
+
+        test('should return an empty result for missing input', () => {
+            expect(parsePdb(null)).toMatchObject({ models: [], warnings: [] });
+        });
+    });
+
+    describe('selectFirstAltLocs', () => {
+        test('should keep one location per atom', () => {
+            const { models } = parsePdb([
+                atomLine({ serial: 1, name: 'N', residueNumber: 1 }),
+                atomLine({ serial: 2, name: 'CA', altLoc: 'A', residueNumber: 1, occupancy: 0.6 }),
+                atomLine({ serial: 3, name: 'CA', altLoc: 'B', residueNumber: 1, occupancy: 0.4 }),
+                atomLine({ serial: 4, name: 'CA', altLoc: 'B', residueNumber: 2 })
+            ].join('\n'));
+
+            expect(selectFirstAltLocs(models[0].atoms).map(atom => atom.serial)).toEqual([1, 2, 4]);
+        });
+    });
+});
@@ -117,6 +117,88 @@ describe('Protein Model Tests', () => {
         });
     });
 
+    describe('loadStructure', () => {
+        const pdbData = [
+            'ATOM      1  CA  VAL A   1      -8.608   3.135  -1.618  1.00 91.99           C',
+            'ATOM      2  CA  LEU A   2      -5.061   1.951  -1.779  1.00 45.50           C'
+        ].join('\n');
+
+        test('should parse structure text into the structure model', () => {
+            const protein = new Protein('P69905');
+
+            const structure = protein.loadStructure(pdbData);
+
+            expect(protein.structureData).toBe(structure);
+            expect(structure).toBeInstanceOf(Structure);
+            expect(structure.getSequence('A')).toBe('VL');
+            expect(structure.getResidue('A', 2).plddt).toBe(45.5);
+            expect(protein.getSummary().hasStructure).toBe(true);
+        });
+
+        test('should keep an already parsed structure', () => {
+            const protein = new Protein('P69905');
+            const structure = Structure.fromPdb(pdbData, { confidenceInBFactor: false });
+
+            expect(protein.loadStructure(structure)).toBe(structure);
+            expect(protein.structureData.getResidue('A', 1).plddt).toBeNull();
+        });
+
+        test('should reject missing structure data', () => {
+            const protein = new Protein('P69905');
+
+            expect(() => protein.loadStructure('')).toThrow('Structure data is required');
+            expect(protein.structureData).toBeNull();
+        });
+    });
+
+    describe('toJSON / fromJSON', () => {
+        test('should round-trip metadata, structure source, selection and notes', () => {
+            const protein = new Protein('P69905', 'Hemoglobin', 'Homo sapiens');
+            protein.updateMetadata({ sequenceLength: 142, confidenceScore: 96.2, description: 'Oxygen transport' });
+            protein.structureSource = { type: 'pdb', pdbId: '2DN2' };
+            protein.selectedResidues = [{ chainId: 'A', residueNumber: 58, residueName: 'HIS' }];
+            protein.notes = 'Distal histidine';
+            protein.lastUpdated = new Date('2026-10-19T09:29:12Z');
+
+            const json = JSON.parse(JSON.stringify(protein));
+            const restored = Protein.fromJSON(json);
+
+            expect(json).toEqual({
+                schemaVersion: 1,
+                uniprotId: 'P69905',
+                name: 'Hemoglobin',
+                organism: 'Homo sapiens',
+                sequenceLength: 142,
+                confidenceScore: 96.2,
+                description: 'Oxygen transport',
+                structureSource: { type: 'pdb', pdbId: '2DN2' },
+                selectedResidues: [{ chainId: 'A', residueNumber: 58 }],
+                notes: 'Distal histidine',
+                lastUpdated: '2026-10-19T09:29:12.000Z'
+            });
+            expect(restored).toBeInstanceOf(Protein);
+            expect(restored.toJSON()).toEqual(json);
+            expect(restored.structureData).toBeNull();
+        });
+
+        test('should fill in defaults for missing fields', () => {
+            const restored = Protein.fromJSON({ uniprotId: 'p69905', lastUpdated: 'not a date' });
+
+            expect(restored.uniprotId).toBe('P69905');
+            expect(restored.selectedResidues).toEqual([]);
+            expect(restored.notes).toBe('');
+            expect(restored.lastUpdated).toBeInstanceOf(Date);
+            expect(isNaN(restored.lastUpdated.getTime())).toBe(false);
+        });
+
+        test('should reject data it cannot restore', () => {
+            expect(() => Protein.fromJSON(null)).toThrow('Protein data must be an object');
+            expect(() => Protein.fromJSON({ schemaVersion: 2, uniprotId: 'P69905' }))
+                .toThrow('Protein data uses schema version 2, but only versions up to 1 are supported');
+            expect(() => Protein.fromJSON({ uniprotId: 'hemoglobin' })).toThrow('Invalid UniProt ID format');
+        });
+    });
+
     describe('getSummary', () => {
         test('should return complete protein summary', () => {
             const protein = new Protein('P69905', 'Hemoglobin', 'Homo sapiens');
@@ -171,6 +253,7 @@ describe('Protein Model Tests', () => {
                 expect(Protein.isValidUniProtId('Q9Y6R7')).toBe(true);
                 expect(Protein.isValidUniProtId('A0A0B4J2F0')).toBe(true);
                 expect(Protein.isValidUniProtId('p69905')).toBe(true); // case insensitive
+                expect(Protein.isValidUniProtId('P04637-2')).toBe(true); // isoform
             });
 
             test('should reject invalid UniProt ID formats', () => {
@@ -181,6 +264,7 @@ describe('Protein Model Tests', () => {
                 expect(Protein.isValidUniProtId('TOOLONGID123')).toBe(false); // too long
                 expect(Protein.isValidUniProtId('P@#$%')).toBe(false); // invalid characters
                 expect(Protein.isValidUniProtId(12345)).toBe(false); // not a string
+                expect(Protein.isValidUniProtId('ABCDEF')).toBe(false); // not an accession
             });
         });
 
@@ -24,6 +24,47 @@ describe('Protein Utilities Tests', () => {
             expect(isValidUniProtId('P@#$%')).toBe(false); // invalid characters
             expect(isValidUniProtId(12345)).toBe(false); // not a string
         });
+
+        test('should follow the UniProt accession grammar', () => {
+            expect(isValidUniProtId('P04637-2')).toBe(true); // isoform
+            expect(isValidUniProtId('Q8WZ42-12')).toBe(true);
+            expect(isValidUniProtId('ABCDEF')).toBe(false); // letter where a digit is required
+            expect(isValidUniProtId('P0463A')).toBe(false);
+            expect(isValidUniProtId('A0A0B4J2F')).toBe(false); // 9 characters
+            expect(isValidUniProtId('P04637-')).toBe(false);
+            expect(isValidUniProtId('P04637-2a')).toBe(false);
+        });
+    });
+
+    describe('parseUniProtAccession', () => {
+        test('should split an isoform accession into entry and isoform number', () => {
+            expect(parseUniProtAccession(' p04637-2 ')).toEqual({ accession: 'P04637-2', entry: 'P04637', isoform: 2 });
+            expect(parseUniProtAccession('A0A0B4J2F0')).toEqual({ accession: 'A0A0B4J2F0', entry: 'A0A0B4J2F0', isoform: null });
+            expect(parseUniProtAccession('ABCDEF')).toBeNull();
+        });
+    });
+
+    describe('classifySearchQuery', () => {
+        test('should recognize accessions and entry names', () => {
+            expect(classifySearchQuery(' p04637-2 ')).toEqual({ type: 'accession', query: 'p04637-2', accession: 'P04637-2' });
+            expect(classifySearchQuery('ins_human')).toEqual({ type: 'entry_name', query: 'ins_human', entryName: 'INS_HUMAN' });
+        });
+
+        test('should recognize gene symbols with an optional organism', () => {
+            expect(classifySearchQuery('TP53')).toMatchObject({ type: 'gene', gene: 'TP53', organism: null });
+            expect(classifySearchQuery('Trp53  Mouse')).toMatchObject({
+                type: 'gene',
+                gene: 'Trp53',
+                organism: { taxonomyId: '10090', name: 'Mus musculus' }
+            });
+            expect(classifySearchQuery('BRCA1 homo sapiens').organism.taxonomyId).toBe('9606');
+        });
+
+        test('should search everything else as text', () => {
+            expect(classifySearchQuery('insulin')).toEqual({ type: 'text', query: 'insulin', text: 'insulin' });
+            expect(classifySearchQuery('TP53 binding protein').type).toBe('text');
+            expect(classifySearchQuery('hemoglobin human').type).toBe('text');
+        });
     });
 
     describe('formatUniProtId', () => {
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for Ramachandran analysis utilities
+ */
+
+const {
+    getRamachandranType,
+    isRamachandranAllowed,
+    getRamachandranPoints,
+    selectRamachandranPoints
+} = require('../js/utils/ramachandran.js');
+
+// Structure stand-in whose residues carry their backbone angles
+const fakeStructure = residues => ({
+    getPolymerResidues: () => residues,
+    getBackboneDihedrals: residue => ({ phi: residue.phi, psi: residue.psi, omega: null })
+});
+
+describe('Ramachandran Tests', () => {
+    test('should pick the region set by residue name', () => {
+        expect(getRamachandranType('GLY')).toBe('glycine');
+        expect(getRamachandranType('PRO')).toBe('proline');
+        expect(getRamachandranType('HIS')).toBe('general');
+    });
+
+    describe('isRamachandranAllowed', () => {
+        test('should allow helix and strand conformations', () => {
+            expect(isRamachandranAllowed(-63, -43)).toBe(true);
+            expect(isRamachandranAllowed(-120, 130)).toBe(true);
+            expect(isRamachandranAllowed(-120, -170)).toBe(true);
+            expect(isRamachandranAllowed(60, 40)).toBe(true);
+        });
+
+        test('should flag strained conformations by residue type', () => {
+            // Mirror image of a beta strand: only glycine gets there
+            expect(isRamachandranAllowed(80, -170, 'general')).toBe(false);
+            expect(isRamachandranAllowed(80, -170, 'glycine')).toBe(true);
+            // The proline ring keeps phi near -65
+            expect(isRamachandranAllowed(-140, 150, 'general')).toBe(true);
+            expect(isRamachandranAllowed(-140, 150, 'proline')).toBe(false);
+        });
+    });
+
+    test('should plot residues with both angles and mark outliers', () => {
+        const residues = [
+            { residueName: 'MET', residueNumber: 1, phi: null, psi: 150 },
+            { residueName: 'ALA', residueNumber: 2, phi: -63, psi: -43 },
+            { residueName: 'GLY', residueNumber: 3, phi: 80, psi: -170 },
+            { residueName: 'SER', residueNumber: 4, phi: 80, psi: -170 }
+        ];
+
+        const points = getRamachandranPoints(fakeStructure(residues));
+
+        expect(points.map(point => [point.residue.residueNumber, point.type, point.outlier])).toEqual([
+            [2, 'general', false],
+            [3, 'glycine', false],
+            [4, 'general', true]
+        ]);
+        expect(getRamachandranPoints(null)).toEqual([]);
+    });
+
+    test('should select points inside a rectangle drawn in either direction', () => {
+        const points = [{ phi: -63, psi: -43 }, { phi: -120, psi: 130 }, { phi: 60, psi: 40 }];
+
+        expect(selectRamachandranPoints(points, { phi: -180, psi: 0 }, { phi: 0, psi: 180 })).toEqual([points[1]]);
+        expect(selectRamachandranPoints(points, { phi: 0, psi: 180 }, { phi: -180, psi: -180 })).toEqual(points.slice(0, 2));
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for RamachandranComponent
+ */
+
+const RamachandranComponent = require('../js/components/RamachandranComponent.js');
+
+describe('RamachandranComponent', () => {
+    let component;
+    let mockVisualizer;
+    let container;
+
+    const residue = (residueName, residueNumber, plddt, phi, psi) => ({ chainId: 'A', residueName, residueNumber, plddt, phi, psi });
+    const residues = [
+        residue('MET', 1, 40.2, null, 150),
+        residue('ALA', 2, 95.0, -63, -43),
+        residue('GLY', 3, 91.0, 80, -170),
+        residue('PRO', 4, 88.0, -65, 145),
+        residue('SER', 5, 35.5, 70, -150)
+    ];
+    const structure = (list = residues) => ({
+        getPolymerResidues: () => list,
+        getBackboneDihedrals: item => ({ phi: item.phi, psi: item.psi, omega: null })
+    });
+
+    // The plot spans 360×360 px from (-180°, 180°) at the top left
+    const mouse = (type, phi, psi, target) => {
+        const event = new MouseEvent(type, { bubbles: true, clientX: phi + 180, clientY: 180 - psi });
+        (target || container.querySelector('.rama-plot')).dispatchEvent(event);
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="ramachandran-panel" style="display: none;"></div>';
+        container = document.getElementById('ramachandran-panel');
+
+        mockVisualizer = {
+            getConfidenceColor: jest.fn(score => (score >= 90 ? '#0053D6' : '#FF7D45')),
+            getAminoAcidInfo: jest.fn(name => ({ type: name === 'SER' ? 'Polar' : 'Nonpolar' })),
+            handleAtomClick: jest.fn(),
+            highlightResidues: jest.fn(),
+            clearResidueHighlights: jest.fn()
+        };
+
+        component = new RamachandranComponent(mockVisualizer);
+        Element.prototype.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 360, height: 360 }));
+    });
+
+    test('should plot residues with shapes for glycine and proline and flag outliers', () => {
+        component.showStructure(structure());
+
+        const points = container.querySelectorAll('.rama-point');
+        expect(container.style.display).toBe('block');
+        expect(points).toHaveLength(4);
+        expect(container.querySelector('polygon.rama-glycine')).not.toBeNull();
+        expect(container.querySelector('rect.rama-proline')).not.toBeNull();
+        expect(container.querySelectorAll('.rama-outlier')).toHaveLength(1);
+        expect(container.querySelector('.rama-outlier title').textContent).toBe('SER5 A: φ 70.0°, ψ -150.0°, pLDDT 35.5 (outlier)');
+        expect(container.querySelector('.rama-summary').textContent).toMatch(/4 residues plotted,\s+1 outside the allowed regions \(25\.0%\)/);
+    });
+
+    test('should color by pLDDT or by residue type', () => {
+        component.showStructure(structure());
+        expect(container.querySelector('circle.rama-point').getAttribute('fill')).toBe('#0053D6');
+
+        const select = container.querySelector('.rama-color-mode');
+        select.value = 'type';
+        select.dispatchEvent(new Event('change'));
+
+        expect(component.colorMode).toBe('type');
+        expect(container.querySelector('circle.rama-point').getAttribute('fill')).toBe(component.typeColors.Nonpolar);
+        expect(container.querySelector('.rama-outlier').getAttribute('fill')).toBe(component.typeColors.Polar);
+    });
+
+    test('should fall back to residue type for structures without pLDDT', () => {
+        component.showStructure(structure(residues.map(item => ({ ...item, plddt: null }))));
+
+        expect(container.querySelector('.rama-color-mode option[value="plddt"]').disabled).toBe(true);
+        expect(container.querySelector('.rama-color-mode').value).toBe('type');
+    });
+
+    test('should select the residue of a clicked point', () => {
+        component.showStructure(structure());
+        const marker = container.querySelector('.rama-point[data-index="1"]');
+
+        mouse('mousedown', 80, -170, marker);
+        mouse('mouseup', 80, -170, marker);
+
+        expect(mockVisualizer.handleAtomClick).toHaveBeenCalledWith({ resi: 3, chain: 'A' }, expect.any(MouseEvent));
+        expect(marker.classList.contains('rama-selected')).toBe(true);
+        expect(mockVisualizer.highlightResidues).not.toHaveBeenCalled();
+    });
+
+    test('should highlight every residue in a brushed region', () => {
+        component.showStructure(structure());
+
+        mouse('mousedown', 0, 0);
+        mouse('mousemove', 100, -180);
+        mouse('mouseup', 100, -180);
+
+        expect(component.selection.points.map(point => point.residue.residueNumber)).toEqual([3, 5]);
+        expect(mockVisualizer.highlightResidues).toHaveBeenCalledWith([residues[2], residues[4]], component.brushColor);
+        expect(container.querySelector('.rama-selection-info').textContent)
+            .toMatch(/2 residues in the selected region,\s+1 of them outliers, mean pLDDT 63\.3:\s+GLY3, SER5/);
+        expect(container.querySelector('.rama-brush').getAttribute('width')).toBe('100');
+
+        container.querySelector('.rama-clear-btn').click();
+
+        expect(mockVisualizer.clearResidueHighlights).toHaveBeenCalledWith([residues[2], residues[4]]);
+        expect(component.selection).toBeNull();
+        expect(container.querySelector('.rama-brush').style.display).toBe('none');
+    });
+
+    test('should explain when there is nothing to plot and hide with the structure', () => {
+        component.showStructure(structure([residue('ALA', 1, 90, null, null)]));
+        expect(container.querySelector('.rama-message').textContent).toBe('This structure has no residues with a complete backbone to plot.');
+
+        component.hide();
+        expect(container.style.display).toBe('none');
+        expect(component.points).toEqual([]);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for RequestScheduler
+ */
+
+const RequestScheduler = require('../js/services/RequestScheduler.js');
+
+describe('RequestScheduler', () => {
+    let scheduler;
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        scheduler = new RequestScheduler({ maxConcurrent: 2, requestsPerSecond: 2, burst: 3 });
+        // Waiting advances the clock instead of sleeping
+        scheduler.wait = jest.fn(ms => {
+            now += ms;
+            return Promise.resolve();
+        });
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    // A task that stays in flight until finish() is called
+    const deferredTask = () => {
+        let finish;
+        const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+        return { task, finish: (value) => finish(value) };
+    };
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    test('should group requests by host', () => {
+        expect(scheduler.getHost('https://rest.uniprot.org/uniprotkb/P69905')).toBe('rest.uniprot.org');
+        expect(scheduler.getHost('https://ALPHAFOLD.ebi.ac.uk/api/prediction/P69905')).toBe('alphafold.ebi.ac.uk');
+        expect(scheduler.getHost('/data/afdb/AF-P69905-F1-model_v4.cif')).toBe('local');
+    });
+
+    test('should cap requests in flight per host and report queue positions', async () => {
+        const first = deferredTask();
+        const second = deferredTask();
+        const third = deferredTask();
+        const onWait = jest.fn();
+
+        const results = [
+            scheduler.schedule('https://rest.uniprot.org/a', first.task),
+            scheduler.schedule('https://rest.uniprot.org/b', second.task),
+            scheduler.schedule('https://rest.uniprot.org/c', third.task, { onWait })
+        ];
+        await flush();
+
+        expect(third.task).not.toHaveBeenCalled();
+        expect(onWait).toHaveBeenCalledWith({ reason: 'queued', position: 1, waitMs: 0, host: 'rest.uniprot.org' });
+
+        first.finish('a');
+        await flush();
+        expect(third.task).toHaveBeenCalled();
+
+        second.finish('b');
+        third.finish('c');
+        expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should not hold back other hosts', async () => {
+        scheduler.schedule('https://rest.uniprot.org/a', deferredTask().task);
+        scheduler.schedule('https://rest.uniprot.org/b', deferredTask().task);
+        const alphafold = jest.fn().mockResolvedValue('model');
+
+        await expect(scheduler.schedule('https://alphafold.ebi.ac.uk/api/x', alphafold)).resolves.toBe('model');
+    });
+
+    test('should space requests out once the burst is used', async () => {
+        const task = jest.fn().mockResolvedValue('ok');
+        const onWait = jest.fn();
+
+        for (let i = 0; i < 3; i++) {
+            await scheduler.schedule('https://rest.uniprot.org/search', task);
+        }
+        expect(scheduler.wait).not.toHaveBeenCalled();
+
+        await scheduler.schedule('https://rest.uniprot.org/search', task, { onWait });
+
+        expect(scheduler.wait).toHaveBeenCalledWith(500, null);
+        expect(onWait).toHaveBeenCalledWith({ reason: 'throttled', position: 0, waitMs: 500, host: 'rest.uniprot.org' });
+    });
+
+    test('should hold requests while a host is paused', async () => {
+        scheduler.pauseHost('https://rest.uniprot.org/', 10000);
+
+        await scheduler.schedule('https://rest.uniprot.org/search', jest.fn().mockResolvedValue('ok'));
+
+        expect(scheduler.wait).toHaveBeenCalledWith(10000, null);
+        expect(scheduler.getHostStats('https://rest.uniprot.org/').pausedFor).toBe(0);
+    });
+
+    test('should remove cancelled requests from the queue', async () => {
+        scheduler.schedule('https://rest.uniprot.org/a', deferredTask().task);
+        scheduler.schedule('https://rest.uniprot.org/b', deferredTask().task);
+        const signal = new EventTarget();
+        signal.aborted = false;
+        const queuedTask = jest.fn();
+
+        const queued = scheduler.schedule('https://rest.uniprot.org/c', queuedTask, { signal: signal });
+        signal.aborted = true;
+        signal.dispatchEvent(new Event('abort'));
+
+        await expect(queued).rejects.toMatchObject({ cancelled: true });
+        expect(scheduler.getHostStats('https://rest.uniprot.org/').queued).toBe(0);
+        expect(queuedTask).not.toHaveBeenCalled();
+    });
+
+    test('should stop listening to the signal once a request leaves the queue', async () => {
+        const signal = new EventTarget();
+        signal.aborted = false;
+        jest.spyOn(signal, 'addEventListener');
+        jest.spyOn(signal, 'removeEventListener');
+
+        await scheduler.schedule('https://rest.uniprot.org/a', jest.fn().mockResolvedValue('ok'), { signal: signal });
+
+        const [[, queueListener]] = signal.addEventListener.mock.calls;
+        expect(signal.removeEventListener).toHaveBeenCalledWith('abort', queueListener);
+    });
+
+    test('should stop waiting for a slot when the request is cancelled', async () => {
+        jest.useFakeTimers();
+        const waiting = new RequestScheduler();
+        const signal = new EventTarget();
+        signal.aborted = false;
+        try {
+            waiting.pauseHost('https://rest.uniprot.org/', 10000);
+            const task = jest.fn();
+
+            const request = waiting.schedule('https://rest.uniprot.org/a', task, { signal: signal });
+            await Promise.resolve();
+            signal.aborted = true;
+            signal.dispatchEvent(new Event('abort'));
+
+            await expect(request).rejects.toMatchObject({ cancelled: true });
+            expect(task).not.toHaveBeenCalled();
+            expect(waiting.getHostStats('https://rest.uniprot.org/').active).toBe(0);
+            expect(jest.getTimerCount()).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should free the slot when a request fails', async () => {
+        const failing = jest.fn().mockRejectedValue(new Error('HTTP 500'));
+
+        await expect(scheduler.schedule('https://rest.uniprot.org/a', failing)).rejects.toThrow('HTTP 500');
+        expect(scheduler.getHostStats('https://rest.uniprot.org/').active).toBe(0);
+    });
+});
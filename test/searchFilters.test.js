@@ -0,0 +1,97 @@
+/**
+ * Tests for search filters in SearchComponent
+ */
+
+const SearchComponent = require('../js/components/SearchComponent.js');
+
+describe('SearchComponent filters', () => {
+    let searchComponent;
+    let mockApiService;
+    let chips;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form id="search-form">
+                <input id="search-input">
+                <button id="search-button">Search</button>
+            </form>
+            <div id="search-filters"></div>
+            <div id="search-filter-chips" style="display: none;"></div>
+            <div id="search-results" style="display: none;"></div>
+        `;
+        chips = document.getElementById('search-filter-chips');
+
+        mockApiService = {
+            searchUniProtPage: jest.fn().mockResolvedValue({ results: [], totalResults: 0, nextPageUrl: null })
+        };
+        searchComponent = new SearchComponent(mockApiService);
+    });
+
+    const field = (name) => document.querySelector(`#search-filters [name="${name}"]`);
+
+    const changeFilters = () => {
+        document.getElementById('search-filters').dispatchEvent(new Event('change'));
+    };
+
+    test('should read the filter panel', () => {
+        field('organism').value = '9606';
+        field('reviewed').value = 'reviewed';
+        field('minLength').value = '50';
+        field('maxLength').value = 'abc';
+        field('hasAlphaFold').checked = true;
+
+        expect(searchComponent.readFilterForm()).toEqual({
+            organism: '9606',
+            reviewed: 'reviewed',
+            minLength: 50,
+            hasAlphaFold: true
+        });
+    });
+
+    test('should show active filters as chips', () => {
+        field('organism').value = '9606';
+        field('minLength').value = '50';
+        field('maxLength').value = '200';
+        changeFilters();
+
+        const labels = Array.from(chips.querySelectorAll('.filter-chip')).map(chip => chip.textContent.replace('×', '').trim());
+        expect(labels).toEqual(['Organism: Human (9606)', 'Length: 50-200']);
+        expect(chips.style.display).toBe('flex');
+    });
+
+    test('should pass the filters to the search', async () => {
+        field('reviewed').value = 'reviewed';
+        changeFilters();
+
+        await searchComponent.searchProtein('insulin');
+
+        expect(mockApiService.searchUniProtPage).toHaveBeenCalledWith(
+            'insulin', expect.any(Function), null, null, { reviewed: 'reviewed' }
+        );
+    });
+
+    test('should repeat the current search without a removed filter', async () => {
+        field('reviewed').value = 'reviewed';
+        field('hasAlphaFold').checked = true;
+        changeFilters();
+        document.getElementById('search-input').value = 'insulin';
+        await searchComponent.handleSearch();
+
+        chips.querySelector('[data-filter-key="reviewed"]').click();
+        await Promise.resolve();
+
+        expect(field('reviewed').value).toBe('');
+        expect(chips.querySelectorAll('.filter-chip')).toHaveLength(1);
+        expect(mockApiService.searchUniProtPage).toHaveBeenLastCalledWith(
+            'insulin', expect.any(Function), null, null, { hasAlphaFold: true }
+        );
+    });
+
+    test('should hide the chips when no filter is active', () => {
+        searchComponent.applyFilters({ organism: 'Danio rerio' });
+        searchComponent.removeFilter('organism');
+
+        expect(chips.innerHTML).toBe('');
+        expect(chips.style.display).toBe('none');
+    });
+});
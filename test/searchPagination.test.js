@@ -0,0 +1,113 @@
+/**
+ * Tests for paged search results in SearchComponent
+ */
+
+const SearchComponent = require('../js/components/SearchComponent.js');
+
+describe('SearchComponent paging', () => {
+    let searchComponent;
+    let mockApiService;
+    let resultsContainer;
+
+    const protein = (uniprotId) => ({
+        uniprotId,
+        proteinName: `Kinase ${uniprotId}`,
+        organism: 'Homo sapiens',
+        sequenceLength: 500,
+        geneNames: []
+    });
+
+    const nextUrl = 'https://rest.uniprot.org/uniprotkb/search?query=kinase&cursor=abc';
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form id="search-form">
+                <input id="search-input">
+                <button id="search-button">Search</button>
+            </form>
+            <div id="search-results" style="display: none;"></div>
+        `;
+        resultsContainer = document.getElementById('search-results');
+
+        mockApiService = {
+            searchUniProtPage: jest.fn()
+                .mockResolvedValueOnce({ results: [protein('P00533'), protein('P06239')], totalResults: 3, nextPageUrl: nextUrl, queryType: 'text' })
+                .mockResolvedValueOnce({ results: [protein('P12931')], totalResults: 3, nextPageUrl: null })
+        };
+        searchComponent = new SearchComponent(mockApiService);
+    });
+
+    const ids = () => Array.from(resultsContainer.querySelectorAll('.result-item'))
+        .map(item => item.dataset.uniprotId);
+
+    test('should show the total hit count and offer more results', async () => {
+        await searchComponent.searchProtein('kinase');
+
+        expect(resultsContainer.querySelector('.results-count').textContent).toBe('Search Results (showing 2 of 3)');
+        expect(resultsContainer.querySelector('.load-more-btn').style.display).toBe('block');
+    });
+
+    test('should append the next page and hide the button on the last page', async () => {
+        await searchComponent.searchProtein('kinase');
+        await searchComponent.loadMoreResults();
+
+        expect(mockApiService.searchUniProtPage).toHaveBeenLastCalledWith('kinase', null, null, nextUrl, {}, 'text');
+        expect(ids()).toEqual(['P00533', 'P06239', 'P12931']);
+        expect(resultsContainer.querySelector('.results-count').textContent).toBe('Search Results (3 found)');
+        expect(resultsContainer.querySelector('.load-more-btn').style.display).toBe('none');
+    });
+
+    test('should keep the selected protein highlighted when appending', async () => {
+        await searchComponent.searchProtein('kinase');
+        resultsContainer.querySelector('.select-protein-btn[data-uniprot-id="P06239"]').click();
+
+        await searchComponent.loadMoreResults();
+
+        const selected = resultsContainer.querySelectorAll('.result-item.selected');
+        expect(selected).toHaveLength(1);
+        expect(selected[0].dataset.uniprotId).toBe('P06239');
+    });
+
+    test('should attach select handlers to appended results', async () => {
+        const listener = jest.fn();
+        document.addEventListener('proteinSelected', listener);
+
+        await searchComponent.searchProtein('kinase');
+        await searchComponent.loadMoreResults();
+        resultsContainer.querySelector('.select-protein-btn[data-uniprot-id="P12931"]').click();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].detail).toEqual({ proteinId: 'P12931' });
+        document.removeEventListener('proteinSelected', listener);
+    });
+
+    test('should drop a page that arrives after a new search started', async () => {
+        await searchComponent.searchProtein('kinase');
+        let resolvePage;
+        mockApiService.searchUniProtPage.mockReset();
+        mockApiService.searchUniProtPage
+            .mockReturnValueOnce(new Promise(resolve => { resolvePage = resolve; }))
+            .mockResolvedValueOnce({ results: [protein('P01308')], totalResults: 1, nextPageUrl: null });
+
+        const loading = searchComponent.loadMoreResults();
+        await searchComponent.searchProtein('insulin');
+        resolvePage({ results: [protein('P12931')], totalResults: 3, nextPageUrl: null });
+        await loading;
+
+        expect(ids()).toEqual(['P01308']);
+    });
+
+    test('should show why each result matched', async () => {
+        mockApiService.searchUniProtPage = jest.fn().mockResolvedValue({
+            results: [{ ...protein('P04637'), matchReason: 'Gene name TP53 in Homo sapiens' }],
+            totalResults: 1,
+            nextPageUrl: null,
+            queryType: 'gene'
+        });
+
+        await searchComponent.searchProtein('TP53 human');
+
+        expect(resultsContainer.querySelector('.match-reason').textContent).toBe('Matched: Gene name TP53 in Homo sapiens');
+        expect(searchComponent.currentSearch.queryType).toBe('gene');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for ServiceStatusComponent
+ */
+
+const ServiceStatusComponent = require('../js/components/ServiceStatusComponent.js');
+
+describe('ServiceStatusComponent', () => {
+    let apiService;
+    let container;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<div id="service-status"></div>';
+        container = document.getElementById('service-status');
+        apiService = new APIService();
+        new ServiceStatusComponent(apiService);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const status = (service) => container.querySelector(`[data-service="${service}"]`);
+
+    const failUniProt = (times) => {
+        for (let i = 0; i < times; i++) {
+            apiService.circuitBreaker.recordFailure(`${apiService.uniprotBaseUrl}P69905`, new Error('Failed to fetch'));
+        }
+    };
+
+    test('should show both services as healthy', () => {
+        expect(status('uniprot').classList.contains('status-healthy')).toBe(true);
+        expect(status('alphafold').classList.contains('status-healthy')).toBe(true);
+        expect(status('uniprot').title).toBe('UniProt (rest.uniprot.org): healthy');
+    });
+
+    test('should show recent failures as degraded', () => {
+        failUniProt(1);
+
+        expect(status('uniprot').classList.contains('status-degraded')).toBe(true);
+        expect(status('uniprot').title).toContain('1 recent failed request.');
+        expect(status('alphafold').classList.contains('status-healthy')).toBe(true);
+    });
+
+    test('should show an open circuit as down until a probe is due', () => {
+        failUniProt(3);
+
+        expect(status('uniprot').classList.contains('status-down')).toBe(true);
+        expect(status('uniprot').title).toContain('retrying in 30 s');
+
+        jest.advanceTimersByTime(31000);
+
+        expect(status('uniprot').classList.contains('status-degraded')).toBe(true);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for SessionComponent
+ */
+
+const SessionComponent = require('../js/components/SessionComponent.js');
+
+describe('SessionComponent', () => {
+    let component;
+    let mockVisualizer;
+    let mockInfo;
+    let loadProtein;
+    let showError;
+    let container;
+
+    const view = {
+        style: 'stick',
+        confidenceColors: false,
+        structuralElements: { helix: true, sheet: true, loop: false },
+        camera: [1, 2, 3, 4, 5, 6, 7, 8]
+    };
+
+    // Stands in for the File chosen in the picker
+    const sessionFile = (session) => ({ name: 'P69905.alphaview.json', text: async () => JSON.stringify(session) });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="session-panel" style="display: none;"></div>
+            <input type="file" id="import-session">
+        `;
+        container = document.getElementById('session-panel');
+
+        mockVisualizer = {
+            protein: null,
+            confidenceData: null,
+            selectedResidue: null,
+            confidenceStatistics: { averageConfidence: 96.2 },
+            experimentalComponent: {
+                loadEntries: jest.fn().mockResolvedValue(),
+                loadEntry: jest.fn().mockResolvedValue(true)
+            },
+            getViewSettings: jest.fn(() => view),
+            applyViewSettings: jest.fn(),
+            selectResidue: jest.fn((chainId, residueNumber) => residueNumber === 58),
+            loadFragment: jest.fn().mockResolvedValue(),
+            describeStructureSource: jest.fn(() => ({
+                type: 'alphafold', entryId: 'AF-P69905-F1', fragmentNumber: 1, modelVersion: 4
+            }))
+        };
+        mockInfo = {
+            proteinData: {
+                uniprotId: 'P69905',
+                proteinName: 'Hemoglobin subunit alpha',
+                organism: 'Homo sapiens',
+                sequenceLength: 142,
+                description: 'Oxygen transport'
+            }
+        };
+        // Loading a protein through the application gives the viewer a fresh Protein
+        loadProtein = jest.fn(async (uniprotId) => {
+            mockVisualizer.protein = new Protein(uniprotId);
+            mockVisualizer.confidenceData = [{ residueNumber: 58, chainId: 'A' }];
+        });
+        showError = jest.fn();
+
+        component = new SessionComponent(mockVisualizer, mockInfo, { loadProtein, showError });
+    });
+
+    test('should collect metadata, selection, notes and view into a session', () => {
+        mockVisualizer.protein = new Protein('P69905');
+        mockVisualizer.protein.structureSource = { type: 'alphafold', entryId: 'AF-P69905-F1', fragmentNumber: 1, modelVersion: 4 };
+        mockVisualizer.selectedResidue = { residueNumber: 58, residueName: 'HIS', chainId: 'A' };
+        component.showProtein(mockVisualizer.protein);
+
+        const notes = container.querySelector('.session-notes');
+        notes.value = 'Distal histidine';
+        notes.dispatchEvent(new Event('input'));
+
+        const session = component.buildSession(new Date('2026-10-19T09:30:00Z'));
+
+        expect(container.style.display).toBe('block');
+        expect(session).toMatchObject({
+            format: 'alphaview-session',
+            savedAt: '2026-10-19T09:30:00.000Z',
+            protein: {
+                uniprotId: 'P69905',
+                name: 'Hemoglobin subunit alpha',
+                organism: 'Homo sapiens',
+                sequenceLength: 142,
+                confidenceScore: 96.2,
+                selectedResidues: [{ chainId: 'A', residueNumber: 58 }],
+                notes: 'Distal histidine'
+            },
+            view
+        });
+    });
+
+    test('should download the session as a .alphaview.json file', () => {
+        global.URL.createObjectURL = jest.fn(() => 'blob:session');
+        global.URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        mockVisualizer.protein = new Protein('P69905');
+        component.showProtein(mockVisualizer.protein);
+
+        container.querySelector('.session-export-btn').click();
+
+        expect(global.URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+        expect(click).toHaveBeenCalled();
+        expect(global.URL.revokeObjectURL).toHaveBeenCalledWith('blob:session');
+        expect(container.querySelector('.session-status').textContent).toBe('Saved P69905.alphaview.json');
+        click.mockRestore();
+    });
+
+    test('should report that there is nothing to save', () => {
+        expect(component.exportSession()).toBe(false);
+        expect(showError).toHaveBeenCalledWith('Could not save the session: Load a protein before saving a session');
+    });
+
+    test('should load the protein and restore view, selection and notes', async () => {
+        const restored = await component.importSession(sessionFile({
+            format: 'alphaview-session',
+            version: 1,
+            savedAt: '2026-10-19T09:30:00.000Z',
+            protein: {
+                uniprotId: 'P69905',
+                structureSource: { type: 'alphafold', entryId: 'AF-P69905-F1', fragmentNumber: 1, modelVersion: 3 },
+                selectedResidues: [{ chainId: 'A', residueNumber: 58 }, { chainId: 'A', residueNumber: 900 }],
+                notes: 'Distal histidine'
+            },
+            view
+        }));
+
+        expect(restored).toBe(true);
+        expect(loadProtein).toHaveBeenCalledWith('P69905');
+        expect(mockVisualizer.applyViewSettings).toHaveBeenCalledWith(view);
+        expect(mockVisualizer.selectResidue).toHaveBeenCalledWith('A', 58);
+        expect(mockVisualizer.protein.notes).toBe('Distal histidine');
+        expect(container.querySelector('.session-notes').value).toBe('Distal histidine');
+        expect(container.querySelector('.session-status').textContent).toBe(
+            'Session restored. The session used AlphaFold model version 3; version 4 is shown. Residue 900 is not in this structure.'
+        );
+    });
+
+    test('should reopen an experimental structure', async () => {
+        await component.importSession(sessionFile({
+            format: 'alphaview-session',
+            version: 1,
+            protein: { uniprotId: 'P69905', structureSource: { type: 'pdb', pdbId: '2DN2' } }
+        }));
+
+        expect(mockVisualizer.experimentalComponent.loadEntries).toHaveBeenCalledWith('P69905');
+        expect(mockVisualizer.experimentalComponent.loadEntry).toHaveBeenCalledWith('2DN2');
+        expect(container.querySelector('.session-status').textContent).toBe('Session restored.');
+    });
+
+    test('should open a protein saved without the session wrapper', async () => {
+        const protein = new Protein('P69905');
+        protein.notes = 'From Protein.toJSON';
+
+        const restored = await component.importSession(sessionFile(protein));
+
+        expect(restored).toBe(true);
+        expect(mockVisualizer.applyViewSettings).toHaveBeenCalledWith(expect.objectContaining({ style: 'cartoon' }));
+        expect(mockVisualizer.protein.notes).toBe('From Protein.toJSON');
+    });
+
+    test('should report invalid files without loading anything', async () => {
+        const restored = await component.importSession(sessionFile({ format: 'alphaview-session', version: 99 }));
+
+        expect(restored).toBe(false);
+        expect(loadProtein).not.toHaveBeenCalled();
+        expect(showError).toHaveBeenCalledWith(expect.stringContaining('Could not open the session: This session was saved by a newer version'));
+    });
+
+    test('should stop when the protein could not be loaded', async () => {
+        loadProtein.mockResolvedValue();
+
+        const restored = await component.importSession(sessionFile({
+            format: 'alphaview-session', version: 1, protein: { uniprotId: 'P69905' }
+        }));
+
+        expect(restored).toBe(false);
+        expect(mockVisualizer.applyViewSettings).not.toHaveBeenCalled();
+    });
+
+    test('should stop when another protein is chosen while the structure is restored', async () => {
+        mockVisualizer.experimentalComponent.loadEntries.mockImplementation(async () => {
+            mockVisualizer.protein = new Protein('P68871');
+        });
+
+        const restored = await component.importSession(sessionFile({
+            format: 'alphaview-session',
+            version: 1,
+            protein: { uniprotId: 'P69905', notes: 'Saved notes', structureSource: { type: 'pdb', pdbId: '2DN2' } }
+        }));
+
+        expect(restored).toBe(false);
+        expect(mockVisualizer.experimentalComponent.loadEntry).not.toHaveBeenCalled();
+        expect(mockVisualizer.applyViewSettings).not.toHaveBeenCalled();
+        expect(mockVisualizer.protein.notes).not.toBe('Saved notes');
+    });
+});
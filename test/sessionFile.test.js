@@ -0,0 +1,135 @@
+/**
+ * Unit tests for .alphaview.json session file utilities
+ */
+
+const {
+    SESSION_FILE_VERSION,
+    DEFAULT_SESSION_VIEW,
+    createSessionFile,
+    getSessionFileVersion,
+    migrateSessionFile,
+    validateSessionFile,
+    readSessionFile,
+    getSessionFileName
+} = require('../js/utils/sessionFile.js');
+
+const savedProtein = () => {
+    const protein = new Protein('P69905', 'Hemoglobin subunit alpha', 'Homo sapiens');
+    protein.structureSource = { type: 'alphafold', entryId: 'AF-P69905-F1', fragmentNumber: 1, modelVersion: 4 };
+    protein.selectedResidues = [{ chainId: 'A', residueNumber: 58 }];
+    protein.notes = 'Distal histidine';
+    return protein;
+};
+
+describe('Session File Tests', () => {
+    describe('createSessionFile', () => {
+        test('should wrap the protein and complete the view settings', () => {
+            const session = createSessionFile(savedProtein(), {
+                style: 'stick',
+                structuralElements: { loop: false },
+                camera: [1, 2, 3]
+            }, new Date('2026-10-19T09:30:00Z'));
+
+            expect(session).toMatchObject({
+                format: 'alphaview-session',
+                version: SESSION_FILE_VERSION,
+                savedAt: '2026-10-19T09:30:00.000Z',
+                protein: { uniprotId: 'P69905', notes: 'Distal histidine' },
+                view: {
+                    style: 'stick',
+                    confidenceColors: true,
+                    structuralElements: { helix: true, sheet: true, loop: false },
+                    camera: [1, 2, 3]
+                }
+            });
+            expect(validateSessionFile(session)).toEqual([]);
+        });
+    });
+
+    describe('migrateSessionFile', () => {
+        test('should treat a bare protein as version 0 and upgrade it', () => {
+            const protein = savedProtein().toJSON();
+
+            expect(getSessionFileVersion(protein)).toBe(0);
+            const session = migrateSessionFile(protein);
+
+            expect(session).toEqual({
+                format: 'alphaview-session',
+                version: 1,
+                savedAt: protein.lastUpdated,
+                protein,
+                view: DEFAULT_SESSION_VIEW
+            });
+        });
+
+        test('should refuse sessions from a newer version and other files', () => {
+            expect(() => migrateSessionFile({ format: 'alphaview-session', version: SESSION_FILE_VERSION + 1 }))
+                .toThrow('This session was saved by a newer version of AlphaView');
+            expect(() => migrateSessionFile({ format: 'pymol-session', uniprotId: 'P69905' }))
+                .toThrow('This is not an AlphaView session file');
+            expect(() => migrateSessionFile([])).toThrow('This is not an AlphaView session file');
+            expect(() => migrateSessionFile({ format: 'alphaview-session', version: -1 }))
+                .toThrow('This is not an AlphaView session file');
+        });
+    });
+
+    describe('validateSessionFile', () => {
+        test('should list every problem with its field', () => {
+            const errors = validateSessionFile({
+                format: 'alphaview-session',
+                version: 1,
+                savedAt: 'yesterday',
+                protein: {
+                    uniprotId: 'hemoglobin',
+                    notes: 42,
+                    selectedResidues: [{ chainId: 'A', residueNumber: 'x' }],
+                    structureSource: { type: 'pdb' }
+                },
+                view: { style: 'ribbon', confidenceColors: 'yes', structuralElements: { helix: 1 }, camera: [0, 'a'] }
+            });
+
+            expect(errors).toEqual([
+                'savedAt must be a date',
+                'protein.uniprotId must be a UniProt accession',
+                'protein.notes must be text',
+                'protein.selectedResidues must list residues with a whole residueNumber',
+                'protein.structureSource.pdbId must be a PDB ID',
+                'view.style must be one of cartoon, surface, stick',
+                'view.confidenceColors must be true or false',
+                'view.structuralElements must map helix, sheet and loop to true or false',
+                'view.camera must be a list of numbers'
+            ]);
+        });
+
+        test('should require the protein', () => {
+            expect(validateSessionFile({ format: 'alphaview-session', version: 1 })).toEqual(['protein must be an object']);
+        });
+    });
+
+    describe('readSessionFile', () => {
+        test('should read a saved session and fill in missing view settings', () => {
+            const text = JSON.stringify({
+                format: 'alphaview-session',
+                version: 1,
+                savedAt: '2026-10-19T09:30:00.000Z',
+                protein: { uniprotId: 'P69905' },
+                view: { style: 'surface' }
+            });
+
+            const session = readSessionFile(text);
+
+            expect(session.protein.uniprotId).toBe('P69905');
+            expect(session.view).toEqual({ ...DEFAULT_SESSION_VIEW, style: 'surface' });
+        });
+
+        test('should explain why a file cannot be opened', () => {
+            expect(() => readSessionFile('{not json')).toThrow('The session file is not valid JSON');
+            expect(() => readSessionFile(JSON.stringify({ format: 'alphaview-session', version: 1, protein: { uniprotId: '123' } })))
+                .toThrow('The session file is invalid: protein.uniprotId must be a UniProt accession');
+        });
+    });
+
+    test('should name files after the protein', () => {
+        expect(getSessionFileName('P04637-2')).toBe('P04637-2.alphaview.json');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for SettingsComponent
+ */
+
+const SettingsComponent = require('../js/components/SettingsComponent.js');
+
+describe('SettingsComponent', () => {
+    let settingsComponent;
+    let apiService;
+    let storage;
+    let status;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <summary id="data-source-status"></summary>
+            <div id="settings-panel"></div>
+        `;
+        status = document.getElementById('data-source-status');
+
+        const items = new Map();
+        storage = {
+            getItem: jest.fn(key => (items.has(key) ? items.get(key) : null)),
+            setItem: jest.fn((key, value) => items.set(key, value)),
+            removeItem: jest.fn(key => items.delete(key))
+        };
+
+        apiService = new APIService();
+        settingsComponent = new SettingsComponent(apiService, storage);
+    });
+
+    const form = () => document.querySelector('.settings-form');
+
+    test('should show the active configuration', () => {
+        expect(form().elements.backend.value).toBe('api');
+        expect(form().elements.alphafoldBaseUrl.value).toBe('https://alphafold.ebi.ac.uk/files/');
+        expect(status.textContent).toBe('Data source: AlphaFold DB (EBI)');
+    });
+
+    test('should show only the fields of the selected source', () => {
+        const apiField = document.querySelector('.settings-api-only');
+        const staticField = document.querySelector('.settings-static-only');
+        expect(staticField.style.display).toBe('none');
+
+        form().elements.backend.value = 'static';
+        form().elements.backend.dispatchEvent(new Event('change'));
+
+        expect(apiField.style.display).toBe('none');
+        expect(staticField.style.display).toBe('');
+    });
+
+    test('should apply and save a local directory', () => {
+        form().elements.backend.value = 'static';
+        form().elements.alphafoldBaseUrl.value = '/data/afdb';
+        form().dispatchEvent(new Event('submit'));
+
+        expect(apiService.alphafoldBackend).toBe('static');
+        expect(apiService.alphafoldBaseUrl).toBe('/data/afdb/');
+        expect(JSON.parse(storage.setItem.mock.calls[0][1])).toMatchObject({ backend: 'static', alphafoldBaseUrl: '/data/afdb/' });
+        expect(status.textContent).toBe('Data source: Local files: /data/afdb/');
+    });
+
+    test('should save whether local files are compressed', () => {
+        form().elements.backend.value = 'static';
+        form().elements.alphafoldBaseUrl.value = '/data/afdb';
+        form().elements.compressed.checked = true;
+        form().dispatchEvent(new Event('submit'));
+
+        expect(apiService.staticCompressed).toBe(true);
+        expect(JSON.parse(storage.setItem.mock.calls[0][1])).toMatchObject({ compressed: true });
+        expect(status.textContent).toBe('Data source: Local files: /data/afdb/ (gzip)');
+        expect(form().elements.compressed.checked).toBe(true);
+    });
+
+    test('should reject invalid settings without applying them', () => {
+        form().elements.modelVersion.value = '0';
+
+        expect(settingsComponent.save()).toBe(false);
+        expect(document.querySelector('.settings-errors').textContent).toContain('Model version');
+        expect(storage.setItem).not.toHaveBeenCalled();
+        expect(apiService.staticModelVersion).toBe(4);
+    });
+
+    test('should reset to the default sources', () => {
+        apiService.configureEndpoints({ backend: 'static', alphafoldBaseUrl: '/data/afdb/' });
+
+        document.querySelector('.settings-reset-btn').click();
+
+        expect(storage.removeItem).toHaveBeenCalled();
+        expect(apiService.getEndpointConfig()).toEqual(DEFAULT_ENDPOINT_CONFIG);
+    });
+
+    test('should show the health check result', async () => {
+        apiService.checkHealth = jest.fn().mockResolvedValue({
+            alphafold: { ok: true, status: 200, latency: 120, message: 'Available', backend: 'api' },
+            uniprot: { ok: false, status: null, latency: 30, message: 'Unreachable' }
+        });
+
+        await settingsComponent.checkHealth();
+
+        expect(status.textContent).toBe(
+            'Data source: AlphaFold DB (EBI) | AlphaFold available (120 ms) | UniProt unavailable: Unreachable'
+        );
+        expect(status.classList.contains('status-error')).toBe(true);
+    });
+
+    describe('endpoints proposed by a link', () => {
+        const proposed = { backend: 'static', alphafoldBaseUrl: 'https://mirror.example.com/"><img src=x>/' };
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <details class="data-source-settings">
+                    <summary id="data-source-status"></summary>
+                    <div id="settings-panel"></div>
+                </details>
+            `;
+            status = document.getElementById('data-source-status');
+            settingsComponent = new SettingsComponent(apiService, storage, proposed);
+        });
+
+        test('should ask before using them', () => {
+            expect(document.querySelector('.data-source-settings').open).toBe(true);
+            expect(document.querySelector('.settings-proposal code').textContent).toBe(proposed.alphafoldBaseUrl);
+            expect(document.querySelector('.settings-proposal img')).toBeNull();
+            expect(apiService.alphafoldBackend).toBe('api');
+        });
+
+        test('should apply and save them once confirmed', () => {
+            document.querySelector('.settings-proposal-accept-btn').click();
+
+            expect(apiService.alphafoldBackend).toBe('static');
+            expect(apiService.alphafoldBaseUrl).toBe(proposed.alphafoldBaseUrl);
+            expect(JSON.parse(storage.setItem.mock.calls[0][1])).toMatchObject(proposed);
+            expect(form().elements.alphafoldBaseUrl.value).toBe(proposed.alphafoldBaseUrl);
+            expect(document.querySelector('.settings-proposal')).toBeNull();
+        });
+
+        test('should drop them when ignored', () => {
+            document.querySelector('.settings-proposal-dismiss-btn').click();
+
+            expect(document.querySelector('.settings-proposal')).toBeNull();
+            expect(storage.setItem).not.toHaveBeenCalled();
+            expect(apiService.getEndpointConfig()).toEqual(DEFAULT_ENDPOINT_CONFIG);
+        });
+    });
+});
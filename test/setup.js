@@ -16,11 +16,25 @@ global.navigator = {
 
 // Load and make classes available globally
 global.Protein = require('../js/models/Protein.js');
+global.Structure = require('../js/models/Structure.js');
+Object.assign(global, require('../js/utils/endpointConfig.js'));
+global.CacheService = require('../js/services/CacheService.js');
+global.RequestScheduler = require('../js/services/RequestScheduler.js');
+global.CircuitBreaker = require('../js/services/CircuitBreaker.js');
 global.APIService = require('../js/services/APIService.js');
 
 // Load utility functions
 const utils = require('../js/utils/proteinUtils.js');
 Object.assign(global, utils);
+Object.assign(global, require('../js/utils/cifParser.js'));
+Object.assign(global, require('../js/utils/pdbParser.js'));
+Object.assign(global, require('../js/utils/geometry.js'));
+Object.assign(global, require('../js/utils/ramachandran.js'));
+Object.assign(global, require('../js/utils/gzip.js'));
+Object.assign(global, require('../js/utils/structureStream.js'));
+Object.assign(global, require('../js/utils/uniprotFeatures.js'));
+Object.assign(global, require('../js/utils/sessionFile.js'));
+Object.assign(global, require('../js/utils/html.js'));
 
 // Mock console methods to reduce test noise
 global.console = {
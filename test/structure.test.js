@@ -0,0 +1,248 @@
+/**
+ * Unit tests for the Structure model
+ */
+
+const Structure = require('../js/models/Structure.js');
+
+const atomLine = (record, serial, name, residueName, chainId, residueNumber, [x, y, z], bFactor, element) =>
+    `${record.padEnd(6)}${String(serial).padStart(5)}  ${name.padEnd(3)} ${residueName} ${chainId}` +
+    `${String(residueNumber).padStart(4)}    ${x.toFixed(3).padStart(8)}${y.toFixed(3).padStart(8)}` +
+    `${z.toFixed(3).padStart(8)}  1.00${bFactor.toFixed(2).padStart(6)}          ${element.padStart(2)}`;
+
+const pdbData = [
+    'HEADER    OXYGEN TRANSPORT                        01-JUL-21',
+    'HELIX    1   1 VAL A    1  LEU A    2  1                                   2',
+    'SHEET    1  S1 2 SER A   3  ALA A   4  0',
+    'MODEL        1',
+    atomLine('ATOM', 1, 'N', 'VAL', 'A', 1, [-8.901, 4.127, -0.555], 91.99, 'N'),
+    atomLine('ATOM', 2, 'CA', 'VAL', 'A', 1, [-8.608, 3.135, -1.618], 91.99, 'C'),
+    atomLine('ATOM', 3, 'CA', 'LEU', 'A', 2, [-5.061, 1.951, -1.779], 95.5, 'C'),
+    atomLine('ATOM', 4, 'CA', 'SER', 'A', 3, [-2.0, 0.5, -0.5], 45.0, 'C'),
+    atomLine('ATOM', 5, 'CA', 'ALA', 'A', 4, [1.8, 0.2, 0.1], 62.0, 'C'),
+    atomLine('ATOM', 6, 'CA', 'GLY', 'A', 5, [5.6, 0.0, 0.3], 70.0, 'C'),
+    'TER       7      GLY A   5',
+    atomLine('HETATM', 8, 'FE', 'HEM', 'A', 201, [0.0, 10.0, 0.0], 30.0, 'FE'),
+    'ENDMDL',
+    'MODEL        2',
+    atomLine('ATOM', 1, 'CA', 'TRP', 'B', 1, [0.0, 0.0, 0.0], 50.0, 'C'),
+    'ENDMDL',
+    'END'
+].join('\n');
+
+describe('Structure', () => {
+    describe('fromPdb', () => {
+        test('should group atoms into chains and residues with coordinates', () => {
+            const structure = Structure.fromPdb(pdbData);
+
+            expect(structure.format).toBe('pdb');
+            expect(structure.chains.map(chain => chain.id)).toEqual(['A']);
+            expect(structure.getResidues()).toHaveLength(6);
+            expect(structure.getAtomCount()).toBe(7);
+
+            const valine = structure.getResidue('A', 1);
+            expect(valine.atoms.map(atom => atom.name)).toEqual(['N', 'CA']);
+            expect(structure.getAtom(valine, 'CA')).toEqual({
+                name: 'CA', element: 'C', x: -8.608, y: 3.135, z: -1.618, bFactor: 91.99
+            });
+        });
+
+        test('should read pLDDT from CA B-factors unless they hold experimental values', () => {
+            expect(Structure.fromPdb(pdbData).getResidue('A', 2).plddt).toBe(95.5);
+
+            const experimental = Structure.fromPdb(pdbData, { confidenceInBFactor: false });
+            expect(experimental.getResidue('A', 2).plddt).toBeNull();
+            expect(experimental.getResidue('A', 2).bFactor).toBe(95.5);
+        });
+
+        test('should assign secondary structure from HELIX and SHEET records', () => {
+            const structure = Structure.fromPdb(pdbData);
+
+            expect(structure.getChain('A').residues.map(residue => residue.secondaryStructure))
+                .toEqual(['helix', 'helix', 'sheet', 'sheet', 'coil', 'coil']);
+        });
+
+        test('should index the polymer sequence and keep ligands out of it', () => {
+            const structure = Structure.fromPdb(pdbData);
+            const heme = structure.getResidue('A', 201);
+
+            expect(structure.getResidue('A', 3).sequenceIndex).toBe(2);
+            expect(heme.hetero).toBe(true);
+            expect(heme.sequenceIndex).toBeNull();
+            expect(structure.getPolymerResidues()).toHaveLength(5);
+            expect(structure.getSequence('A')).toBe('VLSAG');
+            expect(structure.getSequence()).toBe('VLSAG');
+            expect(structure.getSequence('Z')).toBe('');
+        });
+
+        test('should only read the first model', () => {
+            expect(Structure.fromPdb(pdbData).getChain('B')).toBeNull();
+        });
+
+        test('should keep insertion codes apart, drop extra alternate locations and report bad records', () => {
+            const structure = Structure.fromPdb([
+                'HEADER    IMMUNE SYSTEM                           01-JAN-20   7ABC',
+                atomLine('ATOM', 1, 'CA', 'SER', 'H', 52, [0, 0, 0], 20.0, 'C'),
+                atomLine('ATOM', 2, 'CA', 'GLY', 'H', 52, [3.8, 0, 0], 20.0, 'C').replace(' 52 ', ' 52A'),
+                atomLine('ATOM', 3, 'CA', 'TYR', 'H', 53, [7.6, 0, 0], 20.0, 'C').replace(' CA  TYR', ' CA ATYR'),
+                atomLine('ATOM', 4, 'CA', 'TYR', 'H', 53, [7.9, 0, 0], 20.0, 'C').replace(' CA  TYR', ' CA BTYR'),
+                'ATOM      5  CA  ALA H  54      -5.061'
+            ].join('\n'));
+
+            expect(structure.getResidue('H', 52).residueName).toBe('SER');
+            expect(structure.getResidue('H', 52, 'A').residueName).toBe('GLY');
+            expect(structure.getResidue('H', 53).atoms).toHaveLength(1);
+            expect(structure.getResidue('H', 53).atoms[0].x).toBe(7.6);
+            expect(structure.header.idCode).toBe('7ABC');
+            expect(structure.warnings).toEqual([
+                { line: 6, record: 'ATOM', message: 'Atom record is too short to hold coordinates' }
+            ]);
+        });
+    });
+
+    describe('fromCif', () => {
+        const cifData = `data_AF-P69905-F1
+loop_
+_struct_conf.conf_type_id
+_struct_conf.beg_auth_asym_id
+_struct_conf.beg_auth_seq_id
+_struct_conf.end_auth_seq_id
+HELX_P A 11 12
+#
+loop_
+_atom_site.group_PDB
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.B_iso_or_equiv
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+_atom_site.pdbx_PDB_model_num
+ATOM C CA VAL A 1 -8.608 3.135 -1.618 10.00 11 A 1
+ATOM C CA LEU A 2 -5.061 1.951 -1.779 20.00 12 A 1
+ATOM C CA SER A 3 -2.000 0.500 -0.500 30.00 13 A 1
+ATOM C CA VAL A 1 0.000 0.000 0.000 10.00 11 A 2
+#
+loop_
+_ma_qa_metric.id
+_ma_qa_metric.mode
+_ma_qa_metric.name
+_ma_qa_metric.type
+1 global pLDDT pLDDT
+2 local pLDDT pLDDT
+#
+loop_
+_ma_qa_metric_local.label_asym_id
+_ma_qa_metric_local.label_seq_id
+_ma_qa_metric_local.metric_id
+_ma_qa_metric_local.metric_value
+A 1 2 92.50
+A 2 2 48.00
+#
+`;
+
+        test('should use author numbering and take pLDDT from the metric table', () => {
+            const structure = Structure.fromCif(cifData);
+
+            expect(structure.format).toBe('cif');
+            expect(structure.getResidues().map(residue => residue.residueNumber)).toEqual([11, 12, 13]);
+            expect(structure.getResidue('A', 11).plddt).toBe(92.5);
+            expect(structure.getResidue('A', 12).plddt).toBe(48);
+            // Falls back to the B-factor when the metric table has no value
+            expect(structure.getResidue('A', 13).plddt).toBe(30);
+        });
+
+        test('should assign secondary structure from _struct_conf', () => {
+            const structure = Structure.fromCif(cifData);
+
+            expect(structure.getResidues().map(residue => residue.secondaryStructure))
+                .toEqual(['helix', 'helix', 'coil']);
+        });
+    });
+
+    describe('fromModelAtoms', () => {
+        test('should build residues from 3Dmol atoms', () => {
+            const structure = Structure.fromModelAtoms([
+                { resi: 1, resn: 'VAL', chain: 'A', atom: 'N', elem: 'N', x: 0, y: 0, z: 0, b: 91, ss: 'h' },
+                { resi: 1, resn: 'VAL', chain: 'A', atom: 'CA', elem: 'C', x: 1.5, y: 0, z: 0, b: 91, ss: 'h' },
+                { resi: 2, resn: 'HOH', chain: 'A', atom: 'O', elem: 'O', x: 9, y: 0, z: 0, b: 40, hetflag: true }
+            ]);
+
+            expect(structure.format).toBe('bcif');
+            expect(structure.getResidue('A', 1)).toMatchObject({
+                residueName: 'VAL', secondaryStructure: 'helix', plddt: 91, sequenceIndex: 0
+            });
+            expect(structure.getResidue('A', 2)).toMatchObject({ hetero: true, secondaryStructure: 'coil' });
+        });
+    });
+
+    describe('lookups', () => {
+        test('should find residues by number with or without a chain', () => {
+            const structure = Structure.fromPdb(pdbData);
+
+            expect(structure.findResidue(4).residueName).toBe('ALA');
+            expect(structure.findResidue(4, 'B')).toBeNull();
+            expect(structure.getResidue('A', 4, 'A')).toBeNull();
+        });
+
+        test('should list polymer residues with a CA within the radius', () => {
+            const structure = Structure.fromPdb(pdbData);
+
+            const neighbors = structure.getNeighborResidues(structure.getResidue('A', 3), 4);
+
+            expect(neighbors.map(residue => residue.residueNumber)).toEqual([2, 4]);
+        });
+
+        test('should measure CA distances between residues', () => {
+            const structure = Structure.fromPdb(pdbData);
+
+            expect(structure.getResidueDistance(structure.getResidue('A', 4), structure.getResidue('A', 5))).toBeCloseTo(3.81, 2);
+            expect(structure.getResidueDistance(structure.getResidue('A', 1), structure.getResidue('A', 2), 'N')).toBeNull();
+        });
+
+        test('should refuse formats it cannot read as text', () => {
+            expect(() => Structure.parse('data', 'bcif')).toThrow('Cannot read bcif structure files as text');
+        });
+    });
+
+    describe('geometry', () => {
+        // Flat zigzag backbone: a fully extended chain, so every backbone dihedral is 180°
+        const zigzag = index => [index * 1.2, (index % 2) * 0.8, 0];
+        const backbone = [];
+        ['MET', 'GLY', 'SER'].forEach((residueName, index) => {
+            ['N', 'CA', 'C'].forEach((name, offset) => {
+                const serial = index * 3 + offset;
+                backbone.push(atomLine('ATOM', serial + 1, name, residueName, 'A', index + 1, zigzag(serial), 90.0, name[0]));
+            });
+        });
+        backbone.push(atomLine('HETATM', 10, 'O', 'HOH', 'A', 301, [50.0, 50.0, 50.0], 20.0, 'O'));
+        const extended = Structure.fromPdb(backbone.join('\n'));
+
+        test('should measure backbone dihedrals from the neighboring residues', () => {
+            const first = extended.getResidue('A', 1);
+            const middle = extended.getResidue('A', 2);
+            const dihedrals = extended.getBackboneDihedrals(middle);
+
+            expect(extended.getAdjacentResidues(middle)).toEqual({ previous: first, next: extended.getResidue('A', 3) });
+            expect(Math.abs(dihedrals.phi)).toBeCloseTo(180);
+            expect(Math.abs(dihedrals.psi)).toBeCloseTo(180);
+            expect(Math.abs(dihedrals.omega)).toBeCloseTo(180);
+            expect(extended.getBackboneDihedrals(first).phi).toBeNull();
+            expect(extended.getBackboneDihedrals(extended.getResidue('A', 301))).toEqual({ phi: null, psi: null, omega: null });
+        });
+
+        test('should describe the size of the polymer without ligands and water', () => {
+            const box = extended.getBoundingBox();
+
+            expect(box.min).toEqual({ x: 0, y: 0, z: 0 });
+            expect(box.max).toEqual({ x: 9.6, y: 0.8, z: 0 });
+            expect(extended.getCenterOfMass().x).toBeLessThan(9.6);
+            expect(extended.getRadiusOfGyration()).toBeGreaterThan(0);
+            expect(extended.getRadiusOfGyration(extended.getResidues())).toBeGreaterThan(extended.getRadiusOfGyration());
+        });
+    });
+});
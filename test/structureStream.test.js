@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the streaming structure parser
+ */
+
+const { parsePdbAtomRecord } = require('../js/utils/pdbParser.js');
+const {
+    createStructureStreamParser,
+    formatCaTracePdb
+} = require('../js/utils/structureStream.js');
+
+const pdbData = [
+    'HEADER    OXYGEN TRANSPORT                        01-JUL-21',
+    'ATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 91.99           N',
+    'ATOM      2  CA  VAL A   1      -8.608   3.135  -1.618  1.00 91.99           C',
+    'ATOM      3  N   LEU A   2      -6.242   2.600  -1.227  1.00 95.50           N',
+    'ATOM      4  CA  LEU A   2      -5.061   1.951  -1.779  1.00 95.50           C',
+    'ATOM      5  N   SER A   3      -3.000   1.000  -1.000  1.00 45.00           N',
+    'ATOM      6  CA  SER A   3      -2.000   0.500  -0.500  1.00 45.00           C',
+    'TER       7      SER A   3',
+    'END'
+].join('\n');
+
+const cifData = `data_AF-P69905-F1
+#
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.B_iso_or_equiv
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+_atom_site.pdbx_PDB_model_num
+ATOM 1 N N VAL A 1 -8.901 4.127 -0.555 91.99 1 A 1
+ATOM 2 C CA VAL A 1 -8.608 3.135 -1.618 91.99 1 A 1
+ATOM 3 C CA LEU A 2 -5.061 1.951 -1.779 95.50 2 A 1
+ATOM 4 C CA VAL A 1 0.000 0.000 0.000 10.00 1 A 2
+#
+`;
+
+// Feed text in fixed-size pieces, splitting lines across chunks
+const streamInChunks = (parser, text, size) => {
+    for (let i = 0; i < text.length; i += size) {
+        parser.push(text.substring(i, i + size));
+    }
+    parser.end();
+};
+
+describe('createStructureStreamParser', () => {
+    test('should report PDB residues once they are complete', () => {
+        const onResidues = jest.fn();
+        const parser = createStructureStreamParser('pdb', onResidues);
+        const lines = pdbData.split('\n');
+
+        // The first residue is only complete once the second one starts
+        parser.push(lines.slice(0, 3).join('\n') + '\n');
+        expect(onResidues).not.toHaveBeenCalled();
+
+        parser.push(lines.slice(3).join('\n'));
+        parser.end();
+
+        const residues = onResidues.mock.calls.flatMap(([batch]) => batch);
+        expect(residues.map(residue => residue.residueName)).toEqual(['VAL', 'LEU', 'SER']);
+        expect(residues[0].atoms.map(atom => atom.name)).toEqual(['N', 'CA']);
+        expect(parser.getResidueCount()).toBe(3);
+    });
+
+    test('should join lines split across chunks', () => {
+        const onResidues = jest.fn();
+        const parser = createStructureStreamParser('pdb', onResidues);
+
+        streamInChunks(parser, pdbData, 7);
+
+        const residues = onResidues.mock.calls.flatMap(([batch]) => batch);
+        expect(residues).toHaveLength(3);
+        expect(residues[2].atoms[1]).toMatchObject({ name: 'CA', x: -2, y: 0.5, z: -0.5, bFactor: 45 });
+    });
+
+    test('should read only the first model of multi-model files', () => {
+        const onResidues = jest.fn();
+        const parser = createStructureStreamParser('pdb', onResidues);
+        const atom = 'ATOM      2  CA  VAL A   1      -8.608   3.135  -1.618  1.00 91.99           C';
+
+        parser.push(`MODEL        1\n${atom}\nENDMDL\nMODEL        2\n${atom}\nENDMDL\n`);
+        parser.end();
+
+        expect(parser.getResidueCount()).toBe(1);
+    });
+
+    test('should skip records that are not complete atoms', () => {
+        const onResidues = jest.fn();
+        const parser = createStructureStreamParser('pdb', onResidues);
+
+        parser.push([
+            'HEADER    OXYGEN TRANSPORT',
+            'ATOM      1  N   VAL A   1      -8.608',
+            'ATOM      2  CA  VAL A   1      -8.608   3.135  -1.618',
+            'ATOM      3  CA  LEU A   X      -8.608   3.135  -1.618  1.00 91.99           C'
+        ].join('\n'));
+        parser.end();
+
+        const residues = onResidues.mock.calls.flatMap(([batch]) => batch);
+        expect(residues).toHaveLength(1);
+        expect(residues[0].atoms).toEqual([{ name: 'CA', element: 'C', x: -8.608, y: 3.135, z: -1.618, bFactor: null }]);
+        expect(formatCaTracePdb(residues)).toContain('  1.00  0.00');
+    });
+
+    test('should read mmCIF atom_site rows', () => {
+        const onResidues = jest.fn();
+        const parser = createStructureStreamParser('cif', onResidues);
+
+        streamInChunks(parser, cifData, 50);
+
+        const residues = onResidues.mock.calls.flatMap(([batch]) => batch);
+        expect(residues).toHaveLength(2);
+        expect(residues[0]).toMatchObject({ chainId: 'A', residueNumber: 1, residueName: 'VAL' });
+        expect(residues[1].atoms[0]).toMatchObject({ name: 'CA', element: 'C', bFactor: 95.5 });
+    });
+});
+
+describe('formatCaTracePdb', () => {
+    test('should write CA atoms as fixed-column PDB records', () => {
+        const residues = [
+            { chainId: 'A', residueNumber: 1, insertionCode: '', residueName: 'VAL', atoms: [{ name: 'N', x: 0, y: 0, z: 0 }, { name: 'CA', x: -8.608, y: 3.135, z: -1.618, bFactor: 91.99 }] },
+            { chainId: 'A', residueNumber: 2, insertionCode: '', residueName: 'HOH', atoms: [{ name: 'O', x: 0, y: 0, z: 0 }] }
+        ];
+
+        const pdb = formatCaTracePdb(residues);
+
+        expect(pdb.split('\n')).toHaveLength(1);
+        expect(parsePdbAtomRecord(pdb).atom).toMatchObject({
+            name: 'CA',
+            residueName: 'VAL',
+            chainId: 'A',
+            residueNumber: 1,
+            x: -8.608,
+            y: 3.135,
+            z: -1.618,
+            bFactor: 91.99
+        });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for UniProt feature utility functions
+ */
+
+const {
+    getFeatureCategory,
+    describeEvidence,
+    normalizeUniProtFeature,
+    normalizeUniProtFeatures,
+    normalizeUniProtVariants,
+    normalizePdbCrossReferences
+} = require('../js/utils/uniprotFeatures.js');
+
+const feature = (type, start, end, extra = {}) => ({
+    type,
+    location: { start: { value: start, modifier: 'EXACT' }, end: { value: end, modifier: 'EXACT' } },
+    ...extra
+});
+
+describe('getFeatureCategory', () => {
+    test('should group feature types into panel categories', () => {
+        expect(getFeatureCategory('Domain')).toBe('domains');
+        expect(getFeatureCategory('Binding site')).toBe('sites');
+        expect(getFeatureCategory('Modified residue')).toBe('ptms');
+        expect(getFeatureCategory('Transmembrane')).toBe('topology');
+        expect(getFeatureCategory('Chain')).toBeNull();
+    });
+});
+
+describe('describeEvidence', () => {
+    test('should label evidence codes and keep their references', () => {
+        expect(describeEvidence([
+            { evidenceCode: 'ECO:0000269', source: 'PubMed', id: '12345' },
+            { evidenceCode: 'ECO:0009999' }
+        ])).toEqual([
+            { code: 'ECO:0000269', label: 'Experimental evidence', reference: 'PubMed:12345' },
+            { code: 'ECO:0009999', label: 'ECO:0009999', reference: null }
+        ]);
+        expect(describeEvidence(undefined)).toEqual([]);
+    });
+});
+
+describe('normalizeUniProtFeature', () => {
+    test('should convert a feature to a residue range with evidence text', () => {
+        const result = normalizeUniProtFeature(feature('Active site', 64, 64, {
+            description: 'Proton acceptor',
+            evidences: [
+                { evidenceCode: 'ECO:0000269', source: 'PubMed', id: '1' },
+                { evidenceCode: 'ECO:0000269', source: 'PubMed', id: '2' },
+                { evidenceCode: 'ECO:0000250' }
+            ]
+        }));
+
+        expect(result).toMatchObject({
+            type: 'Active site',
+            category: 'sites',
+            description: 'Proton acceptor',
+            start: 64,
+            end: 64,
+            positions: null,
+            evidenceText: 'Experimental evidence (PubMed:1, PubMed:2); By similarity'
+        });
+    });
+
+    test('should describe binding sites by their ligand', () => {
+        const result = normalizeUniProtFeature(feature('Binding site', 93, 93, { ligand: { name: 'heme b' } }));
+
+        expect(result.description).toBe('Binds heme b');
+    });
+
+    test('should mark only the linked residues of a disulfide bond', () => {
+        expect(normalizeUniProtFeature(feature('Disulfide bond', 42, 87)).positions).toEqual([42, 87]);
+    });
+
+    test('should skip unshown types and unknown positions', () => {
+        expect(normalizeUniProtFeature(feature('Chain', 1, 142))).toBeNull();
+        expect(normalizeUniProtFeature(feature('Domain', null, 100))).toBeNull();
+        expect(normalizeUniProtFeature({ type: 'Domain' })).toBeNull();
+    });
+});
+
+describe('normalizeUniProtFeatures', () => {
+    test('should order features by position and drop the rest', () => {
+        const result = normalizeUniProtFeatures([
+            feature('Modified residue', 50, 50),
+            feature('Chain', 1, 142),
+            feature('Domain', 2, 142)
+        ]);
+
+        expect(result.map(item => item.type)).toEqual(['Domain', 'Modified residue']);
+        expect(normalizeUniProtFeatures(undefined)).toEqual([]);
+    });
+});
+
+describe('normalizeUniProtVariants', () => {
+    const comments = [
+        {
+            commentType: 'DISEASE',
+            disease: {
+                diseaseId: 'Sickle cell anemia',
+                diseaseAccession: 'DI-02281',
+                acronym: 'SKCA',
+                description: 'An autosomal recessive hemoglobinopathy.'
+            }
+        },
+        { commentType: 'FUNCTION', texts: [{ value: 'Oxygen transport' }] }
+    ];
+
+    const variant = (start, end, original, alternatives, description) => ({
+        type: 'Natural variant',
+        featureId: `VAR_${start}`,
+        location: { start: { value: start }, end: { value: end } },
+        description,
+        alternativeSequence: { originalSequence: original, alternativeSequences: alternatives }
+    });
+
+    test('should read the residue change, disease and dbSNP reference', () => {
+        const [result] = normalizeUniProtVariants([
+            variant(7, 7, 'E', ['V'], 'in SKCA; Hb S; dbSNP:rs334')
+        ], comments);
+
+        expect(result).toMatchObject({
+            id: 'VAR_7',
+            label: 'E7V',
+            start: 7,
+            original: 'E',
+            variant: 'V',
+            notes: ['in SKCA', 'Hb S'],
+            dbSnp: 'rs334'
+        });
+        expect(result.diseases).toEqual([{
+            id: 'DI-02281',
+            name: 'Sickle cell anemia',
+            acronym: 'SKCA',
+            description: 'An autosomal recessive hemoglobinopathy.'
+        }]);
+    });
+
+    test('should only link diseases cited by their acronym', () => {
+        const [result] = normalizeUniProtVariants([variant(27, 27, 'E', ['K'], 'in Hb E; SKCAX carrier')], comments);
+
+        expect(result.diseases).toEqual([]);
+    });
+
+    test('should describe deletions and skip other feature types', () => {
+        const result = normalizeUniProtVariants([
+            { type: 'Domain', location: { start: { value: 2 }, end: { value: 142 } } },
+            variant(91, 92, 'LH', [], 'in Hb Gun Hill')
+        ], comments);
+
+        expect(result).toHaveLength(1);
+        expect(result[0].label).toBe('LH91-92del');
+    });
+});
+
+describe('normalizePdbCrossReferences', () => {
+    const xref = (id, method, resolution, chains) => ({
+        database: 'PDB',
+        id,
+        properties: [
+            { key: 'Method', value: method },
+            { key: 'Resolution', value: resolution },
+            { key: 'Chains', value: chains }
+        ]
+    });
+
+    test('should read method, resolution and covered chains', () => {
+        const [entry] = normalizePdbCrossReferences([xref('2dn2', 'X-ray', '1.25 A', 'A/C=2-142, B=1-146')]);
+
+        expect(entry).toEqual({
+            pdbId: '2DN2',
+            method: 'X-ray',
+            resolution: 1.25,
+            chains: ['A', 'C', 'B'],
+            ranges: [
+                { chains: ['A', 'C'], start: 2, end: 142 },
+                { chains: ['B'], start: 1, end: 146 }
+            ],
+            coverage: { start: 1, end: 146 }
+        });
+    });
+
+    test('should list the best resolution first and entries without one last', () => {
+        const entries = normalizePdbCrossReferences([
+            xref('1A00', 'NMR', '-', 'A=1-142'),
+            xref('1BZ0', 'X-ray', '1.50 A', 'A=1-141'),
+            { database: 'EMDB', id: 'EMD-1234', properties: [] },
+            xref('6XYZ', 'EM', '3.20 A', 'A=1-142'),
+            xref('1A3N', 'X-ray', '1.80 A', 'A=1-141')
+        ]);
+
+        expect(entries.map(entry => entry.pdbId)).toEqual(['1BZ0', '1A3N', '6XYZ', '1A00']);
+        expect(entries[3].resolution).toBeNull();
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for VariantComponent
+ */
+
+const VariantComponent = require('../js/components/VariantComponent.js');
+
+describe('VariantComponent', () => {
+    let variantComponent;
+    let mockApiService;
+    let mockVisualizer;
+    let container;
+
+    const sickleCell = {
+        id: 'VAR_002863', label: 'E7V', start: 7, end: 7, original: 'E', variant: 'V',
+        description: 'in SKCA; Hb S; dbSNP:rs334', notes: ['in SKCA', 'Hb S'], dbSnp: 'rs334',
+        diseases: [{ id: 'DI-02281', name: 'Sickle cell anemia', acronym: 'SKCA', description: 'A hemoglobinopathy.' }],
+        evidence: [], evidenceText: 'Experimental evidence (PubMed:123)'
+    };
+    const hbC = {
+        id: 'VAR_002864', label: 'E7K', start: 7, end: 7, original: 'E', variant: 'K',
+        description: 'in Hb C', notes: ['in Hb C'], dbSnp: null, diseases: [], evidence: [], evidenceText: ''
+    };
+    const hbE = {
+        id: 'VAR_002882', label: 'E27K', start: 27, end: 27, original: 'E', variant: 'K',
+        description: 'in Hb E', notes: ['in Hb E'], dbSnp: null, diseases: [], evidence: [], evidenceText: ''
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="variant-panel" style="display: none;"></div>';
+        container = document.getElementById('variant-panel');
+
+        mockApiService = {
+            getProteinVariants: jest.fn().mockResolvedValue([sickleCell, hbC, hbE])
+        };
+        mockVisualizer = {
+            addResidueMarker: jest.fn((residueNumber, color, onClick) => ({ residueNumber, color, onClick })),
+            removeResidueMarker: jest.fn(),
+            mapSequencePosition: jest.fn(position => ({ chainId: 'A', residueNumber: position })),
+            getResidueData: jest.fn(residueNumber => ({
+                residueNumber, residueName: 'GLU', chainId: 'A', confidenceScore: 97.4, confidenceLevel: 'very-high'
+            })),
+            getResidueBurial: jest.fn(() => ({ buried: false, neighborCount: 9 })),
+            getConfidenceLevelText: jest.fn(() => 'Very High'),
+            hideResidueDetails: jest.fn()
+        };
+
+        variantComponent = new VariantComponent(mockApiService, mockVisualizer);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    test('should list variants and mark one position per marker', async () => {
+        await variantComponent.loadVariants('P68871');
+
+        expect(mockApiService.getProteinVariants).toHaveBeenCalledWith('P68871', null, null);
+        expect(container.querySelectorAll('.variant-item')).toHaveLength(3);
+        expect(container.textContent).toContain('3 variants from UniProt, 1 linked to disease');
+        expect(mockVisualizer.addResidueMarker).toHaveBeenCalledTimes(2);
+        expect(mockVisualizer.addResidueMarker).toHaveBeenCalledWith(7, '#C0392B', expect.any(Function), 'A');
+        expect(mockVisualizer.addResidueMarker).toHaveBeenCalledWith(27, '#2980B9', expect.any(Function), 'A');
+    });
+
+    test('should show variant, disease, pLDDT and burial when a marker is clicked', async () => {
+        await variantComponent.loadVariants('P68871');
+
+        variantComponent.markers[0].onClick();
+
+        const popup = document.getElementById('residue-details-popup');
+        expect(popup).not.toBeNull();
+        expect(popup.textContent).toContain('E7V');
+        expect(popup.textContent).toContain('E7K');
+        expect(popup.textContent).toContain('Sickle cell anemia');
+        expect(popup.textContent).toContain('97.4%');
+        expect(popup.textContent).toContain('Exposed (9 residues within 10 Å)');
+        expect(mockVisualizer.getResidueData).toHaveBeenCalledWith(7, 'A');
+        expect(mockVisualizer.getResidueBurial).toHaveBeenCalledWith(7, 'A');
+    });
+
+    test('should stop listening for Escape once the popup is closed with its button', async () => {
+        await variantComponent.loadVariants('P68871');
+        const addListener = jest.spyOn(document, 'addEventListener');
+        const removeListener = jest.spyOn(document, 'removeEventListener');
+
+        variantComponent.markers[0].onClick();
+        document.querySelector('#residue-details-popup .popup-close').click();
+
+        const escapeHandler = addListener.mock.calls.find(([type]) => type === 'keydown')[1];
+        expect(document.getElementById('residue-details-popup')).toBeNull();
+        expect(removeListener).toHaveBeenCalledWith('keydown', escapeHandler);
+        addListener.mockRestore();
+        removeListener.mockRestore();
+    });
+
+    test('should hide and redraw markers with the marker switch', async () => {
+        await variantComponent.loadVariants('P68871');
+        const toggle = container.querySelector('.variant-markers-toggle');
+
+        toggle.checked = false;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(mockVisualizer.removeResidueMarker).toHaveBeenCalledTimes(2);
+        expect(variantComponent.markers).toEqual([]);
+
+        toggle.checked = true;
+        toggle.dispatchEvent(new Event('change'));
+
+        expect(variantComponent.markers).toHaveLength(2);
+    });
+
+    test('should not mark variants outside the displayed fragment', async () => {
+        mockVisualizer.mapSequencePosition.mockImplementation(position =>
+            position >= 20 ? { chainId: 'A', residueNumber: position - 19 } : null);
+
+        await variantComponent.loadVariants('P68871');
+
+        expect(mockVisualizer.addResidueMarker).toHaveBeenCalledTimes(1);
+        expect(mockVisualizer.addResidueMarker).toHaveBeenCalledWith(8, '#2980B9', expect.any(Function), 'A');
+        expect(container.querySelectorAll('.variant-outside')).toHaveLength(2);
+    });
+
+    test('should explain when variants cannot be loaded', async () => {
+        mockApiService.getProteinVariants.mockRejectedValue(new Error('Service unavailable'));
+
+        await variantComponent.loadVariants('P68871');
+
+        expect(container.textContent).toContain('Natural variants are not available: Service unavailable');
+        expect(mockVisualizer.addResidueMarker).not.toHaveBeenCalled();
+    });
+
+    test('should remove markers when hidden', async () => {
+        await variantComponent.loadVariants('P68871');
+
+        variantComponent.hide();
+
+        expect(mockVisualizer.removeResidueMarker).toHaveBeenCalledTimes(2);
+        expect(container.style.display).toBe('none');
+    });
+});
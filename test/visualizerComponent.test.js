@@ -61,6 +61,7 @@ describe('VisualizerComponent', () => {
         
         // Create mock API service
         mockApiService = {
+            getAlphaFoldPrediction: jest.fn(),
             fetchAlphaFoldStructure: jest.fn()
         };
         
@@ -132,7 +133,16 @@ describe('VisualizerComponent', () => {
         const testUniprotId = 'P69905';
         const mockPdbData = 'HEADER    OXYGEN STORAGE/TRANSPORT           22-MAY-96   1HHO\nATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N';
 
+        const mockPrediction = {
+            entryId: 'AF-P69905-F1',
+            modelVersion: 4,
+            modelCreatedDate: '2022-06-01T00:00:00Z',
+            coverage: { start: 1, end: 142, sequenceLength: 142, percent: 100 },
+            files: { pdb: 'https://alphafold.ebi.ac.uk/files/AF-P69905-F1-model_v4.pdb', cif: null, pae: null }
+        };
+
         test('should load structure successfully', async () => {
+            mockApiService.getAlphaFoldPrediction.mockResolvedValue(mockPrediction);
             mockApiService.fetchAlphaFoldStructure.mockResolvedValue(mockPdbData);
             
             // Mock the methods that will be called
@@ -144,15 +154,17 @@ describe('VisualizerComponent', () => {
             
             expect(visualizerComponent.showLoadingState).toHaveBeenCalled();
             expect(visualizerComponent.initializeViewer).toHaveBeenCalled();
-            expect(mockApiService.fetchAlphaFoldStructure).toHaveBeenCalledWith(testUniprotId, expect.any(Function));
+            expect(mockApiService.getAlphaFoldPrediction).toHaveBeenCalledWith(testUniprotId, expect.any(Function), null);
+            expect(mockApiService.fetchAlphaFoldStructure).toHaveBeenCalledWith(testUniprotId, expect.any(Function), mockPrediction, null, null);
             expect(visualizerComponent.renderStructure).toHaveBeenCalledWith(mockPdbData);
             expect(visualizerComponent.currentProtein).toBe(testUniprotId);
+            expect(visualizerComponent.modelInfo).toBe(mockPrediction);
             expect(visualizerComponent.visualizationSection.style.display).toBe('block');
         });
 
         test('should handle API errors gracefully', async () => {
             const errorMessage = 'No AlphaFold structure available';
-            mockApiService.fetchAlphaFoldStructure.mockRejectedValue(new Error(errorMessage));
+            mockApiService.getAlphaFoldPrediction.mockRejectedValue(new Error(errorMessage));
             
             visualizerComponent.showLoadingState = jest.fn();
             visualizerComponent.initializeViewer = jest.fn().mockResolvedValue();
@@ -163,6 +175,22 @@ describe('VisualizerComponent', () => {
             expect(visualizerComponent.showDetailedError).toHaveBeenCalledWith(expect.any(Error), testUniprotId);
         });
 
+        test('should not show an error for a cancelled load', async () => {
+            const cancelledError = new Error('Request cancelled');
+            cancelledError.cancelled = true;
+            const signal = { aborted: true };
+            mockApiService.getAlphaFoldPrediction.mockRejectedValue(cancelledError);
+            visualizerComponent.showLoadingState = jest.fn();
+            visualizerComponent.initializeViewer = jest.fn().mockResolvedValue();
+            visualizerComponent.showDetailedError = jest.fn();
+
+            await visualizerComponent.loadStructure(testUniprotId, signal);
+
+            expect(mockApiService.getAlphaFoldPrediction).toHaveBeenCalledWith(testUniprotId, expect.any(Function), signal);
+            expect(visualizerComponent.showDetailedError).not.toHaveBeenCalled();
+            expect(visualizerComponent.currentProtein).toBeNull();
+        });
+
         test('should handle initialization errors', async () => {
             const errorMessage = '3Dmol.js library not loaded';
             visualizerComponent.showLoadingState = jest.fn();
@@ -175,6 +203,78 @@ describe('VisualizerComponent', () => {
         });
     });
 
+    describe('progressive rendering', () => {
+        const residue = (residueNumber, bFactor) => ({
+            chainId: 'A',
+            residueNumber,
+            insertionCode: '',
+            residueName: 'ALA',
+            atoms: [{ name: 'CA', element: 'C', x: residueNumber * 3.8, y: 0, z: 0, bFactor }]
+        });
+
+        let traceModel;
+
+        beforeEach(() => {
+            traceModel = { addMolData: jest.fn() };
+            mockViewer.addModel = jest.fn(() => traceModel);
+            visualizerComponent.viewer = mockViewer;
+        });
+
+        test('should draw a growing CA trace as residues arrive', () => {
+            visualizerComponent.renderPartialStructure([residue(1, 95), residue(2, 40)]);
+            visualizerComponent.renderPartialStructure([residue(3, 80)]);
+
+            expect(mockViewer.clear).toHaveBeenCalledTimes(1);
+            expect(mockViewer.addModel).toHaveBeenCalledTimes(1);
+            expect(mockViewer.addModel.mock.calls[0][0].split('\n')).toHaveLength(2);
+            expect(traceModel.addMolData).toHaveBeenCalledWith(expect.stringContaining('ALA A   3'), 'pdb');
+            expect(traceModel.addMolData.mock.calls[0][0].split('\n')).toHaveLength(1);
+
+            const style = mockViewer.setStyle.mock.calls[0][1].cartoon;
+            expect(style.style).toBe('trace');
+            expect(style.colorfunc({ b: 95 })).toBe('#0053D6');
+            expect(mockViewer.setStyle).toHaveBeenCalledTimes(2);
+            expect(mockViewer.render).toHaveBeenCalledTimes(2);
+        });
+
+        test('should frame the trace only once while it grows', () => {
+            visualizerComponent.renderPartialStructure([residue(1, 95)]);
+            visualizerComponent.renderPartialStructure([residue(2, 40)]);
+            visualizerComponent.renderPartialStructure([residue(3, 80)]);
+
+            expect(mockViewer.zoomTo).toHaveBeenCalledTimes(1);
+        });
+
+        test('should route streamed residues from the download to the trace', async () => {
+            mockApiService.getAlphaFoldPrediction.mockResolvedValue({ entryId: 'AF-P69905-F1', modelVersion: 4, files: {} });
+            mockApiService.fetchAlphaFoldStructure.mockImplementation(async (id, progressCallback) => {
+                progressCallback({ type: 'structure_partial', residues: [residue(1, 95)], residueCount: 1, message: 'Received 1 residues...' });
+                return 'ATOM';
+            });
+            visualizerComponent.showLoadingState = jest.fn();
+            visualizerComponent.initializeViewer = jest.fn().mockResolvedValue();
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderPartialStructure = jest.fn();
+
+            await visualizerComponent.loadStructure('P69905');
+
+            expect(visualizerComponent.renderPartialStructure).toHaveBeenCalledWith([residue(1, 95)]);
+            expect(visualizerComponent.renderStructure).toHaveBeenCalledWith('ATOM');
+        });
+
+        test('should replace the trace with the full structure', () => {
+            visualizerComponent.renderPartialStructure([residue(1, 95)]);
+            visualizerComponent.applyConfidenceColoring = jest.fn();
+            visualizerComponent.setupCameraControls = jest.fn();
+            visualizerComponent.showConfidenceLegend = jest.fn();
+
+            visualizerComponent.renderStructure('ATOM      1  CA  ALA A   1       3.800   0.000   0.000  1.00 95.00           C');
+
+            expect(visualizerComponent.partialTrace).toBeNull();
+            expect(mockViewer.clear).toHaveBeenCalledTimes(2);
+        });
+    });
+
     describe('renderStructure', () => {
         const mockPdbData = 'HEADER    OXYGEN STORAGE/TRANSPORT           22-MAY-96   1HHO\nATOM      1  N   VAL A   1      -8.901   4.127  -0.555  1.00 11.99           N';
 
@@ -208,15 +308,15 @@ describe('VisualizerComponent', () => {
                 .toThrow('3Dmol viewer not initialized');
         });
 
-        test('should throw error for invalid PDB data', () => {
+        test('should throw error for invalid structure data', () => {
             expect(() => visualizerComponent.renderStructure(null))
-                .toThrow('Invalid PDB data provided');
+                .toThrow('Invalid structure data provided');
             
             expect(() => visualizerComponent.renderStructure(''))
-                .toThrow('Invalid PDB data provided');
+                .toThrow('Invalid structure data provided');
             
             expect(() => visualizerComponent.renderStructure(123))
-                .toThrow('Invalid PDB data provided');
+                .toThrow('Invalid structure data provided');
         });
 
         test('should handle rendering errors', () => {
@@ -227,6 +327,75 @@ describe('VisualizerComponent', () => {
             expect(() => visualizerComponent.renderStructure(mockPdbData))
                 .toThrow('Failed to render protein structure: Invalid PDB format');
         });
+
+        test('should render mmCIF and read pLDDT from the metric table', () => {
+            const cifData = `data_AF-P69905-F1
+loop_
+_atom_site.group_PDB
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.B_iso_or_equiv
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+ATOM CA VAL A 1 -8.608 14.231 2.117 92.50 1 A
+ATOM CA LEU A 2 -6.603 11.140 3.385 48.00 2 A
+#
+loop_
+_ma_qa_metric.id
+_ma_qa_metric.mode
+_ma_qa_metric.name
+_ma_qa_metric.type
+1 global pLDDT pLDDT
+2 local pLDDT pLDDT
+#
+loop_
+_ma_qa_metric_local.label_asym_id
+_ma_qa_metric_local.label_comp_id
+_ma_qa_metric_local.label_seq_id
+_ma_qa_metric_local.metric_id
+_ma_qa_metric_local.metric_value
+A VAL 1 2 92.50
+A LEU 2 2 48.00
+#
+`;
+
+            visualizerComponent.renderStructure(cifData);
+
+            expect(mockViewer.addModel).toHaveBeenCalledWith(cifData, 'cif');
+            expect(visualizerComponent.structureFormat).toBe('cif');
+            expect(visualizerComponent.confidenceData).toEqual([
+                expect.objectContaining({ residueNumber: 1, residueName: 'VAL', confidenceScore: 92.5, confidenceLevel: 'very_high' }),
+                expect.objectContaining({ residueNumber: 2, residueName: 'LEU', confidenceScore: 48, confidenceLevel: 'very_low' })
+            ]);
+            expect(visualizerComponent.confidenceStatistics.totalResidues).toBe(2);
+        });
+
+        test('should render BinaryCIF and read pLDDT from the loaded model', () => {
+            const bcifData = new Uint8Array([0x82, 0xa7, ...Buffer.from('encoder'), 0xa3, ...Buffer.from('mol'), 0xaa, ...Buffer.from('dataBlocks'), 0x90]);
+            mockViewer.selectedAtoms = jest.fn(() => [
+                { resi: 1, resn: 'VAL', chain: 'A', atom: 'N', x: 0, y: 0, z: 0, b: 91 },
+                { resi: 1, resn: 'VAL', chain: 'A', atom: 'CA', x: 1.5, y: 0, z: 0, b: 91 },
+                { resi: 2, resn: 'LEU', chain: 'A', atom: 'CA', x: 5.3, y: 0, z: 0, b: 65 }
+            ]);
+
+            visualizerComponent.renderStructure(bcifData);
+
+            expect(mockViewer.addModel).toHaveBeenCalledWith(bcifData, 'bcif');
+            expect(mockViewer.selectedAtoms).toHaveBeenCalledWith({});
+            expect(visualizerComponent.structure.getResidue('A', 1).atoms).toHaveLength(2);
+            expect(visualizerComponent.confidenceData.map(residue => residue.confidenceLevel))
+                .toEqual(['very_high', 'low']);
+        });
+
+        test('should reject text that is neither PDB nor mmCIF', () => {
+            expect(() => visualizerComponent.renderStructure('Invalid content'))
+                .toThrow('Invalid structure file format - missing atom records');
+        });
     });
 
     describe('updateVisualizationStyle', () => {
@@ -331,6 +500,122 @@ describe('VisualizerComponent', () => {
             expect(visualizerComponent.legendContainer.innerHTML).toContain('Low (50-70)');
             expect(visualizerComponent.legendContainer.innerHTML).toContain('Very Low (0-50)');
         });
+
+        test('should show model provenance when known', () => {
+            visualizerComponent.modelInfo = {
+                entryId: 'AF-P69905-F1',
+                modelVersion: 4,
+                modelCreatedDate: '2022-06-01T00:00:00Z',
+                coverage: { start: 1, end: 142, sequenceLength: 142, percent: 100 },
+                files: { pdb: 'https://example.org/model.pdb', cif: 'https://example.org/model.cif', pae: null }
+            };
+
+            visualizerComponent.showConfidenceLegend();
+            
+            const html = visualizerComponent.legendContainer.innerHTML;
+            expect(html).toContain('AF-P69905-F1 (version 4)');
+            expect(html).toContain('Residues 1-142 of 142 (100%)');
+            expect(html).toContain('https://example.org/model.cif');
+        });
+    });
+
+    describe('fragments', () => {
+        const makeFragment = (number, start, end) => ({
+            entryId: `AF-Q8WZ42-F${number}`,
+            fragmentNumber: number,
+            modelVersion: 4,
+            coverage: { start, end, sequenceLength: 3000, percent: 46.7 },
+            files: { pdb: `https://example.org/AF-Q8WZ42-F${number}-model_v4.pdb` }
+        });
+
+        beforeEach(() => {
+            const fragments = [makeFragment(1, 1, 1400), makeFragment(2, 201, 1600)];
+            visualizerComponent.modelInfo = { ...fragments[0], fragments };
+            visualizerComponent.currentFragment = fragments[1];
+            visualizerComponent.confidenceData = [{ residueNumber: 1, chainId: 'A', confidenceScore: 90 }];
+        });
+
+        test('should detect split models', () => {
+            expect(visualizerComponent.hasMultipleFragments()).toBe(true);
+            
+            visualizerComponent.modelInfo = { fragments: [makeFragment(1, 1, 1400)] };
+            expect(visualizerComponent.hasMultipleFragments()).toBe(false);
+        });
+
+        test('should map fragment residue numbers onto the full sequence', () => {
+            expect(visualizerComponent.getSequencePosition(1)).toBe(201);
+            expect(visualizerComponent.getSequencePosition(10)).toBe(210);
+        });
+
+        test('should map sequence positions back to fragment residue numbers', () => {
+            expect(visualizerComponent.getResidueNumber(210)).toBe(10);
+            expect(visualizerComponent.getResidueNumber(100)).toBeNull();
+        });
+
+        test('should label legend statistics with the displayed fragment', () => {
+            visualizerComponent.showConfidenceLegend();
+            
+            expect(visualizerComponent.legendContainer.innerHTML).toContain('Statistics for fragment F2');
+            expect(visualizerComponent.legendContainer.innerHTML).toContain('AF-Q8WZ42-F2');
+        });
+
+        test('should fetch the selected fragment', async () => {
+            visualizerComponent.currentProtein = 'Q8WZ42';
+            visualizerComponent.controlsContainer.querySelector = jest.fn(() => null);
+            visualizerComponent.setupControls = jest.fn();
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderFragmentControls = jest.fn();
+            mockApiService.fetchAlphaFoldStructure.mockResolvedValue('PDB');
+            
+            await visualizerComponent.loadFragment(1);
+            
+            expect(mockApiService.fetchAlphaFoldStructure).toHaveBeenCalledWith(
+                'Q8WZ42', expect.any(Function), visualizerComponent.modelInfo.fragments[0], null, null
+            );
+            expect(visualizerComponent.currentFragment.fragmentNumber).toBe(1);
+            expect(visualizerComponent.renderStructure).toHaveBeenCalledWith('PDB');
+        });
+
+        test('should drop a fragment that finishes after another one was chosen', async () => {
+            const fragments = [...visualizerComponent.modelInfo.fragments, makeFragment(3, 1401, 3000)];
+            visualizerComponent.modelInfo = { ...fragments[0], fragments };
+            visualizerComponent.currentProtein = 'Q8WZ42';
+            visualizerComponent.controlsContainer.querySelector = jest.fn(() => null);
+            visualizerComponent.setupControls = jest.fn();
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderFragmentControls = jest.fn();
+            let finishFirst;
+            mockApiService.fetchAlphaFoldStructure
+                .mockReturnValueOnce(new Promise(resolve => { finishFirst = resolve; }))
+                .mockResolvedValueOnce('F3');
+
+            const first = visualizerComponent.loadFragment(1);
+            await visualizerComponent.loadFragment(3);
+            finishFirst('F1');
+            await first;
+
+            expect(visualizerComponent.currentFragment.fragmentNumber).toBe(3);
+            expect(visualizerComponent.renderStructure).toHaveBeenCalledTimes(1);
+            expect(visualizerComponent.renderStructure).toHaveBeenCalledWith('F3');
+        });
+
+        test('should drop a fragment when the shown one is chosen again', async () => {
+            visualizerComponent.currentProtein = 'Q8WZ42';
+            visualizerComponent.controlsContainer.querySelector = jest.fn(() => null);
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderFragmentControls = jest.fn();
+            let finishFirst;
+            mockApiService.fetchAlphaFoldStructure.mockReturnValueOnce(new Promise(resolve => { finishFirst = resolve; }));
+
+            const first = visualizerComponent.loadFragment(1);
+            await visualizerComponent.loadFragment(2);
+            finishFirst('F1');
+            await first;
+
+            expect(visualizerComponent.currentFragment.fragmentNumber).toBe(2);
+            expect(visualizerComponent.renderStructure).not.toHaveBeenCalled();
+            expect(visualizerComponent.renderFragmentControls).toHaveBeenCalled();
+        });
     });
 
     describe('showLoadingState', () => {
@@ -358,6 +643,247 @@ describe('VisualizerComponent', () => {
             
             expect(visualizerComponent.visualizationSection.style.display).toBe('none');
         });
+
+        test('should hide the PAE panel', () => {
+            visualizerComponent.paeComponent = { hide: jest.fn() };
+
+            visualizerComponent.hide();
+
+            expect(visualizerComponent.paeComponent.hide).toHaveBeenCalled();
+        });
+    });
+
+    describe('residue range highlighting', () => {
+        beforeEach(() => {
+            mockViewer.addStyle = jest.fn();
+            mockViewer.removeStyle = jest.fn();
+            visualizerComponent.viewer = mockViewer;
+        });
+
+        test('should add a sphere style over the residue range', () => {
+            visualizerComponent.highlightResidueRange({ start: 10, end: 25 }, '#00A651');
+
+            expect(mockViewer.addStyle).toHaveBeenCalledWith({ resi: '10-25' }, {
+                sphere: { color: '#00A651', radius: 1.5, opacity: 0.8 }
+            });
+            expect(mockViewer.render).toHaveBeenCalled();
+        });
+
+        test('should limit the highlight to the chain of the range', () => {
+            visualizerComponent.selectedResidue = { residueNumber: 12, residueName: 'ALA', chainId: 'A' };
+
+            visualizerComponent.highlightResidueRange({ chainId: 'C', start: 10, end: 25 }, '#00A651');
+            visualizerComponent.clearResidueRangeHighlight({ chainId: 'C', start: 10, end: 25 });
+
+            expect(mockViewer.addStyle).toHaveBeenCalledTimes(1);
+            expect(mockViewer.addStyle).toHaveBeenCalledWith({ resi: '10-25', chain: 'C' }, expect.any(Object));
+            expect(mockViewer.removeStyle).toHaveBeenCalledWith({ resi: '10-25', chain: 'C' }, { sphere: {} });
+        });
+
+        test('should remove the sphere style and keep the selected residue highlighted', () => {
+            visualizerComponent.selectedResidue = { residueNumber: 12, residueName: 'ALA', chainId: 'A' };
+
+            visualizerComponent.clearResidueRangeHighlight({ start: 10, end: 25 });
+
+            expect(mockViewer.removeStyle).toHaveBeenCalledWith({ resi: '10-25' }, { sphere: {} });
+            expect(mockViewer.addStyle).toHaveBeenCalledWith({ resi: 12, chain: 'A' }, expect.any(Object));
+        });
+    });
+
+    describe('variant markers', () => {
+        // Residue 1 sits in a tight cluster of 24 CA atoms; residue 2 is far away from all of them
+        const caAtoms = [
+            { resi: 1, atom: 'CA', x: 0, y: 0, z: 0 },
+            { resi: 2, atom: 'CA', x: 50, y: 0, z: 0 },
+            ...Array.from({ length: 24 }, (_, i) => ({ resi: i + 3, atom: 'CA', x: 3 + (i % 4), y: Math.floor(i / 4), z: 0 }))
+        ];
+
+        beforeEach(() => {
+            // Every residue is in chain A
+            mockViewer.selectedAtoms = jest.fn(selection => caAtoms.filter(atom =>
+                (selection.resi === undefined || atom.resi === selection.resi) && (!selection.chain || selection.chain === 'A')));
+            mockViewer.addSphere = jest.fn(spec => ({ spec }));
+            mockViewer.removeShape = jest.fn();
+            visualizerComponent.viewer = mockViewer;
+            visualizerComponent.structure = Structure.fromModelAtoms(
+                caAtoms.map(atom => ({ ...atom, resn: 'ALA', chain: 'A', b: 90 }))
+            );
+        });
+
+        test('should classify residues as buried or exposed by their CA neighbors', () => {
+            expect(visualizerComponent.getResidueBurial(1)).toEqual({ buried: true, neighborCount: 24 });
+            expect(visualizerComponent.getResidueBurial(2)).toEqual({ buried: false, neighborCount: 0 });
+            expect(visualizerComponent.getResidueBurial(99)).toBeNull();
+        });
+
+        test('should draw a clickable marker on the CA atom and remove it again', () => {
+            const onClick = jest.fn();
+
+            const marker = visualizerComponent.addResidueMarker(2, '#C0392B', onClick);
+            marker.spec.callback(marker, mockViewer, { type: 'click' });
+            visualizerComponent.removeResidueMarker(marker);
+
+            expect(mockViewer.addSphere).toHaveBeenCalledWith(expect.objectContaining({
+                center: { x: 50, y: 0, z: 0 },
+                color: '#C0392B',
+                clickable: true
+            }));
+            expect(onClick).toHaveBeenCalledWith({ type: 'click' });
+            expect(mockViewer.removeShape).toHaveBeenCalledWith(marker);
+            expect(visualizerComponent.addResidueMarker(99, '#C0392B')).toBeNull();
+        });
+
+        test('should look residues up in the given chain only', () => {
+            expect(visualizerComponent.getResidueBurial(1, 'A')).toEqual({ buried: true, neighborCount: 24 });
+            expect(visualizerComponent.getResidueBurial(1, 'B')).toBeNull();
+            expect(visualizerComponent.addResidueMarker(2, '#C0392B', null, 'B')).toBeNull();
+            expect(mockViewer.selectedAtoms).toHaveBeenCalledWith({ resi: 2, chain: 'B', atom: 'CA' });
+        });
+    });
+
+    describe('experimental structures', () => {
+        const entry = {
+            pdbId: '1A3N', method: 'X-ray', resolution: 1.8, chains: ['A', 'C'],
+            ranges: [{ chains: ['A', 'C'], start: 2, end: 142 }], coverage: { start: 2, end: 142 }
+        };
+
+        beforeEach(() => {
+            mockApiService.fetchExperimentalStructure = jest.fn().mockResolvedValue('data_1A3N');
+            visualizerComponent.currentProtein = 'P69905';
+            visualizerComponent.setupControls = jest.fn();
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderFragmentControls = jest.fn();
+            visualizerComponent.paeComponent = { hide: jest.fn(), loadPAE: jest.fn() };
+            visualizerComponent.variantComponent = { refresh: jest.fn() };
+        });
+
+        test('should replace the prediction with the PDB entry', async () => {
+            const loaded = await visualizerComponent.loadExperimentalStructure(entry);
+
+            expect(loaded).toBe(true);
+            expect(mockApiService.fetchExperimentalStructure).toHaveBeenCalledWith('1A3N', null, null);
+            expect(visualizerComponent.experimentalEntry).toBe(entry);
+            expect(visualizerComponent.renderStructure).toHaveBeenCalledWith('data_1A3N');
+            expect(visualizerComponent.paeComponent.hide).toHaveBeenCalled();
+            expect(visualizerComponent.variantComponent.refresh).toHaveBeenCalled();
+        });
+
+        test('should keep the previous state when the entry cannot be rendered', async () => {
+            visualizerComponent.renderStructure.mockImplementation(() => {
+                expect(visualizerComponent.experimentalEntry).toBe(entry);
+                throw new Error('Failed to render protein structure: Invalid structure file format');
+            });
+
+            await expect(visualizerComponent.loadExperimentalStructure(entry)).rejects.toThrow('Failed to render');
+
+            expect(visualizerComponent.experimentalEntry).toBeNull();
+            expect(visualizerComponent.sequenceSegments).toEqual([]);
+            expect(visualizerComponent.variantComponent.refresh).not.toHaveBeenCalled();
+        });
+
+        test('should report a load that another protein overtook', async () => {
+            mockApiService.fetchExperimentalStructure.mockImplementation(async () => {
+                visualizerComponent.activeSignal = { aborted: false };
+                return 'data_1A3N';
+            });
+
+            expect(await visualizerComponent.loadExperimentalStructure(entry)).toBe(false);
+            expect(visualizerComponent.renderStructure).not.toHaveBeenCalled();
+        });
+
+        test('should map UniProt positions through the SIFTS offsets of the file', async () => {
+            mockApiService.fetchExperimentalStructure.mockResolvedValue(`data_1A3N
+loop_
+_struct_ref_seq.align_id
+_struct_ref_seq.pdbx_strand_id
+_struct_ref_seq.db_align_beg
+_struct_ref_seq.db_align_end
+_struct_ref_seq.pdbx_db_accession
+_struct_ref_seq.pdbx_auth_seq_align_beg
+1 C 2 142 P69905 1001
+2 A 2 142 P69905 1
+3 B 2 147 P68871 1
+#
+`);
+
+            await visualizerComponent.loadExperimentalStructure(entry);
+
+            expect(visualizerComponent.sequenceSegments).toEqual([
+                { chainId: 'A', start: 2, end: 142, offset: -1 },
+                { chainId: 'C', start: 2, end: 142, offset: 999 }
+            ]);
+            expect(visualizerComponent.getResidueNumber(88)).toBe(87);
+            expect(visualizerComponent.mapSequencePosition(88)).toEqual({ chainId: 'A', residueNumber: 87 });
+            expect(visualizerComponent.getResidueNumber(1)).toBeNull();
+            expect(visualizerComponent.getSequencePosition(87, 'A')).toBe(88);
+            expect(visualizerComponent.getSequencePosition(1087, 'C')).toBe(88);
+            expect(visualizerComponent.getSequencePosition(87, 'C')).toBeNull();
+        });
+
+        test('should fall back to the ranges UniProt lists for the entry', async () => {
+            await visualizerComponent.loadExperimentalStructure(entry);
+
+            expect(visualizerComponent.getResidueNumber(88)).toBe(88);
+            expect(visualizerComponent.getResidueNumber(150)).toBeNull();
+            expect(visualizerComponent.getSequencePosition(142, 'C')).toBe(142);
+            expect(visualizerComponent.getSequencePosition(142, 'B')).toBeNull();
+        });
+
+        test('should go back to the AlphaFold model', async () => {
+            const model = { entryId: 'AF-P69905-F1', modelVersion: 4 };
+            visualizerComponent.modelInfo = model;
+            visualizerComponent.currentFragment = model;
+            visualizerComponent.experimentalEntry = entry;
+            mockApiService.fetchAlphaFoldStructure.mockResolvedValue('PDB');
+
+            expect(await visualizerComponent.showPredictedStructure()).toBe(true);
+
+            expect(mockApiService.fetchAlphaFoldStructure).toHaveBeenCalledWith('P69905', null, model, null, null);
+            expect(visualizerComponent.experimentalEntry).toBeNull();
+            expect(visualizerComponent.paeComponent.loadPAE).toHaveBeenCalled();
+        });
+
+        test('should color B-factors from blue to red over the structure range', () => {
+            visualizerComponent.confidenceData = Array.from({ length: 21 }, (_, i) => ({ bFactor: 10 + i * 2 }));
+            visualizerComponent.bFactorRange = visualizerComponent.calculateBFactorRange();
+
+            expect(visualizerComponent.bFactorRange).toEqual({ min: 12, max: 48 });
+            expect(visualizerComponent.getBFactorColor(5)).toBe('#2166AC');
+            expect(visualizerComponent.getBFactorColor(30)).toBe('#F7F7F7');
+            expect(visualizerComponent.getBFactorColor(80)).toBe('#B2182B');
+        });
+
+        test('should show a B-factor legend instead of pLDDT statistics', () => {
+            visualizerComponent.experimentalEntry = entry;
+            visualizerComponent.bFactorRange = { min: 12, max: 48 };
+
+            visualizerComponent.showConfidenceLegend();
+
+            expect(visualizerComponent.legendContainer.innerHTML).toContain('B-factor Legend');
+            expect(visualizerComponent.legendContainer.innerHTML).toContain('1.80 Å');
+            expect(visualizerComponent.legendContainer.innerHTML).not.toContain('Average Confidence');
+        });
+    });
+
+    describe('PAE panel', () => {
+        test('should load PAE for the displayed fragment after the structure', async () => {
+            const fragments = [
+                { fragmentNumber: 1, files: { pae: 'F1.json' }, coverage: { start: 1, end: 1400, sequenceLength: 3000 } },
+                { fragmentNumber: 2, files: { pae: 'F2.json' }, coverage: { start: 201, end: 1600, sequenceLength: 3000 } }
+            ];
+            mockApiService.getAlphaFoldPrediction.mockResolvedValue({ ...fragments[0], fragments });
+            mockApiService.fetchAlphaFoldStructure.mockResolvedValue('PDB');
+            visualizerComponent.showLoadingState = jest.fn();
+            visualizerComponent.initializeViewer = jest.fn().mockResolvedValue();
+            visualizerComponent.renderStructure = jest.fn();
+            visualizerComponent.renderFragmentControls = jest.fn();
+            visualizerComponent.paeComponent = { loadPAE: jest.fn(), hide: jest.fn() };
+
+            await visualizerComponent.loadStructure('Q8WZ42');
+
+            expect(visualizerComponent.paeComponent.hide).toHaveBeenCalled();
+            expect(visualizerComponent.paeComponent.loadPAE).toHaveBeenCalledWith('Q8WZ42', fragments[0], null);
+        });
     });
 
     describe('Confidence-Based Coloring', () => {
@@ -426,6 +952,45 @@ END`;
             expect(stats.highConfidencePercent).toBe(50); // veryHigh + confident
         });
 
+        test('should calculate median and band fractions', () => {
+            visualizerComponent.confidenceData = [
+                { confidenceScore: 95 },
+                { confidenceScore: 92 },
+                { confidenceScore: 85 },
+                { confidenceScore: 65 },
+                { confidenceScore: 30 }
+            ];
+
+            const stats = visualizerComponent.calculateConfidenceStatistics();
+            
+            expect(stats.medianConfidence).toBe(85);
+            expect(stats.fractions.veryHigh).toBeCloseTo(0.4);
+            expect(stats.fractions.confident).toBeCloseTo(0.2);
+            expect(stats.fractions.low).toBeCloseTo(0.2);
+            expect(stats.fractions.veryLow).toBeCloseTo(0.2);
+        });
+
+        test('should average the middle scores for an even-length median', () => {
+            visualizerComponent.confidenceData = [
+                { confidenceScore: 40 },
+                { confidenceScore: 95 },
+                { confidenceScore: 60 },
+                { confidenceScore: 80 }
+            ];
+
+            expect(visualizerComponent.calculateConfidenceStatistics().medianConfidence).toBe(70);
+        });
+
+        test('should store statistics once when rendering', () => {
+            visualizerComponent.setupCameraControls = jest.fn();
+            visualizerComponent.showConfidenceLegend = jest.fn();
+
+            visualizerComponent.renderStructure(mockPdbDataWithConfidence);
+            
+            expect(visualizerComponent.confidenceStatistics.totalResidues).toBe(4);
+            expect(visualizerComponent.confidenceStatistics.averageConfidence).toBe(73);
+        });
+
         test('should apply confidence coloring to structure', () => {
             visualizerComponent.confidenceData = [
                 { residueNumber: 1, chainId: 'A', confidenceScore: 95 }
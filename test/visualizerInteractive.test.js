@@ -238,6 +238,22 @@ ATOM      4  CA  GLY A   4      30.112  19.456  20.147  1.00 45.75           C`;
             expect(consoleSpy).toHaveBeenCalledWith('Error highlighting residue:', expect.any(Error));
             consoleSpy.mockRestore();
         });
+
+        test('should highlight a set of residues and keep the selection when clearing them', () => {
+            const residues = [visualizer.confidenceData[0], visualizer.confidenceData[2]];
+            visualizer.selectedResidue = visualizer.confidenceData[2];
+
+            visualizer.highlightResidues(residues, '#E6007E');
+            expect(visualizer.viewer.addStyle).toHaveBeenCalledWith({ resi: 3, chain: 'A' }, expect.objectContaining({
+                sphere: expect.objectContaining({ color: '#E6007E' })
+            }));
+
+            visualizer.clearResidueHighlights(residues);
+            expect(visualizer.viewer.removeStyle).toHaveBeenCalledWith({ resi: 1, chain: 'A' }, { sphere: {} });
+            expect(visualizer.viewer.addStyle).toHaveBeenLastCalledWith({ resi: 3, chain: 'A' }, expect.objectContaining({
+                sphere: expect.objectContaining({ color: '#FF0000' })
+            }));
+        });
     });
 
     describe('Structural Element Controls', () => {
@@ -279,6 +295,15 @@ ATOM      4  CA  GLY A   4      30.112  19.456  20.147  1.00 45.75           C`;
             consoleSpy.mockRestore();
         });
 
+        test('should not color structural elements of experimental structures by pLDDT', () => {
+            mockElements['confidence-colors'].checked = true;
+            visualizer.experimentalEntry = { pdbId: '1A3N' };
+            
+            visualizer.toggleStructuralElement('helix', true);
+            
+            expect(visualizer.viewer.addStyle).toHaveBeenCalledWith({ ss: 'h' }, { cartoon: { color: 'lightblue' } });
+        });
+
         test('should apply confidence coloring to structural elements', () => {
             mockElements['confidence-colors'].checked = true;
             
@@ -324,6 +349,115 @@ ATOM      4  CA  GLY A   4      30.112  19.456  20.147  1.00 45.75           C`;
         });
     });
 
+    describe('Session State', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <select id="style-selector">
+                    <option value="cartoon">Cartoon</option>
+                    <option value="surface">Surface</option>
+                    <option value="stick">Stick</option>
+                </select>
+                <input type="checkbox" id="confidence-colors" checked>
+                <input type="checkbox" id="show-helices" checked>
+                <input type="checkbox" id="show-sheets" checked>
+                <input type="checkbox" id="show-loops" checked>
+            `;
+        });
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+        });
+
+        test('should read the view settings from the controls and camera', () => {
+            visualizer.viewer.getView = jest.fn(() => [1, 2, 3, 4, 5, 6, 7, 8]);
+            document.getElementById('style-selector').value = 'stick';
+            document.getElementById('show-loops').checked = false;
+
+            expect(visualizer.getViewSettings()).toEqual({
+                style: 'stick',
+                confidenceColors: true,
+                structuralElements: { helix: true, sheet: true, loop: false },
+                camera: [1, 2, 3, 4, 5, 6, 7, 8]
+            });
+        });
+
+        test('should apply saved view settings', () => {
+            visualizer.viewer.setView = jest.fn();
+            visualizer.updateVisualizationStyle = jest.fn();
+            visualizer.toggleStructuralElement = jest.fn();
+
+            visualizer.applyViewSettings({
+                style: 'surface',
+                confidenceColors: false,
+                structuralElements: { helix: true, sheet: true, loop: false },
+                camera: [1, 2, 3, 4, 5, 6, 7, 8]
+            });
+
+            expect(document.getElementById('style-selector').value).toBe('surface');
+            expect(document.getElementById('confidence-colors').checked).toBe(false);
+            expect(document.getElementById('show-loops').checked).toBe(false);
+            expect(visualizer.updateVisualizationStyle).toHaveBeenCalledWith('surface');
+            expect(visualizer.toggleStructuralElement).toHaveBeenCalledTimes(1);
+            expect(visualizer.toggleStructuralElement).toHaveBeenCalledWith('loop', false);
+            expect(visualizer.viewer.setView).toHaveBeenCalledWith([1, 2, 3, 4, 5, 6, 7, 8]);
+        });
+
+        test('should select a saved residue without a click', () => {
+            expect(visualizer.selectResidue('A', 3)).toBe(true);
+            expect(visualizer.selectedResidue).toBe(visualizer.confidenceData[2]);
+            expect(visualizer.viewer.addStyle).toHaveBeenCalledWith({ resi: 3, chain: 'A' }, expect.any(Object));
+            expect(visualizer.selectResidue('B', 3)).toBe(false);
+        });
+
+        test('should describe the structure on screen', () => {
+            visualizer.modelInfo = { entryId: 'AF-Q8WZ42-F1', fragmentNumber: 1, modelVersion: 4 };
+            visualizer.currentFragment = { entryId: 'AF-Q8WZ42-F2', fragmentNumber: 2 };
+
+            expect(visualizer.describeStructureSource()).toEqual({
+                type: 'alphafold', entryId: 'AF-Q8WZ42-F2', fragmentNumber: 2, modelVersion: 4
+            });
+
+            visualizer.experimentalEntry = { pdbId: '2DN2' };
+            expect(visualizer.describeStructureSource()).toEqual({ type: 'pdb', pdbId: '2DN2' });
+        });
+    });
+
+    describe('Residue Geometry', () => {
+        afterEach(() => {
+            document.body.innerHTML = '';
+        });
+
+        test('should show backbone angles and the distance to the previous residue', () => {
+            visualizer.structure = Structure.fromPdb(mockPdbData);
+
+            visualizer.handleAtomClick({ resi: 1, chain: 'A' }, {});
+            visualizer.handleAtomClick({ resi: 2, chain: 'A' }, {});
+
+            const popup = document.getElementById('residue-details-popup');
+            expect(visualizer.previousSelectedResidue).toBe(visualizer.confidenceData[0]);
+            expect(popup.querySelector('.residue-geometry h5').textContent).toBe('Backbone Geometry');
+            // A CA-only model has no N and C atoms to measure phi and psi from
+            expect(popup.querySelector('.residue-geometry .property-item span').textContent).toBe('—');
+            expect(popup.querySelector('.residue-distance').textContent).toMatch(/CA–CA distance to ALA1:\s+4\.1 Å/);
+        });
+
+        test('should give the UniProt position of residues in an experimental structure', () => {
+            visualizer.experimentalEntry = { pdbId: '1A3N' };
+            visualizer.sequenceSegments = [{ chainId: 'A', start: 2, end: 2, offset: -1 }];
+
+            visualizer.showResidueDetails(visualizer.confidenceData[0], {});
+            expect(document.querySelector('#residue-details-popup .info-item span').textContent).toBe('1 (sequence 2)');
+
+            visualizer.showResidueDetails(visualizer.confidenceData[1], {});
+            expect(document.querySelector('#residue-details-popup .info-item span').textContent).toBe('2 (not on the UniProt sequence)');
+        });
+
+        test('should leave out geometry without a parsed structure', () => {
+            expect(visualizer.getResidueGeometry(visualizer.confidenceData[0])).toBeNull();
+            expect(visualizer.formatAngle(-57.25)).toBe('-57.3°');
+        });
+    });
+
     describe('Amino Acid Information', () => {
         test('should return correct amino acid information', () => {
             const alanineInfo = visualizer.getAminoAcidInfo('ALA');